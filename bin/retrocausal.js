@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * Launcher of the retrocausal command-line interface (see js/cli.js)
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const RetrocausalCLI = require('../js/cli.js');
+
+process.exitCode = new RetrocausalCLI().run(process.argv.slice(2));
@@ -0,0 +1,314 @@
+/**
+ * Binary BCH Error Correction Codes
+ *
+ * This module constructs t-error-correcting binary BCH codes, the natural
+ * multi-error generalisation of the Hamming family. The code is cyclic of
+ * length N dividing 2^m - 1; its generator polynomial is the least common
+ * multiple of the minimal polynomials of β, β², ..., β^(2t), where β is an
+ * element of order N in GF(2^m). Grouping exponents into cyclotomic cosets
+ * {s, 2s, 4s, ...} mod N gives each minimal polynomial directly, and the
+ * BCH bound guarantees a minimum distance of at least the designed distance
+ * 2t + 1.
+ *
+ * Supported lengths:
+ * - Primitive codes, n = 2^m - 1: BCH(15,7), BCH(31,21), BCH(63,51)...
+ * - Non-primitive codes, any n dividing 2^m - 1 (e.g. n = 21 in GF(64))
+ * - Shortened codes, any other n < 2^m - 1, obtained by dropping leading
+ *   information positions of the primitive code
+ *
+ * Decoding is algebraic: syndromes S_j = r(β^j), Berlekamp-Massey for the
+ * error locator and Chien search for its roots. Binary errors have value 1,
+ * so no Forney step is needed. The decoder corrects every pattern of up to t
+ * errors and reports larger ones as 'uncorrectable' whenever the locator
+ * does not split into distinct roots inside the codeword.
+ *
+ * BCHCode is a preset of LinearBlockCode, so the code properties, the
+ * systematic form and the fixed-point solver integration are shared with
+ * HammingCode. Codewords are systematic with the data bits first; bit i is
+ * the coefficient of x^(n-1-i).
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const BCHGaloisField = typeof GaloisField !== 'undefined' ? GaloisField : require('./galois.js');
+
+class BCHCode extends (typeof LinearBlockCode !== 'undefined' ? LinearBlockCode : require('./linearcode.js')) {
+    /**
+     * @param {number} m - Field degree (3 ≤ m ≤ 9)
+     * @param {number} t - Designed number of correctable errors
+     * @param {Object} options - Code options
+     * @param {number} [options.length] - Block length n (default 2^m - 1)
+     * @param {number} [options.primitivePolynomial] - Field polynomial override
+     */
+    constructor(m = 4, t = 2, options = {}) {
+        if (!Number.isInteger(m) || m < 3 || m > 9) {
+            throw new Error('BCH field degree m must be an integer between 3 and 9');
+        }
+        if (!Number.isInteger(t) || t < 1) {
+            throw new Error('BCH error correction capability t must be a positive integer');
+        }
+
+        const field = new BCHGaloisField(m, options.primitivePolynomial);
+        const n = options.length ?? field.order;
+        if (!Number.isInteger(n) || n < 3 || n > field.order) {
+            throw new Error(`BCH length must be an integer between 3 and ${field.order}`);
+        }
+
+        // Lengths dividing 2^m - 1 give a cyclic code, others shorten the primitive one
+        const cyclicLength = field.order % n === 0 ? n : field.order;
+        if (2 * t >= cyclicLength) {
+            throw new Error(`Designed distance ${2 * t + 1} exceeds the code length`);
+        }
+
+        const cosets = BCHCode.cyclotomicCosets(cyclicLength);
+        const beta = field.alphaPower(field.order / cyclicLength);
+        const rootCosets = cosets.filter(coset => coset.some(e => e >= 1 && e <= 2 * t));
+
+        let generator = [1];
+        const minimalPolynomials = rootCosets.map(coset => {
+            const minimal = BCHCode.minimalPolynomial(field, beta, coset);
+            generator = field.polyMultiply(generator, minimal);
+            return { coset, polynomial: minimal };
+        });
+
+        const r = generator.length - 1;
+        const k = n - r;
+        if (k < 1) {
+            throw new Error(`BCH code of length ${n} with t = ${t} has no information bits`);
+        }
+
+        super(BCHCode.buildMatrices(n, k, generator), {
+            ...options,
+            name: `BCH(${n},${k})`
+        });
+
+        this.field = field;
+        this.m = m;
+        this.t = t;
+        this.beta = beta;
+        this.cyclicLength = cyclicLength;
+        this.designedDistance = 2 * t + 1;
+        this.cyclotomicCosets = cosets;
+        this.minimalPolynomials = minimalPolynomials;
+        this.generatorPolynomial = generator;
+    }
+
+    /**
+     * Factory mirroring HammingCode.create
+     *
+     * @example
+     * BCHCode.create(4, 2)                   // BCH(15,7), corrects 2 errors
+     * BCHCode.create(5, 3)                   // BCH(31,16)
+     * BCHCode.create(6, 2, { length: 21 })   // Non-primitive BCH(21,...)
+     */
+    static create(m, t, options = {}) {
+        return new BCHCode(m, t, options);
+    }
+
+    /**
+     * Partition {0, ..., N-1} into cyclotomic cosets {s, 2s, 4s, ...} mod N
+     *
+     * @param {number} N - Cyclic length (odd)
+     * @returns {Array<Array<number>>} - Cosets, each led by its smallest element
+     */
+    static cyclotomicCosets(N) {
+        const seen = new Array(N).fill(false);
+        const cosets = [];
+
+        for (let s = 0; s < N; s++) {
+            if (seen[s]) continue;
+            const coset = [];
+            let e = s;
+            while (!seen[e]) {
+                seen[e] = true;
+                coset.push(e);
+                e = (2 * e) % N;
+            }
+            cosets.push(coset);
+        }
+
+        return cosets;
+    }
+
+    /**
+     * Minimal polynomial Π (x - β^e) over a cyclotomic coset
+     *
+     * The product is closed under the Frobenius map, so every coefficient
+     * lands in GF(2).
+     *
+     * @returns {Array<number>} - Binary coefficients, constant term first
+     */
+    static minimalPolynomial(field, beta, coset) {
+        let polynomial = [1];
+        coset.forEach(e => {
+            polynomial = field.polyMultiply(polynomial, [field.power(beta, e), 1]);
+        });
+
+        if (!polynomial.every(c => c === 0 || c === 1)) {
+            throw new Error(`Minimal polynomial of coset {${coset.join(', ')}} is not binary`);
+        }
+        return polynomial;
+    }
+
+    /**
+     * Build systematic matrices from the generator polynomial
+     *
+     * Position i holds the coefficient of x^(n-1-i). The data bit at degree
+     * d ≥ r is protected by the parity pattern x^d mod g(x), which is both
+     * the corresponding column of H = [A | I] and the parity rows of G.
+     *
+     * @param {number} n - Block length
+     * @param {number} k - Dimension
+     * @param {Array<number>} generator - g(x), constant term first
+     * @returns {Object} - {generatorMatrix, parityCheckMatrix}
+     */
+    static buildMatrices(n, k, generator) {
+        const r = n - k;
+
+        // remainders[d] = x^d mod g(x) as r bits
+        const remainders = [];
+        let remainder = new Array(r).fill(0);
+        remainder[0] = 1;
+        for (let d = 0; d < n; d++) {
+            remainders.push(remainder);
+            const carry = remainder[r - 1];
+            const shifted = [0, ...remainder.slice(0, r - 1)];
+            remainder = carry ? shifted.map((bit, j) => bit ^ generator[j]) : shifted;
+        }
+
+        const parityCheckMatrix = [];
+        for (let row = 0; row < r; row++) {
+            parityCheckMatrix.push(Array.from({ length: n }, (_, i) => remainders[n - 1 - i][row]));
+        }
+
+        const generatorMatrix = [];
+        for (let i = 0; i < n; i++) {
+            if (i < k) {
+                generatorMatrix.push(Array.from({ length: k }, (_, j) => (j === i ? 1 : 0)));
+            } else {
+                const degree = n - 1 - i;
+                generatorMatrix.push(Array.from({ length: k }, (_, j) => remainders[n - 1 - j][degree]));
+            }
+        }
+
+        return { generatorMatrix, parityCheckMatrix };
+    }
+
+    /**
+     * Algebraic bounded-distance decoding
+     *
+     * @param {Array<number>} codeword - n-bit received word
+     * @returns {Object} - Decoding results in the LinearBlockCode shape
+     */
+    decode(codeword) {
+        if (!this.validateCodeword(codeword)) {
+            throw new Error(`Codeword must be array of exactly ${this.n} bits (0 or 1)`);
+        }
+
+        const syndrome = this.calculateSyndrome(codeword);
+        const syndromeValue = this.syndromeToInteger(syndrome);
+        const errorDetected = syndrome.some(bit => bit === 1);
+
+        let status = 'valid';
+        let errorPositions = [];
+        if (errorDetected) {
+            errorPositions = this.locateErrors(codeword);
+            status = errorPositions ? 'corrected' : 'uncorrectable';
+            errorPositions = errorPositions || [];
+        }
+
+        const correctedCodeword = [...codeword];
+        for (const position of errorPositions) {
+            correctedCodeword[position] ^= 1;
+        }
+
+        return {
+            dataBits: this.extractDataBits(correctedCodeword),
+            correctedCodeword: correctedCodeword,
+            errorDetected: errorDetected,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions: errorPositions,
+            status: status,
+            syndrome: syndrome,
+            syndromeValue: syndromeValue
+        };
+    }
+
+    /**
+     * Power-sum syndromes S_j = r(β^j), j = 1..2t
+     *
+     * @param {Array<number>} codeword - n-bit received word
+     * @returns {Array<number>} - Field elements S_1..S_2t
+     */
+    calculateAlgebraicSyndromes(codeword) {
+        const syndromes = [];
+        for (let j = 1; j <= 2 * this.t; j++) {
+            const root = this.field.power(this.beta, j);
+            let value = 0;
+            for (let i = 0; i < this.n; i++) {
+                value = this.field.multiply(value, root) ^ codeword[i];
+            }
+            syndromes.push(value);
+        }
+        return syndromes;
+    }
+
+    /**
+     * Find error positions with Berlekamp-Massey and Chien search
+     *
+     * @param {Array<number>} codeword - n-bit received word with non-zero syndrome
+     * @returns {Array<number>|null} - Sorted error positions, or null if beyond t errors
+     */
+    locateErrors(codeword) {
+        const syndromes = this.calculateAlgebraicSyndromes(codeword);
+        const { locator, length } = this.field.berlekampMassey(syndromes);
+        const degree = this.field.polyDegree(locator);
+
+        if (degree !== length || degree > this.t) {
+            return null;
+        }
+
+        // Root β^-e marks the bit at degree e; degrees ≥ n were shortened away
+        const exponents = this.field.chienSearch(locator, this.cyclicLength, this.beta);
+        if (exponents.length !== degree || exponents.some(e => e >= this.n)) {
+            return null;
+        }
+
+        return exponents.map(e => this.n - 1 - e).sort((a, b) => a - b);
+    }
+
+    /**
+     * The algebraic decoder corrects exactly up to the designed t errors
+     */
+    getCorrectionRadius() {
+        return this.t;
+    }
+
+    /**
+     * Get code properties, falling back to the designed distance when the
+     * true minimum distance is too expensive to enumerate
+     *
+     * @returns {Object} - Code properties and statistics
+     */
+    getCodeProperties() {
+        const properties = super.getCodeProperties();
+        const minimumDistance = properties.minimumDistance ?? this.designedDistance;
+
+        return {
+            ...properties,
+            minimumDistance: minimumDistance,
+            designedDistance: this.designedDistance,
+            errorCorrectionCapability: this.t,
+            errorDetectionCapability: minimumDistance - 1,
+            fieldDegree: this.m,
+            generatorPolynomial: [...this.generatorPolynomial]
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BCHCode;
+} else if (typeof window !== 'undefined') {
+    window.BCHCode = BCHCode;
+}
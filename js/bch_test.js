@@ -0,0 +1,164 @@
+/**
+ * Test Suite for Binary BCH Codes
+ *
+ * These tests verify the cyclotomic-coset construction of BCH generator
+ * polynomials against known codes and exercise the algebraic decoder on
+ * multi-error patterns that are beyond the reach of Hamming codes.
+ *
+ * Test Coverage:
+ * - Cyclotomic cosets and minimal polynomials
+ * - Known (n,k) parameters and designed distance
+ * - Correction of every pattern of up to t errors
+ * - Non-primitive and shortened lengths
+ * - Detection beyond t errors and solver integration
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class BCHCodeTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.bch = new BCHCode(4, 2);  // BCH(15,7), corrects 2 errors
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Cyclotomic cosets mod 15', () => this.testCyclotomicCosets());
+        this.framework.test('Generator polynomial of BCH(15,7)', () => this.testGeneratorPolynomial());
+        this.framework.test('Known code parameters', () => this.testKnownParameters());
+        this.framework.test('Corrects every double error in BCH(15,7)', () => this.testAllDoubleErrors());
+        this.framework.test('Corrects random t-error patterns', () => this.testRandomErrors());
+        this.framework.test('Non-primitive and shortened lengths', () => this.testLengths());
+        this.framework.test('Flags t + 1 errors or decodes to a codeword', () => this.testBeyondRadius());
+        this.framework.test('Fixed-point solver with a double-error-correcting code', () => this.testSolverIntegration());
+        this.framework.test('Invalid parameters are rejected', () => this.testInvalidParameters());
+    }
+
+    testCyclotomicCosets() {
+        this.framework.assertEqual(BCHCode.cyclotomicCosets(15),
+            [[0], [1, 2, 4, 8], [3, 6, 12, 9], [5, 10], [7, 14, 13, 11]],
+            'Cosets of 2 mod 15');
+    }
+
+    testGeneratorPolynomial() {
+        // g(x) = (x⁴ + x + 1)(x⁴ + x³ + x² + x + 1) = x⁸ + x⁷ + x⁶ + x⁴ + 1
+        this.framework.assertEqual(this.bch.generatorPolynomial, [1, 0, 0, 0, 1, 0, 1, 1, 1],
+            'Generator should be the product of the minimal polynomials of α and α³');
+        this.framework.assertEqual(this.bch.minimalPolynomials.length, 2, 'Two cosets contain roots 1..4');
+    }
+
+    testKnownParameters() {
+        const expected = [
+            [4, 1, 15, 11], [4, 3, 15, 5], [5, 2, 31, 21], [5, 3, 31, 16], [6, 3, 63, 45], [8, 4, 255, 223]
+        ];
+        expected.forEach(([m, t, n, k]) => {
+            const code = new BCHCode(m, t);
+            this.framework.assertEqual([code.n, code.k], [n, k], `m = ${m}, t = ${t} should give BCH(${n},${k})`);
+        });
+
+        const properties = this.bch.getCodeProperties();
+        this.framework.assertEqual(properties.minimumDistance, 5, 'BCH(15,7) has distance 5');
+        this.framework.assertEqual(properties.designedDistance, 5, 'Designed distance 2t + 1');
+        this.framework.assertEqual(properties.errorCorrectionCapability, 2, 'Corrects 2 errors');
+    }
+
+    testAllDoubleErrors() {
+        const dataBits = [1, 0, 1, 1, 0, 0, 1];
+        const codeword = this.bch.encode(dataBits);
+
+        LinearBlockCode.forEachCombination(15, 2, (positions) => {
+            const received = [...codeword];
+            positions.forEach(p => { received[p] ^= 1; });
+
+            const result = this.bch.decode(received);
+            this.framework.assertEqual(result.status, 'corrected', `Errors at ${positions} should be corrected`);
+            this.framework.assertEqual(result.errorPositions, [...positions], 'Errors should be located');
+            this.framework.assertEqual(result.dataBits, dataBits, 'Data should be restored');
+            return true;
+        });
+    }
+
+    testRandomErrors() {
+        const code = new BCHCode(6, 4);
+
+        for (let trial = 0; trial < 30; trial++) {
+            const dataBits = Array.from({ length: code.k }, () => (Math.random() < 0.5 ? 1 : 0));
+            const received = code.encode(dataBits);
+            const positions = new Set();
+            while (positions.size < 4) positions.add(Math.floor(Math.random() * code.n));
+            positions.forEach(p => { received[p] ^= 1; });
+
+            const result = code.decode(received);
+            this.framework.assertEqual(result.dataBits, dataBits, `${code.name} should correct 4 errors`);
+            this.framework.assertEqual(result.errorPositions, [...positions].sort((a, b) => a - b),
+                'All four positions should be reported');
+        }
+    }
+
+    testLengths() {
+        const nonPrimitive = new BCHCode(6, 2, { length: 21 });
+        this.framework.assertEqual([nonPrimitive.n, nonPrimitive.k], [21, 12], 'Non-primitive BCH(21,12)');
+        this.framework.assertEqual(nonPrimitive.cyclicLength, 21, 'Length 21 divides 63');
+
+        const shortened = new BCHCode(5, 2, { length: 25 });
+        this.framework.assertEqual([shortened.n, shortened.k], [25, 15], 'BCH(31,21) shortened by 6');
+
+        [nonPrimitive, shortened].forEach(code => {
+            const dataBits = Array.from({ length: code.k }, (_, i) => i % 2);
+            const received = code.encode(dataBits);
+            received[0] ^= 1;
+            received[code.n - 1] ^= 1;
+            this.framework.assertEqual(code.decode(received).dataBits, dataBits,
+                `${code.name} should correct errors at both ends`);
+        });
+    }
+
+    testBeyondRadius() {
+        const dataBits = [0, 1, 1, 0, 1, 0, 0];
+        const codeword = this.bch.encode(dataBits);
+        let flagged = 0;
+
+        LinearBlockCode.forEachCombination(15, 3, (positions) => {
+            const received = [...codeword];
+            positions.forEach(p => { received[p] ^= 1; });
+
+            const result = this.bch.decode(received);
+            if (result.status === 'uncorrectable') {
+                flagged++;
+            } else {
+                this.framework.assertEqual(this.bch.calculateSyndrome(result.correctedCodeword).every(b => b === 0), true,
+                    'A decoded word must be a codeword');
+            }
+            return true;
+        });
+
+        this.framework.assertTrue(flagged > 0, 'Some triple errors should be flagged as uncorrectable');
+    }
+
+    testSolverIntegration() {
+        const solver = new RetrocausalFixedPointSolver(this.bch);
+        const result = solver.solveFixedPoint([1, 1, 0, 1, 0, 0, 1], { errorRate: 0.05, maxIterations: 50 });
+
+        this.framework.assertEqual(result.finalState.length, 7, 'State should have k = 7 bits');
+        this.framework.assertTrue(typeof result.converged === 'boolean', 'Solver should report convergence');
+    }
+
+    testInvalidParameters() {
+        this.framework.assertThrows(() => new BCHCode(2, 1), Error, 'm below 3 is rejected');
+        this.framework.assertThrows(() => new BCHCode(4, 0), Error, 't must be positive');
+        this.framework.assertThrows(() => new BCHCode(4, 8), Error, 'Designed distance 17 exceeds n = 15');
+        this.framework.assertThrows(() => new BCHCode(4, 2, { length: 20 }), Error, 'Length beyond 2^m - 1');
+    }
+
+    run() {
+        console.log('Running BCH Code Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BCHCodeTests;
+} else if (typeof window !== 'undefined') {
+    window.BCHCodeTests = BCHCodeTests;
+}
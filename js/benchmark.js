@@ -0,0 +1,253 @@
+/**
+ * Benchmark Analysis
+ *
+ * Turns a runStatisticalAnalysis result into the figures of the benchmark
+ * dashboard: the success rate with its confidence interval, histograms of
+ * the iterations and convergence rates of the converged runs, iterations
+ * against the initial state, and a comparison with a saved baseline.
+ *
+ *   const analysis = new BenchmarkAnalysis(solver.runStatisticalAnalysis(200, params));
+ *   analysis.successRate();            // {successes, runs, estimate, lower, upper, confidence}
+ *   analysis.histogram('iterations');  // {metric, stats, bins: [{lower, upper, count}]}
+ *   const baseline = analysis.summary();
+ *   later.compare(baseline);           // {successRate, iterations, verdict}
+ *   BenchmarkAnalysis.isSummary(JSON.parse(stored));  // whether a stored baseline can be compared
+ *
+ * Only initialState, converged, iterations and convergenceRate of the runs
+ * are read, so the compact records merged from worker threads work as well
+ * as full solution reports. Summaries are plain data and can be stored.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const BenchmarkUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class BenchmarkAnalysis {
+    static DEFAULTS = {
+        confidence: 0.95,  // Confidence level of every interval
+        bins: 10           // Most histogram bins
+    };
+
+    static METRICS = ['iterations', 'convergenceRate'];
+
+    /**
+     * @param {Object} analysis - runStatisticalAnalysis result
+     * @param {Object} options - Overrides of BenchmarkAnalysis.DEFAULTS
+     */
+    constructor(analysis, options = {}) {
+        this.analysis = analysis;
+        this.options = { ...BenchmarkAnalysis.DEFAULTS, ...options };
+        this.converged = analysis.results.filter(result => result.converged);
+    }
+
+    /**
+     * Share of converged runs with its Wilson score interval
+     *
+     * @returns {Object} - {successes, runs, estimate, lower, upper, confidence}
+     */
+    successRate() {
+        const runs = this.analysis.results.length;
+        const successes = this.converged.length;
+        return {
+            successes: successes,
+            runs: runs,
+            ...BenchmarkUtils.stats.proportionInterval(successes, runs, this.options.confidence),
+            confidence: this.options.confidence
+        };
+    }
+
+    /**
+     * Histogram of a metric over the converged runs
+     *
+     * The range is that of iterationStats or convergenceRateStats. Iteration
+     * counts get bins of whole widths, so no count is split between two bins.
+     *
+     * @param {string} metric - 'iterations' or 'convergenceRate'
+     * @returns {Object} - {metric, stats, bins: [{lower, upper, count}]}, bins covering [lower, upper)
+     */
+    histogram(metric) {
+        if (!BenchmarkAnalysis.METRICS.includes(metric)) {
+            throw new Error(`Unknown metric "${metric}". Use ${BenchmarkAnalysis.METRICS.join(', ')}`);
+        }
+        const stats = metric === 'iterations' ? this.analysis.iterationStats : this.analysis.convergenceRateStats;
+        const values = this.converged.map(result => result[metric]);
+        return {
+            metric: metric,
+            stats: stats,
+            bins: BenchmarkAnalysis.bin(values, stats.min, stats.max, this.options.bins, metric === 'iterations')
+        };
+    }
+
+    /**
+     * Iterations of every run against its initial state
+     *
+     * @returns {Object} - {points: [{state, value, iterations, converged}],
+     *          states: [{state, value, runs, converged, meanIterations}]}, value being
+     *          the state read as a binary number and meanIterations over converged runs
+     */
+    scatter() {
+        const points = this.analysis.results.map(result => ({
+            state: result.initialState.join(''),
+            value: parseInt(result.initialState.join(''), 2),
+            iterations: result.iterations,
+            converged: result.converged
+        }));
+
+        const groups = new Map();
+        points.forEach(point => {
+            if (!groups.has(point.value)) groups.set(point.value, []);
+            groups.get(point.value).push(point);
+        });
+        const states = [...groups.values()].map(group => {
+            const converged = group.filter(point => point.converged);
+            return {
+                state: group[0].state,
+                value: group[0].value,
+                runs: group.length,
+                converged: converged.length,
+                meanIterations: converged.length > 0 ?
+                    converged.reduce((sum, point) => sum + point.iterations, 0) / converged.length : null
+            };
+        }).sort((a, b) => a.value - b.value);
+
+        return { points: points, states: states };
+    }
+
+    /**
+     * The figures a later analysis is compared with
+     *
+     * @returns {Object} - {seed, runs, successes, successRate, averageIterations,
+     *          averageConvergenceRate, iterationStats, convergenceRateStats}
+     */
+    summary() {
+        return {
+            seed: this.analysis.seed,
+            runs: this.analysis.results.length,
+            successes: this.converged.length,
+            successRate: this.analysis.successRate,
+            averageIterations: this.analysis.averageIterations,
+            averageConvergenceRate: this.analysis.averageConvergenceRate,
+            iterationStats: { ...this.analysis.iterationStats, count: this.converged.length },
+            convergenceRateStats: { ...this.analysis.convergenceRateStats, count: this.converged.length }
+        };
+    }
+
+    /**
+     * Compare with a baseline analysis
+     *
+     * Each difference (current minus baseline) comes with a confidence
+     * interval: Newcombe's hybrid score interval for the success rates, and
+     * the normal approximation for the mean iterations of converged runs.
+     * A change counts only when its interval excludes zero.
+     *
+     * @param {Object|BenchmarkAnalysis} baseline - A summary() or the analysis itself
+     * @returns {Object} - {confidence, successRate, iterations, verdict}, each metric being
+     *          {current, baseline, difference, lower, upper, change}; change and verdict
+     *          are 'improved', 'regressed' or 'unchanged'
+     */
+    compare(baseline) {
+        const base = baseline instanceof BenchmarkAnalysis ? baseline.summary() : baseline;
+        if (!BenchmarkAnalysis.isSummary(base)) {
+            throw new Error('The baseline is not a BenchmarkAnalysis summary');
+        }
+        const current = this.summary();
+        const { confidence } = this.options;
+
+        const a = BenchmarkUtils.stats.proportionInterval(current.successes, current.runs, confidence);
+        const b = BenchmarkUtils.stats.proportionInterval(base.successes, base.runs, confidence);
+        const rateDifference = a.estimate - b.estimate;
+        const successRate = {
+            current: a.estimate,
+            baseline: b.estimate,
+            difference: rateDifference,
+            lower: rateDifference - Math.hypot(a.estimate - a.lower, b.upper - b.estimate),
+            upper: rateDifference + Math.hypot(a.upper - a.estimate, b.estimate - b.lower)
+        };
+        successRate.change = BenchmarkAnalysis.change(successRate, 1);
+
+        const x = current.iterationStats;
+        const y = base.iterationStats;
+        const z = BenchmarkUtils.stats.normalInverse(1 - (1 - confidence) / 2);
+        const margin = x.count > 0 && y.count > 0 ? z * Math.sqrt(x.std ** 2 / x.count + y.std ** 2 / y.count) : Infinity;
+        const iterationDifference = x.mean - y.mean;
+        const iterations = {
+            current: x.mean,
+            baseline: y.mean,
+            difference: iterationDifference,
+            lower: iterationDifference - margin,
+            upper: iterationDifference + margin
+        };
+        // Fewer iterations are better
+        iterations.change = BenchmarkAnalysis.change(iterations, -1);
+
+        const changes = [successRate.change, iterations.change];
+        return {
+            confidence: confidence,
+            successRate: successRate,
+            iterations: iterations,
+            verdict: changes.includes('regressed') ? 'regressed' : changes.includes('improved') ? 'improved' : 'unchanged'
+        };
+    }
+
+    /**
+     * Whether a value has the fields compare() and the benchmark charts read
+     * from a summary, as a baseline read back from storage must
+     *
+     * @param {*} summary - Value to check
+     * @returns {boolean} - True for counts of runs and the stats of both metrics
+     */
+    static isSummary(summary) {
+        const count = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+        const stats = value => typeof value === 'object' && value !== null &&
+            Number.isFinite(value.mean) && Number.isFinite(value.std) && value.std >= 0 && count(value.count, summary.successes);
+        return typeof summary === 'object' && summary !== null &&
+            count(summary.runs, Infinity) && count(summary.successes, summary.runs) &&
+            stats(summary.iterationStats) && stats(summary.convergenceRateStats);
+    }
+
+    /**
+     * Whether a difference interval shows a change
+     *
+     * @param {Object} difference - {lower, upper}
+     * @param {number} direction - 1 if larger is better, -1 if smaller is
+     * @returns {string} - 'improved', 'regressed' or 'unchanged'
+     */
+    static change({ lower, upper }, direction) {
+        if (lower > 0) return direction > 0 ? 'improved' : 'regressed';
+        if (upper < 0) return direction > 0 ? 'regressed' : 'improved';
+        return 'unchanged';
+    }
+
+    /**
+     * Count values into equal bins spanning [min, max]
+     *
+     * @param {Array<number>} values - Values within [min, max]
+     * @param {number} min - Smallest value
+     * @param {number} max - Largest value
+     * @param {number} count - Most bins
+     * @param {boolean} integer - Whether the values are whole numbers
+     * @returns {Array<Object>} - [{lower, upper, count}]
+     */
+    static bin(values, min, max, count, integer = false) {
+        if (values.length === 0) return [];
+
+        const width = integer ? Math.ceil((max - min + 1) / count) : (max - min) / count || 1;
+        const binCount = integer ? Math.ceil((max - min + 1) / width) : (max > min ? count : 1);
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            lower: min + i * width,
+            upper: min + (i + 1) * width,
+            count: 0
+        }));
+        values.forEach(value => {
+            bins[Math.min(Math.floor((value - min) / width), binCount - 1)].count++;
+        });
+        return bins;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BenchmarkAnalysis;
+} else if (typeof window !== 'undefined') {
+    window.BenchmarkAnalysis = BenchmarkAnalysis;
+}
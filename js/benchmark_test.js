@@ -0,0 +1,145 @@
+/**
+ * Test Suite for Benchmark Analysis
+ *
+ * Dashboard figures are checked against the runStatisticalAnalysis result
+ * they come from, for solver runs and for the compact records merged from
+ * worker threads.
+ *
+ * Test Coverage:
+ * - Success rate and its Wilson interval
+ * - Histogram binning of iterations and convergence rates
+ * - Iterations against the initial state
+ * - Baseline comparison and its verdicts
+ * - Shape checks of stored baselines
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class BenchmarkAnalysisTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.analysis = this.solver.runStatisticalAnalysis(80, { errorRate: 0.2, seed: 12 });
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('The success rate comes with its confidence interval', () => this.testSuccessRate());
+        this.framework.test('Histograms count every converged run once', () => this.testHistograms());
+        this.framework.test('The scatter groups runs by initial state', () => this.testScatter());
+        this.framework.test('Comparisons flag only changes outside the noise', () => this.testComparison());
+        this.framework.test('Stored baselines are checked before comparing', () => this.testSummaryShape());
+    }
+
+    testSuccessRate() {
+        const success = new BenchmarkAnalysis(this.analysis).successRate();
+        const successes = this.analysis.results.filter(result => result.converged).length;
+        this.framework.assertEqual([success.successes, success.runs, success.estimate],
+            [successes, 80, this.analysis.successRate], 'Counts match the analysis');
+        const { lower, upper } = RetrocausalUtils.stats.proportionInterval(successes, 80);
+        this.framework.assertEqual([success.lower, success.upper], [lower, upper], 'The interval is the Wilson score interval');
+
+        const wider = new BenchmarkAnalysis(this.analysis, { confidence: 0.99 }).successRate();
+        this.framework.assertTrue(wider.lower <= success.lower && wider.upper >= success.upper,
+            'A higher confidence widens it');
+    }
+
+    testHistograms() {
+        const analysis = new BenchmarkAnalysis(this.analysis, { bins: 4 });
+        const converged = this.analysis.results.filter(result => result.converged);
+
+        const iterations = analysis.histogram('iterations');
+        this.framework.assertEqual(iterations.stats, this.analysis.iterationStats, 'The range comes from iterationStats');
+        this.framework.assertEqual(iterations.bins.reduce((sum, bin) => sum + bin.count, 0), converged.length,
+            'Every converged run is in a bin');
+        this.framework.assertTrue(iterations.bins.every(bin => Number.isInteger(bin.upper - bin.lower)),
+            'Iteration bins have whole widths');
+        this.framework.assertEqual(iterations.bins[0].count,
+            converged.filter(result => result.iterations < iterations.bins[0].upper).length, 'Bins cover [lower, upper)');
+
+        const rates = analysis.histogram('convergenceRate');
+        this.framework.assertEqual(rates.bins.reduce((sum, bin) => sum + bin.count, 0), converged.length,
+            'Convergence rates are binned the same way');
+
+        this.framework.assertEqual(BenchmarkAnalysis.bin([1, 2, 2, 3, 7], 1, 7, 10, true).map(bin => bin.count),
+            [1, 2, 1, 0, 0, 0, 1], 'Few distinct counts get one bin each');
+        this.framework.assertEqual(BenchmarkAnalysis.bin([0.5, 0.5], 0.5, 0.5, 10), [{ lower: 0.5, upper: 1.5, count: 2 }],
+            'Equal values share one bin');
+        this.framework.assertThrows(() => analysis.histogram('duration'), Error, 'Unknown metrics are rejected');
+    }
+
+    testScatter() {
+        const { points, states } = new BenchmarkAnalysis(this.analysis).scatter();
+        this.framework.assertEqual(points.length, 80, 'One point per run');
+        this.framework.assertEqual(points[0], {
+            state: this.analysis.results[0].initialState.join(''),
+            value: parseInt(this.analysis.results[0].initialState.join(''), 2),
+            iterations: this.analysis.results[0].iterations,
+            converged: this.analysis.results[0].converged
+        }, 'Points place runs by their initial state');
+        this.framework.assertEqual(states.reduce((sum, state) => sum + state.runs, 0), 80, 'States partition the runs');
+        this.framework.assertTrue(states.every((state, i) => i === 0 || state.value > states[i - 1].value),
+            'States are in order');
+
+        const state = states[0];
+        const runs = points.filter(point => point.value === state.value && point.converged);
+        this.framework.assertEqual(state.meanIterations,
+            runs.length > 0 ? runs.reduce((sum, point) => sum + point.iterations, 0) / runs.length : null,
+            'Means are over the converged runs of the state');
+    }
+
+    testComparison() {
+        const analysis = new BenchmarkAnalysis(this.analysis);
+        const same = analysis.compare(analysis.summary());
+        this.framework.assertEqual([same.successRate.difference, same.iterations.difference, same.verdict],
+            [0, 0, 'unchanged'], 'An analysis equals itself');
+
+        const stored = JSON.parse(JSON.stringify(analysis.summary()));
+        this.framework.assertEqual(analysis.compare(stored), same, 'Summaries survive being stored');
+
+        const noisy = new BenchmarkAnalysis(this.solver.runStatisticalAnalysis(80, { errorRate: 0.45, maxIterations: 10, seed: 12 }));
+        const worse = noisy.compare(analysis);
+        this.framework.assertEqual(worse.verdict, 'regressed', 'A much noisier channel is a regression');
+        this.framework.assertTrue(worse.successRate.upper < 0 || worse.iterations.lower > 0, 'outside the interval');
+        this.framework.assertEqual(analysis.compare(noisy).verdict, 'improved', 'and the reverse an improvement');
+
+        // Records merged from worker threads carry only the fields the dashboard reads
+        const compact = this.analysis.results.map(({ initialState, converged, iterations, convergenceRate }) =>
+            ({ initialState, converged, iterations, convergenceRate }));
+        const merged = new BenchmarkAnalysis({ totalRuns: 80, seed: this.analysis.seed, ...this.solver.summarizeRuns(compact) });
+        this.framework.assertEqual(merged.compare(analysis), same, 'Worker results compare like solver reports');
+    }
+
+    testSummaryShape() {
+        const summary = new BenchmarkAnalysis(this.analysis).summary();
+        this.framework.assertTrue(BenchmarkAnalysis.isSummary(JSON.parse(JSON.stringify(summary))), 'Stored summaries are summaries');
+        this.framework.assertTrue(BenchmarkAnalysis.isSummary({ ...summary, parameters: {}, savedAt: '' }),
+            'Extra fields are allowed');
+
+        const broken = [
+            null, 'summary', [], {},
+            { ...summary, runs: '80' },
+            { ...summary, successes: summary.runs + 1 },
+            { ...summary, iterationStats: null },
+            { ...summary, iterationStats: { ...summary.iterationStats, mean: null } },
+            { ...summary, convergenceRateStats: { ...summary.convergenceRateStats, std: -1 } },
+            { ...summary, convergenceRateStats: { ...summary.convergenceRateStats, count: undefined } }
+        ];
+        broken.forEach(value => this.framework.assertTrue(!BenchmarkAnalysis.isSummary(value),
+            `${JSON.stringify(value)} is not a summary`));
+        this.framework.assertThrows(() => new BenchmarkAnalysis(this.analysis).compare(broken[6]), Error,
+            'compare rejects a baseline that is not a summary');
+    }
+
+    run() {
+        console.log('Running Benchmark Analysis Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BenchmarkAnalysisTests;
+} else if (typeof window !== 'undefined') {
+    window.BenchmarkAnalysisTests = BenchmarkAnalysisTests;
+}
@@ -0,0 +1,551 @@
+/**
+ * Channel Models for the Temporal Loop
+ *
+ * This module describes the noise physics of the closed timelike curve as
+ * interchangeable channel objects. Every channel takes the n-bit encoded
+ * state and returns what arrives at the other end of the loop:
+ *
+ *   { bits, llr, erasures, errors }
+ *
+ * - bits: hard decisions (erased positions are filled with a coin flip)
+ * - llr: channel log-likelihood ratios log(P(0)/P(1)) for soft decoders
+ * - erasures: positions the receiver knows to be unreliable
+ * - errors: positions whose hard decision differs from the sent bit
+ *
+ * Built-in channels:
+ * - 'bsc': binary symmetric channel, every bit flips with probability p
+ * - 'bec': binary erasure channel, every bit is erased with probability ε
+ * - 'z': Z-channel, only 1s decay to 0 (with probability p)
+ * - 'awgn': BPSK over additive white Gaussian noise at a given SNR
+ * - 'gilbert-elliott': two-state Markov burst channel
+ * - 'time-correlated': a bit that was corrupted on the previous pass
+ *   through the loop is more likely to be corrupted again
+ *
+ * Stateful channels keep their state between transmissions, so one channel
+ * instance models one run of the fixed-point iteration; reset() starts over.
+ * New channels are added with Channel.register(name, ChannelClass) and
+ * created by name with Channel.create(name, params).
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const ChannelUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class Channel {
+    /**
+     * @param {Object} params - Channel parameters
+     * @param {Function} [params.random] - Uniform [0, 1) source (default: shared seeded generator)
+     */
+    constructor(params = {}) {
+        this.params = { ...params };
+        this.random = params.random || ChannelUtils.random.next;
+        delete this.params.random;
+        this.name = 'channel';
+    }
+
+    /**
+     * Largest LLR magnitude reported for certain observations
+     */
+    static LLR_LIMIT = 40;
+
+    static registry = new Map();
+
+    /**
+     * Register a channel class under a name
+     *
+     * @param {string} name - Lookup name (case-insensitive)
+     * @param {Function} ChannelClass - Subclass of Channel
+     */
+    static register(name, ChannelClass) {
+        Channel.registry.set(name.toLowerCase(), ChannelClass);
+    }
+
+    /**
+     * Create a registered channel
+     *
+     * @param {string} name - Channel name, e.g. 'bsc' or 'gilbert-elliott'
+     * @param {Object} params - Channel parameters
+     * @returns {Channel} - New channel instance
+     */
+    static create(name, params = {}) {
+        const ChannelClass = Channel.registry.get(String(name).toLowerCase());
+        if (!ChannelClass) {
+            throw new Error(`Unknown channel "${name}". Available: ${Channel.list().join(', ')}`);
+        }
+        return new ChannelClass(params);
+    }
+
+    /**
+     * Names of all registered channels
+     */
+    static list() {
+        return [...Channel.registry.keys()];
+    }
+
+    /**
+     * Send an encoded state through the channel
+     *
+     * @param {Array<number>} bits - Transmitted bits
+     * @param {Object} [context] - {codeRate} of the code in use
+     * @returns {Object} - {bits, llr, erasures, errors}
+     */
+    // eslint-disable-next-line no-unused-vars
+    transmit(bits, context = {}) {
+        throw new Error(`${this.constructor.name} must implement transmit()`);
+    }
+
+    /**
+     * Forget any state carried between transmissions
+     */
+    reset() {}
+
+    /**
+     * Long-run probability that a hard decision is wrong
+     */
+    getAverageErrorRate() {
+        return null;
+    }
+
+    /**
+     * Capacity in bits per channel use, where a closed form exists
+     */
+    getCapacity() {
+        return null;
+    }
+
+    /**
+     * Describe the channel for reports
+     *
+     * @returns {Object} - {name, params, averageErrorRate, capacity}
+     */
+    getProperties() {
+        return {
+            name: this.name,
+            params: { ...this.params },
+            averageErrorRate: this.getAverageErrorRate(),
+            capacity: this.getCapacity()
+        };
+    }
+
+    /**
+     * Standard normal sample from this channel's random source (Box-Muller)
+     */
+    gaussian() {
+        const u1 = 1 - this.random();
+        const u2 = this.random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    /**
+     * LLR of a hard decision from a channel with crossover probability p
+     */
+    static hardLLR(bit, p) {
+        const magnitude = p <= 0 ? Channel.LLR_LIMIT : Math.min(Math.log((1 - p) / p), Channel.LLR_LIMIT);
+        return bit ? -magnitude : magnitude;
+    }
+
+    /**
+     * Binary entropy h(p) in bits
+     */
+    static binaryEntropy(p) {
+        if (p <= 0 || p >= 1) return 0;
+        return -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+    }
+
+    static assertProbability(value, label) {
+        if (!(typeof value === 'number' && value >= 0 && value <= 1)) {
+            throw new Error(`${label} must be a probability between 0 and 1`);
+        }
+    }
+}
+
+/**
+ * Binary symmetric channel: i.i.d. bit flips with probability p
+ */
+class BinarySymmetricChannel extends Channel {
+    /**
+     * @param {Object} params - {errorRate}
+     */
+    constructor(params = {}) {
+        super({ errorRate: 0.05, ...params });
+        Channel.assertProbability(this.params.errorRate, 'BSC error rate');
+        this.name = 'bsc';
+    }
+
+    transmit(bits) {
+        const p = this.params.errorRate;
+        const received = [];
+        const errors = [];
+
+        bits.forEach((bit, i) => {
+            const flipped = this.random() < p;
+            if (flipped) errors.push(i);
+            received.push(flipped ? bit ^ 1 : bit);
+        });
+
+        return {
+            bits: received,
+            llr: received.map(bit => Channel.hardLLR(bit, p)),
+            erasures: [],
+            errors
+        };
+    }
+
+    getAverageErrorRate() {
+        return this.params.errorRate;
+    }
+
+    getCapacity() {
+        return 1 - Channel.binaryEntropy(this.params.errorRate);
+    }
+}
+
+/**
+ * Binary erasure channel: each bit is lost with probability ε, and the
+ * receiver knows which ones
+ */
+class BinaryErasureChannel extends Channel {
+    /**
+     * @param {Object} params - {erasureRate}
+     */
+    constructor(params = {}) {
+        super({ erasureRate: params.errorRate ?? 0.05, ...params });
+        delete this.params.errorRate;
+        Channel.assertProbability(this.params.erasureRate, 'Erasure rate');
+        this.name = 'bec';
+    }
+
+    transmit(bits) {
+        const received = [];
+        const llr = [];
+        const erasures = [];
+        const errors = [];
+
+        bits.forEach((bit, i) => {
+            if (this.random() < this.params.erasureRate) {
+                // The receiver has to guess; the LLR says it knows nothing
+                const guess = this.random() < 0.5 ? 1 : 0;
+                erasures.push(i);
+                if (guess !== bit) errors.push(i);
+                received.push(guess);
+                llr.push(0);
+            } else {
+                received.push(bit);
+                llr.push(Channel.hardLLR(bit, 0));
+            }
+        });
+
+        return { bits: received, llr, erasures, errors };
+    }
+
+    getAverageErrorRate() {
+        return this.params.erasureRate / 2;
+    }
+
+    getCapacity() {
+        return 1 - this.params.erasureRate;
+    }
+}
+
+/**
+ * Z-channel: a 1 decays to 0 with probability p, a 0 is never disturbed
+ * (spin relaxation towards the ground state)
+ */
+class ZChannel extends Channel {
+    /**
+     * @param {Object} params - {errorRate}
+     */
+    constructor(params = {}) {
+        super({ errorRate: 0.05, ...params });
+        Channel.assertProbability(this.params.errorRate, 'Z-channel decay probability');
+        this.name = 'z';
+    }
+
+    transmit(bits) {
+        const p = this.params.errorRate;
+        const received = [];
+        const errors = [];
+
+        bits.forEach((bit, i) => {
+            const decayed = bit === 1 && this.random() < p;
+            if (decayed) errors.push(i);
+            received.push(decayed ? 0 : bit);
+        });
+
+        // A received 1 is certain; a received 0 was a decayed 1 with odds p
+        const zeroLLR = p <= 0 ? Channel.LLR_LIMIT : Math.min(-Math.log(p), Channel.LLR_LIMIT);
+        return {
+            bits: received,
+            llr: received.map(bit => (bit ? -Channel.LLR_LIMIT : zeroLLR)),
+            erasures: [],
+            errors
+        };
+    }
+
+    getAverageErrorRate() {
+        // Equiprobable inputs: half the bits are 1s that may decay
+        return this.params.errorRate / 2;
+    }
+
+    getCapacity() {
+        const p = this.params.errorRate;
+        if (p >= 1) return 0;
+        // C = log2(1 + (1 - p)·p^(p / (1 - p)))
+        return Math.log2(1 + (1 - p) * Math.pow(p, p / (1 - p)));
+    }
+}
+
+/**
+ * BPSK over additive white Gaussian noise
+ *
+ * Bits are sent as ±1 (0 ↦ +1) and received as y = x + N(0, σ²). The noise
+ * level is set by one of:
+ * - snrDb: Es/N0 in dB per channel bit, or Eb/N0 with snrType 'EbN0'
+ *   (which accounts for the code rate passed in the transmit context)
+ * - noiseVariance: σ² directly
+ * - errorRate: σ chosen so hard decisions flip with that probability, Q(1/σ) = p
+ */
+class AWGNChannel extends Channel {
+    /**
+     * @param {Object} params - {snrDb, snrType='EsN0'} or {noiseVariance} or {errorRate}
+     */
+    constructor(params = {}) {
+        super(params);
+        this.params.snrType = this.params.snrType || 'EsN0';
+        if (!['EsN0', 'EbN0'].includes(this.params.snrType)) {
+            throw new Error('AWGN snrType must be "EsN0" or "EbN0"');
+        }
+        if (this.params.snrDb === undefined && this.params.noiseVariance === undefined &&
+            this.params.errorRate === undefined) {
+            this.params.snrDb = 3;
+        }
+        this.name = 'awgn';
+    }
+
+    /**
+     * @param {number} [codeRate] - Rate used to convert Eb/N0 to Es/N0
+     * @returns {number} - σ²
+     */
+    getNoiseVariance(codeRate = 1) {
+        const { snrDb, snrType, noiseVariance, errorRate } = this.params;
+
+        if (snrDb !== undefined) {
+            const rate = snrType === 'EbN0' ? codeRate : 1;
+            return 1 / (2 * rate * Math.pow(10, snrDb / 10));
+        }
+        if (noiseVariance !== undefined) {
+            return noiseVariance;
+        }
+
+        const p = Math.min(Math.max(errorRate, 1e-9), 0.49);
+        const threshold = ChannelUtils.stats.normalInverse(1 - p);
+        return 1 / (threshold * threshold);
+    }
+
+    transmit(bits, context = {}) {
+        const variance = this.getNoiseVariance(context.codeRate);
+        const sigma = Math.sqrt(variance);
+        const samples = bits.map(bit => (bit ? -1 : 1) + sigma * this.gaussian());
+        const received = samples.map(y => (y < 0 ? 1 : 0));
+
+        return {
+            bits: received,
+            llr: samples.map(y => 2 * y / variance),
+            samples,
+            noiseVariance: variance,
+            erasures: [],
+            errors: received.reduce((list, bit, i) => (bit !== bits[i] ? [...list, i] : list), [])
+        };
+    }
+
+    getAverageErrorRate() {
+        // Q(1/σ) via the complementary error function
+        const sigma = Math.sqrt(this.getNoiseVariance());
+        return 0.5 * AWGNChannel.erfc(1 / (sigma * Math.SQRT2));
+    }
+
+    getCapacity() {
+        // Unconstrained-input Shannon capacity, an upper bound for BPSK
+        return 0.5 * Math.log2(1 + 1 / this.getNoiseVariance());
+    }
+
+    /**
+     * Complementary error function (Numerical Recipes erfcc, |error| < 1.2e-7)
+     */
+    static erfc(x) {
+        const z = Math.abs(x);
+        const t = 1 / (1 + 0.5 * z);
+        const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+            t * (-0.82215223 + t * 0.17087277)))))))));
+        return x >= 0 ? r : 2 - r;
+    }
+}
+
+/**
+ * Gilbert-Elliott burst channel
+ *
+ * A hidden two-state Markov chain switches between a Good state with a low
+ * error rate and a Bad state with a high one. Errors therefore arrive in
+ * bursts whose mean length is 1 / badToGood bits. The chain keeps running
+ * across transmissions, so consecutive passes through the loop see
+ * correlated noise.
+ */
+class GilbertElliottChannel extends Channel {
+    /**
+     * @param {Object} params - {goodToBad, badToGood, goodErrorRate, badErrorRate}
+     */
+    constructor(params = {}) {
+        super({ goodToBad: 0.02, badToGood: 0.25, goodErrorRate: 0.001, badErrorRate: 0.5, ...params });
+        delete this.params.errorRate;
+        ['goodToBad', 'badToGood', 'goodErrorRate', 'badErrorRate'].forEach(key =>
+            Channel.assertProbability(this.params[key], `Gilbert-Elliott ${key}`));
+        this.name = 'gilbert-elliott';
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'good';
+    }
+
+    transmit(bits) {
+        const { goodToBad, badToGood, goodErrorRate, badErrorRate } = this.params;
+        const received = [];
+        const errors = [];
+        const states = [];
+
+        bits.forEach((bit, i) => {
+            states.push(this.state);
+            const flipped = this.random() < (this.state === 'good' ? goodErrorRate : badErrorRate);
+            if (flipped) errors.push(i);
+            received.push(flipped ? bit ^ 1 : bit);
+
+            const switchProbability = this.state === 'good' ? goodToBad : badToGood;
+            if (this.random() < switchProbability) {
+                this.state = this.state === 'good' ? 'bad' : 'good';
+            }
+        });
+
+        // The receiver does not see the hidden state, only the average error rate
+        const p = this.getAverageErrorRate();
+        return {
+            bits: received,
+            llr: received.map(bit => Channel.hardLLR(bit, p)),
+            erasures: [],
+            errors,
+            states
+        };
+    }
+
+    /**
+     * Stationary probability of the Bad state
+     */
+    getBadStateProbability() {
+        const { goodToBad, badToGood } = this.params;
+        return goodToBad + badToGood > 0 ? goodToBad / (goodToBad + badToGood) : 0;
+    }
+
+    getAverageErrorRate() {
+        const bad = this.getBadStateProbability();
+        return (1 - bad) * this.params.goodErrorRate + bad * this.params.badErrorRate;
+    }
+
+    getProperties() {
+        return {
+            ...super.getProperties(),
+            badStateProbability: this.getBadStateProbability(),
+            meanBurstLength: this.params.badToGood > 0 ? 1 / this.params.badToGood : Infinity
+        };
+    }
+}
+
+/**
+ * Time-correlated channel
+ *
+ * Each position remembers whether it was corrupted on the previous pass
+ * through the loop. A clean position flips with the base error rate; a
+ * position that was just corrupted flips with
+ *   p' = errorRate + correlation · (1 - errorRate)
+ * so correlation 0 is a BSC and correlation 1 repeats every error forever.
+ */
+class TimeCorrelatedChannel extends Channel {
+    /**
+     * @param {Object} params - {errorRate, correlation}
+     */
+    constructor(params = {}) {
+        super({ errorRate: 0.05, correlation: 0.5, ...params });
+        Channel.assertProbability(this.params.errorRate, 'Time-correlated error rate');
+        Channel.assertProbability(this.params.correlation, 'Correlation');
+        this.name = 'time-correlated';
+        this.reset();
+    }
+
+    reset() {
+        this.previousErrors = null;
+    }
+
+    transmit(bits) {
+        const { errorRate, correlation } = this.params;
+        const repeatRate = errorRate + correlation * (1 - errorRate);
+        const previous = this.previousErrors && this.previousErrors.length === bits.length ?
+            this.previousErrors : new Array(bits.length).fill(false);
+
+        const received = [];
+        const errors = [];
+        const current = [];
+
+        bits.forEach((bit, i) => {
+            const p = previous[i] ? repeatRate : errorRate;
+            const flipped = this.random() < p;
+            current.push(flipped);
+            if (flipped) errors.push(i);
+            received.push(flipped ? bit ^ 1 : bit);
+        });
+
+        this.previousErrors = current;
+
+        // Reliability reflects each position's own history
+        return {
+            bits: received,
+            llr: received.map((bit, i) => Channel.hardLLR(bit, previous[i] ? repeatRate : errorRate)),
+            erasures: [],
+            errors
+        };
+    }
+
+    getAverageErrorRate() {
+        // Stationary flip probability of the two-state per-position chain
+        const { errorRate, correlation } = this.params;
+        const repeatRate = errorRate + correlation * (1 - errorRate);
+        const denominator = 1 - repeatRate + errorRate;
+        return denominator > 0 ? errorRate / denominator : 1;
+    }
+}
+
+Channel.register('bsc', BinarySymmetricChannel);
+Channel.register('bec', BinaryErasureChannel);
+Channel.register('z', ZChannel);
+Channel.register('awgn', AWGNChannel);
+Channel.register('gilbert-elliott', GilbertElliottChannel);
+Channel.register('time-correlated', TimeCorrelatedChannel);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Channel,
+        BinarySymmetricChannel,
+        BinaryErasureChannel,
+        ZChannel,
+        AWGNChannel,
+        GilbertElliottChannel,
+        TimeCorrelatedChannel
+    };
+} else if (typeof window !== 'undefined') {
+    window.Channel = Channel;
+    window.BinarySymmetricChannel = BinarySymmetricChannel;
+    window.BinaryErasureChannel = BinaryErasureChannel;
+    window.ZChannel = ZChannel;
+    window.AWGNChannel = AWGNChannel;
+    window.GilbertElliottChannel = GilbertElliottChannel;
+    window.TimeCorrelatedChannel = TimeCorrelatedChannel;
+}
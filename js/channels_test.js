@@ -0,0 +1,241 @@
+/**
+ * Test Suite for Channel Models
+ *
+ * These tests check the statistics of every built-in channel against its
+ * defining probabilities, the LLRs and erasure flags handed to decoders,
+ * the memory of the stateful channels, and selecting channels by name from
+ * the fixed-point solver configuration.
+ *
+ * Test Coverage:
+ * - Registry lookup and custom channels
+ * - BSC, BEC and Z-channel error statistics and capacities
+ * - AWGN noise level from SNR, noise variance or error rate
+ * - Gilbert-Elliott bursts and time-correlated repeat errors
+ * - Solver configuration and erasure decoding
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ChannelTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.random = this.createRandom(8);
+        this.setupTests();
+    }
+
+    /**
+     * Small deterministic generator so channel statistics are reproducible
+     */
+    createRandom(seed) {
+        let state = seed;
+        return () => {
+            state = (state * 1103515245 + 12345) % 2147483648;
+            return state / 2147483648;
+        };
+    }
+
+    setupTests() {
+        this.framework.test('Registry creates channels by name', () => this.testRegistry());
+        this.framework.test('BSC flips bits at its error rate', () => this.testBinarySymmetric());
+        this.framework.test('BEC reports erasures with zero LLR', () => this.testBinaryErasure());
+        this.framework.test('Z-channel only decays ones', () => this.testZChannel());
+        this.framework.test('AWGN noise level follows the SNR', () => this.testAWGN());
+        this.framework.test('Gilbert-Elliott errors arrive in bursts', () => this.testGilbertElliott());
+        this.framework.test('Time-correlated errors repeat across passes', () => this.testTimeCorrelated());
+        this.framework.test('Solver selects the channel by name', () => this.testSolverChannelSelection());
+        this.framework.test('Erasures reach the Reed-Solomon decoder', () => this.testSolverErasures());
+    }
+
+    /**
+     * Send a zero or alternating block many times and count what changed
+     */
+    sendMany(channel, bits, repetitions) {
+        let errors = 0;
+        let erasures = 0;
+        for (let i = 0; i < repetitions; i++) {
+            const output = channel.transmit(bits);
+            errors += output.errors.length;
+            erasures += output.erasures.length;
+        }
+        const total = bits.length * repetitions;
+        return { errorRate: errors / total, erasureRate: erasures / total };
+    }
+
+    testRegistry() {
+        const names = Channel.list();
+        ['bsc', 'bec', 'z', 'awgn', 'gilbert-elliott', 'time-correlated'].forEach(name =>
+            this.framework.assertTrue(names.includes(name), `${name} should be registered`));
+
+        this.framework.assertTrue(Channel.create('BSC', { errorRate: 0.1 }) instanceof BinarySymmetricChannel,
+            'Lookup should ignore case');
+        this.framework.assertThrows(() => Channel.create('wormhole'), Error, 'Unknown channels should be rejected');
+        this.framework.assertThrows(() => Channel.create('bsc', { errorRate: 1.5 }), Error,
+            'Probabilities outside [0, 1] should be rejected');
+
+        class SilentChannel extends Channel {
+            transmit(bits) {
+                return { bits: [...bits], llr: bits.map(bit => Channel.hardLLR(bit, 0)), erasures: [], errors: [] };
+            }
+        }
+        Channel.register('silent', SilentChannel);
+        const output = Channel.create('silent').transmit([1, 0, 1]);
+        this.framework.assertEqual(output.bits, [1, 0, 1], 'Custom channels should be usable by name');
+        Channel.registry.delete('silent');
+    }
+
+    testBinarySymmetric() {
+        const channel = Channel.create('bsc', { errorRate: 0.11, random: this.random });
+        const { errorRate } = this.sendMany(channel, new Array(100).fill(0), 200);
+
+        this.framework.assertTrue(Math.abs(errorRate - 0.11) < 0.01, `Measured error rate ${errorRate}`);
+        this.framework.assertTrue(Math.abs(channel.getCapacity() - 0.5) < 0.001,
+            'C = 1 - h(0.11) is about half a bit');
+
+        const output = channel.transmit([0, 1]);
+        const magnitude = Math.log(0.89 / 0.11);
+        this.framework.assertEqual(output.llr.map(l => Math.abs(l).toFixed(6)),
+            [magnitude.toFixed(6), magnitude.toFixed(6)], 'LLR magnitude is log((1-p)/p)');
+    }
+
+    testBinaryErasure() {
+        const channel = Channel.create('bec', { erasureRate: 0.2, random: this.random });
+        const bits = Array.from({ length: 100 }, (_, i) => i % 2);
+        const { erasureRate } = this.sendMany(channel, bits, 200);
+        this.framework.assertTrue(Math.abs(erasureRate - 0.2) < 0.015, `Measured erasure rate ${erasureRate}`);
+
+        const output = channel.transmit(bits);
+        output.erasures.forEach(i => this.framework.assertEqual(output.llr[i], 0, 'Erased LLRs are zero'));
+        output.errors.forEach(i => this.framework.assertTrue(output.erasures.includes(i),
+            'Only erased positions can be wrong'));
+        this.framework.assertEqual(channel.getCapacity(), 0.8, 'C = 1 - ε');
+    }
+
+    testZChannel() {
+        const channel = Channel.create('z', { errorRate: 0.3, random: this.random });
+        const zeros = this.sendMany(channel, new Array(100).fill(0), 50);
+        const ones = this.sendMany(channel, new Array(100).fill(1), 200);
+
+        this.framework.assertEqual(zeros.errorRate, 0, 'Zeros never change');
+        this.framework.assertTrue(Math.abs(ones.errorRate - 0.3) < 0.015, `Measured decay rate ${ones.errorRate}`);
+
+        const output = channel.transmit([1, 1, 1, 1, 1, 1, 1, 1]);
+        output.bits.forEach((bit, i) => this.framework.assertTrue(bit ? output.llr[i] < 0 : output.llr[i] > 0,
+            'LLR sign follows the received bit'));
+        this.framework.assertTrue(channel.getCapacity() > 1 - Channel.binaryEntropy(0.15),
+            'The Z-channel beats a BSC with the same average error rate');
+    }
+
+    testAWGN() {
+        const snr = Channel.create('awgn', { snrDb: 0 });
+        this.framework.assertTrue(Math.abs(snr.getNoiseVariance() - 0.5) < 1e-12, 'Es/N0 = 0 dB gives σ² = 1/2');
+
+        const ebN0 = Channel.create('awgn', { snrDb: 0, snrType: 'EbN0' });
+        this.framework.assertTrue(Math.abs(ebN0.getNoiseVariance(0.5) - 1) < 1e-12,
+            'Eb/N0 at rate 1/2 doubles the noise variance');
+
+        const matched = Channel.create('awgn', { errorRate: 0.1, random: this.random });
+        this.framework.assertTrue(Math.abs(matched.getAverageErrorRate() - 0.1) < 1e-4,
+            'σ is matched to the requested crossover probability');
+
+        const { errorRate } = this.sendMany(matched, new Array(100).fill(0), 200);
+        this.framework.assertTrue(Math.abs(errorRate - 0.1) < 0.01, `Measured error rate ${errorRate}`);
+
+        const output = matched.transmit([0, 1, 0, 1]);
+        output.samples.forEach((y, i) => this.framework.assertTrue(
+            Math.abs(output.llr[i] - 2 * y / output.noiseVariance) < 1e-12, 'LLR = 2y/σ²'));
+    }
+
+    testGilbertElliott() {
+        const channel = Channel.create('gilbert-elliott', {
+            goodToBad: 0.02, badToGood: 0.2, goodErrorRate: 0, badErrorRate: 0.5, random: this.random
+        });
+        const bits = new Array(20000).fill(0);
+        const output = channel.transmit(bits);
+        const errorRate = output.errors.length / bits.length;
+
+        // π_bad = 0.02 / 0.22, so the average error rate is about 0.045
+        this.framework.assertTrue(Math.abs(errorRate - channel.getAverageErrorRate()) < 0.012,
+            `Measured error rate ${errorRate} vs ${channel.getAverageErrorRate()}`);
+
+        const errorSet = new Set(output.errors);
+        const followed = output.errors.filter(i => errorSet.has(i + 1)).length;
+        this.framework.assertTrue(followed / output.errors.length > 3 * errorRate,
+            'An error makes the next bit far more likely to be wrong');
+
+        channel.reset();
+        this.framework.assertEqual(channel.state, 'good', 'Reset returns to the Good state');
+        this.framework.assertTrue(Math.abs(channel.getProperties().meanBurstLength - 5) < 1e-12,
+            'Mean burst length is 1 / badToGood');
+    }
+
+    testTimeCorrelated() {
+        const channel = Channel.create('time-correlated', { errorRate: 0.05, correlation: 0.8, random: this.random });
+        const bits = new Array(400).fill(0);
+        let repeats = 0;
+        let opportunities = 0;
+        let previous = channel.transmit(bits).errors;
+
+        for (let pass = 0; pass < 50; pass++) {
+            const current = new Set(channel.transmit(bits).errors);
+            opportunities += previous.length;
+            repeats += previous.filter(i => current.has(i)).length;
+            previous = [...current];
+        }
+
+        // p' = 0.05 + 0.8 · 0.95 = 0.81
+        const repeatRate = repeats / opportunities;
+        this.framework.assertTrue(Math.abs(repeatRate - 0.81) < 0.05, `Measured repeat rate ${repeatRate}`);
+
+        channel.reset();
+        this.framework.assertEqual(channel.previousErrors, null, 'Reset forgets the previous pass');
+    }
+
+    testSolverChannelSelection() {
+        const solver = new RetrocausalFixedPointSolver(new HammingCode());
+        const result = solver.solveFixedPoint([1, 0, 1, 1], {
+            channel: 'gilbert-elliott',
+            channelParams: { goodToBad: 0.01, badToGood: 0.5, goodErrorRate: 0, badErrorRate: 0.3 },
+            maxIterations: 30
+        });
+
+        this.framework.assertEqual(result.channel.name, 'gilbert-elliott', 'Report names the channel');
+        this.framework.assertTrue(typeof result.convergenceHistory[0].channelErrors === 'number',
+            'History records the channel errors');
+
+        const silent = solver.solveFixedPoint([1, 0, 1, 1], { channel: 'z', channelParams: { errorRate: 0 } });
+        this.framework.assertTrue(silent.converged, 'A noiseless channel converges');
+        this.framework.assertEqual(silent.finalState, [1, 0, 1, 1], 'and keeps the initial state');
+
+        const defaulted = solver.solveFixedPoint([1, 0, 1, 1], { errorRate: 0.02 });
+        this.framework.assertEqual(defaulted.channel.name, 'bsc', 'Default channel is a BSC');
+        this.framework.assertEqual(defaulted.channel.params.errorRate, 0.02, 'at the configured error rate');
+    }
+
+    testSolverErasures() {
+        const code = new ReedSolomonCode({ m: 4, n: 15, k: 11 });
+        const solver = new RetrocausalFixedPointSolver(code);
+        const data = Array.from({ length: code.k }, (_, i) => (i * 7) % 3 === 0 ? 1 : 0);
+        const channel = Channel.create('bec', { erasureRate: 0.03, random: this.random });
+
+        const result = solver.solveFixedPoint(data, {
+            channel: channel, maxIterations: 20, enableAdaptiveStep: false, seed: 2
+        });
+        const erased = result.convergenceHistory.reduce((sum, step) => sum + step.erasures, 0);
+
+        this.framework.assertTrue(result.converged, 'Erasures within the RS budget are filled in');
+        this.framework.assertEqual(result.finalState, data, 'The data survives the erasure channel');
+        this.framework.assertTrue(erased > 0, 'History counts the erased bits');
+    }
+
+    run() {
+        console.log('Running Channel Model Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelTests;
+} else if (typeof window !== 'undefined') {
+    window.ChannelTests = ChannelTests;
+}
@@ -0,0 +1,458 @@
+/**
+ * Command-Line Interface for Batch Simulations
+ *
+ * Runs the codes and the fixed-point solver from a shell, for cluster jobs
+ * and notebooks that drive the simulator without the browser page:
+ *
+ *   retrocausal encode 1011 0110
+ *   retrocausal decode 0110011 --code bch --m 4 --t 2
+ *   retrocausal solve 1011 --error-rate 0.08 --seed 42 --consistency-criterion windowed
+ *   retrocausal sweep --grid errorRate=0.01:0.1:0.01 --grid maxIterations=50,100 --runs 500
+ *   retrocausal analyze --runs 10000 --error-rate 0.05 --format json
+ *
+ * Every solver parameter (see RetrocausalFixedPointSolver.defaultParams) is
+ * accepted as an option, in kebab-case or camelCase; values are read as
+ * numbers, booleans, null or JSON where they look like one. Results are
+ * printed as a table (default), CSV or JSON; JSON carries the complete
+ * reports, the other formats one summary row per word, run or grid point.
+ *
+ * The bin/retrocausal.js launcher runs it with process.argv.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const CLIUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+const CLISolver = typeof RetrocausalFixedPointSolver !== 'undefined' ? RetrocausalFixedPointSolver : require('./fixedpoint.js');
+const CLIOperator = typeof PipelineOperator !== 'undefined' ? PipelineOperator : require('./pipeline.js').PipelineOperator;
+
+class RetrocausalCLI {
+    static COMMANDS = {
+        encode: 'encode <bits...>        Encode data words (any multiple of k bits)',
+        decode: 'decode <bits...>        Decode received words (any multiple of n bits)',
+        solve: 'solve <bits> [options]  Solve the loop from an initial data word',
+        sweep: 'sweep --grid p=values   Statistical analysis at every point of a parameter grid',
+        analyze: 'analyze [options]       Statistical analysis over --runs random initial words'
+    };
+
+    static FORMATS = ['table', 'csv', 'json'];
+
+    // Options of the CLI itself; everything else must be a solver parameter
+    static OPTIONS = ['format', 'runs', 'grid', 'results', 'help', 'code', 'r', 'm', 't', 'extended'];
+
+    /**
+     * @param {Object} io - {stdout, stderr}: functions writing one chunk of text
+     *        (default: the process streams)
+     */
+    constructor(io = {}) {
+        this.stdout = io.stdout || (text => process.stdout.write(text));
+        this.stderr = io.stderr || (text => process.stderr.write(text));
+    }
+
+    /**
+     * Run one command line
+     *
+     * @param {Array<string>} argv - Arguments after the program name
+     * @returns {number} - Exit code: 0 on success, 1 on failure, 2 on usage errors
+     */
+    run(argv) {
+        let parsed;
+        try {
+            parsed = RetrocausalCLI.parseArgs(argv);
+        } catch (error) {
+            this.stderr(`retrocausal: ${error.message}\n`);
+            return 2;
+        }
+
+        const [command, ...words] = parsed.positionals;
+        if (!command || parsed.options.help || command === 'help') {
+            this.stdout(RetrocausalCLI.usage());
+            return 0;
+        }
+        if (!RetrocausalCLI.COMMANDS[command]) {
+            this.stderr(`retrocausal: unknown command "${command}"\n\n${RetrocausalCLI.usage()}`);
+            return 2;
+        }
+
+        try {
+            const format = parsed.options.format || 'table';
+            if (!RetrocausalCLI.FORMATS.includes(format)) {
+                throw new Error(`Unknown format "${format}". Use ${RetrocausalCLI.FORMATS.join(', ')}`);
+            }
+            const output = this.execute(command, words, parsed.options);
+            this.stdout(RetrocausalCLI.render(output, format));
+            return 0;
+        } catch (error) {
+            this.stderr(`retrocausal: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    /**
+     * Run a command
+     *
+     * @returns {Object} - {data, rows}: the complete result for JSON and its
+     *          summary rows for tables and CSV
+     */
+    execute(command, words, options) {
+        const code = RetrocausalCLI.createCode(options);
+        switch (command) {
+            case 'encode':
+                return this.encode(code, words);
+            case 'decode':
+                return this.decode(code, words);
+            case 'solve':
+                return this.solve(code, words, options);
+            case 'sweep':
+                return this.sweep(code, options);
+            case 'analyze':
+                return this.analyze(code, options);
+        }
+    }
+
+    encode(code, words) {
+        const blocks = RetrocausalCLI.readBlocks(words, code.k, 'data word').map(data => ({
+            data: data,
+            codeword: code.encode(data)
+        }));
+        return {
+            data: { code: RetrocausalCLI.describeCode(code), blocks: blocks },
+            rows: blocks.map(block => ({ data: block.data.join(''), codeword: block.codeword.join('') }))
+        };
+    }
+
+    decode(code, words) {
+        const blocks = RetrocausalCLI.readBlocks(words, code.n, 'received word').map(received => {
+            const result = code.decode(received);
+            return {
+                received: received,
+                codeword: result.correctedCodeword,
+                data: result.dataBits,
+                status: result.status,
+                errorPositions: result.errorPositions,
+                syndrome: result.syndrome
+            };
+        });
+        return {
+            data: { code: RetrocausalCLI.describeCode(code), blocks: blocks },
+            rows: blocks.map(block => ({
+                received: block.received.join(''),
+                codeword: block.codeword.join(''),
+                data: block.data.join(''),
+                status: block.status,
+                errorPositions: block.errorPositions.join(' '),
+                syndrome: block.syndrome.join('')
+            }))
+        };
+    }
+
+    solve(code, words, options) {
+        if (words.length !== 1 || words[0].length !== code.k) {
+            throw new Error(`solve takes one initial data word of k = ${code.k} bits`);
+        }
+        const [initial] = RetrocausalCLI.readBlocks(words, code.k, 'initial word');
+        const solver = new CLISolver(code);
+        const report = solver.solveFixedPoint(initial, RetrocausalCLI.solverParams(solver, options));
+        return {
+            data: report,
+            rows: [{
+                initialState: report.initialState.join(''),
+                finalState: report.finalState.join(''),
+                converged: report.converged,
+                outcome: report.outcome,
+                iterations: report.iterations,
+                finalError: report.finalError,
+                seed: report.seed
+            }]
+        };
+    }
+
+    sweep(code, options) {
+        const grid = RetrocausalCLI.parseGrid(options.grid);
+        const solver = new CLISolver(code);
+        grid.forEach(({ parameter }) => {
+            if (!(parameter in solver.defaultParams)) {
+                throw new Error(`Cannot sweep "${parameter}": not a solver parameter`);
+            }
+        });
+        const base = RetrocausalCLI.solverParams(solver, options);
+        const runs = RetrocausalCLI.readRuns(options);
+        const generator = CLIUtils.random.createGenerator(base.seed ?? CLIUtils.random.generateSeed());
+
+        // Cartesian product of the grid, last parameter varying fastest
+        const points = grid.reduce((combinations, { parameter, values }) =>
+            combinations.flatMap(combination => values.map(value => ({ ...combination, [parameter]: value }))), [{}]);
+
+        const results = points.map(point => {
+            const analysis = solver.runStatisticalAnalysis(runs, { ...base, ...point, seed: generator.nextUint32() });
+            return { parameters: point, ...RetrocausalCLI.summarizeAnalysis(analysis, options.results) };
+        });
+        return {
+            data: { code: RetrocausalCLI.describeCode(code), grid: grid, runs: runs, points: results, seed: generator.seed },
+            rows: results.map(({ parameters, summary }) => ({ ...parameters, ...summary }))
+        };
+    }
+
+    analyze(code, options) {
+        const solver = new CLISolver(code);
+        const runs = RetrocausalCLI.readRuns(options);
+        const analysis = solver.runStatisticalAnalysis(runs, RetrocausalCLI.solverParams(solver, options));
+        const { summary, statistics } = RetrocausalCLI.summarizeAnalysis(analysis, options.results);
+        return {
+            data: { code: RetrocausalCLI.describeCode(code), summary: summary, ...statistics },
+            rows: [summary]
+        };
+    }
+
+    /**
+     * Summary row of a statistical analysis, and the analysis itself for JSON
+     * (run reports only with --results)
+     */
+    static summarizeAnalysis(analysis, includeResults) {
+        const { results, ...statistics } = analysis;
+        return {
+            summary: {
+                runs: analysis.totalRuns,
+                successRate: analysis.successRate,
+                averageIterations: analysis.averageIterations,
+                averageConvergenceRate: analysis.averageConvergenceRate,
+                iterationsMedian: analysis.iterationStats.median,
+                iterationsMax: analysis.iterationStats.max,
+                seed: analysis.seed
+            },
+            statistics: includeResults ? { ...statistics, results: results } : statistics
+        };
+    }
+
+    /**
+     * Solver parameters given on the command line, over the solver defaults
+     */
+    static solverParams(solver, options) {
+        const params = { ...solver.defaultParams };
+        Object.entries(options).forEach(([name, value]) => {
+            if (RetrocausalCLI.OPTIONS.includes(name)) return;
+            if (!(name in solver.defaultParams)) {
+                throw new Error(`Unknown option --${RetrocausalCLI.toKebabCase(name)}`);
+            }
+            params[name] = value;
+        });
+        return params;
+    }
+
+    /**
+     * Code selected by --code (a family name or a JSON spec) and its options
+     */
+    static createCode(options) {
+        const spec = typeof options.code === 'object' && options.code !== null ?
+            { ...options.code } : { family: options.code || 'hamming' };
+        ['r', 'm', 't', 'extended'].forEach(name => {
+            if (options[name] !== undefined) spec[name] = options[name];
+        });
+        return CLIOperator.createCode(spec);
+    }
+
+    static describeCode(code) {
+        return { name: code.name, n: code.n, k: code.k };
+    }
+
+    static readRuns(options) {
+        const runs = options.runs ?? 100;
+        if (!(Number.isInteger(runs) && runs >= 1)) {
+            throw new Error('--runs must be a positive integer');
+        }
+        return runs;
+    }
+
+    /**
+     * Bit strings split into blocks of a given length
+     */
+    static readBlocks(words, length, label) {
+        if (words.length === 0) {
+            throw new Error(`Give at least one ${label} as a bit string`);
+        }
+        return words.flatMap(word => {
+            if (!/^[01]+$/.test(word) || word.length % length !== 0) {
+                throw new Error(`Cannot read "${word}": expected ${label}s of ${length} bits`);
+            }
+            const bits = word.split('').map(Number);
+            return Array.from({ length: bits.length / length }, (_, i) => bits.slice(i * length, (i + 1) * length));
+        });
+    }
+
+    /**
+     * Parse --grid specifications: name=v1,v2,... or name=start:stop:step
+     *
+     * @param {string|Array<string>} specs - One or more specifications
+     * @returns {Array<Object>} - [{parameter, values}]
+     */
+    static parseGrid(specs) {
+        if (specs === undefined) {
+            throw new Error('sweep needs at least one --grid parameter=values');
+        }
+        return [].concat(specs).map(spec => {
+            const match = /^([\w-]+)=(.+)$/.exec(String(spec));
+            if (!match) {
+                throw new Error(`Bad grid "${spec}": use name=v1,v2,... or name=start:stop:step`);
+            }
+            const parameter = RetrocausalCLI.toCamelCase(match[1]);
+            const range = match[2].split(':');
+            let values;
+            if (range.length === 3) {
+                const [start, stop, step] = range.map(Number);
+                if (![start, stop, step].every(Number.isFinite) || step <= 0 || stop < start) {
+                    throw new Error(`Bad range "${match[2]}": need start ≤ stop and a positive step`);
+                }
+                const count = Math.floor((stop - start) / step + 1e-9) + 1;
+                values = Array.from({ length: count }, (_, i) => Number((start + i * step).toPrecision(12)));
+            } else {
+                values = match[2].split(',').map(value => RetrocausalCLI.coerce(value));
+            }
+            return { parameter: parameter, values: values };
+        });
+    }
+
+    /**
+     * Split arguments into positionals and options
+     *
+     * Options are --name value, --name=value, --flag or --no-flag; names are
+     * converted to camelCase and repeated options collect into an array.
+     */
+    static parseArgs(argv) {
+        const positionals = [];
+        const options = {};
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('--') || arg === '--') {
+                if (arg !== '--') positionals.push(arg);
+                continue;
+            }
+
+            let name = arg.slice(2);
+            let value;
+            const equals = name.indexOf('=');
+            if (equals >= 0) {
+                value = RetrocausalCLI.coerce(name.slice(equals + 1));
+                name = name.slice(0, equals);
+            } else if (name.startsWith('no-')) {
+                name = name.slice(3);
+                value = false;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                value = RetrocausalCLI.coerce(argv[++i]);
+            } else {
+                value = true;
+            }
+
+            const key = RetrocausalCLI.toCamelCase(name);
+            if (!key) throw new Error(`Bad option "${arg}"`);
+            options[key] = key in options ? [].concat(options[key], value) : value;
+        }
+        return { positionals: positionals, options: options };
+    }
+
+    /**
+     * Read a command-line value as a number, boolean, null or JSON where it looks like one
+     */
+    static coerce(value) {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (value === 'null') return null;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) return Number(value);
+        if (/^[[{]/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Bad JSON value ${value}: ${error.message}`);
+            }
+        }
+        return value;
+    }
+
+    static toCamelCase(name) {
+        return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    }
+
+    static toKebabCase(name) {
+        return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    }
+
+    /**
+     * Format a command's output
+     */
+    static render(output, format) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(output.data, null, 2) + '\n';
+            case 'csv':
+                return RetrocausalCLI.toCSV(output.rows);
+            default:
+                return RetrocausalCLI.toTable(output.rows);
+        }
+    }
+
+    static columns(rows) {
+        return [...new Set(rows.flatMap(row => Object.keys(row)))];
+    }
+
+    /**
+     * Rows as RFC 4180 CSV with a header line
+     */
+    static toCSV(rows) {
+        const columns = RetrocausalCLI.columns(rows);
+        const field = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(line => line.map(field).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Rows as an aligned text table; numbers are right-aligned to 6 significant digits
+     */
+    static toTable(rows) {
+        const columns = RetrocausalCLI.columns(rows);
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number' && !Number.isInteger(value) && Number.isFinite(value)) {
+                return String(Number(value.toPrecision(6)));
+            }
+            return String(value);
+        };
+        const cells = rows.map(row => columns.map(column => cell(row[column])));
+        const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+        const numeric = columns.map(column => rows.every(row => typeof row[column] === 'number'));
+        const pad = (text, i) => (numeric[i] ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+
+        return [
+            columns.map(pad).join('  '),
+            widths.map(width => '-'.repeat(width)).join('  '),
+            ...cells.map(line => line.map(pad).join('  '))
+        ].map(line => line.trimEnd()).join('\n') + '\n';
+    }
+
+    static usage() {
+        return [
+            'Usage: retrocausal <command> [arguments] [options]',
+            '',
+            'Commands:',
+            ...Object.values(RetrocausalCLI.COMMANDS).map(line => `  ${line}`),
+            '',
+            'Options:',
+            '  --format table|csv|json   Output format (default: table)',
+            '  --code <family|json>      hamming (default), bch or a PipelineOperator.createCode spec',
+            '  --r, --m, --t, --extended Code parameters, e.g. --code bch --m 4 --t 2',
+            '  --runs <n>                Runs per analysis or grid point (default: 100)',
+            '  --grid <name=values>      Swept parameter, v1,v2,... or start:stop:step; repeatable',
+            '  --results                 Include every run report in JSON output',
+            '  --<solver-parameter> <v>  Any solver parameter, e.g. --error-rate 0.08 --seed 42',
+            ''
+        ].join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetrocausalCLI;
+} else if (typeof window !== 'undefined') {
+    window.RetrocausalCLI = RetrocausalCLI;
+}
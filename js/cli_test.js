@@ -0,0 +1,158 @@
+/**
+ * Test Suite for the Command-Line Interface
+ *
+ * Commands are run through RetrocausalCLI.run with captured output streams,
+ * and their results compared with direct calls to the codes and the solver.
+ *
+ * Test Coverage:
+ * - Argument parsing and value coercion
+ * - encode/decode over blocks, for Hamming and BCH codes
+ * - solve with solver parameters and a seed
+ * - sweep grids and analyze summaries
+ * - JSON, CSV and table output; exit codes
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class RetrocausalCLITests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.hamming = new HammingCode();
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Arguments are parsed and coerced', () => this.testParsing());
+        this.framework.test('encode and decode work block by block', () => this.testCoding());
+        this.framework.test('solve passes solver parameters through', () => this.testSolve());
+        this.framework.test('sweep and analyze summarize statistical runs', () => this.testStatistics());
+        this.framework.test('Output formats and exit codes', () => this.testOutput());
+    }
+
+    /**
+     * Run a command line, returning {code, stdout, stderr}
+     */
+    invoke(argv) {
+        const output = { stdout: '', stderr: '' };
+        const cli = new RetrocausalCLI({
+            stdout: text => { output.stdout += text; },
+            stderr: text => { output.stderr += text; }
+        });
+        return { code: cli.run(argv), ...output };
+    }
+
+    json(argv) {
+        const result = this.invoke([...argv, '--format', 'json']);
+        this.framework.assertEqual([result.code, result.stderr], [0, ''], `${argv.join(' ')} succeeds`);
+        return JSON.parse(result.stdout);
+    }
+
+    testParsing() {
+        const { positionals, options } = RetrocausalCLI.parseArgs([
+            'solve', '1011', '--error-rate', '0.08', '--seed=abc', '--no-enable-adaptive-step',
+            '--consistency-params', '{"stable":3}', '--grid', 'a=1,2', '--grid', 'b=0:1:0.5', '--results'
+        ]);
+        this.framework.assertEqual(positionals, ['solve', '1011'], 'Positionals keep their order');
+        this.framework.assertEqual(options, {
+            errorRate: 0.08, seed: 'abc', enableAdaptiveStep: false, consistencyParams: { stable: 3 },
+            grid: ['a=1,2', 'b=0:1:0.5'], results: true
+        }, 'Options are camelCased, coerced and collected');
+
+        this.framework.assertEqual(RetrocausalCLI.parseGrid(['errorRate=0.01:0.05:0.02', 'max-iterations=20,50']), [
+            { parameter: 'errorRate', values: [0.01, 0.03, 0.05] },
+            { parameter: 'maxIterations', values: [20, 50] }
+        ], 'Grids take ranges and lists');
+        this.framework.assertThrows(() => RetrocausalCLI.parseGrid('errorRate=0.1:0:0.1'), Error,
+            'Empty ranges are rejected');
+    }
+
+    testCoding() {
+        const encoded = this.json(['encode', '10110110']);
+        this.framework.assertEqual(encoded.blocks.map(block => block.codeword),
+            [this.hamming.encode([1, 0, 1, 1]), this.hamming.encode([0, 1, 1, 0])], 'One codeword per 4-bit block');
+
+        const received = this.hamming.encode([1, 0, 1, 1]);
+        received[2] ^= 1;
+        const decoded = this.json(['decode', received.join('')]).blocks[0];
+        this.framework.assertEqual([decoded.data, decoded.status, decoded.errorPositions], [[1, 0, 1, 1], 'corrected', [2]],
+            'A single error is corrected');
+
+        const bch = PipelineOperator.createCode({ family: 'bch', m: 4, t: 2 });
+        const word = bch.encode([1, 0, 0, 1, 1, 0, 1]);
+        word[0] ^= 1;
+        word[9] ^= 1;
+        const bchDecoded = this.json(['decode', word.join(''), '--code', 'bch', '--m', '4', '--t', '2']);
+        this.framework.assertEqual([bchDecoded.code.name, bchDecoded.blocks[0].data], ['BCH(15,7)', [1, 0, 0, 1, 1, 0, 1]],
+            'Code options select a BCH code correcting two errors');
+
+        const partial = this.invoke(['encode', '10110']);
+        this.framework.assertEqual(partial.code, 1, 'Partial blocks are an error');
+        this.framework.assertTrue(partial.stderr.includes('expected data words of 4 bits'), 'saying what was expected');
+    }
+
+    testSolve() {
+        const argv = ['solve', '1011', '--error-rate', '0.12', '--seed', '42', '--consistency-criterion', 'windowed',
+            '--stop-on-cycle', 'false'];
+        const report = this.json(argv);
+        const expected = new RetrocausalFixedPointSolver(this.hamming).solveFixedPoint([1, 0, 1, 1], {
+            errorRate: 0.12, seed: 42, consistencyCriterion: 'windowed', stopOnCycle: false
+        });
+        this.framework.assertEqual([report.finalState, report.iterations, report.consistency.criterion],
+            [expected.finalState, expected.iterations, 'windowed'], 'The report is the solver\'s own');
+
+        const unknown = this.invoke(['solve', '1011', '--error-rat', '0.1']);
+        this.framework.assertEqual(unknown.code, 1, 'Misspelled parameters fail');
+        this.framework.assertTrue(unknown.stderr.includes('--error-rat'), 'naming the option');
+    }
+
+    testStatistics() {
+        const sweep = this.json(['sweep', '--grid', 'errorRate=0.02,0.1', '--grid', 'maxIterations=10,30',
+            '--runs', '20', '--seed', '5']);
+        this.framework.assertEqual(sweep.points.map(point => [point.parameters.errorRate, point.parameters.maxIterations]),
+            [[0.02, 10], [0.02, 30], [0.1, 10], [0.1, 30]], 'Every grid point, last parameter fastest');
+        this.framework.assertTrue(sweep.points.every(point => point.summary.runs === 20), 'with --runs runs each');
+        this.framework.assertEqual(this.json(['sweep', '--grid', 'errorRate=0.02,0.1', '--grid', 'maxIterations=10,30',
+            '--runs', '20', '--seed', '5']), sweep, 'The seed reproduces the sweep');
+
+        const analysis = this.json(['analyze', '--runs', '30', '--seed', '8', '--error-rate', '0.05']);
+        const expected = new RetrocausalFixedPointSolver(this.hamming).runStatisticalAnalysis(30, {
+            ...new RetrocausalFixedPointSolver(this.hamming).defaultParams, errorRate: 0.05, seed: 8
+        });
+        this.framework.assertEqual([analysis.summary.successRate, analysis.summary.averageIterations],
+            [expected.successRate, expected.averageIterations], 'analyze runs runStatisticalAnalysis');
+        this.framework.assertTrue(analysis.results === undefined, 'Run reports only with --results');
+        this.framework.assertEqual(this.json(['analyze', '--runs', '3', '--results']).results.length, 3,
+            'and all of them with it');
+    }
+
+    testOutput() {
+        const csv = this.invoke(['decode', '0110011', '1110000', '--format', 'csv']);
+        this.framework.assertEqual(csv.stdout.split('\n'), [
+            'received,codeword,data,status,errorPositions,syndrome',
+            '0110011,0110011,1011,valid,,000',
+            '1110000,1110000,1000,valid,,000',
+            ''
+        ], 'CSV has a header and one line per block');
+        this.framework.assertEqual(RetrocausalCLI.toCSV([{ note: 'a,"b"' }]), 'note\n"a,""b"""\n', 'CSV fields are quoted');
+
+        const table = this.invoke(['encode', '1011']).stdout.split('\n');
+        this.framework.assertEqual(table.slice(0, 3), ['data  codeword', '----  --------', '1011  0110011'],
+            'Tables are aligned under a header');
+
+        this.framework.assertEqual(this.invoke([]).code, 0, 'No command prints the usage');
+        this.framework.assertEqual(this.invoke(['teleport']).code, 2, 'Unknown commands are usage errors');
+        this.framework.assertEqual(this.invoke(['encode', '1011', '--format', 'xml']).code, 1, 'as are unknown formats');
+    }
+
+    run() {
+        console.log('Running Command-Line Interface Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RetrocausalCLITests;
+} else if (typeof window !== 'undefined') {
+    window.RetrocausalCLITests = RetrocausalCLITests;
+}
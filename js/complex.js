@@ -0,0 +1,765 @@
+/**
+ * Complex Linear Algebra for Density Matrices
+ *
+ * This module provides the dense complex matrices needed to work with
+ * quantum states directly: density matrices ρ, unitaries U and evolutions
+ * ρ ↦ U ρ U†. Entries live in two Float64Arrays (real and imaginary parts,
+ * row-major), so the inner loops run on flat typed arrays without
+ * allocating complex-number objects.
+ *
+ * Operations:
+ * - Arithmetic: add, subtract, scale, multiply, adjoint, Kronecker product
+ * - Trace and partial trace over any set of tensor factors
+ * - Linear systems and inverses (LU with partial pivoting)
+ * - Matrix exponential (scaling and squaring with a [6/6] Padé approximant)
+ * - Hermitian eigendecomposition (cyclic complex Jacobi rotations)
+ * - Functions of Hermitian matrices: logarithm, square root, entropy
+ * - Trace distance between density matrices
+ *
+ * Column vectors are n×1 matrices. Scalars are returned as {re, im}.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ComplexMatrix {
+    /**
+     * @param {number} rows - Number of rows
+     * @param {number} cols - Number of columns
+     * @param {Float64Array} [re] - Real parts, row-major (zeros if omitted)
+     * @param {Float64Array} [im] - Imaginary parts, row-major (zeros if omitted)
+     */
+    constructor(rows, cols, re = null, im = null) {
+        if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1) {
+            throw new Error('Matrix dimensions must be positive integers');
+        }
+        const size = rows * cols;
+        if ((re && re.length !== size) || (im && im.length !== size)) {
+            throw new Error(`Entry arrays must have ${size} elements`);
+        }
+
+        this.rows = rows;
+        this.cols = cols;
+        this.re = re ? Float64Array.from(re) : new Float64Array(size);
+        this.im = im ? Float64Array.from(im) : new Float64Array(size);
+    }
+
+    // ----------------------------------------------------------------------
+    // Construction
+    // ----------------------------------------------------------------------
+
+    static zeros(rows, cols = rows) {
+        return new ComplexMatrix(rows, cols);
+    }
+
+    static identity(n) {
+        const matrix = new ComplexMatrix(n, n);
+        for (let i = 0; i < n; i++) matrix.re[i * n + i] = 1;
+        return matrix;
+    }
+
+    /**
+     * Build a matrix from nested rows
+     *
+     * Entries may be real numbers, [re, im] pairs or {re, im} objects.
+     *
+     * @example
+     * ComplexMatrix.fromArray([[0, [0, -1]], [[0, 1], 0]])   // Pauli Y
+     */
+    static fromArray(rows) {
+        if (!Array.isArray(rows) || rows.length === 0 || !Array.isArray(rows[0])) {
+            throw new Error('Matrix must be a non-empty array of rows');
+        }
+        const cols = rows[0].length;
+        const matrix = new ComplexMatrix(rows.length, cols);
+
+        rows.forEach((row, i) => {
+            if (row.length !== cols) {
+                throw new Error('All rows must have the same length');
+            }
+            row.forEach((entry, j) => {
+                const { re, im } = ComplexMatrix.toComplex(entry);
+                matrix.re[i * cols + j] = re;
+                matrix.im[i * cols + j] = im;
+            });
+        });
+
+        return matrix;
+    }
+
+    /**
+     * Column vector from a list of amplitudes
+     */
+    static vector(amplitudes) {
+        return ComplexMatrix.fromArray(amplitudes.map(a => [a]));
+    }
+
+    /**
+     * Diagonal matrix from real or complex entries
+     */
+    static diagonal(values) {
+        const n = values.length;
+        const matrix = new ComplexMatrix(n, n);
+        values.forEach((value, i) => {
+            const { re, im } = ComplexMatrix.toComplex(value);
+            matrix.re[i * n + i] = re;
+            matrix.im[i * n + i] = im;
+        });
+        return matrix;
+    }
+
+    /**
+     * Pure-state density matrix |ψ⟩⟨ψ|, normalising ψ
+     *
+     * @param {ComplexMatrix|Array} state - Column vector or list of amplitudes
+     */
+    static pureState(state) {
+        const vector = state instanceof ComplexMatrix ? state : ComplexMatrix.vector(state);
+        const norm = vector.frobeniusNorm();
+        if (norm === 0) {
+            throw new Error('State vector must be non-zero');
+        }
+        const normalized = vector.scale(1 / norm);
+        return normalized.multiply(normalized.adjoint());
+    }
+
+    /**
+     * Density matrix of a computational basis state |index⟩⟨index|
+     */
+    static basisState(dimension, index) {
+        const matrix = new ComplexMatrix(dimension, dimension);
+        matrix.re[index * dimension + index] = 1;
+        return matrix;
+    }
+
+    static toComplex(entry) {
+        if (typeof entry === 'number') return { re: entry, im: 0 };
+        if (Array.isArray(entry)) return { re: entry[0] ?? 0, im: entry[1] ?? 0 };
+        if (entry && typeof entry === 'object') return { re: entry.re ?? 0, im: entry.im ?? 0 };
+        throw new Error(`Invalid matrix entry: ${entry}`);
+    }
+
+    clone() {
+        return new ComplexMatrix(this.rows, this.cols, this.re, this.im);
+    }
+
+    get(i, j) {
+        const index = i * this.cols + j;
+        return { re: this.re[index], im: this.im[index] };
+    }
+
+    set(i, j, re, im = 0) {
+        const index = i * this.cols + j;
+        this.re[index] = re;
+        this.im[index] = im;
+        return this;
+    }
+
+    /**
+     * Nested rows of [re, im] pairs
+     */
+    toArray() {
+        return Array.from({ length: this.rows }, (_, i) =>
+            Array.from({ length: this.cols }, (_, j) => [this.re[i * this.cols + j], this.im[i * this.cols + j]]));
+    }
+
+    toJSON() {
+        return { rows: this.rows, cols: this.cols, re: Array.from(this.re), im: Array.from(this.im) };
+    }
+
+    static fromJSON(data) {
+        return new ComplexMatrix(data.rows, data.cols, data.re, data.im);
+    }
+
+    // ----------------------------------------------------------------------
+    // Arithmetic
+    // ----------------------------------------------------------------------
+
+    isSquare() {
+        return this.rows === this.cols;
+    }
+
+    assertSameShape(other) {
+        if (this.rows !== other.rows || this.cols !== other.cols) {
+            throw new Error(`Shape mismatch: ${this.rows}×${this.cols} vs ${other.rows}×${other.cols}`);
+        }
+    }
+
+    assertSquare(operation) {
+        if (!this.isSquare()) {
+            throw new Error(`${operation} requires a square matrix`);
+        }
+    }
+
+    add(other) {
+        this.assertSameShape(other);
+        const result = this.clone();
+        for (let i = 0; i < result.re.length; i++) {
+            result.re[i] += other.re[i];
+            result.im[i] += other.im[i];
+        }
+        return result;
+    }
+
+    subtract(other) {
+        this.assertSameShape(other);
+        const result = this.clone();
+        for (let i = 0; i < result.re.length; i++) {
+            result.re[i] -= other.re[i];
+            result.im[i] -= other.im[i];
+        }
+        return result;
+    }
+
+    /**
+     * Multiply every entry by the scalar (re + i·im)
+     */
+    scale(re, im = 0) {
+        const result = new ComplexMatrix(this.rows, this.cols);
+        for (let i = 0; i < this.re.length; i++) {
+            result.re[i] = this.re[i] * re - this.im[i] * im;
+            result.im[i] = this.re[i] * im + this.im[i] * re;
+        }
+        return result;
+    }
+
+    /**
+     * Matrix product this · other
+     */
+    multiply(other) {
+        if (this.cols !== other.rows) {
+            throw new Error(`Cannot multiply ${this.rows}×${this.cols} by ${other.rows}×${other.cols}`);
+        }
+        const n = this.rows;
+        const m = this.cols;
+        const p = other.cols;
+        const result = new ComplexMatrix(n, p);
+        const { re: ar, im: ai } = this;
+        const { re: br, im: bi } = other;
+        const { re: cr, im: ci } = result;
+
+        // i-k-j order walks both operands row-wise
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < m; k++) {
+                const xr = ar[i * m + k];
+                const xi = ai[i * m + k];
+                if (xr === 0 && xi === 0) continue;
+                const rowB = k * p;
+                const rowC = i * p;
+                for (let j = 0; j < p; j++) {
+                    cr[rowC + j] += xr * br[rowB + j] - xi * bi[rowB + j];
+                    ci[rowC + j] += xr * bi[rowB + j] + xi * br[rowB + j];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Conjugate transpose A†
+     */
+    adjoint() {
+        const result = new ComplexMatrix(this.cols, this.rows);
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                result.re[j * this.rows + i] = this.re[i * this.cols + j];
+                result.im[j * this.rows + i] = -this.im[i * this.cols + j];
+            }
+        }
+        return result;
+    }
+
+    transpose() {
+        const result = this.adjoint();
+        for (let i = 0; i < result.im.length; i++) result.im[i] = -result.im[i];
+        return result;
+    }
+
+    conjugate() {
+        const result = this.clone();
+        for (let i = 0; i < result.im.length; i++) result.im[i] = -result.im[i];
+        return result;
+    }
+
+    /**
+     * Kronecker (tensor) product this ⊗ other
+     */
+    kron(other) {
+        const rows = this.rows * other.rows;
+        const cols = this.cols * other.cols;
+        const result = new ComplexMatrix(rows, cols);
+
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.cols; j++) {
+                const xr = this.re[i * this.cols + j];
+                const xi = this.im[i * this.cols + j];
+                if (xr === 0 && xi === 0) continue;
+                for (let k = 0; k < other.rows; k++) {
+                    const row = (i * other.rows + k) * cols + j * other.cols;
+                    for (let l = 0; l < other.cols; l++) {
+                        const yr = other.re[k * other.cols + l];
+                        const yi = other.im[k * other.cols + l];
+                        result.re[row + l] = xr * yr - xi * yi;
+                        result.im[row + l] = xr * yi + xi * yr;
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Conjugation U ρ U† of this matrix by a unitary
+     */
+    conjugateBy(unitary) {
+        return unitary.multiply(this).multiply(unitary.adjoint());
+    }
+
+    trace() {
+        this.assertSquare('Trace');
+        let re = 0;
+        let im = 0;
+        for (let i = 0; i < this.rows; i++) {
+            re += this.re[i * this.cols + i];
+            im += this.im[i * this.cols + i];
+        }
+        return { re, im };
+    }
+
+    /**
+     * Partial trace over some tensor factors
+     *
+     * For a matrix on H_0 ⊗ H_1 ⊗ ... with dims [d_0, d_1, ...], the
+     * factors listed in traceOut are summed away and the remaining ones
+     * keep their order.
+     *
+     * @param {Array<number>} dims - Dimension of every tensor factor
+     * @param {number|Array<number>} traceOut - Index or indices of the factors to remove
+     * @returns {ComplexMatrix} - Reduced matrix
+     */
+    partialTrace(dims, traceOut) {
+        this.assertSquare('Partial trace');
+        const total = dims.reduce((product, d) => product * d, 1);
+        if (total !== this.rows) {
+            throw new Error(`Subsystem dimensions multiply to ${total}, matrix is ${this.rows}×${this.rows}`);
+        }
+
+        const removed = new Set(Array.isArray(traceOut) ? traceOut : [traceOut]);
+        if ([...removed].some(index => !Number.isInteger(index) || index < 0 || index >= dims.length)) {
+            throw new Error('Traced subsystem index out of range');
+        }
+
+        // Stride of every factor in the full index, split into kept and removed
+        const strides = dims.map((_, index) => dims.slice(index + 1).reduce((product, d) => product * d, 1));
+        const kept = dims.map((_, index) => index).filter(index => !removed.has(index));
+        const traced = [...removed].sort((a, b) => a - b);
+        const offsets = (factors) => {
+            let list = [0];
+            for (const factor of factors) {
+                const next = [];
+                for (const offset of list) {
+                    for (let digit = 0; digit < dims[factor]; digit++) {
+                        next.push(offset + digit * strides[factor]);
+                    }
+                }
+                list = next;
+            }
+            return list;
+        };
+
+        const keptOffsets = offsets(kept);
+        const tracedOffsets = offsets(traced);
+        const size = keptOffsets.length;
+        const result = new ComplexMatrix(size, size);
+
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                let re = 0;
+                let im = 0;
+                for (const t of tracedOffsets) {
+                    const index = (keptOffsets[r] + t) * this.cols + keptOffsets[c] + t;
+                    re += this.re[index];
+                    im += this.im[index];
+                }
+                result.re[r * size + c] = re;
+                result.im[r * size + c] = im;
+            }
+        }
+
+        return result;
+    }
+
+    frobeniusNorm() {
+        let sum = 0;
+        for (let i = 0; i < this.re.length; i++) {
+            sum += this.re[i] * this.re[i] + this.im[i] * this.im[i];
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Maximum absolute column sum ‖A‖₁
+     */
+    oneNorm() {
+        let best = 0;
+        for (let j = 0; j < this.cols; j++) {
+            let sum = 0;
+            for (let i = 0; i < this.rows; i++) {
+                sum += Math.hypot(this.re[i * this.cols + j], this.im[i * this.cols + j]);
+            }
+            best = Math.max(best, sum);
+        }
+        return best;
+    }
+
+    equals(other, tolerance = 1e-10) {
+        if (this.rows !== other.rows || this.cols !== other.cols) return false;
+        for (let i = 0; i < this.re.length; i++) {
+            if (Math.abs(this.re[i] - other.re[i]) > tolerance || Math.abs(this.im[i] - other.im[i]) > tolerance) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    isHermitian(tolerance = 1e-10) {
+        return this.isSquare() && this.equals(this.adjoint(), tolerance);
+    }
+
+    isUnitary(tolerance = 1e-10) {
+        return this.isSquare() && this.adjoint().multiply(this).equals(ComplexMatrix.identity(this.rows), tolerance);
+    }
+
+    // ----------------------------------------------------------------------
+    // Linear systems
+    // ----------------------------------------------------------------------
+
+    /**
+     * Solve this · X = B by LU decomposition with partial pivoting
+     *
+     * @param {ComplexMatrix} rhs - Right-hand side with as many rows as this
+     * @returns {ComplexMatrix} - Solution X
+     */
+    solve(rhs) {
+        this.assertSquare('Solve');
+        if (rhs.rows !== this.rows) {
+            throw new Error('Right-hand side has the wrong number of rows');
+        }
+        const n = this.rows;
+        const m = rhs.cols;
+        const ar = Float64Array.from(this.re);
+        const ai = Float64Array.from(this.im);
+        const xr = Float64Array.from(rhs.re);
+        const xi = Float64Array.from(rhs.im);
+        const scale = this.oneNorm() || 1;
+
+        const swapRows = (data, width, a, b) => {
+            for (let j = 0; j < width; j++) {
+                const t = data[a * width + j];
+                data[a * width + j] = data[b * width + j];
+                data[b * width + j] = t;
+            }
+        };
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            let pivotSize = Math.hypot(ar[col * n + col], ai[col * n + col]);
+            for (let row = col + 1; row < n; row++) {
+                const size = Math.hypot(ar[row * n + col], ai[row * n + col]);
+                if (size > pivotSize) {
+                    pivot = row;
+                    pivotSize = size;
+                }
+            }
+            if (pivotSize <= 1e-14 * scale) {
+                throw new Error('Matrix is singular');
+            }
+            if (pivot !== col) {
+                swapRows(ar, n, col, pivot);
+                swapRows(ai, n, col, pivot);
+                swapRows(xr, m, col, pivot);
+                swapRows(xi, m, col, pivot);
+            }
+
+            // 1 / pivot
+            const pr = ar[col * n + col];
+            const pi = ai[col * n + col];
+            const denominator = pr * pr + pi * pi;
+            const invR = pr / denominator;
+            const invI = -pi / denominator;
+
+            for (let row = col + 1; row < n; row++) {
+                const er = ar[row * n + col];
+                const ei = ai[row * n + col];
+                if (er === 0 && ei === 0) continue;
+                const fr = er * invR - ei * invI;
+                const fi = er * invI + ei * invR;
+                for (let j = col; j < n; j++) {
+                    const yr = ar[col * n + j];
+                    const yi = ai[col * n + j];
+                    ar[row * n + j] -= fr * yr - fi * yi;
+                    ai[row * n + j] -= fr * yi + fi * yr;
+                }
+                for (let j = 0; j < m; j++) {
+                    const yr = xr[col * m + j];
+                    const yi = xi[col * m + j];
+                    xr[row * m + j] -= fr * yr - fi * yi;
+                    xi[row * m + j] -= fr * yi + fi * yr;
+                }
+            }
+        }
+
+        // Back substitution
+        for (let row = n - 1; row >= 0; row--) {
+            const pr = ar[row * n + row];
+            const pi = ai[row * n + row];
+            const denominator = pr * pr + pi * pi;
+            for (let j = 0; j < m; j++) {
+                let sr = xr[row * m + j];
+                let si = xi[row * m + j];
+                for (let k = row + 1; k < n; k++) {
+                    const ur = ar[row * n + k];
+                    const ui = ai[row * n + k];
+                    sr -= ur * xr[k * m + j] - ui * xi[k * m + j];
+                    si -= ur * xi[k * m + j] + ui * xr[k * m + j];
+                }
+                xr[row * m + j] = (sr * pr + si * pi) / denominator;
+                xi[row * m + j] = (si * pr - sr * pi) / denominator;
+            }
+        }
+
+        return new ComplexMatrix(n, m, xr, xi);
+    }
+
+    inverse() {
+        return this.solve(ComplexMatrix.identity(this.rows));
+    }
+
+    // ----------------------------------------------------------------------
+    // Matrix functions
+    // ----------------------------------------------------------------------
+
+    /**
+     * Matrix exponential e^A
+     *
+     * A is scaled by 2^-s until ‖A‖₁ ≤ 1/2, exponentiated with the [6/6]
+     * Padé approximant (error far below double precision at that norm) and
+     * squared back s times. Works for any square matrix, e.g. e^(-iHt).
+     *
+     * @returns {ComplexMatrix} - e^A
+     */
+    expm() {
+        this.assertSquare('Matrix exponential');
+        const n = this.rows;
+        const norm = this.oneNorm();
+        const squarings = norm > 0.5 ? Math.ceil(Math.log2(norm / 0.5)) : 0;
+        const A = this.scale(Math.pow(2, -squarings));
+
+        // c_k = (2q-k)! q! / ((2q)! k! (q-k)!) for q = 6
+        const coefficients = [1, 1 / 2, 5 / 44, 1 / 66, 1 / 792, 1 / 15840, 1 / 665280];
+        let numerator = ComplexMatrix.identity(n);
+        let denominator = ComplexMatrix.identity(n);
+        let power = ComplexMatrix.identity(n);
+
+        for (let k = 1; k < coefficients.length; k++) {
+            power = power.multiply(A);
+            const term = power.scale(coefficients[k]);
+            numerator = numerator.add(term);
+            denominator = k % 2 === 0 ? denominator.add(term) : denominator.subtract(term);
+        }
+
+        let result = denominator.solve(numerator);
+        for (let s = 0; s < squarings; s++) {
+            result = result.multiply(result);
+        }
+        return result;
+    }
+
+    /**
+     * Eigendecomposition of a Hermitian matrix, A = V diag(λ) V†
+     *
+     * Cyclic Jacobi: each rotation first turns the pivot a_pq real with a
+     * phase on column q, then annihilates it with an ordinary real rotation.
+     * Sweeps continue until the off-diagonal mass is negligible.
+     *
+     * @param {Object} [options] - {tolerance=1e-14, maxSweeps=100}
+     * @returns {Object} - {values: ascending Float64Array, vectors: ComplexMatrix with eigenvectors as columns}
+     */
+    eigh(options = {}) {
+        this.assertSquare('Hermitian eigendecomposition');
+        const tolerance = options.tolerance ?? 1e-14;
+        const maxSweeps = options.maxSweeps ?? 100;
+        if (!this.isHermitian(1e-9 * Math.max(1, this.frobeniusNorm()))) {
+            throw new Error('Matrix is not Hermitian');
+        }
+
+        const n = this.rows;
+        const ar = Float64Array.from(this.re);
+        const ai = Float64Array.from(this.im);
+        const vectors = ComplexMatrix.identity(n);
+        const vr = vectors.re;
+        const vi = vectors.im;
+        const scale = this.frobeniusNorm() || 1;
+
+        const offDiagonal = () => {
+            let sum = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    sum += ar[p * n + q] * ar[p * n + q] + ai[p * n + q] * ai[p * n + q];
+                }
+            }
+            return Math.sqrt(2 * sum);
+        };
+
+        for (let sweep = 0; sweep < maxSweeps && offDiagonal() > tolerance * scale; sweep++) {
+            for (let p = 0; p < n - 1; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    const gr = ar[p * n + q];
+                    const gi = ai[p * n + q];
+                    const magnitude = Math.hypot(gr, gi);
+                    if (magnitude <= 1e-300) continue;
+
+                    // Rotation J = [[c, s], [-s·e^-iφ, c·e^-iφ]] on (p, q), e^iφ = g/|g|
+                    const phaseR = gr / magnitude;
+                    const phaseI = -gi / magnitude;  // e^-iφ
+                    const theta = (ar[q * n + q] - ar[p * n + p]) / (2 * magnitude);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(1 + theta * theta));
+                    const c = 1 / Math.sqrt(1 + t * t);
+                    const s = t * c;
+                    const jpp = [c, 0];
+                    const jpq = [s, 0];
+                    const jqp = [-s * phaseR, -s * phaseI];
+                    const jqq = [c * phaseR, c * phaseI];
+
+                    ComplexMatrix.rotateColumns(ar, ai, n, n, p, q, jpp, jpq, jqp, jqq);
+                    ComplexMatrix.rotateRows(ar, ai, n, p, q, jpp, jpq, jqp, jqq);
+                    ComplexMatrix.rotateColumns(vr, vi, n, n, p, q, jpp, jpq, jqp, jqq);
+
+                    ar[p * n + q] = ai[p * n + q] = 0;
+                    ar[q * n + p] = ai[q * n + p] = 0;
+                    ai[p * n + p] = ai[q * n + q] = 0;
+                }
+            }
+        }
+
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => ar[a * n + a] - ar[b * n + b]);
+        const values = Float64Array.from(order, i => ar[i * n + i]);
+        const sorted = new ComplexMatrix(n, n);
+        order.forEach((source, target) => {
+            for (let row = 0; row < n; row++) {
+                sorted.re[row * n + target] = vr[row * n + source];
+                sorted.im[row * n + target] = vi[row * n + source];
+            }
+        });
+
+        return { values, vectors: sorted };
+    }
+
+    /**
+     * M ← M·J on columns p, q (J given by its four complex entries)
+     */
+    static rotateColumns(mr, mi, rows, cols, p, q, jpp, jpq, jqp, jqq) {
+        for (let k = 0; k < rows; k++) {
+            const xr = mr[k * cols + p];
+            const xi = mi[k * cols + p];
+            const yr = mr[k * cols + q];
+            const yi = mi[k * cols + q];
+            mr[k * cols + p] = xr * jpp[0] - xi * jpp[1] + yr * jqp[0] - yi * jqp[1];
+            mi[k * cols + p] = xr * jpp[1] + xi * jpp[0] + yr * jqp[1] + yi * jqp[0];
+            mr[k * cols + q] = xr * jpq[0] - xi * jpq[1] + yr * jqq[0] - yi * jqq[1];
+            mi[k * cols + q] = xr * jpq[1] + xi * jpq[0] + yr * jqq[1] + yi * jqq[0];
+        }
+    }
+
+    /**
+     * M ← J†·M on rows p, q
+     */
+    static rotateRows(mr, mi, n, p, q, jpp, jpq, jqp, jqq) {
+        for (let k = 0; k < n; k++) {
+            const xr = mr[p * n + k];
+            const xi = mi[p * n + k];
+            const yr = mr[q * n + k];
+            const yi = mi[q * n + k];
+            // conj(J_pp)·x + conj(J_qp)·y and conj(J_pq)·x + conj(J_qq)·y
+            mr[p * n + k] = jpp[0] * xr + jpp[1] * xi + jqp[0] * yr + jqp[1] * yi;
+            mi[p * n + k] = jpp[0] * xi - jpp[1] * xr + jqp[0] * yi - jqp[1] * yr;
+            mr[q * n + k] = jpq[0] * xr + jpq[1] * xi + jqq[0] * yr + jqq[1] * yi;
+            mi[q * n + k] = jpq[0] * xi - jpq[1] * xr + jqq[0] * yi - jqq[1] * yr;
+        }
+    }
+
+    /**
+     * f(A) = V diag(f(λ)) V† for a Hermitian matrix
+     *
+     * @param {Function} f - Real function applied to every eigenvalue
+     * @returns {ComplexMatrix} - f(A)
+     */
+    applyHermitianFunction(f) {
+        const { values, vectors } = this.eigh();
+        const mapped = ComplexMatrix.diagonal(Array.from(values, f));
+        return vectors.multiply(mapped).multiply(vectors.adjoint());
+    }
+
+    /**
+     * Principal logarithm of a Hermitian positive-definite matrix
+     */
+    logm() {
+        const { values } = this.eigh();
+        if (values[0] <= 0) {
+            throw new Error('Matrix logarithm requires a positive-definite matrix');
+        }
+        return this.applyHermitianFunction(Math.log);
+    }
+
+    /**
+     * Positive square root of a Hermitian positive-semidefinite matrix
+     *
+     * Eigenvalues that are negative only by rounding are treated as zero.
+     */
+    sqrtm() {
+        const { values } = this.eigh();
+        const tolerance = 1e-10 * Math.max(1, Math.abs(values[values.length - 1]));
+        if (values[0] < -tolerance) {
+            throw new Error('Matrix square root requires a positive-semidefinite matrix');
+        }
+        return this.applyHermitianFunction(lambda => Math.sqrt(Math.max(lambda, 0)));
+    }
+
+    /**
+     * von Neumann entropy S(ρ) = -Tr(ρ log₂ ρ) of a density matrix, in bits
+     */
+    entropy() {
+        const { values } = this.eigh();
+        let entropy = 0;
+        for (const lambda of values) {
+            if (lambda > 1e-15) entropy -= lambda * Math.log2(lambda);
+        }
+        return entropy;
+    }
+
+    /**
+     * Trace distance ½‖ρ - σ‖₁ between two Hermitian matrices
+     */
+    traceDistance(other) {
+        const { values } = this.subtract(other).eigh();
+        return 0.5 * values.reduce((sum, lambda) => sum + Math.abs(lambda), 0);
+    }
+
+    /**
+     * Check the density-matrix conditions: Hermitian, unit trace, ρ ≥ 0
+     */
+    isDensityMatrix(tolerance = 1e-9) {
+        if (!this.isHermitian(tolerance)) return false;
+        const { re, im } = this.trace();
+        if (Math.abs(re - 1) > tolerance || Math.abs(im) > tolerance) return false;
+        return this.eigh().values[0] >= -tolerance;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComplexMatrix;
+} else if (typeof window !== 'undefined') {
+    window.ComplexMatrix = ComplexMatrix;
+}
@@ -0,0 +1,195 @@
+/**
+ * Test Suite for Complex Linear Algebra
+ *
+ * These tests check the matrix operations behind density-matrix simulation
+ * against closed-form results: Pauli algebra, tensor products of known
+ * states, exponentials of generators, and spectral decompositions that
+ * must reassemble the original matrix.
+ *
+ * Test Coverage:
+ * - Construction, multiplication and adjoint
+ * - Kronecker product, trace and partial trace
+ * - Linear solves and inverses
+ * - Matrix exponential of Hermitian and nilpotent generators
+ * - Hermitian eigendecomposition, logarithm, square root and entropy
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ComplexMatrixTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.pauliX = ComplexMatrix.fromArray([[0, 1], [1, 0]]);
+        this.pauliY = ComplexMatrix.fromArray([[0, [0, -1]], [[0, 1], 0]]);
+        this.pauliZ = ComplexMatrix.fromArray([[1, 0], [0, -1]]);
+        this.random = RetrocausalUtils.random.createGenerator(10);
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Pauli matrices multiply correctly', () => this.testPauliAlgebra());
+        this.framework.test('Adjoint and Hermitian checks', () => this.testAdjoint());
+        this.framework.test('Kronecker product and trace', () => this.testKroneckerAndTrace());
+        this.framework.test('Partial trace recovers the factors', () => this.testPartialTrace());
+        this.framework.test('Linear solve and inverse', () => this.testSolve());
+        this.framework.test('Matrix exponential', () => this.testExponential());
+        this.framework.test('Hermitian eigendecomposition', () => this.testEigendecomposition());
+        this.framework.test('Matrix logarithm and square root', () => this.testLogAndSqrt());
+        this.framework.test('von Neumann entropy of density matrices', () => this.testEntropy());
+    }
+
+    /**
+     * Random Hermitian matrix A + A†
+     */
+    randomHermitian(n) {
+        const matrix = new ComplexMatrix(n, n);
+        for (let i = 0; i < n * n; i++) {
+            matrix.re[i] = this.random() - 0.5;
+            matrix.im[i] = this.random() - 0.5;
+        }
+        return matrix.add(matrix.adjoint());
+    }
+
+    testPauliAlgebra() {
+        // XY = iZ, and every Pauli squares to the identity
+        const xy = this.pauliX.multiply(this.pauliY);
+        this.framework.assertTrue(xy.equals(this.pauliZ.scale(0, 1)), 'XY = iZ');
+        [this.pauliX, this.pauliY, this.pauliZ].forEach(pauli =>
+            this.framework.assertTrue(pauli.multiply(pauli).equals(ComplexMatrix.identity(2)), 'σ² = I'));
+
+        this.framework.assertEqual(this.pauliY.get(0, 1), { re: 0, im: -1 }, 'Entry access');
+        this.framework.assertThrows(() => this.pauliX.multiply(ComplexMatrix.zeros(3)), Error,
+            'Mismatched shapes should be rejected');
+    }
+
+    testAdjoint() {
+        const matrix = ComplexMatrix.fromArray([[[1, 2], [3, -1]], [0, [0, 4]], [5, 6]]);
+        const adjoint = matrix.adjoint();
+
+        this.framework.assertEqual([adjoint.rows, adjoint.cols], [2, 3], 'Adjoint transposes the shape');
+        this.framework.assertEqual(adjoint.get(1, 0), { re: 3, im: 1 }, 'Adjoint conjugates the entries');
+        this.framework.assertTrue(adjoint.adjoint().equals(matrix), '(A†)† = A');
+        this.framework.assertTrue(this.pauliY.isHermitian(), 'Pauli Y is Hermitian');
+        this.framework.assertTrue(matrix.multiply(adjoint).isHermitian(1e-12), 'A A† is Hermitian');
+    }
+
+    testKroneckerAndTrace() {
+        const zx = this.pauliZ.kron(this.pauliX);
+        const expected = ComplexMatrix.fromArray([
+            [0, 1, 0, 0],
+            [1, 0, 0, 0],
+            [0, 0, 0, -1],
+            [0, 0, -1, 0]
+        ]);
+
+        this.framework.assertTrue(zx.equals(expected), 'Z ⊗ X matches the block form');
+        this.framework.assertEqual(ComplexMatrix.identity(3).kron(ComplexMatrix.identity(2)).trace(),
+            { re: 6, im: 0 }, 'Tr(I₃ ⊗ I₂) = 6');
+
+        // (A ⊗ B)(C ⊗ D) = AC ⊗ BD
+        const left = this.pauliX.kron(this.pauliY).multiply(this.pauliZ.kron(this.pauliX));
+        const right = this.pauliX.multiply(this.pauliZ).kron(this.pauliY.multiply(this.pauliX));
+        this.framework.assertTrue(left.equals(right), 'Mixed-product property');
+    }
+
+    testPartialTrace() {
+        const plus = ComplexMatrix.pureState([1, [0, 1]]);
+        const mixed = ComplexMatrix.diagonal([0.2, 0.3, 0.5]);
+        const product = plus.kron(mixed).kron(plus);
+
+        this.framework.assertTrue(product.partialTrace([2, 3, 2], [0, 2]).equals(mixed), 'Trace out both qubits');
+        this.framework.assertTrue(product.partialTrace([2, 3, 2], 1).equals(plus.kron(plus)), 'Trace out the qutrit');
+
+        // A Bell state looks maximally mixed on either half
+        const bell = ComplexMatrix.pureState([1, 0, 0, 1]);
+        this.framework.assertTrue(bell.partialTrace([2, 2], 0).equals(ComplexMatrix.diagonal([0.5, 0.5])),
+            'Reduced Bell state is I/2');
+        this.framework.assertThrows(() => bell.partialTrace([2, 3], 0), Error, 'Dimensions must match the matrix');
+    }
+
+    testSolve() {
+        const matrix = this.randomHermitian(6).add(ComplexMatrix.identity(6).scale(0, 2));
+        const rhs = this.randomHermitian(6);
+        const solution = matrix.solve(rhs);
+
+        this.framework.assertTrue(matrix.multiply(solution).equals(rhs, 1e-10), 'A·X = B');
+        this.framework.assertTrue(matrix.multiply(matrix.inverse()).equals(ComplexMatrix.identity(6), 1e-10),
+            'A·A⁻¹ = I');
+        this.framework.assertThrows(() => ComplexMatrix.fromArray([[1, 2], [2, 4]]).inverse(), Error,
+            'Singular matrices should be rejected');
+    }
+
+    testExponential() {
+        // e^(-iθX/2) is a rotation about X
+        const theta = 0.7;
+        const rotation = this.pauliX.scale(0, -theta / 2).expm();
+        const expected = ComplexMatrix.fromArray([
+            [Math.cos(theta / 2), [0, -Math.sin(theta / 2)]],
+            [[0, -Math.sin(theta / 2)], Math.cos(theta / 2)]
+        ]);
+        this.framework.assertTrue(rotation.equals(expected, 1e-12), 'Rotation about X');
+
+        const nilpotent = ComplexMatrix.fromArray([[0, 3], [0, 0]]).expm();
+        this.framework.assertTrue(nilpotent.equals(ComplexMatrix.fromArray([[1, 3], [0, 1]]), 1e-12),
+            'e^N = I + N for N² = 0');
+
+        // Large norms go through scaling and squaring
+        const hamiltonian = this.randomHermitian(8).scale(5);
+        this.framework.assertTrue(hamiltonian.scale(0, -1).expm().isUnitary(1e-9), 'e^(-iH) is unitary');
+    }
+
+    testEigendecomposition() {
+        const matrix = this.randomHermitian(12);
+        const { values, vectors } = matrix.eigh();
+        const rebuilt = vectors.multiply(ComplexMatrix.diagonal(Array.from(values))).multiply(vectors.adjoint());
+
+        this.framework.assertTrue(rebuilt.equals(matrix, 1e-10), 'V Λ V† reassembles the matrix');
+        this.framework.assertTrue(vectors.isUnitary(1e-10), 'Eigenvectors are orthonormal');
+        this.framework.assertTrue(values.every((v, i) => i === 0 || values[i - 1] <= v), 'Eigenvalues ascend');
+
+        const pauliValues = Array.from(this.pauliY.eigh().values).map(v => Math.round(v * 1e12) / 1e12);
+        this.framework.assertEqual(pauliValues, [-1, 1], 'Pauli Y has eigenvalues ±1');
+        this.framework.assertThrows(() => ComplexMatrix.fromArray([[0, 1], [0, 0]]).eigh(), Error,
+            'Non-Hermitian input should be rejected');
+    }
+
+    testLogAndSqrt() {
+        const base = this.randomHermitian(5);
+        const positive = base.multiply(base).add(ComplexMatrix.identity(5));
+
+        this.framework.assertTrue(positive.logm().expm().equals(positive, 1e-10), 'exp(log A) = A');
+        const root = positive.sqrtm();
+        this.framework.assertTrue(root.multiply(root).equals(positive, 1e-10), '√A · √A = A');
+        this.framework.assertTrue(root.isHermitian(1e-10), 'The square root is Hermitian');
+
+        this.framework.assertThrows(() => this.pauliZ.logm(), Error, 'Log needs a positive-definite matrix');
+        this.framework.assertThrows(() => this.pauliZ.sqrtm(), Error, 'Sqrt needs a positive-semidefinite matrix');
+    }
+
+    testEntropy() {
+        const pure = ComplexMatrix.pureState([1, [0, 1], 2]);
+        const maximallyMixed = ComplexMatrix.identity(4).scale(0.25);
+
+        this.framework.assertTrue(pure.isDensityMatrix(), 'Pure state is a density matrix');
+        this.framework.assertTrue(Math.abs(pure.entropy()) < 1e-10, 'Pure states have zero entropy');
+        this.framework.assertTrue(Math.abs(maximallyMixed.entropy() - 2) < 1e-12, 'I/4 has two bits of entropy');
+        this.framework.assertTrue(Math.abs(RetrocausalUtils.math.vonNeumannEntropy(maximallyMixed) - 2) < 1e-12,
+            'RetrocausalUtils accepts the density matrix directly');
+
+        const bell = ComplexMatrix.pureState([1, 0, 0, 1]);
+        this.framework.assertTrue(Math.abs(bell.partialTrace([2, 2], 1).entropy() - 1) < 1e-12,
+            'Entanglement entropy of a Bell pair is one bit');
+    }
+
+    run() {
+        console.log('Running Complex Linear Algebra Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComplexMatrixTests;
+} else if (typeof window !== 'undefined') {
+    window.ComplexMatrixTests = ComplexMatrixTests;
+}
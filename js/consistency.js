@@ -0,0 +1,197 @@
+/**
+ * Consistency Criteria for the Fixed-Point Iteration
+ *
+ * Strict consistency asks that one pass around the loop returns its input:
+ * x_(t+1) = x_t. Compared as a normalized Hamming distance on a 4-bit word
+ * the convergence tolerance can only take the values 0, 1/4, 1/2, ..., so
+ * under noise a run either happens to repeat once or never stops. The weak
+ * consistency conditions of the whitepaper relax the test:
+ *
+ * - 'windowed': some word was stable (returned unchanged by a pass the
+ *   decoder accepted) in at least `stable` of the last `window` passes
+ * - 'probabilistic': the estimated self-consistency probability of the
+ *   current word, P(U_CTC x = x), is at least `probability`, estimated from
+ *   at least `samples` passes that started at x
+ * - 'partial': every data bit (or at least the fraction `fraction` of them)
+ *   kept its value through each of the last `window` passes; the report
+ *   says which bits are self-consistent and which are not
+ *
+ * Weak criteria compare whole words exactly; the convergence tolerance
+ * applies to the strict test only. Every criterion reports per-bit
+ * stability, so partial consistency can be read off any run.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const ConsistencyUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class ConsistencyCriterion {
+    static CRITERIA = ['strict', 'windowed', 'probabilistic', 'partial'];
+
+    static DEFAULTS = {
+        strict: { tolerance: 0 },
+        windowed: { stable: 4, window: 5 },
+        probabilistic: { probability: 0.9, samples: 20, confidence: 0.95 },
+        partial: { window: 5, fraction: 1 }
+    };
+
+    /**
+     * @param {string} criterion - 'strict', 'windowed', 'probabilistic' or 'partial'
+     * @param {Object} options - Criterion parameters (see DEFAULTS); the strict
+     *        criterion takes the solver's convergence tolerance
+     */
+    constructor(criterion = 'strict', options = {}) {
+        if (!ConsistencyCriterion.CRITERIA.includes(criterion)) {
+            throw new Error(`Unknown consistency criterion "${criterion}". ` +
+                `Use ${ConsistencyCriterion.CRITERIA.map(name => `'${name}'`).join(', ')}`);
+        }
+        this.criterion = criterion;
+        this.options = { ...ConsistencyCriterion.DEFAULTS[criterion], ...options };
+
+        const { stable, window, probability, samples, fraction } = this.options;
+        if (criterion === 'windowed' && !(Number.isInteger(window) && Number.isInteger(stable) &&
+            stable >= 1 && stable <= window)) {
+            throw new Error('A windowed criterion needs integers 1 ≤ stable ≤ window');
+        }
+        if (criterion === 'probabilistic' && !(probability > 0 && probability <= 1 && samples >= 1)) {
+            throw new Error('A probabilistic criterion needs 0 < probability ≤ 1 and at least one sample');
+        }
+        if (criterion === 'partial' && !(Number.isInteger(window) && window >= 1 && fraction > 0 && fraction <= 1)) {
+            throw new Error('A partial criterion needs a positive window and 0 < fraction ≤ 1');
+        }
+        this.reset();
+    }
+
+    /**
+     * Forget the passes seen so far
+     */
+    reset() {
+        this.passes = [];
+        this.visits = new Map();
+        this.held = null;
+        this.result = { satisfied: false, state: null };
+    }
+
+    /**
+     * Record one pass around the loop and test the criterion
+     *
+     * @param {Object} pass - {input, output, convergenceError, decodeStatus}
+     * @returns {Object} - {satisfied, state}: state is the consistent word when satisfied
+     */
+    push(pass) {
+        const input = pass.input.join('');
+        const output = pass.output.join('');
+        const accepted = pass.decodeStatus !== 'uncorrectable';
+        this.passes.push({ input: input, output: output, stable: accepted && input === output });
+
+        const visit = this.visits.get(input) || { word: [...pass.input], visits: 0, stays: 0 };
+        visit.visits++;
+        if (accepted && input === output) visit.stays++;
+        this.visits.set(input, visit);
+
+        if (!this.held) this.held = pass.input.map(() => ({ count: 0, run: 0 }));
+        pass.output.forEach((bit, i) => {
+            const held = bit === pass.input[i];
+            this.held[i].count += held ? 1 : 0;
+            this.held[i].run = held ? this.held[i].run + 1 : 0;
+        });
+
+        this.result = this.test(pass, visit);
+        return this.result;
+    }
+
+    test(pass, visit) {
+        switch (this.criterion) {
+            case 'strict': {
+                const satisfied = pass.convergenceError <= this.options.tolerance &&
+                    pass.decodeStatus !== 'uncorrectable';
+                return { satisfied: satisfied, state: satisfied ? [...pass.output] : null };
+            }
+            case 'windowed': {
+                const best = this.getStableWord();
+                const satisfied = best !== null && best.count >= this.options.stable;
+                return { satisfied: satisfied, state: satisfied ? [...this.visits.get(best.key).word] : null };
+            }
+            case 'probabilistic': {
+                const satisfied = visit.visits >= this.options.samples &&
+                    visit.stays / visit.visits >= this.options.probability;
+                return { satisfied: satisfied, state: satisfied ? [...visit.word] : null };
+            }
+            case 'partial': {
+                const satisfied = this.getConsistentBits().filter(Boolean).length >=
+                    Math.ceil(this.options.fraction * this.held.length);
+                return { satisfied: satisfied, state: satisfied ? [...pass.output] : null };
+            }
+        }
+    }
+
+    /**
+     * The word with the most stable passes in the last `window` passes
+     *
+     * @returns {Object|null} - {key, count}
+     */
+    getStableWord() {
+        const counts = new Map();
+        this.passes.slice(-this.options.window).forEach(pass => {
+            if (pass.stable) counts.set(pass.input, (counts.get(pass.input) || 0) + 1);
+        });
+        if (counts.size === 0) return null;
+        const [key, count] = [...counts.entries()].reduce((a, b) => (b[1] > a[1] ? b : a));
+        return { key: key, count: count };
+    }
+
+    /**
+     * Bits that kept their value through each of the last `window` passes
+     */
+    getConsistentBits() {
+        const window = this.options.window || ConsistencyCriterion.DEFAULTS.partial.window;
+        return this.held ? this.held.map(bit => bit.run >= window) : [];
+    }
+
+    /**
+     * Estimated self-consistency probability of a word, with a Wilson interval
+     *
+     * @param {Array<number>} word - Data word
+     * @returns {Object|null} - {probability, samples, lower, upper}
+     */
+    estimateProbability(word) {
+        const visit = this.visits.get(word.join(''));
+        if (!visit) return null;
+        const interval = ConsistencyUtils.stats.proportionInterval(visit.stays, visit.visits,
+            this.options.confidence || ConsistencyCriterion.DEFAULTS.probabilistic.confidence);
+        return { probability: interval.estimate, samples: visit.visits, lower: interval.lower, upper: interval.upper };
+    }
+
+    /**
+     * Summary for the solution report
+     *
+     * The probability estimate refers to the consistent word, or to the
+     * most visited word if the criterion was not met.
+     *
+     * @returns {Object} - {criterion, options, satisfied, state, stablePasses, probability,
+     *          consistentBits, bitStability}
+     */
+    getReport() {
+        const mostVisited = [...this.visits.values()].reduce((a, b) => (!a || b.visits > a.visits ? b : a), null);
+        const word = this.result.state || (mostVisited ? mostVisited.word : null);
+        const stableWord = this.criterion === 'windowed' ? this.getStableWord() : null;
+
+        return {
+            criterion: this.criterion,
+            options: { ...this.options },
+            satisfied: this.result.satisfied,
+            state: this.result.state ? [...this.result.state] : null,
+            stablePasses: this.criterion === 'windowed' ? (stableWord ? stableWord.count : 0) : null,
+            probability: word ? this.estimateProbability(word) : null,
+            consistentBits: this.getConsistentBits(),
+            bitStability: this.held ? this.held.map(bit => bit.count / this.passes.length) : []
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyCriterion;
+} else if (typeof window !== 'undefined') {
+    window.ConsistencyCriterion = ConsistencyCriterion;
+}
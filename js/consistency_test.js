@@ -0,0 +1,153 @@
+/**
+ * Test Suite for the Consistency Criteria
+ *
+ * These tests feed hand-made sequences of passes to each criterion and run
+ * the solver under noise, where strict consistency is a matter of luck and
+ * the weak criteria give a stable answer.
+ *
+ * Test Coverage:
+ * - Strict criterion and the convergence tolerance
+ * - Windowed m-of-n stability
+ * - Probabilistic self-consistency with sample counts
+ * - Partial, per-bit consistency
+ * - Parameter validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ConsistencyCriterionTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Strict criterion is the classic convergence test', () => this.testStrict());
+        this.framework.test('Windowed criterion needs m stable passes of one word', () => this.testWindowed());
+        this.framework.test('Probabilistic criterion estimates P(U x = x)', () => this.testProbabilistic());
+        this.framework.test('Partial criterion reports consistent bits', () => this.testPartial());
+        this.framework.test('Invalid criteria are rejected', () => this.testValidation());
+    }
+
+    /**
+     * Push passes given as [input, output, status] with words written as strings
+     */
+    feed(criterion, passes) {
+        return passes.map(([input, output, status]) => {
+            const inputBits = input.split('').map(Number);
+            const outputBits = output.split('').map(Number);
+            return criterion.push({
+                input: inputBits,
+                output: outputBits,
+                convergenceError: this.solver.calculateConvergenceError(outputBits, inputBits),
+                decodeStatus: status || 'valid'
+            });
+        });
+    }
+
+    testStrict() {
+        const params = { errorRate: 0.1, seed: 21, enableAdaptiveStep: false };
+        const implicit = this.solver.solveFixedPoint([0, 1, 1, 1], params);
+        const explicit = this.solver.solveFixedPoint([0, 1, 1, 1], { ...params, consistencyCriterion: 'strict' });
+        this.framework.assertEqual(explicit.convergenceHistory, implicit.convergenceHistory, 'Strict is the default');
+        this.framework.assertEqual(implicit.consistency.criterion, 'strict', 'and is reported');
+
+        const loose = new ConsistencyCriterion('strict', { tolerance: 0.25 });
+        const results = this.feed(loose, [['0000', '1100'], ['1100', '1000'], ['1000', '1000', 'uncorrectable']]);
+        this.framework.assertEqual(results.map(result => result.satisfied), [false, true, false],
+            'The tolerance admits one changed bit; uncorrectable words never count');
+    }
+
+    testWindowed() {
+        const criterion = new ConsistencyCriterion('windowed', { stable: 3, window: 5 });
+        const results = this.feed(criterion, [
+            ['1010', '1010'],
+            ['1010', '0110'],
+            ['0110', '0110'],
+            ['0110', '1010'],
+            ['1010', '1010', 'uncorrectable'],
+            ['1010', '1010'],
+            ['1010', '1010'],
+            ['1010', '1010']
+        ]);
+        this.framework.assertEqual(results.map(result => result.satisfied),
+            [false, false, false, false, false, false, false, true],
+            'Two stable words in the window do not add up, nor do rejected passes');
+        this.framework.assertEqual(results[7].state, [1, 0, 1, 0], 'The stable word is the consistent state');
+
+        // Under noise the loop leaves its word now and then; 4 of 5 passes still settle it
+        const params = { errorRate: 0.12, seed: 3, enableAdaptiveStep: false, stopOnCycle: false };
+        const result = this.solver.solveFixedPoint([1, 1, 0, 1], { ...params, consistencyCriterion: 'windowed' });
+        this.framework.assertTrue(result.converged, 'The windowed run settles');
+        this.framework.assertTrue(result.consistency.stablePasses >= 4, 'on a word stable in 4 of the last 5 passes');
+        this.framework.assertEqual(result.finalState, result.consistency.state, 'which is the final state');
+    }
+
+    testProbabilistic() {
+        const criterion = new ConsistencyCriterion('probabilistic', { probability: 0.9, samples: 10 });
+        const passes = Array.from({ length: 10 }, (_, i) => ['0011', i === 4 ? '0111' : '0011']);
+        const results = this.feed(criterion, passes);
+        this.framework.assertEqual(results.findIndex(result => result.satisfied), 9,
+            'Satisfied once 10 samples give 9/10 stays');
+        const estimate = criterion.getReport().probability;
+        this.framework.assertEqual([estimate.probability, estimate.samples], [0.9, 10], 'Estimate and sample count');
+        this.framework.assertTrue(estimate.lower < 0.9 && estimate.upper > 0.9, 'The interval brackets the estimate');
+
+        const params = { seed: 5, stopOnCycle: false, consistencyCriterion: 'probabilistic' };
+        const quiet = this.solver.solveFixedPoint([1, 0, 1, 1], { ...params, errorRate: 0.05 });
+        this.framework.assertTrue(quiet.converged && quiet.iterations >= 20,
+            'A quiet loop is consistent after enough samples');
+        this.framework.assertTrue(quiet.consistency.probability.probability >= 0.9, 'with estimated probability ≥ 0.9');
+
+        const noisy = this.solver.solveFixedPoint([1, 0, 1, 1], { ...params, errorRate: 0.2 });
+        this.framework.assertFalse(noisy.converged, 'A noisy loop never reaches 0.9');
+        this.framework.assertTrue(noisy.consistency.probability.probability < 0.9,
+            'and its best word is reported with a lower estimate');
+    }
+
+    testPartial() {
+        // Bit 0 toggles on every pass, the other bits hold
+        const passes = Array.from({ length: 4 }, (_, i) => (i % 2 === 0 ? ['0101', '1101'] : ['1101', '0101']));
+        const partial = new ConsistencyCriterion('partial', { window: 3, fraction: 0.75 });
+        const results = this.feed(partial, passes);
+        this.framework.assertEqual(results.map(result => result.satisfied), [false, false, true, true],
+            'Three of four bits are consistent after three passes');
+        this.framework.assertEqual(partial.getReport().consistentBits, [false, true, true, true],
+            'The toggling bit is the inconsistent one');
+        this.framework.assertEqual(partial.getReport().bitStability, [0, 1, 1, 1], 'Per-bit stability');
+
+        const strictAll = new ConsistencyCriterion('partial', { window: 3 });
+        this.framework.assertFalse(this.feed(strictAll, passes).some(result => result.satisfied),
+            'By default every bit must be consistent');
+
+        const result = this.solver.solveFixedPoint([1, 0, 0, 1], {
+            errorRate: 0.05, seed: 2, consistencyCriterion: 'partial', consistencyParams: { window: 4 }
+        });
+        this.framework.assertEqual(result.consistency.consistentBits, [true, true, true, true],
+            'A settled run reports every bit consistent');
+    }
+
+    testValidation() {
+        this.framework.assertThrows(() => new ConsistencyCriterion('eventual'), Error, 'Unknown criteria are rejected');
+        this.framework.assertThrows(() => new ConsistencyCriterion('windowed', { stable: 6, window: 5 }), Error,
+            'stable cannot exceed the window');
+        this.framework.assertThrows(() => new ConsistencyCriterion('probabilistic', { probability: 1.5 }), Error,
+            'The probability must be at most 1');
+        this.framework.assertThrows(() => this.solver.solveFixedPoint([1, 0, 1, 1], {
+            method: 'mann', consistencyCriterion: 'windowed'
+        }), Error, 'Relaxed methods keep their own tolerance');
+    }
+
+    run() {
+        console.log('Running Consistency Criterion Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyCriterionTests;
+} else if (typeof window !== 'undefined') {
+    window.ConsistencyCriterionTests = ConsistencyCriterionTests;
+}
@@ -0,0 +1,509 @@
+/**
+ * Convolutional Codes with Viterbi Decoding
+ *
+ * Block codes protect each k-bit state independently. A convolutional code
+ * instead threads a shift register through the whole bit stream: every
+ * input bit produces n0 output bits, each the parity of the current input
+ * and the previous K-1 inputs selected by one generator polynomial. This
+ * models the temporal loop as a continuous stream in which each spin state
+ * carries memory of its predecessors.
+ *
+ * Generators may be given as:
+ * - numbers, read as binary tap masks (use octal literals: 0o171, 0o133)
+ * - strings, read as octal in the usual textbook notation ('171', '133')
+ * - bit arrays, most significant tap (the current input) first
+ * The most significant of the K taps always multiplies the current input.
+ *
+ * Decoding uses the Viterbi algorithm on the 2^(K-1)-state trellis with
+ * either hard (Hamming distance) or soft (LLR-weighted) branch metrics and
+ * a configurable traceback depth. The decoder returns the path metrics of
+ * every state at every step and the survivor path, so the visualiser can
+ * draw the trellis.
+ *
+ * For use in place of HammingCode the code also works in framed mode:
+ * encode/decode take a block of k = blockLength data bits and terminate the
+ * trellis with K-1 zero tail bits.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const ConvolutionalUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class ConvolutionalCode {
+    /**
+     * @param {Object} options - Code parameters
+     * @param {Array<number|string|Array<number>>} [options.generators=[0o7, 0o5]] - Generator polynomials
+     * @param {number} [options.constraintLength=3] - K, the register length including the current input
+     * @param {number} [options.blockLength=16] - Data bits per frame in framed mode
+     * @param {number} [options.tracebackDepth=5K] - Default Viterbi decision delay
+     * @param {Function} [options.random] - Uniform [0, 1) source for noise injection
+     */
+    constructor(options = {}) {
+        const constraintLength = options.constraintLength ?? 3;
+        if (!Number.isInteger(constraintLength) || constraintLength < 2 || constraintLength > 12) {
+            throw new Error('Constraint length must be an integer between 2 and 12');
+        }
+
+        const generators = (options.generators || [0o7, 0o5])
+            .map(g => ConvolutionalCode.parseGenerator(g, constraintLength));
+        if (generators.length < 2) {
+            throw new Error('At least two generator polynomials are required');
+        }
+
+        const blockLength = options.blockLength ?? 16;
+        if (!Number.isInteger(blockLength) || blockLength < 1) {
+            throw new Error('Block length must be a positive integer');
+        }
+
+        this.constraintLength = constraintLength;
+        this.generators = generators;
+        this.outputsPerBit = generators.length;
+        this.memory = constraintLength - 1;
+        this.numStates = 1 << this.memory;
+        this.tracebackDepth = options.tracebackDepth ?? 5 * constraintLength;
+        this.random = options.random || ConvolutionalUtils.random.next;
+
+        // Framed-mode parameters shared with the block codes
+        this.blockLength = blockLength;
+        this.k = blockLength;
+        this.n = (blockLength + this.memory) * this.outputsPerBit;
+        this.r = this.n - this.k;
+        this.name = `Conv(K=${constraintLength}, [${generators.map(g => g.toString(8)).join(',')}])`;
+
+        this.buildTrellis();
+    }
+
+    /**
+     * Convert a generator description to a tap mask
+     */
+    static parseGenerator(generator, constraintLength) {
+        let mask;
+        if (Array.isArray(generator)) {
+            if (!generator.every(bit => bit === 0 || bit === 1)) {
+                throw new Error('Generator bit arrays must contain only 0 and 1');
+            }
+            mask = generator.reduce((value, bit) => (value << 1) | bit, 0);
+            // Arrays shorter than K are aligned to the current input
+            mask <<= constraintLength - generator.length;
+        } else if (typeof generator === 'string') {
+            if (!/^[0-7]+$/.test(generator)) {
+                throw new Error(`Generator "${generator}" is not an octal string`);
+            }
+            mask = parseInt(generator, 8);
+        } else {
+            mask = generator;
+        }
+
+        if (!Number.isInteger(mask) || mask <= 0 || mask >= (1 << constraintLength)) {
+            throw new Error(`Generator ${generator} does not fit constraint length ${constraintLength}`);
+        }
+        return mask;
+    }
+
+    /**
+     * Precompute next states and output symbols for every (state, input)
+     *
+     * The state holds the previous K-1 inputs with the most recent in the
+     * most significant bit, so the register is (input << (K-1)) | state.
+     */
+    buildTrellis() {
+        this.nextState = [];
+        this.outputs = [];
+
+        for (let state = 0; state < this.numStates; state++) {
+            this.nextState.push([]);
+            this.outputs.push([]);
+            for (const input of [0, 1]) {
+                const register = (input << this.memory) | state;
+                this.nextState[state].push(register >> 1);
+                this.outputs[state].push(this.generators.map(g => ConvolutionalCode.parity(register & g)));
+            }
+        }
+    }
+
+    static parity(value) {
+        let bit = 0;
+        while (value) {
+            bit ^= value & 1;
+            value >>= 1;
+        }
+        return bit;
+    }
+
+    // ----------------------------------------------------------------------
+    // Streaming interface
+    // ----------------------------------------------------------------------
+
+    /**
+     * Encode an arbitrary-length bit stream
+     *
+     * @param {Array<number>} bits - Input bits
+     * @param {Object} [options] - {initialState=0, terminate=false}
+     * @returns {Object} - {encoded, finalState}; terminate appends K-1 zero tail bits
+     */
+    encodeStream(bits, options = {}) {
+        if (!Array.isArray(bits) || !bits.every(bit => bit === 0 || bit === 1)) {
+            throw new Error('Input must be an array of bits (0 or 1)');
+        }
+
+        const input = options.terminate ? [...bits, ...new Array(this.memory).fill(0)] : bits;
+        let state = options.initialState ?? 0;
+        const encoded = [];
+
+        for (const bit of input) {
+            encoded.push(...this.outputs[state][bit]);
+            state = this.nextState[state][bit];
+        }
+
+        return { encoded, finalState: state };
+    }
+
+    /**
+     * Viterbi decoding of a received stream
+     *
+     * Hard decisions use Hamming distance. Soft inputs are LLRs or BPSK
+     * samples (positive favours bit 0); the branch metric is the sum of |y|
+     * over the positions where the branch output disagrees with the sign of
+     * y, which ranks paths exactly like maximum-likelihood correlation.
+     *
+     * With a finite traceback depth D the bit at step t is decided at step
+     * t + D from the best state at that time, as a hardware decoder would.
+     * Infinity (or a depth beyond the stream) gives a full traceback.
+     *
+     * @param {Array<number>} received - n0 values per trellis step
+     * @param {Object} [options] - {soft=false, tracebackDepth, terminated=false, initialState=0}
+     * @returns {Object} - {decodedBits, survivorPath, pathMetrics, survivors, finalMetric, reencoded}
+     */
+    decodeStream(received, options = {}) {
+        const soft = Boolean(options.soft);
+        if (!Array.isArray(received) || received.length % this.outputsPerBit !== 0 ||
+            !received.every(value => (soft ? Number.isFinite(value) : value === 0 || value === 1))) {
+            throw new Error(`Received stream must be a multiple of ${this.outputsPerBit} ` +
+                (soft ? 'finite soft values' : 'bits (0 or 1)'));
+        }
+
+        const steps = received.length / this.outputsPerBit;
+        const tracebackDepth = options.tracebackDepth ?? this.tracebackDepth;
+        const initialState = options.initialState ?? 0;
+
+        // pathMetrics[t][s]: best metric of any path ending in state s after t steps
+        let metrics = new Float64Array(this.numStates).fill(Infinity);
+        metrics[initialState] = 0;
+        const pathMetrics = [Array.from(metrics)];
+        const survivors = [];  // survivors[t][s] = predecessor state at step t
+        const decisions = new Array(steps);
+
+        for (let t = 0; t < steps; t++) {
+            const symbol = received.slice(t * this.outputsPerBit, (t + 1) * this.outputsPerBit);
+            const nextMetrics = new Float64Array(this.numStates).fill(Infinity);
+            const predecessors = new Int32Array(this.numStates).fill(-1);
+
+            for (let state = 0; state < this.numStates; state++) {
+                if (metrics[state] === Infinity) continue;
+                for (const input of [0, 1]) {
+                    const next = this.nextState[state][input];
+                    const candidate = metrics[state] + this.branchMetric(this.outputs[state][input], symbol, soft);
+                    if (candidate < nextMetrics[next]) {
+                        nextMetrics[next] = candidate;
+                        predecessors[next] = state;
+                    }
+                }
+            }
+
+            metrics = nextMetrics;
+            pathMetrics.push(Array.from(metrics));
+            survivors.push(Array.from(predecessors));
+
+            // Sliding-window decision for step t - D
+            if (Number.isFinite(tracebackDepth) && t >= tracebackDepth) {
+                const path = this.traceback(survivors, t + 1, this.bestState(metrics), tracebackDepth + 2);
+                decisions[t - tracebackDepth] = this.inputBetween(path[0], path[1]);
+            }
+        }
+
+        // Flush the remaining decisions from the final state
+        const finalState = options.terminated ? 0 : this.bestState(metrics);
+        const fullPath = this.traceback(survivors, steps, finalState, steps + 1);
+        for (let t = 0; t < steps; t++) {
+            if (decisions[t] === undefined) {
+                decisions[t] = this.inputBetween(fullPath[t], fullPath[t + 1]);
+            }
+        }
+
+        // The survivor path follows the decisions actually made
+        const survivorPath = [initialState];
+        for (let t = 0; t < steps; t++) {
+            survivorPath.push(this.nextState[survivorPath[t]][decisions[t]]);
+        }
+        const reencoded = this.encodeStream(decisions, { initialState }).encoded;
+
+        return {
+            decodedBits: decisions,
+            survivorPath,
+            pathMetrics,
+            survivors,
+            finalMetric: pathMetrics[steps][finalState],
+            reencoded
+        };
+    }
+
+    branchMetric(expected, symbol, soft) {
+        let metric = 0;
+        for (let i = 0; i < expected.length; i++) {
+            if (soft) {
+                const hard = symbol[i] < 0 ? 1 : 0;
+                if (hard !== expected[i]) metric += Math.abs(symbol[i]);
+            } else if (symbol[i] !== expected[i]) {
+                metric++;
+            }
+        }
+        return metric;
+    }
+
+    bestState(metrics) {
+        let best = 0;
+        for (let state = 1; state < metrics.length; state++) {
+            if (metrics[state] < metrics[best]) best = state;
+        }
+        return best;
+    }
+
+    /**
+     * Follow survivor pointers back from a state
+     *
+     * @returns {Array<number>} - The last `length` states of the path, oldest first
+     */
+    traceback(survivors, endStep, endState, length) {
+        const path = [endState];
+        let state = endState;
+        for (let t = endStep - 1; t >= 0 && path.length < length; t--) {
+            state = survivors[t][state];
+            path.unshift(state);
+        }
+        return path;
+    }
+
+    /**
+     * The input bit that moves `from` to `to` is the new register MSB
+     */
+    inputBetween(from, to) {
+        return (to >> (this.memory - 1)) & 1;
+    }
+
+    // ----------------------------------------------------------------------
+    // Framed interface (matches HammingCode)
+    // ----------------------------------------------------------------------
+
+    /**
+     * Encode one frame of k data bits with a zero tail
+     *
+     * @param {Array<number>} dataBits - k data bits
+     * @returns {Array<number>} - n = (k + K - 1)·n0 code bits
+     */
+    encode(dataBits) {
+        if (!this.validateDataBits(dataBits)) {
+            throw new Error(`Input must be array of exactly ${this.k} bits (0 or 1)`);
+        }
+        return this.encodeStream(dataBits, { terminate: true }).encoded;
+    }
+
+    /**
+     * Decode one terminated frame
+     *
+     * @param {Array<number>} received - n hard bits, or n soft values with options.soft
+     * @param {Object} [options] - {soft, tracebackDepth}
+     * @returns {Object} - HammingCode-shaped result plus {pathMetric, trellis}
+     */
+    decode(received, options = {}) {
+        const soft = Boolean(options.soft);
+        if (soft ? !(Array.isArray(received) && received.length === this.n) : !this.validateCodeword(received)) {
+            throw new Error(`Codeword must be array of exactly ${this.n} ${soft ? 'soft values' : 'bits (0 or 1)'}`);
+        }
+
+        const result = this.decodeStream(received, {
+            soft,
+            terminated: true,
+            tracebackDepth: options.tracebackDepth
+        });
+
+        const hardReceived = soft ? received.map(value => (value < 0 ? 1 : 0)) : received;
+        const errorPositions = [];
+        for (let i = 0; i < this.n; i++) {
+            if (result.reencoded[i] !== hardReceived[i]) errorPositions.push(i);
+        }
+
+        return {
+            dataBits: result.decodedBits.slice(0, this.k),
+            correctedCodeword: result.reencoded,
+            errorDetected: errorPositions.length > 0,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions,
+            status: errorPositions.length > 0 ? 'corrected' : 'valid',
+            pathMetric: result.finalMetric,
+            trellis: {
+                pathMetrics: result.pathMetrics,
+                survivors: result.survivors,
+                survivorPath: result.survivorPath
+            }
+        };
+    }
+
+    /**
+     * Soft-decision decoding of one frame
+     *
+     * Viterbi only needs the sign and relative size of each observation, so
+     * LLRs and BPSK samples are used as they are; options.noiseVariance is
+     * accepted for interface compatibility with the block codes.
+     *
+     * @param {Array<number>} observations - n LLRs or BPSK samples (positive favours 0)
+     * @param {Object} [options] - {tracebackDepth}
+     * @returns {Object} - decode() result
+     */
+    decodeSoft(observations, options = {}) {
+        return this.decode(observations, { ...options, soft: true });
+    }
+
+    /**
+     * Inject random errors into codeword for testing
+     *
+     * @param {Array<number>} codeword - Original codeword
+     * @param {number} errorRate - Probability of bit flip (0.0 to 1.0)
+     * @returns {Array<number>} - Codeword with injected errors
+     */
+    injectErrors(codeword, errorRate) {
+        const noisyCodeword = [...codeword];
+
+        for (let i = 0; i < codeword.length; i++) {
+            if (this.random() < errorRate) {
+                noisyCodeword[i] ^= 1;
+            }
+        }
+
+        return noisyCodeword;
+    }
+
+    validateDataBits(dataBits) {
+        return Array.isArray(dataBits) &&
+            dataBits.length === this.k &&
+            dataBits.every(bit => bit === 0 || bit === 1);
+    }
+
+    validateCodeword(codeword) {
+        return Array.isArray(codeword) &&
+            codeword.length === this.n &&
+            codeword.every(bit => bit === 0 || bit === 1);
+    }
+
+    hammingDistance(word1, word2) {
+        let distance = 0;
+        for (let i = 0; i < word1.length; i++) {
+            if (word1[i] !== word2[i]) distance++;
+        }
+        return distance;
+    }
+
+    // ----------------------------------------------------------------------
+    // Code properties
+    // ----------------------------------------------------------------------
+
+    /**
+     * Free distance: the lowest output weight of any path that leaves the
+     * all-zero state and returns to it (Dijkstra over the trellis)
+     *
+     * @returns {number} - d_free
+     */
+    calculateFreeDistance() {
+        if (this.freeDistance !== undefined) return this.freeDistance;
+
+        const distance = new Array(this.numStates).fill(Infinity);
+        const visited = new Array(this.numStates).fill(false);
+        const weight = bits => bits.reduce((sum, bit) => sum + bit, 0);
+
+        // Leave state 0 with a 1; the return to state 0 is tracked separately
+        const start = this.nextState[0][1];
+        distance[start] = weight(this.outputs[0][1]);
+        let best = Infinity;
+
+        for (;;) {
+            let state = -1;
+            for (let s = 1; s < this.numStates; s++) {
+                if (!visited[s] && distance[s] < Infinity && (state === -1 || distance[s] < distance[state])) {
+                    state = s;
+                }
+            }
+            if (state === -1 || distance[state] >= best) break;
+            visited[state] = true;
+
+            for (const input of [0, 1]) {
+                const next = this.nextState[state][input];
+                const candidate = distance[state] + weight(this.outputs[state][input]);
+                if (next === 0) {
+                    best = Math.min(best, candidate);
+                } else if (candidate < distance[next]) {
+                    distance[next] = candidate;
+                }
+            }
+        }
+
+        this.freeDistance = best;
+        return best;
+    }
+
+    /**
+     * A code is catastrophic when its generators share a common factor:
+     * finitely many channel errors can then cause infinitely many decoding errors
+     *
+     * @returns {boolean} - True if gcd of the generator polynomials is not 1
+     */
+    isCatastrophic() {
+        const degree = value => 31 - Math.clz32(value);
+        const gcd = (a, b) => {
+            while (b) {
+                let remainder = a;
+                while (remainder && degree(remainder) >= degree(b)) {
+                    remainder ^= b << (degree(remainder) - degree(b));
+                }
+                [a, b] = [b, remainder];
+            }
+            return a;
+        };
+        return this.generators.reduce(gcd) !== 1;
+    }
+
+    /**
+     * Get code properties and statistics
+     *
+     * @returns {Object} - Code properties
+     */
+    getCodeProperties() {
+        const freeDistance = this.calculateFreeDistance();
+
+        return {
+            name: this.name,
+            n: this.n,
+            k: this.k,
+            r: this.r,
+            codeRate: this.k / this.n,
+            asymptoticRate: 1 / this.outputsPerBit,
+            constraintLength: this.constraintLength,
+            generators: this.generators.map(g => g.toString(8)),
+            numStates: this.numStates,
+            tracebackDepth: this.tracebackDepth,
+            minimumDistance: freeDistance,
+            freeDistance: freeDistance,
+            errorCorrectionCapability: Math.floor((freeDistance - 1) / 2),
+            errorDetectionCapability: freeDistance - 1,
+            catastrophic: this.isCatastrophic(),
+            totalCodewords: Math.pow(2, this.k),
+            redundancy: this.r / this.n,
+            weightDistribution: null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConvolutionalCode;
+} else if (typeof window !== 'undefined') {
+    window.ConvolutionalCode = ConvolutionalCode;
+}
@@ -0,0 +1,155 @@
+/**
+ * Test Suite for Convolutional Codes
+ *
+ * These tests verify the shift-register encoder against textbook output,
+ * the free distance of standard codes, and hard- and soft-decision Viterbi
+ * decoding including traceback depth control and the trellis data returned
+ * for visualisation.
+ *
+ * Test Coverage:
+ * - Generator parsing (octal strings, tap masks, bit arrays)
+ * - Encoder output and trellis termination
+ * - Free distance and catastrophic code detection
+ * - Hard-decision Viterbi error correction
+ * - Soft-decision decoding and traceback depth
+ * - Path metrics and survivor path
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ConvolutionalCodeTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.code = new ConvolutionalCode({ generators: ['7', '5'], constraintLength: 3, blockLength: 8 });
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Generator formats are equivalent', () => this.testGeneratorParsing());
+        this.framework.test('Encoder matches the (7,5) textbook sequence', () => this.testEncoder());
+        this.framework.test('Free distance of standard codes', () => this.testFreeDistance());
+        this.framework.test('Catastrophic generators are flagged', () => this.testCatastrophic());
+        this.framework.test('Hard Viterbi corrects isolated errors', () => this.testHardDecoding());
+        this.framework.test('Soft Viterbi uses reliabilities', () => this.testSoftDecoding());
+        this.framework.test('Traceback depth controls decision delay', () => this.testTracebackDepth());
+        this.framework.test('Trellis output describes the survivor path', () => this.testTrellisOutput());
+        this.framework.test('Fixed-point solver accepts a convolutional code', () => this.testSolverIntegration());
+    }
+
+    testGeneratorParsing() {
+        const fromMasks = new ConvolutionalCode({ generators: [0o171, 0o133], constraintLength: 7 });
+        const fromOctal = new ConvolutionalCode({ generators: ['171', '133'], constraintLength: 7 });
+        const fromBits = new ConvolutionalCode({
+            generators: [[1, 1, 1, 1, 0, 0, 1], [1, 0, 1, 1, 0, 1, 1]], constraintLength: 7
+        });
+
+        this.framework.assertEqual(fromOctal.generators, fromMasks.generators, 'Octal strings equal masks');
+        this.framework.assertEqual(fromBits.generators, fromMasks.generators, 'Bit arrays equal masks');
+        this.framework.assertThrows(() => new ConvolutionalCode({ generators: ['17', '5'], constraintLength: 3 }),
+            Error, 'Generator longer than K should be rejected');
+    }
+
+    testEncoder() {
+        // Input 1011 with two tail zeros gives 11 10 00 01 01 11
+        const { encoded, finalState } = this.code.encodeStream([1, 0, 1, 1], { terminate: true });
+
+        this.framework.assertEqual(encoded.join(''), '111000010111', 'Encoder output');
+        this.framework.assertEqual(finalState, 0, 'Tail bits return the encoder to state 0');
+        this.framework.assertEqual(this.code.n, (8 + 2) * 2, 'Framed length includes the tail');
+    }
+
+    testFreeDistance() {
+        this.framework.assertEqual(this.code.calculateFreeDistance(), 5, '(7,5) code has d_free = 5');
+
+        const nasa = new ConvolutionalCode({ generators: ['171', '133'], constraintLength: 7 });
+        this.framework.assertEqual(nasa.getCodeProperties().freeDistance, 10, '(171,133) code has d_free = 10');
+        this.framework.assertEqual(nasa.numStates, 64, 'K = 7 gives 64 states');
+    }
+
+    testCatastrophic() {
+        // 1 + x and 1 + x² = (1 + x)² share the factor 1 + x
+        const catastrophic = new ConvolutionalCode({ generators: [0b110, 0b101], constraintLength: 3 });
+        this.framework.assertTrue(catastrophic.isCatastrophic(), 'Common factor should be detected');
+        this.framework.assertFalse(this.code.isCatastrophic(), '(7,5) is not catastrophic');
+    }
+
+    testHardDecoding() {
+        const dataBits = [1, 1, 0, 1, 0, 0, 1, 0];
+        const codeword = this.code.encode(dataBits);
+
+        for (const positions of [[0], [5], [2, 11], [1, 19]]) {
+            const received = [...codeword];
+            positions.forEach(p => { received[p] ^= 1; });
+
+            const result = this.code.decode(received);
+            this.framework.assertEqual(result.dataBits, dataBits, `Errors at ${positions} should be corrected`);
+            this.framework.assertEqual(result.errorPositions, positions, 'Flipped bits should be reported');
+            this.framework.assertEqual(result.pathMetric, positions.length, 'Path metric counts the errors');
+        }
+    }
+
+    testSoftDecoding() {
+        const dataBits = [0, 1, 1, 0, 1, 0, 1, 1];
+        const samples = this.code.encode(dataBits).map(bit => (bit ? -1 : 1));
+
+        // Three weak wrong-sign samples in one constraint span defeat hard decisions
+        [4, 5, 6].forEach(p => { samples[p] = -0.1 * samples[p]; });
+
+        const hard = this.code.decode(samples.map(y => (y < 0 ? 1 : 0)));
+        const soft = this.code.decode(samples, { soft: true });
+
+        this.framework.assertEqual(soft.dataBits, dataBits, 'Soft decoding should recover the data');
+        this.framework.assertTrue(soft.pathMetric < 1, 'Soft metric should only pay for the weak samples');
+        this.framework.assertTrue(hard.pathMetric >= soft.pathMetric, 'Hard metric is at least the soft one');
+    }
+
+    testTracebackDepth() {
+        const code = new ConvolutionalCode({ generators: ['171', '133'], constraintLength: 7 });
+        const bits = Array.from({ length: 60 }, (_, i) => (i * 7 + 3) % 5 < 2 ? 1 : 0);
+        const received = code.encodeStream(bits, { terminate: true }).encoded;
+        received[10] ^= 1;
+        received[61] ^= 1;
+
+        const full = code.decodeStream(received, { terminated: true, tracebackDepth: Infinity });
+        const windowed = code.decodeStream(received, { terminated: true, tracebackDepth: 35 });
+
+        this.framework.assertEqual(full.decodedBits.slice(0, 60), bits, 'Full traceback decodes correctly');
+        this.framework.assertEqual(windowed.decodedBits.slice(0, 60), bits, 'Depth 5K matches full traceback');
+    }
+
+    testTrellisOutput() {
+        const dataBits = [1, 0, 1, 1, 0, 0, 1, 0];
+        const received = this.code.encode(dataBits);
+        received[3] ^= 1;
+
+        const { trellis } = this.code.decode(received);
+        const steps = 8 + 2;
+
+        this.framework.assertEqual(trellis.pathMetrics.length, steps + 1, 'One metric column per trellis time');
+        this.framework.assertEqual(trellis.pathMetrics[0], [0, Infinity, Infinity, Infinity],
+            'Decoding starts in state 0');
+        this.framework.assertEqual(trellis.survivorPath.length, steps + 1, 'Survivor path visits every time');
+        this.framework.assertEqual(trellis.survivorPath[steps], 0, 'Terminated path ends in state 0');
+        this.framework.assertEqual(trellis.pathMetrics[steps][0], 1, 'Final metric equals the error count');
+    }
+
+    testSolverIntegration() {
+        const solver = new RetrocausalFixedPointSolver(this.code);
+        const result = solver.solveFixedPoint([1, 0, 0, 1, 1, 0, 1, 0], { errorRate: 0.02, maxIterations: 20 });
+
+        this.framework.assertEqual(result.finalState.length, 8, 'State should be one 8-bit frame');
+        this.framework.assertTrue(result.iterations >= 1, 'Solver should run');
+    }
+
+    run() {
+        console.log('Running Convolutional Code Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConvolutionalCodeTests;
+} else if (typeof window !== 'undefined') {
+    window.ConvolutionalCodeTests = ConvolutionalCodeTests;
+}
@@ -0,0 +1,237 @@
+/**
+ * Cycle Detection for Fixed-Point Iteration
+ *
+ * When the retrocausal loop does not settle, the sequence of decoded words
+ * x_0, x_1, ... often bounces between a few codewords instead of moving at
+ * random. This module watches the sequence online and recognizes two kinds
+ * of recurrence:
+ *
+ * - Exact limit cycles x_(t+λ) = x_t with λ ≥ 2, found with Brent's algorithm (power-
+ *   of-two tortoise jumps) or Floyd's tortoise and hare. Under noise a
+ *   single repeat can be a coincidence, so a candidate period only counts
+ *   once the sequence has followed it for `confirmations` further
+ *   periods; a mismatch restarts the search from the current word.
+ * - Noisy cycles: for some period λ ≤ maxPeriod, the most frequent word at
+ *   each phase of the last `window` words accounts for a fraction ≥
+ *   agreement of the window. These words are the cycle members; they must
+ *   explain clearly more of the window than its most frequent word alone.
+ *
+ * Detected cycles are reported as {length, members, firstEntry, detectedAt,
+ * exact, agreement}, where firstEntry is the index of the first word from
+ * which the sequence follows the cycle.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class CycleDetector {
+    static ALGORITHMS = ['brent', 'floyd'];
+
+    /**
+     * @param {Object} options - Detection parameters
+     * @param {string} [options.algorithm='brent'] - 'brent' or 'floyd' for exact cycles
+     * @param {number} [options.confirmations=2] - Extra periods an exact candidate must repeat
+     * @param {number} [options.window=24] - Words examined for noisy cycles (0 disables them)
+     * @param {number} [options.maxPeriod=8] - Longest noisy period considered
+     * @param {number} [options.agreement=0.8] - Fraction of the window that must follow the period
+     */
+    constructor(options = {}) {
+        this.options = {
+            algorithm: 'brent',
+            confirmations: 2,
+            window: 24,
+            maxPeriod: 8,
+            agreement: 0.8,
+            ...options
+        };
+        if (!CycleDetector.ALGORITHMS.includes(this.options.algorithm)) {
+            throw new Error(`Unknown cycle detection algorithm "${this.options.algorithm}". Use 'brent' or 'floyd'`);
+        }
+        if (!(this.options.agreement > 0.5 && this.options.agreement <= 1)) {
+            throw new Error('Noisy cycle agreement must lie in (0.5, 1]');
+        }
+        this.reset();
+    }
+
+    /**
+     * Forget the sequence
+     */
+    reset() {
+        this.sequence = [];
+        this.keys = [];
+        this.searchStart = 0;
+        this.candidate = null;
+
+        // Brent state: tortoise index, current power and distance to the hare
+        this.tortoise = 0;
+        this.power = 1;
+        this.distance = 0;
+    }
+
+    /**
+     * Append the next word of the sequence
+     *
+     * @param {Array<number>} state - Word x_t
+     * @returns {Object|null} - The detected cycle, or null
+     */
+    push(state) {
+        this.sequence.push([...state]);
+        this.keys.push(state.join(''));
+        return this.checkExact() || this.checkNoisy();
+    }
+
+    /**
+     * Confirm or refute the current candidate, or look for a new one
+     */
+    checkExact() {
+        const t = this.keys.length - 1;
+
+        if (this.candidate) {
+            const { length, foundAt } = this.candidate;
+            if (this.keys[t] !== this.keys[t - length]) {
+                this.restartSearch(t);
+                return null;
+            }
+            if (t - foundAt >= this.options.confirmations * length) {
+                return this.describeExact(length);
+            }
+            return null;
+        }
+
+        const length = this.options.algorithm === 'brent' ? this.brentStep(t) : this.floydStep(t);
+        if (length === null) return null;
+        if (length === 1) {
+            // A repeated word is the convergence test's business, not a cycle
+            this.restartSearch(t);
+            return null;
+        }
+        this.candidate = { length: length, foundAt: t };
+        return this.options.confirmations === 0 ?
+            this.describeExact(length) : null;
+    }
+
+    /**
+     * Brent: compare the hare with a tortoise that jumps to it at powers of two
+     *
+     * @returns {number|null} - Candidate period
+     */
+    brentStep(t) {
+        if (t === this.searchStart) return null;
+        this.distance++;
+        if (this.keys[t] === this.keys[this.tortoise]) return this.distance;
+        if (this.distance === this.power) {
+            this.tortoise = t;
+            this.power *= 2;
+            this.distance = 0;
+        }
+        return null;
+    }
+
+    /**
+     * Floyd: the hare x_(2i) meets the tortoise x_i inside the cycle; the
+     * period is then the distance to the next occurrence of the meeting word
+     *
+     * @returns {number|null} - Candidate period
+     */
+    floydStep(t) {
+        const offset = t - this.searchStart;
+        if (offset === 0 || offset % 2 !== 0) return null;
+        const tortoise = this.searchStart + offset / 2;
+        if (this.keys[t] !== this.keys[tortoise]) return null;
+
+        for (let length = 1; length <= offset / 2; length++) {
+            if (this.keys[tortoise + length] === this.keys[tortoise]) return length;
+        }
+        return null;
+    }
+
+    restartSearch(t) {
+        this.candidate = null;
+        this.searchStart = this.tortoise = t;
+        this.power = 1;
+        this.distance = 0;
+    }
+
+    /**
+     * Exact cycle starting at the earliest index from which the sequence is periodic
+     */
+    describeExact(length) {
+        let entry = this.keys.length - 1 - length;
+        while (entry > 0 && this.keys[entry - 1] === this.keys[entry - 1 + length]) entry--;
+        return this.describeCycle(length, entry, this.keys.slice(entry, entry + length), true, 1);
+    }
+
+    /**
+     * Look for a dominant period in the recent window
+     */
+    checkNoisy() {
+        const { window, maxPeriod, agreement } = this.options;
+        const t = this.keys.length - 1;
+        if (window === 0 || t + 1 < window) return null;
+
+        // The shortest period whose phases the window mostly follows. A word
+        // that mostly repeats itself is sticking, not cycling, so the cycle
+        // must explain more words than its most frequent word alone, by more
+        // than the noise the agreement tolerates.
+        const start = t - window + 1;
+        const counts = new Map();
+        for (let i = start; i <= t; i++) counts.set(this.keys[i], (counts.get(this.keys[i]) || 0) + 1);
+        const sticking = Math.max(...counts.values());
+        let length = 0;
+        let members = null;
+        let matches = 0;
+        for (let candidate = 2; candidate <= maxPeriod && !members; candidate++) {
+            const phases = Array.from({ length: candidate }, (_, phase) => {
+                const counts = new Map();
+                for (let i = start + phase; i <= t; i += candidate) {
+                    counts.set(this.keys[i], (counts.get(this.keys[i]) || 0) + 1);
+                }
+                return [...counts.entries()].reduce((a, b) => (b[1] > a[1] ? b : a));
+            });
+            const following = phases.reduce((sum, [, count]) => sum + count, 0);
+            if (following / window >= agreement && following - sticking > (1 - agreement) * window) {
+                length = candidate;
+                members = phases.map(([key]) => key);
+                matches = following;
+            }
+        }
+        if (!members) return null;
+
+        const phaseOf = i => ((i - start) % length + length) % length;
+        const follows = i => this.keys[i] === members[phaseOf(i)];
+
+        // Extend the stretch backwards while it keeps the agreement, then
+        // start it at its first word that actually follows the cycle
+        let entry = start;
+        while (entry > 0) {
+            const extra = follows(entry - 1) ? 1 : 0;
+            if ((matches + extra) / (t - entry + 2) < agreement) break;
+            matches += extra;
+            entry--;
+        }
+        while (!follows(entry)) entry++;
+
+        const rotated = members.map((_, j) => members[(phaseOf(entry) + j) % length]);
+        return this.describeCycle(length, entry, rotated, false, matches / (t - entry + 1));
+    }
+
+    /**
+     * Cycle report; members are given as sequence keys in phase order from firstEntry
+     */
+    describeCycle(length, firstEntry, members, exact, agreement) {
+        return {
+            length: length,
+            members: members.map(key => [...this.sequence[this.keys.indexOf(key, firstEntry)]]),
+            firstEntry: firstEntry,
+            detectedAt: this.keys.length - 1,
+            exact: exact,
+            agreement: agreement
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CycleDetector;
+} else if (typeof window !== 'undefined') {
+    window.CycleDetector = CycleDetector;
+}
@@ -0,0 +1,175 @@
+/**
+ * Test Suite for Cycle Detection
+ *
+ * These tests feed the detector sequences with known periods and entry
+ * points, with and without noise, and check how the fixed-point solver
+ * classifies runs that do not converge.
+ *
+ * Test Coverage:
+ * - Brent and Floyd detection of exact limit cycles
+ * - Confirmation of candidate periods under noise
+ * - Noisy multi-state patterns
+ * - Solver outcomes: converged, cycle, wandering, maxIterations
+ * - Default runs, which detection reports on without stopping
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class CycleDetectorTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Brent and Floyd find period and entry', () => this.testExactCycle());
+        this.framework.test('Coincidental repeats are not cycles', () => this.testConfirmation());
+        this.framework.test('Noisy patterns are recognized', () => this.testNoisyCycle());
+        this.framework.test('Random sequences have no cycle', () => this.testRandomSequence());
+        this.framework.test('Solver reports how each run ended', () => this.testSolverOutcomes());
+        this.framework.test('Detection alone leaves runs as they were', () => this.testDefaultRuns());
+    }
+
+    /**
+     * Push words until a cycle is reported
+     */
+    feed(detector, words) {
+        for (const word of words) {
+            const cycle = detector.push([word]);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+
+    testExactCycle() {
+        // Three transient words, then 1 → 2 → 9 → 1 ...
+        const words = [5, 3, 7, ...Array(8).fill([1, 2, 9]).flat()];
+
+        CycleDetector.ALGORITHMS.forEach(algorithm => {
+            const cycle = this.feed(new CycleDetector({ algorithm: algorithm }), words);
+            this.framework.assertEqual(cycle.length, 3, `${algorithm} finds the period`);
+            this.framework.assertEqual(cycle.firstEntry, 3, `${algorithm} finds the first entry`);
+            this.framework.assertEqual(cycle.members, [[1], [2], [9]], 'Members in phase order');
+            this.framework.assertTrue(cycle.exact, 'The cycle is exact');
+        });
+
+        const alternating = Array(10).fill([4, 6]).flat();
+        const immediate = this.feed(new CycleDetector({ confirmations: 0 }), alternating);
+        const confirmed = this.feed(new CycleDetector({ confirmations: 2 }), alternating);
+        this.framework.assertEqual(confirmed.detectedAt - immediate.detectedAt, 4,
+            'Two confirmations wait two more periods');
+    }
+
+    testConfirmation() {
+        // 2 4 2 looks like period 2 but the sequence moves on
+        const words = [1, 2, 4, 2, 3, 5, 8, 13, 21, 34];
+        this.framework.assertEqual(this.feed(new CycleDetector({ window: 0, confirmations: 0 }), words).length, 2,
+            'Unconfirmed, the repeat is taken for a cycle');
+        this.framework.assertEqual(this.feed(new CycleDetector({ window: 0 }), words), null,
+            'Confirmation rejects it');
+
+        const cycle = this.feed(new CycleDetector({ window: 0 }), [...words, ...Array(8).fill([6, 4]).flat()]);
+        this.framework.assertEqual(cycle.length, 2, 'The real cycle is found after the restart');
+        this.framework.assertEqual(cycle.members, [[6], [4]], 'It starts where 6 4 begins repeating');
+    }
+
+    testNoisyCycle() {
+        // 0 ↔ 1 with every fifth word replaced by noise
+        const words = Array.from({ length: 60 }, (_, t) => (t % 5 === 4 ? 2 + (t % 3) : t % 2));
+        const cycle = this.feed(new CycleDetector({ confirmations: 100 }), words);
+
+        this.framework.assertTrue(cycle !== null, 'The pattern is detected');
+        this.framework.assertFalse(cycle.exact, 'as a noisy cycle');
+        this.framework.assertEqual(cycle.length, 2, 'of period two');
+        this.framework.assertEqual(new Set(cycle.members.map(member => member[0])), new Set([0, 1]),
+            'visiting 0 and 1');
+        this.framework.assertTrue(cycle.agreement >= 0.8 && cycle.agreement < 1, 'Agreement reflects the noise');
+
+        const random = RetrocausalUtils.random.createGenerator(5);
+        const sticking = Array.from({ length: 60 }, () => (random() < 0.15 ? 3 : 0));
+        this.framework.assertEqual(this.feed(new CycleDetector({ confirmations: 100 }), sticking), null,
+            'A word that mostly repeats itself is not a cycle');
+    }
+
+    testRandomSequence() {
+        const random = RetrocausalUtils.random.createGenerator(11);
+        const words = Array.from({ length: 500 }, () => Math.floor(random() * 16));
+        this.framework.assertEqual(this.feed(new CycleDetector(), words), null, 'No cycle in 500 random words');
+        this.framework.assertThrows(() => new CycleDetector({ algorithm: 'gosper' }), Error,
+            'Unknown algorithms are rejected');
+    }
+
+    testSolverOutcomes() {
+        const data = [1, 0, 1, 1];
+
+        const converged = this.solver.solveFixedPoint(data, { errorRate: 0, seed: 1 });
+        this.framework.assertEqual(converged.outcome, 'converged', 'A clean channel converges');
+        this.framework.assertEqual(converged.cycle, null, 'without a cycle');
+
+        // Every bit flips: the decoder returns the complement, which maps back
+        const inverted = this.solver.solveFixedPoint(data, { errorRate: 1, enableAdaptiveStep: false, seed: 1, stopOnCycle: true });
+        this.framework.assertEqual(inverted.outcome, 'cycle', 'The inverting channel cycles');
+        this.framework.assertEqual(inverted.cycle.members, [data, [0, 1, 0, 0]], 'between the word and its complement');
+        this.framework.assertEqual(inverted.cycle.firstEntry, 0, 'from the start');
+        this.framework.assertTrue(inverted.iterations < 10, 'and stops once the cycle is confirmed');
+
+        const running = this.solver.solveFixedPoint(data, {
+            errorRate: 1, enableAdaptiveStep: false, seed: 1, stopOnCycle: false, maxIterations: 20
+        });
+        this.framework.assertEqual(running.iterations, 21, 'stopOnCycle: false runs to the limit');
+        this.framework.assertEqual(running.outcome, 'cycle', 'and still reports the cycle');
+
+        // Occasional correct decodes knock the loop onto other complementary pairs
+        const noisy = this.solver.solveFixedPoint(data, {
+            errorRate: 0.93, enableAdaptiveStep: false, seed: 4, cycleParams: { confirmations: 100 }, stopOnCycle: true
+        });
+        this.framework.assertEqual(noisy.outcome, 'cycle', 'A noisy bounce is a cycle');
+        this.framework.assertFalse(noisy.cycle.exact, 'found by the noisy detector');
+        this.framework.assertEqual(noisy.cycle.members.map(member => member.join('')), ['0010', '1101'],
+            'between the pair it settled on');
+
+        const wandering = this.solver.solveFixedPoint(data, { errorRate: 1, seed: 3 });
+        this.framework.assertEqual(wandering.outcome, 'wandering', 'Random damping scrambles the cycle');
+
+        const slow = this.solver.solveFixedPoint(data, { errorRate: 0.05, seed: 3, method: 'halpern', maxIterations: 60 });
+        this.framework.assertEqual(slow.outcome, 'maxIterations', 'Halpern is still improving at the limit');
+    }
+
+    testDefaultRuns() {
+        const data = [1, 0, 1, 1];
+        const undetected = { cycleDetection: null };
+        const outcome = report => [report.finalState, report.converged, report.iterations, report.convergenceHistory];
+
+        // A cycle is found but, by default, the run goes on to maxIterations as before
+        const params = { errorRate: 1, enableAdaptiveStep: false, seed: 1 };
+        const bouncing = this.solver.solveFixedPoint(data, params);
+        this.framework.assertEqual([bouncing.outcome, bouncing.iterations], ['cycle', 101], 'Cycles are reported, not stopped at');
+        this.framework.assertEqual(outcome(bouncing), outcome(this.solver.solveFixedPoint(data, { ...params, ...undetected })),
+            'The run is the one without detection');
+
+        [0.05, 0.3, 0.6].forEach(errorRate => {
+            const detected = this.solver.solveFixedPoint(data, { errorRate: errorRate, seed: 7 });
+            this.framework.assertEqual(outcome(detected),
+                outcome(this.solver.solveFixedPoint(data, { errorRate: errorRate, seed: 7, ...undetected })),
+                `Noisy runs at p = ${errorRate} keep their outcome`);
+        });
+
+        const analysis = this.solver.runStatisticalAnalysis(30, { errorRate: 0.3, seed: 2 });
+        const baseline = this.solver.runStatisticalAnalysis(30, { errorRate: 0.3, seed: 2, ...undetected });
+        this.framework.assertEqual([analysis.successRate, analysis.averageIterations],
+            [baseline.successRate, baseline.averageIterations], 'and so do success rates and iteration counts');
+    }
+
+    run() {
+        console.log('Running Cycle Detection Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CycleDetectorTests;
+} else if (typeof window !== 'undefined') {
+    window.CycleDetectorTests = CycleDetectorTests;
+}
@@ -0,0 +1,499 @@
+/**
+ * Deutsch Closed-Timelike-Curve Solver
+ *
+ * This module solves Deutsch's consistency condition on actual density
+ * matrices. A chronology-respecting system in state ρ interacts with a
+ * register on the closed timelike curve through a joint unitary U on
+ * system ⊗ CTC. The CTC state must be reproduced by the interaction:
+ *
+ *   τ = Φ(τ) = Tr_sys[ U (ρ ⊗ τ) U† ]
+ *
+ * and the system leaves the interaction in ρ_out = Tr_CTC[ U (ρ ⊗ τ) U† ].
+ * A noisy interaction may be given as Kraus operators A on system ⊗ CTC,
+ * replacing U(·)U† by Σ A(·)A† throughout.
+ * Φ is a quantum channel on the CTC register, so a fixed point always
+ * exists (Schauder), which is how Deutsch's model dissolves the classical
+ * grandfather paradox: the paradoxical loop settles on a mixed state.
+ *
+ * Solution methods:
+ * - 'power': iterate τ ← (1-λ)Φ(τ) + λτ from an initial CTC state. Plain
+ *   iteration (λ = 0) can cycle; any damping λ > 0 keeps the fixed points
+ *   and makes the iteration converge.
+ * - 'linear': write Φ as a superoperator S on vec(τ) and solve
+ *   (S - I) vec(τ) = 0 together with Tr τ = 1. If the fixed point is not
+ *   unique the system is singular, and the solver returns the limit of
+ *   damped power iteration from the initial CTC state instead, found by
+ *   squaring the damped superoperator so 2^m iterations cost m products.
+ * - 'mann', 'anderson', 'aitken', 'halpern': power iteration driven by the
+ *   corresponding FixedPointAccelerator scheme on the real and imaginary
+ *   parts of τ. Extrapolated iterates are projected back onto density
+ *   matrices (Hermitian part, negative eigenvalues clipped, unit trace).
+ *
+ * Φ is applied through Kraus operators K_ma = √p_m (⟨a| ⊗ I) U (|m⟩ ⊗ I)
+ * built from the eigendecomposition ρ = Σ p_m |m⟩⟨m|, so each iteration
+ * works in the CTC dimension instead of the joint one.
+ *
+ * The solution report has the shape of RetrocausalFixedPointSolver's
+ * createSolutionReport, with density matrices in place of bit arrays.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const CTCMatrix = typeof ComplexMatrix !== 'undefined' ? ComplexMatrix : require('./complex.js');
+const CTCAccelerator = typeof FixedPointAccelerator !== 'undefined' ? FixedPointAccelerator : require('./relaxation.js');
+
+class DeutschCTCSolver {
+    /**
+     * @param {ComplexMatrix|Array<ComplexMatrix>} interaction - Joint unitary on
+     *        system ⊗ CTC, or Kraus operators of a noisy interaction (Σ A†A = I)
+     * @param {Object} options - Register dimensions
+     * @param {number} [options.systemDimension] - Dimension of the chronology-respecting system
+     * @param {number} [options.ctcDimension] - Dimension of the CTC register
+     *        (either may be inferred from the other; two equal halves by default)
+     */
+    constructor(interaction, options = {}) {
+        const operators = Array.isArray(interaction) ? interaction : [interaction];
+        if (operators.length === 0 || operators.some(operator =>
+            !(operator instanceof CTCMatrix) || !operator.isSquare() || operator.rows !== operators[0].rows)) {
+            throw new Error('The interaction must be a square ComplexMatrix or a list of equally sized ones');
+        }
+        if (!Array.isArray(interaction) && !interaction.isUnitary(1e-9)) {
+            throw new Error('The interaction matrix is not unitary');
+        }
+        if (Array.isArray(interaction)) {
+            const completeness = operators.reduce((sum, operator) =>
+                sum.add(operator.adjoint().multiply(operator)), CTCMatrix.zeros(operators[0].rows));
+            if (!completeness.equals(CTCMatrix.identity(operators[0].rows), 1e-9)) {
+                throw new Error('The Kraus operators are not trace preserving (Σ A†A ≠ I)');
+            }
+        }
+
+        const total = operators[0].rows;
+        let systemDimension = options.systemDimension;
+        let ctcDimension = options.ctcDimension;
+        if (systemDimension === undefined && ctcDimension === undefined) {
+            systemDimension = ctcDimension = Math.round(Math.sqrt(total));
+        } else if (systemDimension === undefined) {
+            systemDimension = total / ctcDimension;
+        } else if (ctcDimension === undefined) {
+            ctcDimension = total / systemDimension;
+        }
+        if (!Number.isInteger(systemDimension) || !Number.isInteger(ctcDimension) ||
+            systemDimension * ctcDimension !== total) {
+            throw new Error(`Register dimensions do not factor the ${total}-dimensional interaction`);
+        }
+
+        this.unitary = Array.isArray(interaction) ? null : interaction;
+        this.interaction = operators;
+        this.systemDimension = systemDimension;
+        this.ctcDimension = ctcDimension;
+
+        this.defaultParams = {
+            method: 'power',  // 'power', 'linear' or a FixedPointAccelerator scheme
+            relaxationParams: {},  // Options of the accelerated schemes
+            maxIterations: 1000,
+            convergenceTolerance: 1e-10,  // Trace distance between successive CTC states
+            dampingFactor: 0,  // λ in τ ← (1-λ)Φ(τ) + λτ
+            initialCTCState: null  // Defaults to the maximally mixed state I/d
+        };
+
+        this.convergenceHistory = [];
+        this.currentIteration = 0;
+        this.isConverged = false;
+        this.convergenceError = Infinity;
+    }
+
+    /**
+     * Find the self-consistent CTC state for a given input
+     *
+     * @param {ComplexMatrix|Array|number} inputState - System density matrix,
+     *        state vector amplitudes, or computational basis index
+     * @param {Object} params - Solver parameters (see defaultParams)
+     * @returns {Object} - Solution report with {finalState: τ, outputState, entropy}
+     */
+    solve(inputState, params = {}) {
+        const config = { ...this.defaultParams, ...params };
+        const methods = ['power', 'linear', ...CTCAccelerator.METHODS];
+        if (!methods.includes(config.method)) {
+            throw new Error(`Unknown method "${config.method}". Use ${methods.map(method => `'${method}'`).join(', ')}`);
+        }
+
+        this.resetIterationState();
+        const rho = this.toDensityMatrix(inputState, this.systemDimension);
+        const kraus = this.krausOperators(rho);
+        const initial = config.initialCTCState !== null && config.initialCTCState !== undefined ?
+            this.toDensityMatrix(config.initialCTCState, this.ctcDimension) :
+            CTCMatrix.identity(this.ctcDimension).scale(1 / this.ctcDimension);
+
+        let tau;
+        this.uniqueFixedPoint = null;
+        if (config.method === 'linear') {
+            // Several fixed points: take the one damped iteration reaches from the initial state
+            tau = this.solveLinear(kraus) ||
+                this.solveDampedLimit(kraus, initial, { ...config, dampingFactor: Math.max(config.dampingFactor, 0.5) });
+        } else if (config.method === 'power') {
+            tau = this.solvePower(kraus, initial, config);
+        } else {
+            tau = this.solveAccelerated(kraus, initial, config);
+        }
+
+        const outputState = this.outputState(rho, tau);
+        return this.createSolutionReport(rho, tau, outputState, config);
+    }
+
+    /**
+     * Damped power iteration on Φ
+     */
+    solvePower(kraus, initial, config) {
+        let tau = initial;
+
+        for (this.currentIteration = 0; this.currentIteration < config.maxIterations; this.currentIteration++) {
+            const mapped = this.applyChannel(kraus, tau);
+            const next = config.dampingFactor > 0 ?
+                mapped.scale(1 - config.dampingFactor).add(tau.scale(config.dampingFactor)) : mapped;
+
+            this.convergenceError = next.traceDistance(tau);
+            tau = DeutschCTCSolver.hermitianPart(next);
+            this.recordIterationStep(tau);
+
+            if (this.convergenceError <= config.convergenceTolerance) {
+                this.isConverged = true;
+                break;
+            }
+        }
+
+        this.currentIteration = Math.min(this.currentIteration, config.maxIterations - 1);
+        return tau;
+    }
+
+    /**
+     * Power iteration driven by a FixedPointAccelerator scheme
+     *
+     * τ is flattened to [Re τ, Im τ]; every new iterate is projected back
+     * onto the density matrices before Φ is applied again.
+     */
+    solveAccelerated(kraus, initial, config) {
+        const accelerator = new CTCAccelerator(config.method, config.relaxationParams);
+        const size = this.ctcDimension * this.ctcDimension;
+        const flatten = matrix => [...matrix.re, ...matrix.im];
+        let tau = initial;
+
+        for (this.currentIteration = 0; this.currentIteration < config.maxIterations; this.currentIteration++) {
+            const step = accelerator.next(flatten(tau), flatten(this.applyChannel(kraus, tau)));
+            const next = this.projectToDensityMatrix(new CTCMatrix(this.ctcDimension, this.ctcDimension,
+                step.state.slice(0, size), step.state.slice(size)));
+
+            this.convergenceError = next.traceDistance(tau);
+            tau = next;
+            this.recordIterationStep(tau, step.extrapolated);
+
+            if (this.convergenceError <= config.convergenceTolerance) {
+                this.isConverged = true;
+                break;
+            }
+        }
+
+        this.currentIteration = Math.min(this.currentIteration, config.maxIterations - 1);
+        return tau;
+    }
+
+    /**
+     * Nearest unit-trace positive matrix in the eigenbasis of the Hermitian part
+     */
+    projectToDensityMatrix(matrix) {
+        const positive = DeutschCTCSolver.hermitianPart(
+            DeutschCTCSolver.hermitianPart(matrix).applyHermitianFunction(lambda => Math.max(lambda, 0)));
+        const trace = positive.trace().re;
+        return trace > 0 ? positive.scale(1 / trace) :
+            CTCMatrix.identity(this.ctcDimension).scale(1 / this.ctcDimension);
+    }
+
+    /**
+     * Limit of damped power iteration by repeated squaring
+     *
+     * T = (1-λ)S + λI is squared until T^(2^m) vec(τ₀) stops changing. Each
+     * recorded step m stands for 2^m damped iterations.
+     */
+    solveDampedLimit(kraus, initial, config) {
+        const d = this.ctcDimension;
+        let transfer = this.superoperator(kraus).scale(1 - config.dampingFactor)
+            .add(CTCMatrix.identity(d * d).scale(config.dampingFactor));
+        const start = new CTCMatrix(d * d, 1, initial.re, initial.im);
+        let tau = initial;
+
+        for (this.currentIteration = 0; this.currentIteration < config.maxIterations; this.currentIteration++) {
+            const vector = transfer.multiply(start);
+            const next = DeutschCTCSolver.hermitianPart(new CTCMatrix(d, d, vector.re, vector.im));
+
+            this.convergenceError = next.traceDistance(tau);
+            tau = next;
+            this.recordIterationStep(tau);
+
+            if (this.convergenceError <= config.convergenceTolerance) {
+                this.isConverged = true;
+                break;
+            }
+            transfer = transfer.multiply(transfer);
+        }
+
+        this.currentIteration = Math.min(this.currentIteration, config.maxIterations - 1);
+        return tau;
+    }
+
+    /**
+     * Direct solve of (S - I) vec(τ) = 0 with the trace condition
+     *
+     * Trace preservation makes the diagonal equations dependent, so the
+     * (0,0) equation is replaced by Tr τ = 1.
+     *
+     * @returns {ComplexMatrix|null} - Fixed point, or null if it is not unique
+     */
+    solveLinear(kraus) {
+        const d = this.ctcDimension;
+        const system = this.superoperator(kraus).subtract(CTCMatrix.identity(d * d));
+        for (let j = 0; j < d * d; j++) {
+            system.set(0, j, j % (d + 1) === 0 ? 1 : 0, 0);
+        }
+        const rhs = new CTCMatrix(d * d, 1);
+        rhs.re[0] = 1;
+
+        let solution;
+        try {
+            solution = system.solve(rhs);
+        } catch (error) {
+            this.uniqueFixedPoint = false;
+            return null;
+        }
+
+        const tau = DeutschCTCSolver.hermitianPart(new CTCMatrix(d, d, solution.re, solution.im));
+        this.uniqueFixedPoint = true;
+        this.currentIteration = 0;
+        this.convergenceError = this.applyChannel(kraus, tau).traceDistance(tau);
+        this.isConverged = this.convergenceError <= 1e-8;
+        this.recordIterationStep(tau);
+        return tau;
+    }
+
+    /**
+     * Kraus operators of the CTC channel Φ for input ρ
+     *
+     * One set of K_ma per joint operator A of the interaction.
+     *
+     * @param {ComplexMatrix} rho - System density matrix
+     * @returns {Array<ComplexMatrix>} - Operators K with Φ(τ) = Σ K τ K†
+     */
+    krausOperators(rho) {
+        const ds = this.systemDimension;
+        const dc = this.ctcDimension;
+        const { values, vectors } = rho.eigh();
+        const operators = [];
+
+        for (const interaction of this.interaction) {
+            values.forEach((p, m) => {
+                if (p <= 1e-14) return;
+                const weight = Math.sqrt(p);
+
+                for (let a = 0; a < ds; a++) {
+                    // Entry (i, j) = √p Σ_s ⟨a,i| A |s,j⟩ ψ_m(s)
+                    const operator = new CTCMatrix(dc, dc);
+                    for (let i = 0; i < dc; i++) {
+                        const row = (a * dc + i) * interaction.cols;
+                        for (let j = 0; j < dc; j++) {
+                            let re = 0;
+                            let im = 0;
+                            for (let s = 0; s < ds; s++) {
+                                const ur = interaction.re[row + s * dc + j];
+                                const ui = interaction.im[row + s * dc + j];
+                                const vr = vectors.re[s * ds + m];
+                                const vi = vectors.im[s * ds + m];
+                                re += ur * vr - ui * vi;
+                                im += ur * vi + ui * vr;
+                            }
+                            operator.set(i, j, weight * re, weight * im);
+                        }
+                    }
+                    if (operator.frobeniusNorm() > 1e-14) operators.push(operator);
+                }
+            });
+        }
+
+        return operators;
+    }
+
+    /**
+     * Φ(τ) = Σ K τ K†
+     */
+    applyChannel(kraus, tau) {
+        let result = CTCMatrix.zeros(this.ctcDimension);
+        for (const operator of kraus) {
+            result = result.add(tau.conjugateBy(operator));
+        }
+        return result;
+    }
+
+    /**
+     * Matrix of Φ acting on row-major vec(τ): S = Σ K ⊗ conj(K)
+     */
+    superoperator(kraus) {
+        const d = this.ctcDimension;
+        let result = CTCMatrix.zeros(d * d);
+        for (const operator of kraus) {
+            result = result.add(operator.kron(operator.conjugate()));
+        }
+        return result;
+    }
+
+    /**
+     * System state after the interaction, ρ_out = Tr_CTC[U (ρ ⊗ τ) U†]
+     */
+    outputState(rho, tau) {
+        const product = rho.kron(tau);
+        const joint = this.interaction.reduce((sum, operator) =>
+            sum.add(product.conjugateBy(operator)), CTCMatrix.zeros(product.rows));
+        return DeutschCTCSolver.hermitianPart(joint.partialTrace([this.systemDimension, this.ctcDimension], 1));
+    }
+
+    /**
+     * Accept a density matrix, amplitudes or a basis index
+     */
+    toDensityMatrix(state, dimension) {
+        let matrix;
+        if (state instanceof CTCMatrix) {
+            matrix = state;
+        } else if (typeof state === 'number') {
+            if (!Number.isInteger(state) || state < 0 || state >= dimension) {
+                throw new Error(`Basis index must be an integer between 0 and ${dimension - 1}`);
+            }
+            matrix = CTCMatrix.basisState(dimension, state);
+        } else if (Array.isArray(state)) {
+            matrix = CTCMatrix.pureState(state);
+        } else {
+            throw new Error('State must be a ComplexMatrix, an amplitude array or a basis index');
+        }
+
+        if (matrix.rows !== dimension || !matrix.isDensityMatrix(1e-8)) {
+            throw new Error(`State must be a ${dimension}×${dimension} density matrix`);
+        }
+        return matrix;
+    }
+
+    /**
+     * (A + A†)/2, removing the anti-Hermitian rounding drift of long iterations
+     */
+    static hermitianPart(matrix) {
+        return matrix.add(matrix.adjoint()).scale(0.5);
+    }
+
+    /**
+     * Record one iteration of the CTC state
+     */
+    recordIterationStep(tau, extrapolated = false) {
+        this.convergenceHistory.push({
+            iteration: this.currentIteration,
+            state: tau,
+            convergenceError: this.convergenceError,
+            entropy: tau.entropy(),
+            errorsDetected: false,
+            errorsCorrected: false,
+            decodeStatus: 'valid',
+            errorPosition: -1,
+            extrapolated: extrapolated
+        });
+    }
+
+    /**
+     * Solution report in the shape of RetrocausalFixedPointSolver.createSolutionReport
+     *
+     * @returns {Object} - Complete solution information
+     */
+    createSolutionReport(rho, tau, outputState, config) {
+        return {
+            // Core solution results
+            initialState: rho,
+            finalState: tau,
+            converged: this.isConverged,
+            iterations: this.currentIteration + 1,
+            finalError: this.convergenceError,
+            seed: null,
+            outcome: this.isConverged ? 'converged' : 'maxIterations',
+            cycle: null,
+            consistency: null,
+
+            // Quantum state of the system after the loop
+            consistencyModel: 'deutsch',
+            outputState: outputState,
+            entropy: outputState ? outputState.entropy() : null,
+            ctcEntropy: tau ? tau.entropy() : null,
+            method: config.method,
+            finalProbabilities: null,
+            uniqueFixedPoint: this.uniqueFixedPoint,
+
+            // Configuration used
+            parameters: config,
+            channel: null,
+            pipeline: null,
+
+            // Convergence analysis
+            convergenceHistory: [...this.convergenceHistory],
+            convergenceRate: this.calculateConvergenceRate(config.method),
+
+            // No classical decoder runs inside the quantum loop
+            errorCorrectionStats: {
+                totalErrorsDetected: 0,
+                errorsCorrected: 0,
+                uncorrectableErrors: 0,
+                correctionEfficiency: 1.0,
+                averageErrorsPerIteration: 0,
+                averageDecoderIterations: null,
+                averageReliability: null
+            },
+
+            // Performance metrics
+            computationTime: this.startTime ? Date.now() - this.startTime : 0,
+            memoryUsage: this.convergenceHistory.length * this.ctcDimension * this.ctcDimension * 16
+        };
+    }
+
+    /**
+     * Mean exponential decay rate of the convergence error per application of Φ
+     *
+     * Aitken's rate is taken over its extrapolated iterates only.
+     */
+    calculateConvergenceRate(method = 'power') {
+        const history = method === 'aitken' ?
+            this.convergenceHistory.filter(entry => entry.extrapolated) : this.convergenceHistory;
+        const evaluations = CTCAccelerator.METHODS.includes(method) ?
+            CTCAccelerator.evaluationsPerIterate(method) : 1;
+        let totalRateSum = 0;
+        let validRates = 0;
+
+        for (let i = 2; i < history.length; i++) {
+            const previous = history[i - 1].convergenceError;
+            const current = history[i].convergenceError;
+            if (previous > 0 && current > 0) {
+                const rate = Math.log(current / previous);
+                if (isFinite(rate) && rate < 0) {
+                    totalRateSum += Math.abs(rate);
+                    validRates++;
+                }
+            }
+        }
+
+        return validRates > 0 ? totalRateSum / validRates / evaluations : 0;
+    }
+
+    resetIterationState() {
+        this.convergenceHistory = [];
+        this.currentIteration = 0;
+        this.isConverged = false;
+        this.convergenceError = Infinity;
+        this.startTime = Date.now();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeutschCTCSolver;
+} else if (typeof window !== 'undefined') {
+    window.DeutschCTCSolver = DeutschCTCSolver;
+}
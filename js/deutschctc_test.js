@@ -0,0 +1,171 @@
+/**
+ * Test Suite for the Deutsch CTC Solver
+ *
+ * These tests solve τ = Tr_sys[U(ρ⊗τ)U†] for interactions whose fixed
+ * points are known in closed form, compare the power and linear methods on
+ * a random interaction, and check that the report can be consumed wherever
+ * a RetrocausalFixedPointSolver report is expected.
+ *
+ * Test Coverage:
+ * - Grandfather paradox resolved by a maximally mixed CTC state
+ * - Swap interaction reproducing the input state
+ * - Power iteration, damping and the linear fixed-point solve
+ * - Mann, Anderson, Aitken and Halpern iteration on density matrices
+ * - Output state, entropies and report shape
+ * - Input validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class DeutschCTCSolverTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.identity = ComplexMatrix.identity(2);
+        this.pauliX = ComplexMatrix.fromArray([[0, 1], [1, 0]]);
+        this.swap = ComplexMatrix.fromArray([[1, 0, 0, 0], [0, 0, 1, 0], [0, 1, 0, 0], [0, 0, 0, 1]]);
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Grandfather paradox settles on a mixed state', () => this.testGrandfatherParadox());
+        this.framework.test('Damping breaks the power-iteration cycle', () => this.testDampedIteration());
+        this.framework.test('Swap interaction copies the input onto the loop', () => this.testSwap());
+        this.framework.test('Power and linear methods agree', () => this.testMethodsAgree());
+        this.framework.test('Accelerated schemes on density matrices', () => this.testAcceleratedMethods());
+        this.framework.test('Report matches the classical solver shape', () => this.testReportShape());
+        this.framework.test('Invalid interactions and states are rejected', () => this.testValidation());
+    }
+
+    /**
+     * Unitary e^(-iH) for a seeded random Hermitian H
+     */
+    randomUnitary(n, seed) {
+        const random = RetrocausalUtils.random.createGenerator(seed);
+        const matrix = new ComplexMatrix(n, n);
+        for (let i = 0; i < n * n; i++) {
+            matrix.re[i] = random() - 0.5;
+            matrix.im[i] = random() - 0.5;
+        }
+        return matrix.add(matrix.adjoint()).scale(0, -2).expm();
+    }
+
+    testGrandfatherParadox() {
+        // The CTC qubit is negated on every pass: no classical history is consistent
+        const solver = new DeutschCTCSolver(this.identity.kron(this.pauliX));
+        const result = solver.solve(0, { method: 'linear' });
+
+        this.framework.assertTrue(result.converged, 'A consistent CTC state exists');
+        this.framework.assertTrue(result.finalState.equals(this.identity.scale(0.5), 1e-10), 'τ = I/2');
+        this.framework.assertTrue(Math.abs(result.ctcEntropy - 1) < 1e-10, 'The CTC carries one bit of entropy');
+        this.framework.assertEqual(result.uniqueFixedPoint, false,
+            'Every mixture of |+⟩ and |−⟩ is consistent, so the fixed point is not unique');
+        this.framework.assertTrue(result.outputState.equals(ComplexMatrix.basisState(2, 0), 1e-10),
+            'The system passes through untouched');
+    }
+
+    testDampedIteration() {
+        const solver = new DeutschCTCSolver(this.identity.kron(this.pauliX));
+        const cycling = solver.solve(0, { initialCTCState: 0, maxIterations: 40 });
+        const damped = solver.solve(0, { initialCTCState: 0, dampingFactor: 0.5 });
+
+        this.framework.assertFalse(cycling.converged, '|0⟩ ↔ |1⟩ oscillates under plain iteration');
+        this.framework.assertEqual(cycling.iterations, 40, 'All iterations are used');
+        this.framework.assertTrue(damped.converged, 'Damped iteration converges');
+        this.framework.assertTrue(damped.finalState.equals(this.identity.scale(0.5), 1e-9), 'to τ = I/2');
+    }
+
+    testSwap() {
+        const rho = ComplexMatrix.pureState([1, [0, 1]]);
+        const result = new DeutschCTCSolver(this.swap).solve(rho, { method: 'linear' });
+
+        this.framework.assertTrue(result.uniqueFixedPoint, 'Swap has a unique fixed point');
+        this.framework.assertTrue(result.finalState.traceDistance(rho) < 1e-10, 'τ = ρ');
+        this.framework.assertTrue(result.outputState.traceDistance(rho) < 1e-10, 'ρ_out = τ = ρ');
+        this.framework.assertTrue(Math.abs(result.entropy) < 1e-10, 'A pure input leaves a pure output');
+    }
+
+    testMethodsAgree() {
+        const solver = new DeutschCTCSolver(this.randomUnitary(8, 3), { systemDimension: 2 });
+        this.framework.assertEqual(solver.ctcDimension, 4, 'CTC dimension is inferred');
+
+        const linear = solver.solve([1, 1], { method: 'linear' });
+        const power = solver.solve([1, 1], { convergenceTolerance: 1e-12 });
+
+        this.framework.assertTrue(linear.finalError < 1e-10, 'Linear solution satisfies τ = Φ(τ)');
+        this.framework.assertTrue(power.converged, 'Power iteration converges');
+        this.framework.assertTrue(linear.finalState.traceDistance(power.finalState) < 1e-8, 'Both find the same τ');
+        this.framework.assertTrue(linear.finalState.isDensityMatrix(1e-9), 'τ is a density matrix');
+        this.framework.assertTrue(linear.outputState.isDensityMatrix(1e-9), 'ρ_out is a density matrix');
+        this.framework.assertTrue(Math.abs(linear.entropy - power.entropy) < 1e-7, 'Output entropies agree');
+    }
+
+    testAcceleratedMethods() {
+        // Partial swap cos θ I + i sin θ SWAP: Φ(τ) approaches ρ slowly
+        const theta = 0.2;
+        const partialSwap = ComplexMatrix.identity(4).scale(Math.cos(theta)).add(this.swap.scale(0, Math.sin(theta)));
+        const solver = new DeutschCTCSolver(partialSwap);
+        const rho = ComplexMatrix.pureState([1, 1]);
+        const params = { initialCTCState: 0, maxIterations: 2000 };
+
+        const power = solver.solve(rho, params);
+        const anderson = solver.solve(rho, { ...params, method: 'anderson' });
+        const mann = solver.solve(rho, { ...params, method: 'mann' });
+
+        [power, anderson, mann].forEach(result => {
+            this.framework.assertTrue(result.converged, `${result.method} converges`);
+            this.framework.assertTrue(result.finalState.traceDistance(rho) < 1e-8, `${result.method} finds τ = ρ`);
+        });
+        this.framework.assertTrue(anderson.iterations * 20 < power.iterations,
+            `Anderson takes ${anderson.iterations} steps, power iteration ${power.iterations}`);
+        this.framework.assertTrue(anderson.convergenceRate > power.convergenceRate, 'and converges faster per step');
+        this.framework.assertTrue(anderson.convergenceHistory.every(step => step.state.isDensityMatrix(1e-9)),
+            'Extrapolated iterates are projected onto density matrices');
+
+        // Averaging alone resolves the grandfather paradox that plain power iteration cycles on
+        const paradox = new DeutschCTCSolver(this.identity.kron(this.pauliX)).solve(0, {
+            method: 'aitken', initialCTCState: 0
+        });
+        this.framework.assertTrue(paradox.converged && paradox.finalState.equals(this.identity.scale(0.5), 1e-10),
+            'Aitken extrapolates the 0 ↔ 1 cycle to I/2');
+    }
+
+    testReportShape() {
+        const quantum = new DeutschCTCSolver(this.swap).solve(1);
+        const classical = new RetrocausalFixedPointSolver(new HammingCode()).solveFixedPoint([1, 0, 1, 1]);
+
+        Object.keys(classical).forEach(key =>
+            this.framework.assertTrue(key in quantum, `Report should contain ${key}`));
+        Object.keys(classical.errorCorrectionStats).forEach(key =>
+            this.framework.assertTrue(key in quantum.errorCorrectionStats, `Statistics should contain ${key}`));
+
+        const step = quantum.convergenceHistory[0];
+        this.framework.assertTrue(typeof step.convergenceError === 'number' && step.iteration === 0,
+            'History entries carry the fields the visualizer plots');
+        this.framework.assertEqual(quantum.consistencyModel, 'deutsch', 'Report names the consistency model');
+    }
+
+    testValidation() {
+        this.framework.assertThrows(() => new DeutschCTCSolver(ComplexMatrix.fromArray([[1, 1], [0, 1]])), Error,
+            'Non-unitary interactions should be rejected');
+        this.framework.assertThrows(() => new DeutschCTCSolver(this.swap, { systemDimension: 3 }), Error,
+            'Dimensions must factor the interaction');
+
+        const solver = new DeutschCTCSolver(this.swap);
+        this.framework.assertThrows(() => solver.solve(ComplexMatrix.diagonal([0.7, 0.7])), Error,
+            'States must have unit trace');
+        this.framework.assertThrows(() => solver.solve(2), Error, 'Basis index must be in range');
+        this.framework.assertThrows(() => solver.solve(0, { method: 'newton' }), Error, 'Unknown methods are rejected');
+    }
+
+    run() {
+        console.log('Running Deutsch CTC Solver Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeutschCTCSolverTests;
+} else if (typeof window !== 'undefined') {
+    window.DeutschCTCSolverTests = DeutschCTCSolverTests;
+}
@@ -17,7 +17,18 @@
  * Author: Tommy Xaypanya, NeuralQuantum.ai
  */
 
+const SolverUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+const SolverChannel = typeof Channel !== 'undefined' ? Channel : require('./channels.js').Channel;
+const SolverAccelerator = typeof FixedPointAccelerator !== 'undefined' ? FixedPointAccelerator : require('./relaxation.js');
+const SolverCycleDetector = typeof CycleDetector !== 'undefined' ? CycleDetector : require('./cycles.js');
+const SolverPipeline = typeof EvolutionPipeline !== 'undefined' ? EvolutionPipeline : require('./pipeline.js').EvolutionPipeline;
+const SolverConsistency = typeof ConsistencyCriterion !== 'undefined' ? ConsistencyCriterion : require('./consistency.js');
+
 class RetrocausalFixedPointSolver {
+    /**
+     * @param {LinearBlockCode} hammingCode - Error correction code used in the loop
+     *        (HammingCode or any other LinearBlockCode preset)
+     */
     constructor(hammingCode) {
         this.hamming = hammingCode;
         
@@ -25,12 +36,40 @@ class RetrocausalFixedPointSolver {
         this.defaultParams = {
             maxIterations: 100,
             convergenceTolerance: 1e-6,
+            consistencyCriterion: 'strict',  // 'strict', or a weak criterion: 'windowed', 'probabilistic', 'partial'
+            consistencyParams: {},  // ConsistencyCriterion options, e.g. { stable: 4, window: 5 } or { probability: 0.9 }
             errorRate: 0.05,
             dampingFactor: 0.5,  // Helps stabilize convergence in difficult cases
-            enableAdaptiveStep: true
+            enableAdaptiveStep: true,
+            softDecision: false,  // Transmit BPSK over AWGN and decode from LLRs
+            noiseVariance: null,  // σ² for soft decisions; null matches errorRate
+            softDecodingMethod: null,  // 'ml', 'chase' or the code's default
+            channel: null,  // Channel name or instance; null is a BSC (AWGN when soft) at errorRate
+            channelParams: {},  // Parameters for a named channel, e.g. { snrDb: 2 }
+            pipeline: null,  // EvolutionPipeline, its JSON or a stage list; null is encode → channel → decode
+            seed: null,  // PRNG seed; null draws a fresh one, recorded in the report for replay
+            consistencyModel: null,  // 'deutsch' or 'postselected' solves the loop as a quantum CTC; null iterates it
+            method: 'discrete',  // 'discrete' bits, or a relaxation on bit probabilities: 'mann', 'anderson', 'aitken', 'halpern'
+            relaxationParams: {},  // FixedPointAccelerator options, e.g. { relaxation: 0.5, memory: 5 }
+            initialConfidence: 0.75,  // Probability given to each initial bit by the relaxed methods
+            cycleDetection: 'brent',  // 'brent' or 'floyd' watches the discrete iteration for limit cycles; null disables
+            cycleParams: {},  // CycleDetector options, e.g. { confirmations: 2, window: 24, agreement: 0.8 }
+            stopOnCycle: false  // End the run as soon as a cycle is detected, skipping its adaptive step
         };
 
+        // Random source of the current run (see solveFixedPoint)
+        this.seed = null;
+        this.random = SolverUtils.random.next;
+
+        // Stages of one pass around the loop (see createPipeline)
+        this.pipeline = null;
+
         // Track convergence history for analysis and visualization
+        this.method = 'discrete';
+        this.initialState = null;
+        this.finalProbabilities = null;
+        this.cycle = null;
+        this.consistency = null;
         this.convergenceHistory = [];
         this.currentIteration = 0;
         this.isConverged = false;
@@ -57,19 +96,88 @@ class RetrocausalFixedPointSolver {
      * The algorithm represents the mathematical heart of retrocausal communication:
      * finding information states that remain stable across temporal loops.
      * 
-     * @param {Array<number>} initialData - 4-bit initial information guess
+     * @param {Array<number>} initialData - k-bit initial information guess
      * @param {Object} params - Simulation parameters
      * @returns {Object} - Complete solution with convergence information
      */
     solveFixedPoint(initialData, params = {}) {
         // Merge provided parameters with defaults
         const config = { ...this.defaultParams, ...params };
+        this.validateParams(config);
+        if (config.consistencyModel) {
+            return this.solveQuantumConsistency(initialData, config);
+        }
+        
+        // Drive the iteration to its end; its return value is the report
+        const run = this.iterate(initialData, config);
+        let step = run.next();
+        while (!step.done) {
+            step = run.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * The fixed-point iteration as a resumable generator
+     * 
+     * Each next() applies one evolution cycle and yields its step: the
+     * convergenceHistory entry of the cycle plus the word it started from
+     * and whether the run has converged or met a cycle. When the run ends,
+     * the generator returns the solution report of solveFixedPoint, so a
+     * stepped run and a solved run with the same seed are identical.
+     * 
+     * The run state lives on the solver: step one generator at a time, and
+     * do not call solveFixedPoint on the same solver mid-run.
+     * 
+     * @param {Array<number>} initialData - k-bit initial information guess
+     * @param {Object} params - Simulation parameters, as for solveFixedPoint
+     * @yields {Object} - History entry plus {inputData, converged, cycle}
+     * @returns {Object} - Solution report
+     */
+    *iterate(initialData, params = {}) {
+        const config = { ...this.defaultParams, ...params };
+        this.validateParams(config);
+        if (config.consistencyModel) {
+            throw new Error('Quantum consistency models are solved in closed form and have no iteration to step');
+        }
+        if (config.method !== 'discrete' && !SolverAccelerator.METHODS.includes(config.method)) {
+            throw new Error(`Unknown method "${config.method}". Use 'discrete', ${SolverAccelerator.METHODS.join(', ')}`);
+        }
+        this.method = config.method;
+        
+        // Every random draw of the run comes from one seeded generator, so
+        // solving again with the reported seed replays the same history
+        this.random = SolverUtils.random.createGenerator(config.seed ?? SolverUtils.random.generateSeed());
+        this.seed = config.seed = this.random.seed;
         
         // Initialize tracking variables
         this.resetIterationState();
+        this.channel = this.createChannel(config);
+        this.pipeline = this.createPipeline(config);
+        this.initialState = [...initialData];
+        if (config.method !== 'discrete') {
+            if (config.pipeline) {
+                throw new Error('Custom pipelines run with the discrete method only');
+            }
+            if (config.consistencyCriterion !== 'strict') {
+                throw new Error('Weak consistency criteria apply to the discrete method only');
+            }
+            const finalData = yield* this.iterateRelaxed(initialData, config);
+            this.updateStatistics();
+            return this.createSolutionReport(finalData, config);
+        }
         let currentData = [...initialData];
         let previousData = null;
         
+        // Watch the sequence of decoded words for limit cycles
+        const detector = config.cycleDetection ?
+            new SolverCycleDetector({ ...config.cycleParams, algorithm: config.cycleDetection }) : null;
+        if (detector) detector.push(currentData);
+        
+        // Decide when a state counts as self-consistent
+        this.consistency = new SolverConsistency(config.consistencyCriterion, config.consistencyCriterion === 'strict' ?
+            { tolerance: config.convergenceTolerance } : config.consistencyParams);
+        
         // Begin the fixed-point iteration process
         for (this.currentIteration = 0; this.currentIteration < config.maxIterations; this.currentIteration++) {
             // Store previous state for convergence testing
@@ -86,16 +194,35 @@ class RetrocausalFixedPointSolver {
             // Record this iteration in our convergence history
             this.recordIterationStep(currentData, convergenceError, evolutionResult);
             
-            // Check if we've reached convergence
-            if (convergenceError <= config.convergenceTolerance) {
+            // Check if we've reached convergence. A state the decoder flagged as
+            // uncorrectable is not self-consistent even if its bits repeat; a
+            // weak criterion may settle on a word seen earlier in its window.
+            const consistency = this.consistency.push({
+                input: previousData,
+                output: currentData,
+                convergenceError: convergenceError,
+                decodeStatus: evolutionResult.decodeStatus
+            });
+            if (consistency.satisfied) {
+                currentData = consistency.state;
                 this.isConverged = true;
+                yield this.createIterationStep(previousData);
                 break;
             }
             
+            const cycle = detector ? detector.push(currentData) : null;
+            const cycleFound = cycle && !this.cycle;
+            if (cycleFound) {
+                this.cycle = cycle;
+            }
+            
             // Apply adaptive step size if enabled
-            if (config.enableAdaptiveStep) {
-                currentData = this.applyAdaptiveStep(currentData, previousData, config);
+            if (config.enableAdaptiveStep && !(cycleFound && config.stopOnCycle)) {
+                currentData = this.applyAdaptiveStep(currentData, previousData, config, evolutionResult.dataReliability);
             }
+            
+            yield this.createIterationStep(previousData);
+            if (cycleFound && config.stopOnCycle) break;
         }
         
         // Update performance statistics
@@ -115,53 +242,262 @@ class RetrocausalFixedPointSolver {
      * 3. Backward evolution through the temporal loop
      * 4. Error correction and decoding back at t0
      * 
-     * @param {Array<number>} inputData - Current 4-bit state
+     * @param {Array<number>} inputData - Current k-bit state
      * @param {Object} config - Simulation parameters
      * @returns {Object} - Evolution results with intermediate states
      */
     applySingleEvolutionCycle(inputData, config) {
-        // Step 1: Forward temporal evolution (t0 → t1)
-        // In a real system, this would involve quantum state evolution
-        // Here we simulate it with the encoding process
-        const encodedState = this.hamming.encode(inputData);
-        
-        // Step 2: Simulate temporal transmission effects
-        // This represents the interaction with the closed timelike curve
-        const transmittedState = this.simulateTemporalTransmission(encodedState, config.errorRate);
+        // One pass through the stages of U_CTC (see EvolutionPipeline). By
+        // default: forward evolution by encoding (t0 → t1), the interaction
+        // with the closed timelike curve as channel noise, then backward
+        // evolution with error correction (t1 → t0).
+        if (!this.channel) {
+            this.channel = this.createChannel(config);
+        }
+        if (!this.pipeline) {
+            this.pipeline = this.createPipeline(config);
+        }
+        const context = {
+            code: this.hamming,
+            channel: this.channel,
+            config: config,
+            random: this.random,
+            iteration: this.currentIteration
+        };
+        const pass = this.pipeline.run({ bits: [...inputData], llr: null, erasures: [] }, context);
         
-        // Step 3: Backward evolution and error correction (t1 → t0)
-        // The error correction happens as part of the backward evolution
-        const decodingResult = this.hamming.decode(transmittedState);
+        // Extract the final state that must be consistent with input
+        const finalData = pass.state.bits;
+        if (finalData.length !== inputData.length) {
+            throw new Error(`The pipeline returns ${finalData.length} bits; the loop needs ${inputData.length}`);
+        }
         
-        // Step 4: Extract the final state that must be consistent with input
-        const finalData = decodingResult.dataBits;
+        // Stages a custom pipeline leaves out are reported as clean
+        const encodedState = context.encodedState || [...inputData];
+        const transmission = context.transmission || { bits: encodedState, errors: [], erasures: [] };
+        const decodingResult = context.decodingResult ||
+            { dataBits: finalData, errorDetected: false, status: 'valid', errorPosition: -1 };
         
         return {
             inputData: inputData,
             encodedState: encodedState,
-            transmittedState: transmittedState,
+            transmittedState: transmission.bits,
+            channelErrors: context.channelErrors || 0,
+            erasures: transmission.erasures,
             decodingResult: decodingResult,
             finalData: finalData,
-            errorsCorrected: decodingResult.errorDetected,
-            errorPosition: decodingResult.errorPosition
+            stages: pass.stages,
+            errorsDetected: decodingResult.errorDetected,
+            errorsCorrected: decodingResult.status === 'corrected',
+            decodeStatus: decodingResult.status,
+            errorPosition: decodingResult.errorPosition,
+            decoderIterations: decodingResult.iterations ?? null,
+            syndromeWeights: decodingResult.syndromeWeights || null,
+            dataReliability: decodingResult.dataLLR ?
+                decodingResult.dataLLR.map(llr => 1 / (1 + Math.exp(-Math.abs(llr)))) : null
         };
     }
 
+    /**
+     * Fixed-point iteration on bit probabilities
+     * 
+     * The state is the probability q_i that each data bit is 1, starting from
+     * the initial bits held with config.initialConfidence (or from initialData
+     * itself if it already holds probabilities). applyRelaxedCycle maps q to
+     * the decoder's posterior F(q), and the configured FixedPointAccelerator
+     * scheme combines the two into the next iterate. Convergence is measured
+     * as the largest change of any probability.
+     * 
+     * Like iterate, it yields one step per cycle.
+     * 
+     * @param {Array<number>} initialData - k initial bits or bit probabilities
+     * @param {Object} config - Simulation parameters
+     * @returns {Array<number>} - Final hard decisions
+     */
+    *iterateRelaxed(initialData, config) {
+        const accelerator = new SolverAccelerator(config.method, config.relaxationParams);
+        const confidence = config.initialConfidence;
+        let probabilities = initialData.map(value => Number.isInteger(value) ?
+            (value ? confidence : 1 - confidence) : value);
+        
+        for (this.currentIteration = 0; this.currentIteration < config.maxIterations; this.currentIteration++) {
+            const evolutionResult = this.applyRelaxedCycle(probabilities, config);
+            const step = accelerator.next(probabilities, evolutionResult.probabilities);
+            const next = step.state.map(q => Math.min(Math.max(q, 0), 1));
+            
+            this.convergenceError = Math.max(...next.map((q, i) => Math.abs(q - probabilities[i])));
+            probabilities = next;
+            this.recordIterationStep(probabilities.map(q => (q > 0.5 ? 1 : 0)), this.convergenceError, {
+                ...evolutionResult, probabilities: probabilities, extrapolated: step.extrapolated
+            });
+            
+            if (this.convergenceError <= config.convergenceTolerance &&
+                evolutionResult.decodeStatus !== 'uncorrectable') {
+                this.isConverged = true;
+            }
+            yield this.createIterationStep(evolutionResult.inputData);
+            if (this.isConverged) break;
+        }
+        
+        this.currentIteration = Math.min(this.currentIteration, config.maxIterations - 1);
+        this.finalProbabilities = probabilities;
+        return probabilities.map(q => (q > 0.5 ? 1 : 0));
+    }
+    
+    /**
+     * One evolution cycle on bit probabilities, F(q)
+     * 
+     * The hard decisions of q are encoded and sent through the channel as
+     * usual. The decoder then sees the channel LLRs plus the prior LLR of
+     * every code bit, obtained from the data-bit probabilities by the
+     * box-plus (tanh) rule over the data bits feeding that code bit. Its
+     * posterior data LLRs become the new probabilities; decoders without
+     * soft output return their hard decisions as probabilities 0 or 1.
+     * 
+     * @param {Array<number>} probabilities - k bit probabilities
+     * @param {Object} config - Simulation parameters
+     * @returns {Object} - applySingleEvolutionCycle fields plus {probabilities}
+     */
+    applyRelaxedCycle(probabilities, config) {
+        const limit = SolverChannel.LLR_LIMIT;
+        const clamp = llr => Math.min(Math.max(llr, -limit), limit);
+        const hardData = probabilities.map(q => (q > 0.5 ? 1 : 0));
+        const encodedState = this.hamming.encode(hardData);
+        const transmission = this.simulateTemporalTransmission(encodedState, config);
+        
+        // Prior LLR of each code bit: tanh(L_c/2) = Π tanh(L_i/2) over its data bits
+        const dataLLR = probabilities.map(q => clamp(Math.log((1 - q) / q)));
+        const llr = this.getInfluenceSets().map((bits, j) => {
+            const product = bits.reduce((value, i) => value * Math.tanh(dataLLR[i] / 2), 1);
+            const bounded = Math.min(Math.max(product, -1 + 1e-15), 1 - 1e-15);
+            return clamp(transmission.llr[j] + 2 * Math.atanh(bounded));
+        });
+        
+        const decodingResult = typeof this.hamming.decodeSoft === 'function' ?
+            this.hamming.decodeSoft(llr, { method: config.softDecodingMethod || undefined }) :
+            this.hamming.decode(llr.map(value => (value < 0 ? 1 : 0)), {
+                channelErrorRate: this.channel.getAverageErrorRate() ?? config.errorRate,
+                erasures: transmission.erasures
+            });
+        const posterior = decodingResult.dataLLR ?
+            decodingResult.dataLLR.map(value => 1 / (1 + Math.exp(clamp(value)))) :
+            decodingResult.dataBits.map(bit => bit);
+        
+        return {
+            inputData: hardData,
+            encodedState: encodedState,
+            transmittedState: transmission.bits,
+            channelErrors: transmission.errors.length,
+            erasures: transmission.erasures,
+            decodingResult: decodingResult,
+            finalData: decodingResult.dataBits,
+            probabilities: posterior,
+            errorsDetected: decodingResult.errorDetected,
+            errorsCorrected: decodingResult.status === 'corrected',
+            decodeStatus: decodingResult.status,
+            errorPosition: decodingResult.errorPosition,
+            decoderIterations: decodingResult.iterations ?? null,
+            syndromeWeights: decodingResult.syndromeWeights || null,
+            dataReliability: posterior.map(q => Math.max(q, 1 - q))
+        };
+    }
+    
+    /**
+     * Data bits feeding each code bit of the (GF(2)-linear) encoder
+     * 
+     * @returns {Array<Array<number>>} - For every code bit, the data positions it depends on
+     */
+    getInfluenceSets() {
+        if (!this.influenceSets) {
+            const k = this.hamming.k;
+            const columns = Array.from({ length: k }, (_, i) =>
+                this.hamming.encode(Array.from({ length: k }, (_, j) => (i === j ? 1 : 0))));
+            this.influenceSets = columns[0].map((_, j) => columns
+                .map((codeword, i) => (codeword[j] ? i : -1))
+                .filter(i => i >= 0));
+        }
+        return this.influenceSets;
+    }
+    
     /**
      * Simulate the effects of temporal transmission
      * 
      * This function models the noise and decoherence that might occur
      * as quantum information traverses the closed timelike curve. In reality,
      * this could include gravitational effects, quantum decoherence, and
-     * other relativistic phenomena.
+     * other relativistic phenomena. The physics is whichever Channel the
+     * run was configured with (see createChannel).
+     * 
+     * @param {Array<number>} state - n-bit encoded state
+     * @param {Object} config - Simulation parameters
+     * @returns {Object} - Channel output {bits, llr, erasures, errors}
+     */
+    simulateTemporalTransmission(state, config) {
+        if (!this.channel) {
+            this.channel = this.createChannel(config);
+        }
+        return this.channel.transmit(state, { codeRate: this.hamming.k / this.hamming.n });
+    }
+
+    /**
+     * Build the channel for a run from the solver configuration
+     * 
+     * config.channel may be a registered name ('bsc', 'bec', 'z', 'awgn',
+     * 'gilbert-elliott', 'time-correlated') with config.channelParams, or a
+     * Channel instance, which is reset and driven by the run's generator so
+     * every run starts from the same channel state. Without one, the loop is a BSC at config.errorRate, or
+     * AWGN with a matching noise level when softDecision is on.
      * 
-     * @param {Array<number>} state - 7-bit encoded state
-     * @param {number} errorRate - Probability of bit flip errors
-     * @returns {Array<number>} - State after temporal transmission
+     * @param {Object} config - Simulation parameters
+     * @returns {Channel} - Channel for this run
      */
-    simulateTemporalTransmission(state, errorRate) {
-        // Apply random bit flip errors to simulate temporal noise
-        return this.hamming.injectErrors(state, errorRate);
+    createChannel(config) {
+        if (config.channel instanceof SolverChannel) {
+            config.channel.reset();
+            config.channel.random = this.random;
+            return config.channel;
+        }
+        
+        const name = config.channel || (config.softDecision ? 'awgn' : 'bsc');
+        const params = { errorRate: config.errorRate, ...config.channelParams, random: this.random };
+        if (!config.channel && config.softDecision) {
+            params.noiseVariance = this.getNoiseVariance(config);
+        }
+        return SolverChannel.create(name, params);
+    }
+    
+    /**
+     * Build the evolution pipeline for a run
+     * 
+     * A pipeline instance is reused (and reset); JSON definitions and stage
+     * lists are rebuilt, so a run can be reproduced from its parameters.
+     * 
+     * @param {Object} config - Simulation parameters
+     * @returns {EvolutionPipeline} - Pipeline for this run
+     */
+    createPipeline(config) {
+        if (config.pipeline instanceof SolverPipeline) {
+            config.pipeline.reset();
+            return config.pipeline;
+        }
+        return config.pipeline ? SolverPipeline.fromJSON(config.pipeline) : new SolverPipeline();
+    }
+
+    /**
+     * Noise variance of the soft channel
+     * 
+     * Unless given explicitly, σ² is chosen so that hard decisions on the
+     * samples flip bits with probability errorRate: p = Q(1/σ).
+     * 
+     * @param {Object} config - Simulation parameters
+     * @returns {number} - σ²
+     */
+    getNoiseVariance(config) {
+        if (config.noiseVariance) return config.noiseVariance;
+        
+        const p = Math.min(Math.max(config.errorRate, 1e-9), 0.49);
+        const threshold = SolverUtils.stats.normalInverse(1 - p);
+        return 1 / (threshold * threshold);
     }
 
     /**
@@ -197,12 +533,17 @@ class RetrocausalFixedPointSolver {
      * the iteration step size based on the convergence behavior. When the
      * algorithm is oscillating or diverging, we reduce the step size.
      * 
+     * With soft decoding the decoder's reliability for each bit feeds back
+     * into the damping: a change the decoder is certain of is always kept,
+     * while an uninformed one (reliability 1/2) is damped as usual.
+     * 
      * @param {Array<number>} currentState - Current iteration state
      * @param {Array<number>} previousState - Previous iteration state  
      * @param {Object} config - Configuration parameters
+     * @param {Array<number>} [reliability] - Probability each new bit is correct
      * @returns {Array<number>} - Adjusted state for next iteration
      */
-    applyAdaptiveStep(currentState, previousState, config) {
+    applyAdaptiveStep(currentState, previousState, config, reliability = null) {
         const dampingFactor = config.dampingFactor;
         const adaptedState = new Array(currentState.length);
         
@@ -211,7 +552,10 @@ class RetrocausalFixedPointSolver {
             // For binary states, we use probabilistic damping
             if (currentState[i] !== previousState[i]) {
                 // Probability of keeping the new value vs. reverting to old
-                adaptedState[i] = Math.random() < (1 - dampingFactor) ? 
+                const keepProbability = reliability ?
+                    1 - 2 * dampingFactor * (1 - reliability[i]) :
+                    1 - dampingFactor;
+                adaptedState[i] = this.random() < keepProbability ? 
                                   currentState[i] : previousState[i];
             } else {
                 // States agree, no need for damping
@@ -237,13 +581,55 @@ class RetrocausalFixedPointSolver {
             iteration: this.currentIteration,
             state: [...currentData],
             convergenceError: error,
+            errorsDetected: evolutionResult.errorsDetected,
             errorsCorrected: evolutionResult.errorsCorrected,
+            decodeStatus: evolutionResult.decodeStatus,
             errorPosition: evolutionResult.errorPosition,
+            decoderIterations: evolutionResult.decoderIterations,
+            syndromeWeights: evolutionResult.syndromeWeights,
+            reliability: evolutionResult.dataReliability,
+            channelErrors: evolutionResult.channelErrors,
+            erasures: evolutionResult.erasures.length,
             encodedState: [...evolutionResult.encodedState],
-            transmittedState: [...evolutionResult.transmittedState]
+            transmittedState: [...evolutionResult.transmittedState],
+            stages: evolutionResult.stages || null,
+            probabilities: evolutionResult.probabilities ? [...evolutionResult.probabilities] : null,
+            extrapolated: evolutionResult.extrapolated ?? false
         });
     }
 
+    /**
+     * Step yielded by iterate for the cycle just recorded
+     * 
+     * @param {Array<number>} inputData - Word the cycle started from
+     * @returns {Object} - Latest history entry plus {inputData, converged, cycle}
+     */
+    createIterationStep(inputData) {
+        return {
+            ...this.convergenceHistory[this.convergenceHistory.length - 1],
+            inputData: [...inputData],
+            converged: this.isConverged,
+            cycle: this.cycle
+        };
+    }
+
+    /**
+     * Reject parameters no run could honour
+     * 
+     * @param {Object} config - Merged simulation parameters
+     */
+    validateParams(config) {
+        if (!(Number.isInteger(config.maxIterations) && config.maxIterations >= 1)) {
+            throw new Error(`maxIterations must be a positive integer (got ${config.maxIterations})`);
+        }
+        if (!(config.convergenceTolerance >= 0)) {
+            throw new Error(`convergenceTolerance must be non-negative (got ${config.convergenceTolerance})`);
+        }
+        if (!(config.errorRate >= 0 && config.errorRate <= 1)) {
+            throw new Error(`errorRate must be a probability between 0 and 1 (got ${config.errorRate})`);
+        }
+    }
+
     /**
      * Create comprehensive solution report
      * 
@@ -254,13 +640,22 @@ class RetrocausalFixedPointSolver {
     createSolutionReport(finalData, config) {
         return {
             // Core solution results
+            initialState: [...this.initialState],
             finalState: finalData,
             converged: this.isConverged,
             iterations: this.currentIteration + 1,
             finalError: this.convergenceError,
+            seed: this.seed,
+            method: config.method,
+            finalProbabilities: this.finalProbabilities ? [...this.finalProbabilities] : null,
+            outcome: this.classifyOutcome(),
+            cycle: this.cycle,
+            consistency: this.consistency ? this.consistency.getReport() : null,
             
             // Configuration used
             parameters: config,
+            channel: this.channel ? this.channel.getProperties() : null,
+            pipeline: this.pipeline ? this.pipeline.toJSON() : null,
             
             // Convergence analysis
             convergenceHistory: [...this.convergenceHistory],
@@ -275,6 +670,33 @@ class RetrocausalFixedPointSolver {
         };
     }
 
+    /**
+     * How the last run ended
+     * 
+     * - 'converged': a self-consistent state was found
+     * - 'cycle': the state settled into a limit cycle (see this.cycle)
+     * - 'maxIterations': the iteration cap was hit while the convergence
+     *   error was still reaching new lows, while the state was stuck on a
+     *   word the decoder rejects, or too early to tell
+     * - 'wandering': the cap was hit with the error no longer improving,
+     *   the state drifting between words without a recurring pattern
+     * 
+     * @returns {string} - Outcome of the run
+     */
+    classifyOutcome() {
+        if (this.isConverged) return 'converged';
+        if (this.cycle) return 'cycle';
+        
+        const errors = this.convergenceHistory.map(step => step.convergenceError);
+        const window = Math.min(24, Math.floor(errors.length / 2));
+        if (window < 2) return 'maxIterations';
+        
+        const recent = errors.slice(-window);
+        const improving = Math.min(...recent) < Math.min(...errors.slice(0, -window));
+        const moving = Math.max(...recent) > 0;
+        return improving || !moving ? 'maxIterations' : 'wandering';
+    }
+    
     /**
      * Calculate the rate of convergence from the history
      * 
@@ -282,18 +704,23 @@ class RetrocausalFixedPointSolver {
      * the fixed-point solution, which is important for understanding
      * the stability properties of different information states.
      * 
-     * @returns {number} - Convergence rate (higher = faster convergence)
+     * @param {string} [method] - Iteration scheme of the history (the last run's by default)
+     * @returns {number} - Convergence rate per operator evaluation (higher = faster convergence)
      */
-    calculateConvergenceRate() {
-        if (this.convergenceHistory.length < 3) return 0;
+    calculateConvergenceRate(method = this.method) {
+        // Aitken's extrapolated iterates form the accelerated sequence; the
+        // plain steps between them only feed the extrapolation
+        const history = method === 'aitken' ?
+            this.convergenceHistory.filter(step => step.extrapolated) : this.convergenceHistory;
+        if (history.length < 3) return 0;
         
         // Calculate exponential convergence rate from error reduction
         let totalRateSum = 0;
         let validRates = 0;
         
-        for (let i = 2; i < this.convergenceHistory.length; i++) {
-            const e_prev = this.convergenceHistory[i-1].convergenceError;
-            const e_curr = this.convergenceHistory[i].convergenceError;
+        for (let i = 2; i < history.length; i++) {
+            const e_prev = history[i-1].convergenceError;
+            const e_curr = history[i].convergenceError;
             
             if (e_prev > 0 && e_curr > 0) {
                 const rate = Math.log(e_curr / e_prev);
@@ -304,30 +731,58 @@ class RetrocausalFixedPointSolver {
             }
         }
         
-        return validRates > 0 ? totalRateSum / validRates : 0;
+        // Report the rate per evaluation of the evolution operator, so
+        // schemes with different costs per iterate compare directly
+        const evaluations = method === 'discrete' ? 1 : SolverAccelerator.evaluationsPerIterate(method);
+        return validRates > 0 ? totalRateSum / validRates / evaluations : 0;
     }
 
     /**
      * Analyze error correction effectiveness during the run
      * 
+     * Detections the decoder could not correct (e.g. double errors in an
+     * extended Hamming code) count against the correction efficiency rather
+     * than being reported as successful corrections. Iterative decoders
+     * additionally report how many inner BP iterations each cycle needed,
+     * and soft decoders how reliable their data decisions were.
+     * 
      * @returns {Object} - Error correction statistics
      */
     analyzeErrorCorrection() {
         let totalErrors = 0;
         let correctedErrors = 0;
+        let uncorrectableErrors = 0;
+        const decoderIterations = [];
+        const reliabilities = [];
         
         for (const step of this.convergenceHistory) {
-            if (step.errorsCorrected) {
+            if (step.reliability) {
+                reliabilities.push(...step.reliability);
+            }
+            if (step.decoderIterations !== null && step.decoderIterations !== undefined) {
+                decoderIterations.push(step.decoderIterations);
+            }
+            if (step.errorsDetected) {
                 totalErrors++;
+            }
+            if (step.errorsCorrected) {
                 correctedErrors++;
             }
+            if (step.decodeStatus === 'uncorrectable') {
+                uncorrectableErrors++;
+            }
         }
         
         return {
             totalErrorsDetected: totalErrors,
             errorsCorrected: correctedErrors,
+            uncorrectableErrors: uncorrectableErrors,
             correctionEfficiency: totalErrors > 0 ? correctedErrors / totalErrors : 1.0,
-            averageErrorsPerIteration: totalErrors / this.convergenceHistory.length
+            averageErrorsPerIteration: totalErrors / this.convergenceHistory.length,
+            averageDecoderIterations: decoderIterations.length > 0 ?
+                decoderIterations.reduce((sum, count) => sum + count, 0) / decoderIterations.length : null,
+            averageReliability: reliabilities.length > 0 ?
+                reliabilities.reduce((sum, value) => sum + value, 0) / reliabilities.length : null
         };
     }
 
@@ -339,51 +794,67 @@ class RetrocausalFixedPointSolver {
      * and parameters. The results provide insights into the algorithm's
      * reliability and typical behavior.
      * 
+     * A master generator seeded from baseParams.seed draws every initial
+     * state, parameter variation and per-run seed, so the whole batch is
+     * reproducible from the seed in the returned analysis.
+     * 
      * @param {number} numRuns - Number of independent simulations
      * @param {Object} baseParams - Base parameter set
      * @returns {Object} - Statistical analysis results
      */
     runStatisticalAnalysis(numRuns = 100, baseParams = {}) {
         const results = [];
-        let successCount = 0;
-        let totalIterations = 0;
+        const generator = SolverUtils.random.createGenerator(baseParams.seed ?? SolverUtils.random.generateSeed());
         
         for (let run = 0; run < numRuns; run++) {
-            // Generate random initial condition
-            const initialData = Array.from({length: 4}, () => Math.random() < 0.5 ? 1 : 0);
+            // Generate random initial condition sized to the code's information length
+            const initialData = SolverUtils.math.randomBits(this.hamming.k, 0.5, generator);
             
             // Add some parameter variation for robustness testing
             const params = {
                 ...baseParams,
-                errorRate: baseParams.errorRate + (Math.random() - 0.5) * 0.02,
-                convergenceTolerance: baseParams.convergenceTolerance
+                errorRate: Math.min(Math.max((baseParams.errorRate ?? this.defaultParams.errorRate) +
+                    (generator() - 0.5) * 0.02, 0), 1),
+                convergenceTolerance: baseParams.convergenceTolerance ?? this.defaultParams.convergenceTolerance,
+                seed: generator.nextUint32()
             };
             
             // Run single simulation
-            const result = this.solveFixedPoint(initialData, params);
-            results.push(result);
-            
-            // Update statistics
-            if (result.converged) {
-                successCount++;
-                totalIterations += result.iterations;
-            }
+            results.push(this.solveFixedPoint(initialData, params));
         }
         
+        return {
+            totalRuns: numRuns,
+            seed: generator.seed,
+            ...this.summarizeRuns(results)
+        };
+    }
+
+    /**
+     * Statistical metrics of a batch of runs
+     * 
+     * Only converged, iterations and convergenceRate are read, so compact
+     * run records (e.g. merged from worker threads) summarize like reports.
+     * 
+     * @param {Array<Object>} results - Solution reports or run records
+     * @returns {Object} - {successRate, averageIterations, averageConvergenceRate,
+     *          results, convergenceRateStats, iterationStats}
+     */
+    summarizeRuns(results) {
+        const converged = results.filter(r => r.converged);
+        
         // Compute statistical metrics
-        const successRate = successCount / numRuns;
-        const averageIterations = successCount > 0 ? totalIterations / successCount : 0;
+        const successRate = results.length > 0 ? converged.length / results.length : 0;
+        const averageIterations = converged.length > 0 ?
+            converged.reduce((sum, r) => sum + r.iterations, 0) / converged.length : 0;
         
         // Analyze convergence rate distribution
-        const convergenceRates = results
-            .filter(r => r.converged)
-            .map(r => r.convergenceRate);
+        const convergenceRates = converged.map(r => r.convergenceRate);
         
         const avgConvergenceRate = convergenceRates.length > 0 ? 
             convergenceRates.reduce((sum, rate) => sum + rate, 0) / convergenceRates.length : 0;
         
         return {
-            totalRuns: numRuns,
             successRate: successRate,
             averageIterations: averageIterations,
             averageConvergenceRate: avgConvergenceRate,
@@ -391,11 +862,375 @@ class RetrocausalFixedPointSolver {
             
             // Distribution analysis
             convergenceRateStats: this.calculateDistributionStats(convergenceRates),
-            iterationStats: this.calculateDistributionStats(
-                results.filter(r => r.converged).map(r => r.iterations)
-            )
+            iterationStats: this.calculateDistributionStats(converged.map(r => r.iterations))
+        };
+    }
+
+    /**
+     * Enumerate the attractors of the evolution operator over every data word
+     * 
+     * The noiseless cycle (encode, error-free channel, decode) is applied to
+     * all 2^k data words. As a deterministic map on a finite set it sends
+     * every word into a cycle, so the words split into basins of attraction,
+     * one per cycle; fixed points are the cycles of period 1.
+     * 
+     * If the configured channel is noisy, each basin is then probed with
+     * noisy solver runs from words drawn uniformly from it, and the capture
+     * probabilities record in which basin those runs converge.
+     * 
+     * @param {Object} params - Simulation parameters plus {trialsPerBasin, seed}
+     * @returns {Object} - {fixedPoints, cycles, attractors, basinOf, transientLength, seed}
+     */
+    enumerateAttractors(params = {}) {
+        const config = { ...this.defaultParams, ...params };
+        const k = this.hamming.k;
+        if (k > 16) {
+            throw new Error(`Attractor enumeration visits all 2^k data words and needs k ≤ 16 (got k = ${k})`);
+        }
+        
+        const size = 1 << k;
+        const toBits = x => Array.from({ length: k }, (_, bit) => (x >> (k - 1 - bit)) & 1);
+        const toIndex = bits => bits.reduce((index, bit) => index * 2 + bit, 0);
+        
+        // Noiseless evolution operator on every word
+        const noiseless = { ...config, softDecision: false, channel: 'bsc', channelParams: { errorRate: 0 } };
+        const previousChannel = this.channel;
+        const previousPipeline = this.pipeline;
+        this.channel = this.createChannel(noiseless);
+        this.pipeline = this.createPipeline(noiseless);
+        const next = Array.from({ length: size }, (_, x) =>
+            toIndex(this.applySingleEvolutionCycle(toBits(x), noiseless).finalData));
+        this.channel = previousChannel;
+        this.pipeline = previousPipeline;
+        
+        // Walk the functional graph: each walk ends on a known basin or closes a new cycle
+        const basinOf = new Array(size).fill(-1);
+        const transientLength = new Array(size).fill(0);
+        const cycles = [];
+        for (let start = 0; start < size; start++) {
+            const path = [];
+            const position = new Map();
+            let x = start;
+            while (basinOf[x] === -1 && !position.has(x)) {
+                position.set(x, path.length);
+                path.push(x);
+                x = next[x];
+            }
+            if (basinOf[x] === -1) {
+                const cycle = path.splice(position.get(x));
+                cycle.forEach(y => { basinOf[y] = cycles.length; });
+                cycles.push(cycle);
+            }
+            for (let i = path.length - 1; i >= 0; i--) {
+                basinOf[path[i]] = basinOf[next[path[i]]];
+                transientLength[path[i]] = transientLength[next[path[i]]] + 1;
+            }
+        }
+        
+        const attractors = cycles.map((cycle, id) => {
+            const basin = [...Array(size).keys()].filter(x => basinOf[x] === id);
+            return {
+                id: id,
+                period: cycle.length,
+                cycle: cycle.map(toBits),
+                basin: basin.map(toBits),
+                basinSize: basin.length,
+                basinFraction: basin.length / size,
+                maxTransientLength: Math.max(...basin.map(x => transientLength[x])),
+                capture: null
+            };
+        });
+        
+        // Noisy runs from each basin: where do they settle?
+        const generator = SolverUtils.random.createGenerator(config.seed ?? SolverUtils.random.generateSeed());
+        const trials = params.trialsPerBasin ?? 100;
+        const noisy = config.channel || config.errorRate > 0;
+        if (noisy && trials > 0) {
+            attractors.forEach(attractor => {
+                const counts = new Array(attractors.length).fill(0);
+                let unconverged = 0;
+                for (let trial = 0; trial < trials; trial++) {
+                    const start = attractor.basin[Math.floor(generator() * attractor.basinSize)];
+                    const result = this.solveFixedPoint(start, { ...config, seed: generator.nextUint32() });
+                    if (result.converged) {
+                        counts[basinOf[toIndex(result.finalState)]]++;
+                    } else {
+                        unconverged++;
+                    }
+                }
+                attractor.capture = {
+                    trials: trials,
+                    probabilities: counts.map(count => count / trials),
+                    retained: counts[attractor.id] / trials,
+                    unconverged: unconverged / trials
+                };
+            });
+        }
+        
+        return {
+            totalStates: size,
+            fixedPoints: attractors.filter(a => a.period === 1).map(a => a.cycle[0]),
+            cycles: attractors.filter(a => a.period > 1).map(a => a.cycle),
+            attractors: attractors,
+            basinOf: basinOf,
+            transientLength: transientLength,
+            seed: generator.seed
+        };
+    }
+    
+    /**
+     * Quantify the soft-decision decoding gain on the simulated channel
+     * 
+     * Each trial sends a random k-bit state through the soft channel once
+     * and decodes the same noisy samples twice: from their hard decisions
+     * and from their LLRs. Using one noise realisation for both decoders
+     * makes the comparison paired, so small gains are visible with few trials.
+     * 
+     * @param {Object} params - {trials, errorRate or noiseVariance, softDecodingMethod, seed}
+     * @returns {Object} - Bit and block error rates for uncoded, hard and soft decoding
+     */
+    compareSoftHardDecoding(params = {}) {
+        const config = { ...this.defaultParams, ...params };
+        const trials = params.trials ?? 1000;
+        const noiseVariance = this.getNoiseVariance(config);
+        const random = SolverUtils.random.createGenerator(config.seed ?? SolverUtils.random.generateSeed());
+        const channel = SolverChannel.create('awgn', { noiseVariance: noiseVariance, random: random });
+        const counts = {
+            uncoded: { bitErrors: 0, blockErrors: 0 },
+            hard: { bitErrors: 0, blockErrors: 0 },
+            soft: { bitErrors: 0, blockErrors: 0 }
+        };
+        const tally = (entry, decoded, reference) => {
+            const errors = SolverUtils.math.hammingDistance(decoded, reference);
+            entry.bitErrors += errors;
+            if (errors > 0) entry.blockErrors++;
+        };
+        
+        for (let trial = 0; trial < trials; trial++) {
+            const dataBits = SolverUtils.math.randomBits(this.hamming.k, 0.5, random);
+            const encodedState = this.hamming.encode(dataBits);
+            const { samples: observations, bits: hardBits } = channel.transmit(encodedState);
+            
+            tally(counts.uncoded, hardBits, encodedState);
+            tally(counts.hard, this.hamming.decode(hardBits, { channelErrorRate: config.errorRate }).dataBits, dataBits);
+            tally(counts.soft, this.hamming.decodeSoft(observations, {
+                noiseVariance: noiseVariance,
+                method: config.softDecodingMethod || undefined
+            }).dataBits, dataBits);
+        }
+        
+        const rates = (entry, bitsPerBlock) => ({
+            ...entry,
+            bitErrorRate: entry.bitErrors / (trials * bitsPerBlock),
+            blockErrorRate: entry.blockErrors / trials
+        });
+        const hard = rates(counts.hard, this.hamming.k);
+        const soft = rates(counts.soft, this.hamming.k);
+        
+        return {
+            trials: trials,
+            seed: random.seed,
+            noiseVariance: noiseVariance,
+            // Eb/N0 = Es/N0 · n/k with Es/N0 = 1/(2σ²) for unit-energy BPSK
+            ebN0Db: 10 * Math.log10(this.hamming.n / (2 * noiseVariance * this.hamming.k)),
+            uncoded: rates(counts.uncoded, this.hamming.n),
+            hard: hard,
+            soft: soft,
+            blockErrorReduction: hard.blockErrorRate > 0 ?
+                1 - soft.blockErrorRate / hard.blockErrorRate : 0
+        };
+    }
+
+    /**
+     * Solve the loop under a quantum CTC consistency model
+     * 
+     * The data word is a basis state |d⟩ of the chronology-respecting system
+     * and the CTC register holds the discrepancy between the word sent around
+     * the loop and the word the decoder hands back (see createLoopInteraction).
+     * A consistent loop returns the data unchanged, leaving the register in |0⟩.
+     * 
+     * - 'deutsch' finds the CTC state τ = Φ(τ), taking the one reached from |0⟩
+     *   if the fixed point is not unique; its consistency probability is ⟨0|τ|0⟩.
+     * - 'postselected' keeps only the histories in which the loop closes, so its
+     *   consistency probability is the postselection success probability. It
+     *   is zero, and the input paradoxical, if the decoder can never return d.
+     * 
+     * @param {Array<number>} initialData - k-bit data word
+     * @param {Object} config - Simulation parameters
+     * @returns {Object} - CTC solver report with finalState as the most likely output word
+     */
+    solveQuantumConsistency(initialData, config) {
+        if (!['deutsch', 'postselected'].includes(config.consistencyModel)) {
+            throw new Error(`Unknown consistency model "${config.consistencyModel}". Use 'deutsch' or 'postselected'`);
+        }
+        const Solver = config.consistencyModel === 'deutsch' ?
+            (typeof DeutschCTCSolver !== 'undefined' ? DeutschCTCSolver : require('./deutschctc.js')) :
+            (typeof PostselectedCTCSolver !== 'undefined' ? PostselectedCTCSolver : require('./postselectedctc.js'));
+        
+        const k = this.hamming.k;
+        const dataIndex = initialData.reduce((index, bit) => index * 2 + bit, 0);
+        const interaction = this.createLoopInteraction(config);
+        const solver = new Solver(interaction.operators, { systemDimension: 1 << k });
+        const result = solver.solve(dataIndex, {
+            method: 'linear',
+            initialCTCState: 0,
+            maxIterations: config.maxIterations,
+            convergenceTolerance: config.convergenceTolerance
+        });
+        
+        // Most likely data word leaving the loop
+        let finalData = null;
+        if (result.outputState) {
+            let best = 0;
+            for (let i = 1; i < result.outputState.rows; i++) {
+                if (result.outputState.re[i * result.outputState.cols + i] >
+                    result.outputState.re[best * result.outputState.cols + best]) best = i;
+            }
+            finalData = Array.from({ length: k }, (_, bit) => (best >> (k - 1 - bit)) & 1);
+        }
+        
+        return {
+            ...result,
+            initialState: [...initialData],
+            finalState: finalData,
+            ctcState: config.consistencyModel === 'deutsch' ? result.finalState : null,
+            consistencyProbability: config.consistencyModel === 'deutsch' ?
+                result.finalState.get(0, 0).re : result.successProbability,
+            parameters: { ...config, ...result.parameters },
+            channel: interaction.channel
         };
     }
+    
+    /**
+     * Kraus operators of one noisy pass around the loop
+     * 
+     * Every error pattern e of the binary symmetric channel gives a
+     * permutation U_e|x⟩|y⟩ = |x⟩|y ⊕ x ⊕ D(E(x) ⊕ e)⟩ of system ⊗ CTC, where
+     * D(E(x) ⊕ e) is the word the decoder returns after the loop. Patterns
+     * with the same effect on every x are merged (see enumerateEvolutionMaps),
+     * giving the operators √P(e) U_e.
+     * 
+     * @param {Object} config - Simulation parameters (errorRate, or channel 'bsc' with channelParams)
+     * @returns {Object} - {operators, channel}
+     */
+    createLoopInteraction(config) {
+        if (this.hamming.k > 4) {
+            throw new Error(`Quantum consistency models need k ≤ 4 (got k = ${this.hamming.k})`);
+        }
+        
+        const Matrix = typeof ComplexMatrix !== 'undefined' ? ComplexMatrix : require('./complex.js');
+        const { maps, channel } = this.enumerateEvolutionMaps(config);
+        const size = 1 << this.hamming.k;
+        
+        const operators = maps.map(({ next, probability }) => {
+            const operator = new Matrix(size * size, size * size);
+            const amplitude = Math.sqrt(probability);
+            for (let x = 0; x < size; x++) {
+                for (let y = 0; y < size; y++) {
+                    operator.set(x * size + (y ^ x ^ next[x]), x * size + y, amplitude, 0);
+                }
+            }
+            return operator;
+        });
+        
+        return { operators: operators, channel: channel };
+    }
+    
+    /**
+     * Every deterministic map one evolution cycle can apply, with its probability
+     * 
+     * Enumerates all 2^n error patterns of a hard-decision binary symmetric
+     * channel and decodes every data word under each, so applySingleEvolutionCycle
+     * (without the adaptive step) is the random map x ↦ next[x] with the given
+     * probabilities. States are the data words read as big-endian integers.
+     * Patterns with the same effect on every word are merged.
+     * 
+     * @param {Object} config - Simulation parameters (errorRate, or channel 'bsc' with channelParams)
+     * @returns {Object} - {maps: [{next, uncorrectable, probability}], channel}
+     */
+    enumerateEvolutionMaps(config) {
+        const { k, n } = this.hamming;
+        if (k > 8 || n > 16 || (1 << (k + n)) > (1 << 20)) {
+            throw new Error(`Exact analysis enumerates every state and error pattern; ` +
+                `it needs k ≤ 8, n ≤ 16 and k + n ≤ 20 (got k = ${k}, n = ${n})`);
+        }
+        if ((config.channel && config.channel !== 'bsc') || config.softDecision) {
+            throw new Error('Exact analysis supports the hard-decision binary symmetric channel only');
+        }
+        if (config.pipeline) {
+            throw new Error('Exact analysis enumerates the default encode → channel → decode pipeline only');
+        }
+        
+        const channel = SolverChannel.create('bsc', { errorRate: config.errorRate, ...config.channelParams });
+        const p = channel.params.errorRate;
+        const size = 1 << k;
+        const toIndex = bits => bits.reduce((index, bit) => index * 2 + bit, 0);
+        const codewords = Array.from({ length: size }, (_, x) =>
+            this.hamming.encode(Array.from({ length: k }, (_, bit) => (x >> (k - 1 - bit)) & 1)));
+        
+        const maps = new Map();
+        for (let pattern = 0; pattern < (1 << n); pattern++) {
+            let weight = 0;
+            for (let rest = pattern; rest; rest >>= 1) weight += rest & 1;
+            const probability = Math.pow(p, weight) * Math.pow(1 - p, n - weight);
+            if (probability === 0) continue;
+            
+            const next = [];
+            const uncorrectable = [];
+            codewords.forEach(codeword => {
+                const received = codeword.map((bit, i) => bit ^ ((pattern >> i) & 1));
+                const result = this.hamming.decode(received, { channelErrorRate: p });
+                next.push(toIndex(result.dataBits));
+                uncorrectable.push(result.status === 'uncorrectable');
+            });
+            const key = next.join(',') + '|' + uncorrectable.join(',');
+            const entry = maps.get(key) || { next: next, uncorrectable: uncorrectable, probability: 0 };
+            entry.probability += probability;
+            maps.set(key, entry);
+        }
+        
+        return { maps: [...maps.values()], channel: channel.getProperties() };
+    }
+    
+    /**
+     * Solve the same data word under every consistency model
+     * 
+     * @param {Array<number>} initialData - k-bit data word
+     * @param {Object} params - Simulation parameters shared by the three runs
+     * @returns {Object} - {classical, deutsch, postselected} solution reports
+     */
+    compareConsistencyModels(initialData, params = {}) {
+        return {
+            classical: this.solveFixedPoint(initialData, { ...params, consistencyModel: null }),
+            deutsch: this.solveFixedPoint(initialData, { ...params, consistencyModel: 'deutsch' }),
+            postselected: this.solveFixedPoint(initialData, { ...params, consistencyModel: 'postselected' })
+        };
+    }
+    
+    /**
+     * Solve the same data word with the discrete iteration and every relaxation scheme
+     * 
+     * @param {Array<number>} initialData - k-bit data word
+     * @param {Object} params - Simulation parameters shared by the runs (seeded so the channels agree)
+     * @returns {Object} - Per method {converged, iterations, convergenceRate, finalState, finalError}
+     */
+    compareRelaxationMethods(initialData, params = {}) {
+        const seed = params.seed ?? SolverUtils.random.generateSeed();
+        const comparison = {};
+        
+        for (const method of ['discrete', ...SolverAccelerator.METHODS]) {
+            const result = this.solveFixedPoint(initialData, { ...params, seed: seed, method: method });
+            comparison[method] = {
+                converged: result.converged,
+                iterations: result.iterations,
+                convergenceRate: result.convergenceRate,
+                finalState: result.finalState,
+                finalError: result.finalError
+            };
+        }
+        
+        return comparison;
+    }
 
     /**
      * Calculate statistical distribution properties
@@ -427,6 +1262,9 @@ class RetrocausalFixedPointSolver {
      */
     resetIterationState() {
         this.convergenceHistory = [];
+        this.finalProbabilities = null;
+        this.cycle = null;
+        this.consistency = null;
         this.currentIteration = 0;
         this.isConverged = false;
         this.convergenceError = Infinity;
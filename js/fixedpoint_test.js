@@ -9,6 +9,8 @@
  * Test Coverage:
  * - Convergence behavior under various conditions
  * - Integration with Hamming error correction
+ * - Soft-decision decoding and reliability feedback
+ * - Seeded, reproducible runs
  * - Statistical properties and performance
  * - Edge cases and error handling
  * - Mathematical consistency verification
@@ -34,6 +36,15 @@ class FixedPointSolverTests {
         // Error correction integration
         this.framework.test('Error correction integration', () => this.testErrorCorrectionIntegration());
         this.framework.test('Error correction effectiveness', () => this.testErrorCorrectionEffectiveness());
+        this.framework.test('Uncorrectable errors are not counted as success', () => this.testUncorrectableErrors());
+        this.framework.test('Solver runs with larger Hamming codes', () => this.testLargerCodes());
+        this.framework.test('Soft-decision loop reports reliability', () => this.testSoftDecisionLoop());
+        this.framework.test('Soft decoding gain on the simulated channel', () => this.testSoftHardGain());
+        
+        // Reproducibility
+        this.framework.test('Seeded generator is reproducible', () => this.testSeededGenerator());
+        this.framework.test('Seed replay reproduces the convergence history', () => this.testSeedReplay());
+        this.framework.test('Statistical analysis replays from its seed', () => this.testStatisticalReplay());
         
         // Parameter sensitivity
         this.framework.test('Tolerance parameter effects', () => this.testToleranceEffects());
@@ -48,6 +59,7 @@ class FixedPointSolverTests {
         // Edge cases and robustness
         this.framework.test('Extreme parameter values', () => this.testExtremeParameters());
         this.framework.test('Input validation', () => this.testInputValidation());
+        this.framework.test('Parameter validation', () => this.testParameterValidation());
         this.framework.test('State management', () => this.testStateManagement());
         
         // Performance and scaling
@@ -57,6 +69,9 @@ class FixedPointSolverTests {
         // Mathematical consistency
         this.framework.test('Fixed-point property verification', () => this.testFixedPointProperty());
         this.framework.test('Temporal consistency enforcement', () => this.testTemporalConsistency());
+        this.framework.test('Attractors and basins of the noiseless operator', () => this.testAttractorEnumeration());
+        this.framework.test('Basin capture probabilities under noise', () => this.testBasinCapture());
+        this.framework.test('Relaxation schemes on bit probabilities', () => this.testRelaxationMethods());
     }
 
     testConstructor() {
@@ -195,6 +210,147 @@ class FixedPointSolverTests {
         );
     }
 
+    testUncorrectableErrors() {
+        // Force a double error into the parity bits of an extended Hamming code
+        const solver = new RetrocausalFixedPointSolver(HammingCode.create(3, { extended: true }));
+        const doubleError = new Channel();
+        doubleError.transmit = (state) => {
+            const noisy = [...state];
+            noisy[0] ^= 1;
+            noisy[1] ^= 1;
+            return { bits: noisy, llr: null, erasures: [], errors: [0, 1] };
+        };
+
+        const result = solver.solveFixedPoint([1, 0, 1, 1], {
+            maxIterations: 5,
+            errorRate: 0.0,
+            enableAdaptiveStep: false,
+            channel: doubleError
+        });
+
+        // The data bits repeat, but a detected uncorrectable error is not consistency
+        this.framework.assertFalse(result.converged, 'Uncorrectable iterations should not converge');
+        this.framework.assertEqual(result.errorCorrectionStats.uncorrectableErrors, 5,
+            'Every iteration should be flagged uncorrectable');
+        this.framework.assertEqual(result.errorCorrectionStats.errorsCorrected, 0,
+            'Nothing should be counted as corrected');
+        this.framework.assertEqual(result.errorCorrectionStats.correctionEfficiency, 0,
+            'Correction efficiency should reflect the failures');
+    }
+
+    testSoftDecisionLoop() {
+        const result = this.solver.solveFixedPoint([1, 0, 1, 1], {
+            softDecision: true,
+            errorRate: 0.05,
+            maxIterations: 20
+        });
+
+        const step = result.convergenceHistory[0];
+        this.framework.assertEqual(step.reliability.length, 4, 'One reliability per data bit');
+        this.framework.assertTrue(step.reliability.every(r => r >= 0.5 && r <= 1),
+            'Reliabilities are probabilities of a correct decision');
+        this.framework.assertTrue(result.errorCorrectionStats.averageReliability > 0.5,
+            'Average reliability should be reported');
+
+        // σ² is matched to the hard error rate: Q(1/σ) = p
+        const sigma = Math.sqrt(this.solver.getNoiseVariance({ errorRate: 0.0228 }));
+        this.framework.assertTrue(Math.abs(sigma - 0.5) < 1e-3, 'p = Q(2) should give σ = 0.5');
+    }
+
+    testSoftHardGain() {
+        const solver = new RetrocausalFixedPointSolver(HammingCode.create(4));
+        const comparison = solver.compareSoftHardDecoding({ trials: 300, errorRate: 0.05 });
+
+        this.framework.assertEqual(comparison.trials, 300, 'Trial count should be reported');
+        this.framework.assertTrue(comparison.soft.blockErrors <= comparison.hard.blockErrors,
+            `Soft decoding should not lose to hard decoding (${comparison.soft.blockErrors} vs ${comparison.hard.blockErrors})`);
+        this.framework.assertTrue(comparison.uncoded.bitErrorRate > 0.02 && comparison.uncoded.bitErrorRate < 0.09,
+            'Raw channel error rate should match the requested 5%');
+    }
+
+    testSeededGenerator() {
+        const first = RetrocausalUtils.random.createGenerator(1234);
+        const second = RetrocausalUtils.random.createGenerator(1234);
+        const other = RetrocausalUtils.random.createGenerator(1235);
+        const draw = (generator) => Array.from({ length: 8 }, () => generator());
+
+        const sequence = draw(first);
+        this.framework.assertEqual(draw(second), sequence, 'Same seed gives the same sequence');
+        this.framework.assertFalse(JSON.stringify(draw(other)) === JSON.stringify(sequence),
+            'Different seeds give different sequences');
+        this.framework.assertTrue(sequence.every(x => x >= 0 && x < 1), 'Samples lie in [0, 1)');
+        this.framework.assertEqual(RetrocausalUtils.random.createGenerator('demo').seed,
+            RetrocausalUtils.random.normalizeSeed('demo'), 'String seeds are hashed');
+
+        // Reference output of xoshiro128** from the state {1, 2, 3, 4}
+        first.setState([1, 2, 3, 4]);
+        this.framework.assertEqual(Array.from({ length: 4 }, () => first.nextUint32()),
+            [11520, 0, 5927040, 70819200], 'Generator matches the xoshiro128** reference');
+
+        const code = new HammingCode(3, { random: RetrocausalUtils.random.createGenerator(7) });
+        const replay = new HammingCode(3, { random: RetrocausalUtils.random.createGenerator(7) });
+        const codeword = code.encode([1, 0, 1, 1]);
+        this.framework.assertEqual(code.injectErrors(codeword, 0.3), replay.injectErrors(codeword, 0.3),
+            'Noise injection follows the code\'s generator');
+    }
+
+    testSeedReplay() {
+        const params = {
+            errorRate: 0.15,
+            maxIterations: 30,
+            channel: 'gilbert-elliott',
+            channelParams: { goodToBad: 0.1, badToGood: 0.3, goodErrorRate: 0.02, badErrorRate: 0.4 }
+        };
+        const original = this.solver.solveFixedPoint([1, 0, 1, 1], params);
+
+        this.framework.assertTrue(Number.isInteger(original.seed), 'Report records the seed');
+        this.framework.assertEqual(original.parameters.seed, original.seed, 'Parameters carry the seed');
+
+        const replay = this.solver.solveFixedPoint(original.initialState, { ...params, seed: original.seed });
+        this.framework.assertEqual(replay.convergenceHistory, original.convergenceHistory,
+            'Replaying the seed regenerates the identical history');
+        this.framework.assertEqual(replay.finalState, original.finalState, 'and the same final state');
+
+        const soft = this.solver.solveFixedPoint([0, 1, 1, 0], { softDecision: true, errorRate: 0.1, seed: 99 });
+        const softReplay = this.solver.solveFixedPoint([0, 1, 1, 0], soft.parameters);
+        this.framework.assertEqual(softReplay.convergenceHistory, soft.convergenceHistory,
+            'Soft-decision runs replay from their parameters');
+    }
+
+    testStatisticalReplay() {
+        const params = { errorRate: 0.1, maxIterations: 20, convergenceTolerance: 1e-6, seed: 'batch' };
+        const first = this.solver.runStatisticalAnalysis(10, params);
+        const second = this.solver.runStatisticalAnalysis(10, params);
+
+        this.framework.assertEqual(first.seed, RetrocausalUtils.random.normalizeSeed('batch'),
+            'Analysis records its master seed');
+        this.framework.assertEqual(second.results.map(r => r.convergenceHistory),
+            first.results.map(r => r.convergenceHistory), 'Every run of the batch is reproduced');
+        this.framework.assertEqual(new Set(first.results.map(r => r.seed)).size, 10,
+            'Runs get distinct seeds');
+    }
+
+    testLargerCodes() {
+        const solver = new RetrocausalFixedPointSolver(HammingCode.create(4));
+        const inputData = [1, 0, 1, 1, 0, 0, 1, 0, 1, 1, 1];
+
+        const result = solver.solveFixedPoint(inputData, {
+            maxIterations: 10,
+            convergenceTolerance: 1e-6,
+            errorRate: 0.0
+        });
+        this.framework.assertTrue(result.converged, 'Hamming(15,11) loop should converge without noise');
+        this.framework.assertEqual(result.finalState, inputData, 'Final state should match 11-bit input');
+
+        const analysis = solver.runStatisticalAnalysis(5, {
+            maxIterations: 20,
+            convergenceTolerance: 1e-3,
+            errorRate: 0.02
+        });
+        this.framework.assertTrue(analysis.results.every(r => r.finalState.length === 11),
+            'Statistical runs should use the code dimension for initial states');
+    }
+
     testToleranceEffects() {
         // Test how different tolerance values affect convergence
         const inputData = [1, 0, 0, 1];
@@ -372,7 +528,7 @@ class FixedPointSolverTests {
 
         // Test invalid input data
         this.framework.assertThrows(() => 
-            this.solver.solveFixedPoint([1, 0, 2], {}), // Invalid bit value
+            this.solver.solveFixedPoint([1, 0, 2, 1], {}), // Invalid bit value at the right length
             Error, 'Should reject invalid bit values');
 
         this.framework.assertThrows(() => 
@@ -393,6 +549,37 @@ class FixedPointSolverTests {
             Error, 'Should reject error rate > 1');
     }
 
+    testParameterValidation() {
+        const validData = [1, 0, 1, 0];
+        const rejected = [
+            [{ maxIterations: 0 }, 'maxIterations'],
+            [{ maxIterations: 2.5 }, 'maxIterations'],
+            [{ convergenceTolerance: NaN }, 'convergenceTolerance'],
+            [{ errorRate: -0.1 }, 'errorRate'],
+            [{ errorRate: undefined }, 'errorRate']
+        ];
+        rejected.forEach(([params, name]) => {
+            let message = '';
+            try {
+                this.solver.solveFixedPoint(validData, params);
+            } catch (error) {
+                message = error.message;
+            }
+            this.framework.assertTrue(message.startsWith(name), `${JSON.stringify(params)} is rejected for ${name}`);
+        });
+
+        this.framework.assertThrows(() => this.solver.iterate(validData, { maxIterations: 0 }).next(), Error,
+            'Stepped runs check their parameters too');
+        const edges = this.solver.solveFixedPoint(validData, { maxIterations: 1, convergenceTolerance: 0, errorRate: 1, seed: 3 });
+        this.framework.assertEqual(edges.convergenceHistory.length, 1, 'The bounds themselves are accepted');
+
+        // Jitter around an error rate of 0 or 1 stays a probability
+        const clamped = this.solver.runStatisticalAnalysis(5, { errorRate: 1, maxIterations: 5, seed: 4 });
+        this.framework.assertEqual(clamped.totalRuns, 5, 'Statistical runs clamp their jittered error rate');
+        this.framework.assertThrows(() => this.hamming.injectErrors(new Array(7).fill(0), NaN), Error,
+            'injectErrors rejects an error rate that is not a number');
+    }
+
     testStateManagement() {
         // Test that solver maintains proper state
         const status1 = this.solver.getStatus();
@@ -518,6 +705,69 @@ class FixedPointSolverTests {
         }
     }
 
+    testAttractorEnumeration() {
+        // A correct code returns every word unchanged
+        const identity = this.solver.enumerateAttractors({ errorRate: 0 });
+        this.framework.assertEqual(identity.fixedPoints.length, 16, 'Every Hamming data word is a fixed point');
+        this.framework.assertEqual(identity.cycles, [], 'No longer cycles');
+        this.framework.assertTrue(identity.attractors.every(a => a.basinSize === 1 && a.capture === null),
+            'Singleton basins and no capture runs without noise');
+
+        // A shifting operator: 0–12 drain to 0 by right shifts, 13 → 14 ↔ 15
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        const shift = { 13: 14, 14: 15, 15: 14 };
+        solver.applySingleEvolutionCycle = (inputData) => {
+            const x = inputData.reduce((index, bit) => index * 2 + bit, 0);
+            const y = shift[x] ?? x >> 1;
+            return { finalData: [3, 2, 1, 0].map(bit => (y >> bit) & 1) };
+        };
+        const result = solver.enumerateAttractors({ errorRate: 0 });
+
+        this.framework.assertEqual(result.fixedPoints, [[0, 0, 0, 0]], 'Zero is the only fixed point');
+        this.framework.assertEqual(result.cycles, [[[1, 1, 1, 0], [1, 1, 1, 1]]], 'One period-2 cycle');
+        this.framework.assertEqual(result.attractors.map(a => a.basinSize), [13, 3], 'Basin sizes');
+        this.framework.assertEqual(result.attractors[0].maxTransientLength, 4, '12 → 6 → 3 → 1 → 0');
+        this.framework.assertEqual(result.transientLength[13], 1, '13 is one step from the cycle');
+        this.framework.assertEqual(result.basinOf[13], 1, 'and lies in its basin');
+    }
+
+    testBasinCapture() {
+        const params = { errorRate: 0.05, maxIterations: 30, seed: 7, trialsPerBasin: 40 };
+        const result = this.solver.enumerateAttractors(params);
+        const repeated = this.solver.enumerateAttractors(params);
+
+        result.attractors.forEach(attractor => {
+            const { probabilities, unconverged, retained } = attractor.capture;
+            const total = probabilities.reduce((sum, p) => sum + p, 0) + unconverged;
+            this.framework.assertTrue(Math.abs(total - 1) < 1e-12, 'Every trial is accounted for');
+            this.framework.assertTrue(retained > 0.7, `Low noise mostly keeps the start word (${retained})`);
+        });
+        this.framework.assertEqual(repeated.attractors.map(a => a.capture), result.attractors.map(a => a.capture),
+            'Capture estimates replay from the seed');
+    }
+
+    testRelaxationMethods() {
+        const data = [1, 0, 1, 1];
+        const comparison = this.solver.compareRelaxationMethods(data, { errorRate: 0.05, seed: 9 });
+
+        ['mann', 'anderson', 'aitken'].forEach(method => {
+            this.framework.assertTrue(comparison[method].converged, `${method} converges`);
+            this.framework.assertEqual(comparison[method].finalState, data, `${method} keeps the data word`);
+        });
+        this.framework.assertTrue(comparison.anderson.iterations < comparison.mann.iterations,
+            'Anderson needs fewer cycles than Mann averaging');
+
+        const result = this.solver.solveFixedPoint(data, { errorRate: 0.05, seed: 9, method: 'mann' });
+        this.framework.assertEqual(result.method, 'mann', 'Report names the scheme');
+        this.framework.assertTrue(result.finalProbabilities.every((q, i) => Math.abs(q - data[i]) < 1e-3),
+            'Probabilities settle on the data word');
+        this.framework.assertTrue(result.convergenceHistory.every(step => step.probabilities.length === 4),
+            'History records the probabilities of every iterate');
+        this.framework.assertTrue(result.convergenceRate > 0, 'Mann converges geometrically');
+        this.framework.assertThrows(() => this.solver.solveFixedPoint(data, { method: 'newton' }), Error,
+            'Unknown methods are rejected');
+    }
+
     run() {
         console.log('Running Fixed-Point Iteration Algorithm Tests...');
         return this.framework.run();
@@ -0,0 +1,297 @@
+/**
+ * Finite Field GF(2^m) Arithmetic
+ *
+ * This module implements arithmetic in the binary extension field GF(2^m),
+ * the algebraic setting of Reed-Solomon and BCH codes. Field elements are
+ * integers 0..2^m-1 whose bits are the coefficients of a polynomial over
+ * GF(2), reduced modulo a primitive polynomial p(x). The primitive element
+ * α = x generates every non-zero element, so multiplication and division
+ * become index arithmetic on precomputed exponent and logarithm tables.
+ *
+ * Polynomials over the field are arrays of elements with the constant term
+ * first: [c0, c1, c2] represents c0 + c1·x + c2·x².
+ *
+ * The module also hosts the algebraic decoding primitives shared by the
+ * cyclic codes: the Berlekamp-Massey algorithm and Chien search.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class GaloisField {
+    /**
+     * @param {number} m - Extension degree (2 ≤ m ≤ 16)
+     * @param {number} [primitivePolynomial] - p(x) as an integer including the x^m term
+     */
+    constructor(m, primitivePolynomial = GaloisField.PRIMITIVE_POLYNOMIALS[m]) {
+        if (!Number.isInteger(m) || m < 2 || m > 16) {
+            throw new Error('Field degree m must be an integer between 2 and 16');
+        }
+
+        this.m = m;
+        this.size = 1 << m;
+        this.order = this.size - 1;  // Order of the multiplicative group
+        this.primitivePolynomial = primitivePolynomial;
+
+        // exp is doubled in length so products of logs never need reducing
+        this.exp = new Uint16Array(2 * this.size);
+        this.log = new Int32Array(this.size).fill(-1);
+
+        let element = 1;
+        for (let i = 0; i < this.order; i++) {
+            if (this.log[element] !== -1) {
+                throw new Error(`Polynomial 0x${primitivePolynomial.toString(16)} is not primitive for GF(2^${m})`);
+            }
+            this.exp[i] = element;
+            this.log[element] = i;
+
+            element <<= 1;
+            if (element & this.size) {
+                element ^= primitivePolynomial;
+            }
+        }
+        for (let i = this.order; i < this.exp.length; i++) {
+            this.exp[i] = this.exp[i - this.order];
+        }
+    }
+
+    /**
+     * Default primitive polynomials for each supported degree
+     */
+    static PRIMITIVE_POLYNOMIALS = {
+        2: 0x7,       // x² + x + 1
+        3: 0xB,       // x³ + x + 1
+        4: 0x13,      // x⁴ + x + 1
+        5: 0x25,      // x⁵ + x² + 1
+        6: 0x43,      // x⁶ + x + 1
+        7: 0x89,      // x⁷ + x³ + 1
+        8: 0x11D,     // x⁸ + x⁴ + x³ + x² + 1
+        9: 0x211,     // x⁹ + x⁴ + 1
+        10: 0x409,    // x¹⁰ + x³ + 1
+        11: 0x805,    // x¹¹ + x² + 1
+        12: 0x1053,   // x¹² + x⁶ + x⁴ + x + 1
+        13: 0x201B,   // x¹³ + x⁴ + x³ + x + 1
+        14: 0x4443,   // x¹⁴ + x¹⁰ + x⁶ + x + 1
+        15: 0x8003,   // x¹⁵ + x + 1
+        16: 0x1100B   // x¹⁶ + x¹² + x³ + x + 1
+    };
+
+    // ----------------------------------------------------------------------
+    // Element arithmetic
+    // ----------------------------------------------------------------------
+
+    /**
+     * Addition (and subtraction) in characteristic 2 is bitwise XOR
+     */
+    add(a, b) {
+        return a ^ b;
+    }
+
+    multiply(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.exp[this.log[a] + this.log[b]];
+    }
+
+    divide(a, b) {
+        if (b === 0) throw new Error('Division by zero in GF(2^m)');
+        if (a === 0) return 0;
+        return this.exp[this.log[a] - this.log[b] + this.order];
+    }
+
+    inverse(a) {
+        if (a === 0) throw new Error('Zero has no multiplicative inverse');
+        return this.exp[this.order - this.log[a]];
+    }
+
+    /**
+     * Raise an element to an integer power (negative powers allowed)
+     */
+    power(a, exponent) {
+        if (a === 0) return exponent === 0 ? 1 : 0;
+        const e = ((this.log[a] * exponent) % this.order + this.order) % this.order;
+        return this.exp[e];
+    }
+
+    /**
+     * α^i for any integer i
+     */
+    alphaPower(i) {
+        return this.exp[((i % this.order) + this.order) % this.order];
+    }
+
+    // ----------------------------------------------------------------------
+    // Polynomial arithmetic (constant term first)
+    // ----------------------------------------------------------------------
+
+    /**
+     * Remove high-order zero coefficients (the zero polynomial stays [0])
+     */
+    polyTrim(poly) {
+        let degree = poly.length - 1;
+        while (degree > 0 && poly[degree] === 0) degree--;
+        return poly.slice(0, degree + 1);
+    }
+
+    polyAdd(a, b) {
+        const result = new Array(Math.max(a.length, b.length)).fill(0);
+        for (let i = 0; i < a.length; i++) result[i] ^= a[i];
+        for (let i = 0; i < b.length; i++) result[i] ^= b[i];
+        return this.polyTrim(result);
+    }
+
+    polyScale(poly, scalar) {
+        return poly.map(c => this.multiply(c, scalar));
+    }
+
+    polyMultiply(a, b) {
+        const result = new Array(a.length + b.length - 1).fill(0);
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === 0) continue;
+            for (let j = 0; j < b.length; j++) {
+                result[i + j] ^= this.multiply(a[i], b[j]);
+            }
+        }
+        return this.polyTrim(result);
+    }
+
+    /**
+     * Polynomial long division
+     *
+     * @returns {Object} - {quotient, remainder}
+     */
+    polyDivide(dividend, divisor) {
+        const d = this.polyTrim(divisor);
+        if (d.length === 1 && d[0] === 0) throw new Error('Polynomial division by zero');
+
+        const remainder = [...dividend];
+        const quotient = new Array(Math.max(dividend.length - d.length + 1, 1)).fill(0);
+        const leadInverse = this.inverse(d[d.length - 1]);
+
+        for (let i = dividend.length - d.length; i >= 0; i--) {
+            const coefficient = this.multiply(remainder[i + d.length - 1], leadInverse);
+            quotient[i] = coefficient;
+            if (coefficient === 0) continue;
+            for (let j = 0; j < d.length; j++) {
+                remainder[i + j] ^= this.multiply(d[j], coefficient);
+            }
+        }
+
+        return {
+            quotient: this.polyTrim(quotient),
+            remainder: this.polyTrim(remainder.slice(0, Math.max(d.length - 1, 1)))
+        };
+    }
+
+    /**
+     * Evaluate a polynomial at x using Horner's rule
+     */
+    polyEvaluate(poly, x) {
+        let result = 0;
+        for (let i = poly.length - 1; i >= 0; i--) {
+            result = this.multiply(result, x) ^ poly[i];
+        }
+        return result;
+    }
+
+    /**
+     * Formal derivative: in characteristic 2 only odd-degree terms survive
+     */
+    polyDerivative(poly) {
+        if (poly.length <= 1) return [0];
+        const result = [];
+        for (let i = 1; i < poly.length; i++) {
+            result.push(i % 2 === 1 ? poly[i] : 0);
+        }
+        return this.polyTrim(result);
+    }
+
+    /**
+     * Degree of a trimmed polynomial (the zero polynomial has degree -1)
+     */
+    polyDegree(poly) {
+        const trimmed = this.polyTrim(poly);
+        return trimmed.length === 1 && trimmed[0] === 0 ? -1 : trimmed.length - 1;
+    }
+
+    // ----------------------------------------------------------------------
+    // Algebraic decoding primitives
+    // ----------------------------------------------------------------------
+
+    /**
+     * Berlekamp-Massey algorithm
+     *
+     * Finds the shortest linear feedback shift register (connection
+     * polynomial Λ with Λ0 = 1) that generates the syndrome sequence. For
+     * errors-and-erasures decoding the register is seeded with the erasure
+     * locator Γ(x) and the iteration starts after the ρ erasures, so the
+     * result is the complete errata locator Γ(x)·Λ(x).
+     *
+     * @param {Array<number>} syndromes - S_0..S_{N-1}
+     * @param {Array<number>} [initial] - Initial locator (erasure locator), default [1]
+     * @returns {Object} - {locator, length}: locator polynomial and LFSR length L
+     */
+    berlekampMassey(syndromes, initial = [1]) {
+        const erasureCount = initial.length - 1;
+        let locator = [...initial];
+        let previous = [...initial];
+        let length = erasureCount;
+        let shift = 1;
+        let previousDiscrepancy = 1;
+
+        for (let n = erasureCount; n < syndromes.length; n++) {
+            // Discrepancy between the register's prediction and S_n
+            let discrepancy = syndromes[n];
+            for (let i = 1; i <= length && i < locator.length; i++) {
+                discrepancy ^= this.multiply(locator[i], syndromes[n - i]);
+            }
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const scale = this.divide(discrepancy, previousDiscrepancy);
+            const correction = new Array(shift).fill(0).concat(this.polyScale(previous, scale));
+            const updated = this.polyAdd(locator, correction);
+
+            if (2 * length <= n + erasureCount) {
+                previous = locator;
+                length = n + 1 + erasureCount - length;
+                previousDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+
+        return { locator: this.polyTrim(locator), length };
+    }
+
+    /**
+     * Chien search for error locations
+     *
+     * Tests every candidate location j by evaluating the locator at
+     * base^(-j). A root at base^(-j) means the error locator X = base^j.
+     *
+     * @param {Array<number>} locator - Error locator polynomial
+     * @param {number} length - Number of candidate positions
+     * @param {number} [base] - Element whose powers label the positions (default α)
+     * @returns {Array<number>} - Exponents j with Λ(base^-j) = 0
+     */
+    chienSearch(locator, length, base = 2) {
+        const roots = [];
+        for (let j = 0; j < length; j++) {
+            if (this.polyEvaluate(locator, this.power(base, -j)) === 0) {
+                roots.push(j);
+            }
+        }
+        return roots;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaloisField;
+} else if (typeof window !== 'undefined') {
+    window.GaloisField = GaloisField;
+}
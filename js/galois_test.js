@@ -0,0 +1,112 @@
+/**
+ * Test Suite for GF(2^m) Arithmetic
+ *
+ * These tests verify the field tables, element arithmetic and the polynomial
+ * routines that the Reed-Solomon and BCH decoders are built on.
+ *
+ * Test Coverage:
+ * - Exponent/logarithm tables and primitivity checks
+ * - Multiplication, division, inverses and powers
+ * - Polynomial multiplication, division, evaluation and derivatives
+ * - Berlekamp-Massey and Chien search
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class GaloisFieldTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.field = new GaloisField(4);
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Field tables enumerate every non-zero element', () => this.testTables());
+        this.framework.test('Non-primitive polynomials are rejected', () => this.testPrimitivity());
+        this.framework.test('Element arithmetic satisfies field axioms', () => this.testArithmetic());
+        this.framework.test('Polynomial division round trip', () => this.testPolynomialDivision());
+        this.framework.test('Formal derivative in characteristic 2', () => this.testDerivative());
+        this.framework.test('Berlekamp-Massey recovers a known locator', () => this.testBerlekampMassey());
+    }
+
+    testTables() {
+        for (let m = 2; m <= 10; m++) {
+            const field = new GaloisField(m);
+            const seen = new Set(Array.from(field.exp.slice(0, field.order)));
+            this.framework.assertEqual(seen.size, field.order,
+                `α should generate all ${field.order} non-zero elements of GF(2^${m})`);
+        }
+        this.framework.assertEqual(this.field.alphaPower(4), 0b0011, 'α⁴ = α + 1 in GF(16)');
+    }
+
+    testPrimitivity() {
+        // x⁴ + x³ + x² + x + 1 is irreducible but α has order 5
+        this.framework.assertThrows(() => new GaloisField(4, 0x1F), Error,
+            'Irreducible but non-primitive polynomial should be rejected');
+        this.framework.assertThrows(() => new GaloisField(1), Error, 'm = 1 is out of range');
+    }
+
+    testArithmetic() {
+        const f = this.field;
+        for (let a = 1; a < f.size; a++) {
+            this.framework.assertEqual(f.multiply(a, f.inverse(a)), 1, `${a}·${a}⁻¹ should be 1`);
+            for (let b = 1; b < f.size; b++) {
+                this.framework.assertEqual(f.divide(f.multiply(a, b), b), a, 'Division should undo multiplication');
+            }
+        }
+        this.framework.assertEqual(f.power(7, f.order), 1, 'a^(2^m - 1) = 1');
+        this.framework.assertEqual(f.power(7, -1), f.inverse(7), 'Negative powers are inverses');
+        this.framework.assertThrows(() => f.divide(3, 0), Error, 'Division by zero should throw');
+    }
+
+    testPolynomialDivision() {
+        const f = this.field;
+        const a = [3, 0, 7, 1, 12];
+        const b = [5, 1, 9];
+        const { quotient, remainder } = f.polyDivide(a, b);
+
+        this.framework.assertEqual(f.polyAdd(f.polyMultiply(quotient, b), remainder), a,
+            'q·b + r should reproduce the dividend');
+        this.framework.assertTrue(f.polyDegree(remainder) < f.polyDegree(b),
+            'Remainder degree should be below divisor degree');
+    }
+
+    testDerivative() {
+        // d/dx (1 + 2x + 3x² + 4x³) = 2 + 0·x + 4x² in characteristic 2
+        this.framework.assertEqual(this.field.polyDerivative([1, 2, 3, 4]), [2, 0, 4],
+            'Even-degree terms should vanish');
+    }
+
+    testBerlekampMassey() {
+        const f = this.field;
+        // Errors at locators α² and α⁹ with values α⁵ and α¹¹
+        const locators = [f.alphaPower(2), f.alphaPower(9)];
+        const values = [f.alphaPower(5), f.alphaPower(11)];
+        const syndromes = [];
+        for (let j = 1; j <= 4; j++) {
+            let s = 0;
+            locators.forEach((X, i) => { s ^= f.multiply(values[i], f.power(X, j)); });
+            syndromes.push(s);
+        }
+
+        const { locator, length } = f.berlekampMassey(syndromes);
+        const expected = f.polyMultiply([1, locators[0]], [1, locators[1]]);
+
+        this.framework.assertEqual(length, 2, 'Two errors need a register of length 2');
+        this.framework.assertEqual(locator, expected, 'Λ(x) should be (1 + X₁x)(1 + X₂x)');
+        this.framework.assertEqual(f.chienSearch(locator, f.order), [2, 9],
+            'Chien search should return the locator exponents');
+    }
+
+    run() {
+        console.log('Running GF(2^m) Arithmetic Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GaloisFieldTests;
+} else if (typeof window !== 'undefined') {
+    window.GaloisFieldTests = GaloisFieldTests;
+}
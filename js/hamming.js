@@ -1,305 +1,121 @@
 /**
- * Hamming(7,4) Error Correction Implementation
+ * Hamming Error Correction Code Family
  * 
  * This module implements the Hamming(7,4) error correction code as described
- * in the retrocausal communication framework. The code encodes 4 information
- * bits into 7 total bits, enabling single-bit error detection and correction.
+ * in the retrocausal communication framework, together with the rest of the
+ * Hamming family. The default code encodes 4 information bits into 7 total
+ * bits, enabling single-bit error detection and correction.
+ * 
+ * For any number of parity bits r ≥ 2 the family provides:
+ * - Hamming(2^r-1, 2^r-1-r): (7,4), (15,11), (31,26), (63,57)...
+ * - Extended Hamming(2^r, 2^r-1-r) with an overall parity bit: (8,4), (16,11)...
+ *   These are SECDED codes: single errors are corrected and double errors
+ *   are reported with status 'uncorrectable' instead of being miscorrected.
  * 
  * The theoretical foundation comes from Hamming's original work on error
  * correction, adapted here for quantum spin state encoding in temporal loops.
  * 
+ * HammingCode is a preset of the generic LinearBlockCode engine: encoding,
+ * syndrome decoding and the code properties are all derived from the two
+ * matrices built below. Codewords use the standard layout where parity bits
+ * sit at the power-of-two positions ([p1, p2, d1, p3, d2, d3, d4] for r = 3),
+ * and since every non-zero syndrome of the perfect code has a weight-1 coset
+ * leader, syndrome value s always means "flip position s - 1".
+ * 
  * Author: Tommy Xaypanya, NeuralQuantum.ai
  */
 
-class HammingCode {
-    constructor() {
-        // Generator matrix G for Hamming(7,4) code
-        // Each row represents how to compute one output bit from input bits
-        this.generatorMatrix = [
-            [1, 1, 0, 1],  // p1 = d1 ⊕ d2 ⊕ d4
-            [1, 0, 1, 1],  // p2 = d1 ⊕ d3 ⊕ d4  
-            [1, 0, 0, 0],  // d1 (pass through)
-            [0, 1, 1, 1],  // p3 = d2 ⊕ d3 ⊕ d4
-            [0, 1, 0, 0],  // d2 (pass through)
-            [0, 0, 1, 0],  // d3 (pass through)
-            [0, 0, 0, 1]   // d4 (pass through)
-        ];
-
-        // Parity check matrix H for syndrome calculation
-        // Used to detect and locate errors in received codewords
-        this.parityCheckMatrix = [
-            [1, 0, 1, 0, 1, 0, 1],  // s1 = c1 ⊕ c3 ⊕ c5 ⊕ c7
-            [0, 1, 1, 0, 0, 1, 1],  // s2 = c2 ⊕ c3 ⊕ c6 ⊕ c7
-            [0, 0, 0, 1, 1, 1, 1]   // s3 = c4 ⊕ c5 ⊕ c6 ⊕ c7
-        ];
-
-        // Mapping from syndrome values to error positions
-        // Syndrome = 0 means no error detected
-        // Syndrome > 0 indicates error at position (syndrome - 1)
-        this.syndromeToErrorPosition = {
-            0: -1,  // No error
-            1: 0,   // Error in position 1
-            2: 1,   // Error in position 2
-            3: 2,   // Error in position 3
-            4: 3,   // Error in position 4
-            5: 4,   // Error in position 5
-            6: 5,   // Error in position 6
-            7: 6    // Error in position 7
-        };
-    }
-
+class HammingCode extends (typeof LinearBlockCode !== 'undefined' ? LinearBlockCode : require('./linearcode.js')) {
     /**
-     * Encode 4 information bits into 7-bit Hamming codeword
-     * 
-     * This function implements the encoding process that maps classical
-     * information bits onto quantum spin orientations. In the retrocausal
-     * framework, this encoding must be consistent across temporal boundaries.
-     * 
-     * @param {Array<number>} dataBits - Array of 4 bits (0 or 1)
-     * @returns {Array<number>} - Array of 7 encoded bits
+     * @param {number} r - Number of parity bits (r ≥ 2); r = 3 gives Hamming(7,4)
+     * @param {Object} options - Code options
+     * @param {boolean} [options.extended] - Append an overall parity bit (SECDED variant)
      */
-    encode(dataBits) {
-        if (!this.validateDataBits(dataBits)) {
-            throw new Error('Input must be array of exactly 4 bits (0 or 1)');
+    constructor(r = 3, options = {}) {
+        if (!Number.isInteger(r) || r < 2 || r > 8) {
+            throw new Error('Hamming parameter r must be an integer between 2 and 8');
         }
 
-        const codeword = new Array(7);
-        
-        // Apply generator matrix to compute each output bit
-        // This is the mathematical heart of the Hamming encoding process
-        for (let i = 0; i < 7; i++) {
-            let bit = 0;
-            for (let j = 0; j < 4; j++) {
-                // XOR operation implements addition in binary field GF(2)
-                bit ^= this.generatorMatrix[i][j] * dataBits[j];
-            }
-            codeword[i] = bit;
-        }
+        const extended = Boolean(options.extended);
+        const { generatorMatrix, parityCheckMatrix } = HammingCode.buildMatrices(r, extended);
+        const n = generatorMatrix.length;
+        const k = generatorMatrix[0].length;
 
-        // Return codeword in standard Hamming(7,4) format:
-        // [p1, p2, d1, p3, d2, d3, d4]
-        return codeword;
-    }
+        super({ generatorMatrix, parityCheckMatrix }, {
+            ...options,
+            name: extended ? `Extended Hamming(${n},${k})` : `Hamming(${n},${k})`
+        });
 
-    /**
-     * Decode 7-bit codeword and correct single-bit errors
-     * 
-     * This function implements error detection and correction using syndrome
-     * calculation. In retrocausal systems, this correction occurs within the
-     * temporal consistency loop, enhancing stability of fixed-point solutions.
-     * 
-     * @param {Array<number>} codeword - Array of 7 received bits
-     * @returns {Object} - {dataBits, correctedCodeword, errorDetected, errorPosition}
-     */
-    decode(codeword) {
-        if (!this.validateCodeword(codeword)) {
-            throw new Error('Input must be array of exactly 7 bits (0 or 1)');
-        }
-
-        // Step 1: Calculate syndrome using parity check matrix
-        const syndrome = this.calculateSyndrome(codeword);
-        const syndromeValue = this.syndromeToInteger(syndrome);
-        
-        // Step 2: Determine if error exists and its location
-        const errorPosition = this.syndromeToErrorPosition[syndromeValue];
-        const errorDetected = errorPosition !== -1;
-        
-        // Step 3: Correct error if detected
-        const correctedCodeword = [...codeword];
-        if (errorDetected) {
-            // Flip the erroneous bit (XOR with 1)
-            correctedCodeword[errorPosition] ^= 1;
-        }
-
-        // Step 4: Extract information bits from corrected codeword
-        // Positions 2, 4, 5, 6 contain the original data bits
-        const dataBits = [
-            correctedCodeword[2],  // d1
-            correctedCodeword[4],  // d2
-            correctedCodeword[5],  // d3
-            correctedCodeword[6]   // d4
-        ];
-
-        return {
-            dataBits: dataBits,
-            correctedCodeword: correctedCodeword,
-            errorDetected: errorDetected,
-            errorPosition: errorPosition,
-            syndrome: syndrome,
-            syndromeValue: syndromeValue
-        };
+        this.parityBits = r;
+        this.extended = extended;
     }
 
     /**
-     * Calculate syndrome for error detection
+     * Factory for any member of the Hamming family
      * 
-     * The syndrome is computed by multiplying the received codeword with
-     * the parity check matrix. A non-zero syndrome indicates an error.
+     * @param {number} r - Number of parity bits of the base code
+     * @param {Object} options - {extended: boolean}
+     * @returns {HammingCode} - Hamming(2^r-1, 2^r-1-r) or its extended variant
      * 
-     * @param {Array<number>} codeword - 7-bit received codeword
-     * @returns {Array<number>} - 3-bit syndrome
+     * @example
+     * HammingCode.create(4)                      // Hamming(15,11)
+     * HammingCode.create(3, { extended: true })  // Extended Hamming(8,4)
      */
-    calculateSyndrome(codeword) {
-        const syndrome = new Array(3);
-        
-        for (let i = 0; i < 3; i++) {
-            let bit = 0;
-            for (let j = 0; j < 7; j++) {
-                bit ^= this.parityCheckMatrix[i][j] * codeword[j];
-            }
-            syndrome[i] = bit;
-        }
-        
-        return syndrome;
+    static create(r, options = {}) {
+        return new HammingCode(r, options);
     }
 
     /**
-     * Convert syndrome bit array to integer for lookup
+     * Build generator and parity-check matrices for Hamming(2^r-1, 2^r-1-r)
      * 
-     * @param {Array<number>} syndrome - 3-bit syndrome array
-     * @returns {number} - Integer value 0-7
-     */
-    syndromeToInteger(syndrome) {
-        return syndrome[0] * 1 + syndrome[1] * 2 + syndrome[2] * 4;
-    }
-
-    /**
-     * Inject random errors into codeword for testing
+     * Column j of H is the binary representation of position j+1. Positions
+     * that are powers of two carry parity; parity bit i covers every position
+     * whose binary representation has bit i set. For r = 3 this yields the
+     * classic matrices:
      * 
-     * This function simulates the noise that might occur during retrocausal
-     * transmission, allowing us to demonstrate error correction capabilities.
+     *   G (7×4)          H (3×7)
+     *   p1 = d1⊕d2⊕d4    s1 = c1⊕c3⊕c5⊕c7
+     *   p2 = d1⊕d3⊕d4    s2 = c2⊕c3⊕c6⊕c7
+     *   p3 = d2⊕d3⊕d4    s3 = c4⊕c5⊕c6⊕c7
      * 
-     * @param {Array<number>} codeword - Original 7-bit codeword
-     * @param {number} errorRate - Probability of bit flip (0.0 to 1.0)
-     * @returns {Array<number>} - Codeword with injected errors
+     * The extended code appends an overall parity bit: G gains a row equal
+     * to the XOR of all others, and H gains an all-ones row.
+     * 
+     * @param {number} r - Number of parity bits
+     * @param {boolean} extended - Whether to add the overall parity bit
+     * @returns {Object} - {generatorMatrix, parityCheckMatrix}
      */
-    injectErrors(codeword, errorRate) {
-        const noisyCodeword = [...codeword];
-        
-        for (let i = 0; i < codeword.length; i++) {
-            if (Math.random() < errorRate) {
-                noisyCodeword[i] ^= 1;  // Flip the bit
+    static buildMatrices(r, extended) {
+        const n = Math.pow(2, r) - 1;
+        const dataPositions = [];
+        for (let position = 1; position <= n; position++) {
+            if ((position & (position - 1)) !== 0) {
+                dataPositions.push(position);
             }
         }
-        
-        return noisyCodeword;
-    }
 
-    /**
-     * Generate all valid Hamming(7,4) codewords
-     * 
-     * This function generates the complete codebook of 16 valid codewords,
-     * useful for analyzing the code's mathematical structure and properties.
-     * 
-     * @returns {Array<Array<number>>} - Array of all 16 valid codewords
-     */
-    generateCodebook() {
-        const codebook = [];
-        
-        // Generate all possible 4-bit input combinations
-        for (let i = 0; i < 16; i++) {
-            const dataBits = [
-                (i >> 3) & 1,
-                (i >> 2) & 1,
-                (i >> 1) & 1,
-                i & 1
-            ];
-            
-            const codeword = this.encode(dataBits);
-            codebook.push({
-                input: dataBits,
-                codeword: codeword,
-                binary: i.toString(2).padStart(4, '0')
-            });
+        const generatorMatrix = [];
+        for (let position = 1; position <= n; position++) {
+            const isParity = (position & (position - 1)) === 0;
+            generatorMatrix.push(dataPositions.map(dataPosition =>
+                isParity ? ((dataPosition & position) !== 0 ? 1 : 0) : (dataPosition === position ? 1 : 0)
+            ));
         }
-        
-        return codebook;
-    }
 
-    /**
-     * Calculate minimum Hamming distance of the code
-     * 
-     * The minimum distance determines the error correction capability.
-     * Hamming(7,4) has minimum distance 3, enabling single-error correction.
-     * 
-     * @returns {number} - Minimum Hamming distance
-     */
-    calculateMinimumDistance() {
-        const codebook = this.generateCodebook();
-        let minDistance = Infinity;
-        
-        for (let i = 0; i < codebook.length; i++) {
-            for (let j = i + 1; j < codebook.length; j++) {
-                const distance = this.hammingDistance(
-                    codebook[i].codeword, 
-                    codebook[j].codeword
-                );
-                minDistance = Math.min(minDistance, distance);
-            }
+        const parityCheckMatrix = [];
+        for (let i = 0; i < r; i++) {
+            parityCheckMatrix.push(Array.from({ length: n }, (_, j) => ((j + 1) >> i) & 1));
         }
-        
-        return minDistance;
-    }
 
-    /**
-     * Calculate Hamming distance between two codewords
-     * 
-     * @param {Array<number>} word1 - First codeword
-     * @param {Array<number>} word2 - Second codeword
-     * @returns {number} - Number of differing bits
-     */
-    hammingDistance(word1, word2) {
-        let distance = 0;
-        for (let i = 0; i < word1.length; i++) {
-            if (word1[i] !== word2[i]) {
-                distance++;
-            }
+        if (extended) {
+            generatorMatrix.push(dataPositions.map((_, col) =>
+                generatorMatrix.reduce((parity, row) => parity ^ row[col], 0)
+            ));
+            parityCheckMatrix.forEach(row => row.push(0));
+            parityCheckMatrix.push(new Array(n + 1).fill(1));
         }
-        return distance;
-    }
-
-    /**
-     * Validate 4-bit data input
-     * 
-     * @param {Array<number>} dataBits - Input to validate
-     * @returns {boolean} - True if valid
-     */
-    validateDataBits(dataBits) {
-        return Array.isArray(dataBits) && 
-               dataBits.length === 4 && 
-               dataBits.every(bit => bit === 0 || bit === 1);
-    }
-
-    /**
-     * Validate 7-bit codeword input
-     * 
-     * @param {Array<number>} codeword - Input to validate
-     * @returns {boolean} - True if valid
-     */
-    validateCodeword(codeword) {
-        return Array.isArray(codeword) && 
-               codeword.length === 7 && 
-               codeword.every(bit => bit === 0 || bit === 1);
-    }
 
-    /**
-     * Get detailed information about the code structure
-     * 
-     * @returns {Object} - Code properties and statistics
-     */
-    getCodeProperties() {
-        return {
-            name: "Hamming(7,4)",
-            n: 7,  // Total bits
-            k: 4,  // Information bits
-            r: 3,  // Parity bits
-            codeRate: 4/7,  // Information rate
-            minimumDistance: 3,
-            errorCorrectionCapability: 1,  // Single-error correction
-            errorDetectionCapability: 2,   // Double-error detection
-            totalCodewords: 16,
-            redundancy: 3/7
-        };
+        return { generatorMatrix, parityCheckMatrix };
     }
 }
 
@@ -54,13 +54,19 @@ class TestFramework {
     }
 
     assertThrows(fn, expectedError = Error, message = '') {
+        let thrown = null;
         try {
             fn();
-            throw new Error(`Expected function to throw ${expectedError.name}, but it didn't throw anything`);
         } catch (error) {
-            if (!(error instanceof expectedError)) {
-                throw new Error(`Expected ${expectedError.name}, but got ${error.constructor.name}: ${error.message}`);
-            }
+            thrown = error;
+        }
+        if (thrown === null) {
+            throw new Error(`Assertion failed: ${message}
+                Expected function to throw ${expectedError.name}, but it didn't throw anything`);
+        }
+        if (!(thrown instanceof expectedError)) {
+            throw new Error(`Assertion failed: ${message}
+                Expected ${expectedError.name}, but got ${thrown.constructor.name}: ${thrown.message}`);
         }
     }
 
@@ -68,14 +74,15 @@ class TestFramework {
         console.log(`Running ${this.tests.length} tests...`);
         
         for (const { name, testFn } of this.tests) {
+            const start = performance.now();
             try {
                 testFn();
                 this.passed++;
-                this.results.push({ name, status: 'PASS' });
+                this.results.push({ name, status: 'PASS', duration: performance.now() - start });
                 console.log(`✓ ${name}`);
             } catch (error) {
                 this.failed++;
-                this.results.push({ name, status: 'FAIL', error: error.message });
+                this.results.push({ name, status: 'FAIL', error: error.message, duration: performance.now() - start });
                 console.error(`✗ ${name}: ${error.message}`);
             }
         }
@@ -120,6 +127,12 @@ class HammingCodeTests {
         this.framework.test('Error injection and correction', () => this.testErrorInjection());
         this.framework.test('Minimum distance property', () => this.testMinimumDistance());
         
+        // Hamming family and extended (SECDED) variants
+        this.framework.test('Hamming family parameters', () => this.testHammingFamily());
+        this.framework.test('Default code matches family member r = 3', () => this.testDefaultFamilyMember());
+        this.framework.test('Extended code corrects single errors', () => this.testExtendedSingleErrors());
+        this.framework.test('Extended code detects double errors', () => this.testExtendedDoubleErrors());
+        
         // Performance tests
         this.framework.test('Performance characteristics', () => this.testPerformance());
     }
@@ -139,7 +152,7 @@ class HammingCodeTests {
             { input: [0, 1, 0, 0], expected: [1, 0, 0, 1, 1, 0, 0] },
             { input: [0, 0, 1, 0], expected: [0, 1, 0, 1, 0, 1, 0] },
             { input: [0, 0, 0, 1], expected: [1, 1, 0, 1, 0, 0, 1] },
-            { input: [1, 1, 1, 1], expected: [0, 1, 1, 0, 1, 1, 1] }
+            { input: [1, 1, 1, 1], expected: [1, 1, 1, 1, 1, 1, 1] }
         ];
 
         for (const { input, expected } of testCases) {
@@ -442,6 +455,82 @@ class HammingCodeTests {
             'Manually calculated minimum distance should be 3');
     }
 
+    testHammingFamily() {
+        // Verify (n, k, d) for the first members of both families
+        const expected = [
+            { r: 3, extended: false, name: 'Hamming(7,4)', n: 7, k: 4, d: 3 },
+            { r: 4, extended: false, name: 'Hamming(15,11)', n: 15, k: 11, d: 3 },
+            { r: 5, extended: false, name: 'Hamming(31,26)', n: 31, k: 26, d: 3 },
+            { r: 6, extended: false, name: 'Hamming(63,57)', n: 63, k: 57, d: 3 },
+            { r: 3, extended: true, name: 'Extended Hamming(8,4)', n: 8, k: 4, d: 4 },
+            { r: 4, extended: true, name: 'Extended Hamming(16,11)', n: 16, k: 11, d: 4 }
+        ];
+
+        for (const { r, extended, name, n, k, d } of expected) {
+            const properties = HammingCode.create(r, { extended }).getCodeProperties();
+            this.framework.assertEqual(properties.name, name, `r = ${r} should build ${name}`);
+            this.framework.assertEqual([properties.n, properties.k], [n, k], `${name} dimensions`);
+            this.framework.assertEqual(properties.minimumDistance, d, `${name} minimum distance`);
+            this.framework.assertEqual(properties.errorCorrectionCapability, 1, `${name} corrects one error`);
+        }
+
+        this.framework.assertThrows(() => HammingCode.create(1), Error, 'r below 2 should throw');
+    }
+
+    testDefaultFamilyMember() {
+        const familyMember = HammingCode.create(3);
+        this.framework.assertEqual(familyMember.generatorMatrix, this.hamming.generatorMatrix,
+            'HammingCode.create(3) should reproduce the Hamming(7,4) generator matrix');
+        this.framework.assertEqual(familyMember.parityCheckMatrix, this.hamming.parityCheckMatrix,
+            'HammingCode.create(3) should reproduce the Hamming(7,4) parity check matrix');
+    }
+
+    testExtendedSingleErrors() {
+        const code = HammingCode.create(4, { extended: true });
+        const dataBits = [1, 0, 1, 1, 0, 0, 1, 0, 1, 1, 1];
+        const codeword = code.encode(dataBits);
+
+        for (let errorPos = 0; errorPos < code.n; errorPos++) {
+            const corrupted = [...codeword];
+            corrupted[errorPos] ^= 1;
+
+            const result = code.decode(corrupted);
+            this.framework.assertEqual(result.status, 'corrected',
+                `Single error at position ${errorPos} should be corrected`);
+            this.framework.assertEqual(result.errorPosition, errorPos,
+                `Error position should be identified as ${errorPos}`);
+            this.framework.assertEqual(result.dataBits, dataBits, 'Data should be recovered');
+        }
+    }
+
+    testExtendedDoubleErrors() {
+        const code = HammingCode.create(3, { extended: true });
+        const codeword = code.encode([0, 1, 1, 0]);
+
+        for (let i = 0; i < code.n; i++) {
+            for (let j = i + 1; j < code.n; j++) {
+                const corrupted = [...codeword];
+                corrupted[i] ^= 1;
+                corrupted[j] ^= 1;
+
+                const result = code.decode(corrupted);
+                this.framework.assertEqual(result.status, 'uncorrectable',
+                    `Double error at ${i},${j} should be flagged uncorrectable`);
+                this.framework.assertTrue(result.errorDetected, 'Double error should be detected');
+                this.framework.assertEqual(result.correctedCodeword, corrupted,
+                    'Uncorrectable word should not be modified');
+            }
+        }
+
+        // The perfect code has no such protection: a double error miscorrects
+        const perfect = this.hamming.encode([0, 1, 1, 0]);
+        const corrupted = [...perfect];
+        corrupted[0] ^= 1;
+        corrupted[1] ^= 1;
+        this.framework.assertEqual(this.hamming.decode(corrupted).status, 'corrected',
+            'Hamming(7,4) cannot distinguish a double error from a single one');
+    }
+
     testPerformance() {
         // Basic performance test
         const testData = [1, 0, 1, 1];
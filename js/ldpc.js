@@ -0,0 +1,575 @@
+/**
+ * Low-Density Parity-Check (LDPC) Codes
+ *
+ * This module implements LDPC codes: linear block codes whose parity-check
+ * matrix H is sparse. H doubles as a Tanner graph - variable nodes for the
+ * n codeword bits, check nodes for the parity equations - and decoding is
+ * iterative belief propagation on that graph. With long blocks and good
+ * graphs these codes approach channel capacity, which makes them the
+ * natural test bed for the paper's question of whether consistency can be
+ * maintained near the capacity limit of the temporal channel.
+ *
+ * Parity-check matrices can be:
+ * - Supplied directly, or loaded from MacKay's alist format
+ * - Generated with Gallager's regular (wc, wr) construction
+ * - Generated with Progressive Edge Growth (PEG), which places each edge to
+ *   maximise the local girth of the Tanner graph
+ *
+ * Decoding works on log-likelihood ratios (LLR > 0 favours bit 0) with
+ * either the exact sum-product (tanh) rule or the min-sum approximation,
+ * optionally normalised by a scaling factor, and outputs posterior LLRs
+ * for soft-decision use downstream. Every iteration records the
+ * syndrome weight - the number of unsatisfied checks - so convergence of
+ * the inner decoder can be studied alongside the outer fixed-point loop.
+ *
+ * Encoding and the code properties come from the LinearBlockCode engine,
+ * which derives a generator matrix from H.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const LDPCUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class LDPCCode extends (typeof LinearBlockCode !== 'undefined' ? LinearBlockCode : require('./linearcode.js')) {
+    /**
+     * @param {Array<Array<number>>} parityCheckMatrix - Sparse m×n parity-check matrix
+     * @param {Object} options - Code and decoder options
+     * @param {string} [options.algorithm='sum-product'] - 'sum-product' or 'min-sum'
+     * @param {number} [options.maxIterations=50] - Belief-propagation iteration limit
+     * @param {number} [options.scalingFactor=1] - Min-sum normalisation (e.g. 0.75)
+     * @param {number} [options.channelErrorRate=0.05] - Crossover probability assumed
+     *        when hard bits are converted to LLRs
+     * @param {string} [options.construction='custom'] - How H was obtained
+     */
+    constructor(parityCheckMatrix, options = {}) {
+        super({ parityCheckMatrix }, options);
+
+        if (!options.name) {
+            this.name = `LDPC(${this.n},${this.k})`;
+        }
+
+        this.construction = options.construction || 'custom';
+        this.algorithm = options.algorithm || 'sum-product';
+        this.maxIterations = options.maxIterations ?? 50;
+        this.scalingFactor = options.scalingFactor ?? 1;
+        this.channelErrorRate = options.channelErrorRate ?? 0.05;
+
+        if (!LDPCCode.ALGORITHMS.includes(this.algorithm)) {
+            throw new Error(`Unknown LDPC decoding algorithm: ${this.algorithm}`);
+        }
+
+        this.buildTannerGraph();
+    }
+
+    static ALGORITHMS = ['sum-product', 'min-sum'];
+
+    // ----------------------------------------------------------------------
+    // Construction
+    // ----------------------------------------------------------------------
+
+    /**
+     * Gallager's regular construction
+     *
+     * H is stacked from wc bands of n/wr rows. The first band has wr
+     * consecutive ones per row; every other band is a random column
+     * permutation of the first. Each column then has weight wc and each row
+     * weight wr.
+     *
+     * @param {number} n - Block length (multiple of rowWeight)
+     * @param {number} columnWeight - Ones per column (wc)
+     * @param {number} rowWeight - Ones per row (wr)
+     * @param {Object} options - LDPCCode options plus {random}
+     * @returns {LDPCCode} - Regular (wc, wr) code
+     */
+    static gallager(n, columnWeight = 3, rowWeight = 6, options = {}) {
+        if (!Number.isInteger(n) || n % rowWeight !== 0) {
+            throw new Error('Gallager construction needs n to be a multiple of the row weight');
+        }
+        if (columnWeight < 2 || rowWeight <= columnWeight) {
+            throw new Error('Gallager construction needs 2 ≤ column weight < row weight');
+        }
+
+        const random = options.random || LDPCUtils.random.next;
+        const bandRows = n / rowWeight;
+        const H = [];
+
+        for (let band = 0; band < columnWeight; band++) {
+            const permutation = band === 0 ? [...Array(n).keys()] : LDPCCode.shuffle([...Array(n).keys()], random);
+            for (let i = 0; i < bandRows; i++) {
+                const row = new Array(n).fill(0);
+                for (let j = i * rowWeight; j < (i + 1) * rowWeight; j++) {
+                    row[permutation[j]] = 1;
+                }
+                H.push(row);
+            }
+        }
+
+        return new LDPCCode(H, { ...options, construction: 'gallager' });
+    }
+
+    /**
+     * Progressive Edge Growth construction
+     *
+     * Edges are added one variable node at a time. The first edge of a node
+     * goes to a lowest-degree check; each further edge goes to a check that
+     * is as far away as possible in the current Tanner graph (not reachable
+     * at all, or in the deepest layer of a breadth-first expansion), ties
+     * broken by lowest check degree and then at random.
+     *
+     * @param {number} n - Number of variable nodes
+     * @param {number} m - Number of check nodes
+     * @param {number|Array<number>} variableDegree - Degree of every variable node, or one per node
+     * @param {Object} options - LDPCCode options plus {random}
+     * @returns {LDPCCode} - PEG code
+     */
+    static progressiveEdgeGrowth(n, m, variableDegree = 3, options = {}) {
+        const degrees = Array.isArray(variableDegree) ? variableDegree : new Array(n).fill(variableDegree);
+        if (degrees.length !== n || degrees.some(d => !Number.isInteger(d) || d < 1 || d > m)) {
+            throw new Error(`Variable degrees must be integers between 1 and ${m}`);
+        }
+
+        const random = options.random || LDPCUtils.random.next;
+        const variableAdjacency = Array.from({ length: n }, () => []);
+        const checkAdjacency = Array.from({ length: m }, () => []);
+
+        for (let j = 0; j < n; j++) {
+            for (let edge = 0; edge < degrees[j]; edge++) {
+                const candidates = edge === 0
+                    ? [...Array(m).keys()]
+                    : LDPCCode.farthestChecks(j, variableAdjacency, checkAdjacency, m);
+
+                const minimumDegree = Math.min(...candidates.map(c => checkAdjacency[c].length));
+                const lightest = candidates.filter(c => checkAdjacency[c].length === minimumDegree);
+                const check = lightest[Math.floor(random() * lightest.length)];
+
+                variableAdjacency[j].push(check);
+                checkAdjacency[check].push(j);
+            }
+        }
+
+        const H = checkAdjacency.map(neighbors => {
+            const row = new Array(n).fill(0);
+            neighbors.forEach(j => { row[j] = 1; });
+            return row;
+        });
+
+        return new LDPCCode(H, { ...options, construction: 'peg' });
+    }
+
+    /**
+     * Breadth-first expansion of the Tanner graph from a variable node
+     *
+     * @returns {Array<number>} - Checks unreachable from the node, or the
+     *          checks first reached in the deepest layer if all are reachable
+     */
+    static farthestChecks(variable, variableAdjacency, checkAdjacency, m) {
+        const reachedChecks = new Uint8Array(m);
+        const visitedVariables = new Set([variable]);
+        let frontier = [variable];
+        let reachedCount = 0;
+
+        for (;;) {
+            const layer = [];
+            for (const v of frontier) {
+                for (const c of variableAdjacency[v]) {
+                    if (!reachedChecks[c]) {
+                        reachedChecks[c] = 1;
+                        reachedCount++;
+                        layer.push(c);
+                    }
+                }
+            }
+
+            if (reachedCount === m) {
+                return layer;
+            }
+            if (layer.length === 0) {
+                const unreached = [];
+                for (let c = 0; c < m; c++) {
+                    if (!reachedChecks[c]) unreached.push(c);
+                }
+                return unreached;
+            }
+
+            frontier = [];
+            for (const c of layer) {
+                for (const v of checkAdjacency[c]) {
+                    if (!visitedVariables.has(v)) {
+                        visitedVariables.add(v);
+                        frontier.push(v);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Load a code from MacKay's alist format
+     *
+     * Lines: "n m", max column/row weights, the n column weights, the m row
+     * weights, then n lines listing each column's rows (1-based, zero padded)
+     * and m lines listing each row's columns.
+     *
+     * @param {string} text - alist file contents
+     * @param {Object} options - LDPCCode options
+     * @returns {LDPCCode} - Code with the loaded parity-check matrix
+     */
+    static fromAlist(text, options = {}) {
+        const lines = text.trim().split(/\r?\n/).map(line => line.trim().split(/\s+/).map(Number));
+        const [n, m] = lines[0];
+
+        if (!Number.isInteger(n) || !Number.isInteger(m) || lines.length < 4 + n) {
+            throw new Error('Malformed alist: expected header and one line per column');
+        }
+
+        const H = Array.from({ length: m }, () => new Array(n).fill(0));
+        for (let j = 0; j < n; j++) {
+            lines[4 + j].filter(index => index > 0).forEach(index => {
+                if (index > m) throw new Error(`Malformed alist: row index ${index} exceeds ${m}`);
+                H[index - 1][j] = 1;
+            });
+        }
+
+        return new LDPCCode(H, { construction: 'alist', ...options });
+    }
+
+    /**
+     * Serialise the parity-check matrix in alist format
+     *
+     * @returns {string} - alist text
+     */
+    toAlist() {
+        const columnWeights = this.variableNeighbors.map(list => list.length);
+        const rowWeights = this.checkNeighbors.map(list => list.length);
+        const maxColumn = Math.max(...columnWeights);
+        const maxRow = Math.max(...rowWeights);
+        const pad = (list, width) => [...list.map(i => i + 1), ...new Array(width - list.length).fill(0)].join(' ');
+
+        return [
+            `${this.n} ${this.checkNeighbors.length}`,
+            `${maxColumn} ${maxRow}`,
+            columnWeights.join(' '),
+            rowWeights.join(' '),
+            ...this.variableNeighbors.map(list => pad(list, maxColumn)),
+            ...this.checkNeighbors.map(list => pad(list, maxRow))
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Fisher-Yates shuffle with an injectable random source
+     */
+    static shuffle(array, random = LDPCUtils.random.next) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Build the sparse edge lists used by message passing
+     *
+     * Edges are numbered check by check; edgeVariable[e] is the variable
+     * end of edge e and variableEdges[v] lists the edges touching v.
+     */
+    buildTannerGraph() {
+        this.checkNeighbors = this.parityCheckMatrix.map(row => {
+            const neighbors = [];
+            row.forEach((bit, j) => { if (bit) neighbors.push(j); });
+            return neighbors;
+        });
+        this.variableNeighbors = Array.from({ length: this.n }, () => []);
+
+        this.checkEdgeStart = [];
+        this.edgeVariable = [];
+        this.variableEdges = Array.from({ length: this.n }, () => []);
+
+        this.checkNeighbors.forEach((neighbors, c) => {
+            this.checkEdgeStart.push(this.edgeVariable.length);
+            neighbors.forEach(v => {
+                this.variableNeighbors[v].push(c);
+                this.variableEdges[v].push(this.edgeVariable.length);
+                this.edgeVariable.push(v);
+            });
+        });
+        this.checkEdgeStart.push(this.edgeVariable.length);
+        this.edgeCount = this.edgeVariable.length;
+    }
+
+    // ----------------------------------------------------------------------
+    // Decoding
+    // ----------------------------------------------------------------------
+
+    /**
+     * Decode a hard-decision word
+     *
+     * The bits are turned into LLRs for a binary symmetric channel with the
+     * given crossover probability and passed to belief propagation. Erased
+     * positions start from LLR 0, so BP fills them in from the checks.
+     *
+     * @param {Array<number>} codeword - n-bit received word
+     * @param {Object} [options] - Decoder overrides plus {channelErrorRate, erasures}
+     * @returns {Object} - LinearBlockCode-shaped result plus BP diagnostics
+     */
+    decode(codeword, options = {}) {
+        if (!this.validateCodeword(codeword)) {
+            throw new Error(`Codeword must be array of exactly ${this.n} bits (0 or 1)`);
+        }
+
+        // Clamp so a noiseless channel still yields finite messages
+        const p = Math.min(Math.max(options.channelErrorRate ?? this.channelErrorRate, 1e-6), 0.5 - 1e-6);
+        const magnitude = Math.log((1 - p) / p);
+        const channelLLR = codeword.map(bit => (bit ? -magnitude : magnitude));
+        (options.erasures || []).forEach(position => {
+            channelLLR[position] = 0;
+        });
+
+        return this.decodeSoft(channelLLR, options, codeword);
+    }
+
+    /**
+     * Belief-propagation decoding from channel observations
+     *
+     * Observations are LLRs, or BPSK samples when options.noiseVariance is
+     * given (see LinearBlockCode.decodeSoft). Setting options.method to 'ml'
+     * or 'chase' uses the generic codebook decoders instead of BP.
+     *
+     * @param {Array<number>} observations - log(P(0)/P(1)) for each bit, or BPSK samples
+     * @param {Object} [options] - {algorithm, maxIterations, scalingFactor, noiseVariance, method}
+     * @param {Array<number>} [receivedBits] - Hard decisions the error positions refer to
+     * @returns {Object} - Decoding results with {iterations, converged, syndromeWeights, llr, dataLLR}
+     */
+    decodeSoft(observations, options = {}, receivedBits = null) {
+        if (options.method === 'ml' || options.method === 'chase') {
+            return super.decodeSoft(observations, options);
+        }
+
+        const channelLLR = LDPCCode.observationsToLLR(observations, this.n, options.noiseVariance);
+        const algorithm = options.algorithm || this.algorithm;
+        const maxIterations = options.maxIterations ?? this.maxIterations;
+        const scalingFactor = options.scalingFactor ?? this.scalingFactor;
+        if (!LDPCCode.ALGORITHMS.includes(algorithm)) {
+            throw new Error(`Unknown LDPC decoding algorithm: ${algorithm}`);
+        }
+
+        const received = receivedBits || channelLLR.map(llr => (llr < 0 ? 1 : 0));
+        const variableToCheck = new Float64Array(this.edgeCount);
+        const checkToVariable = new Float64Array(this.edgeCount);
+        const posterior = Float64Array.from(channelLLR);
+        let hardDecision = [...received];
+
+        const initialWeight = this.syndromeWeight(hardDecision);
+        const syndromeWeights = [initialWeight];
+        let iterations = 0;
+
+        for (let e = 0; e < this.edgeCount; e++) {
+            variableToCheck[e] = channelLLR[this.edgeVariable[e]];
+        }
+
+        while (syndromeWeights[syndromeWeights.length - 1] > 0 && iterations < maxIterations) {
+            iterations++;
+
+            if (algorithm === 'min-sum') {
+                this.updateChecksMinSum(variableToCheck, checkToVariable, scalingFactor);
+            } else {
+                this.updateChecksSumProduct(variableToCheck, checkToVariable);
+            }
+
+            // Variable update: total belief, then extrinsic message per edge
+            for (let v = 0; v < this.n; v++) {
+                let total = channelLLR[v];
+                for (const e of this.variableEdges[v]) total += checkToVariable[e];
+                posterior[v] = total;
+                for (const e of this.variableEdges[v]) variableToCheck[e] = total - checkToVariable[e];
+            }
+
+            hardDecision = Array.from(posterior, llr => (llr < 0 ? 1 : 0));
+            syndromeWeights.push(this.syndromeWeight(hardDecision));
+        }
+
+        const converged = syndromeWeights[syndromeWeights.length - 1] === 0;
+        const errorPositions = [];
+        for (let i = 0; i < this.n; i++) {
+            if (hardDecision[i] !== received[i]) errorPositions.push(i);
+        }
+
+        const syndrome = this.calculateSyndrome(received);
+        let status = 'valid';
+        if (initialWeight > 0) {
+            status = converged ? 'corrected' : 'uncorrectable';
+        }
+
+        return {
+            dataBits: this.extractDataBits(hardDecision),
+            correctedCodeword: hardDecision,
+            errorDetected: initialWeight > 0,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions: errorPositions,
+            status: status,
+            syndrome: syndrome,
+            syndromeValue: this.syndromeToInteger(syndrome),
+            algorithm: algorithm,
+            iterations: iterations,
+            converged: converged,
+            syndromeWeights: syndromeWeights,
+            llr: Array.from(posterior),
+            dataLLR: this.isIdentityExtraction() ?
+                this.informationPositions.map(position => posterior[position]) : null
+        };
+    }
+
+    /**
+     * True when the data bits are read straight off the information
+     * positions, so their posterior LLRs are the data-bit LLRs
+     */
+    isIdentityExtraction() {
+        return this.extractionMatrix.every((row, i) => row.every((bit, j) => bit === (i === j ? 1 : 0)));
+    }
+
+    /**
+     * Sum-product check update: tanh(r/2) = Π tanh(q/2) over the other edges
+     *
+     * Products excluding each edge are formed from prefix and suffix
+     * products, so zero-valued messages need no special casing.
+     */
+    updateChecksSumProduct(variableToCheck, checkToVariable) {
+        const limit = 1 - 1e-12;
+
+        for (let c = 0; c < this.checkNeighbors.length; c++) {
+            const start = this.checkEdgeStart[c];
+            const end = this.checkEdgeStart[c + 1];
+            const degree = end - start;
+            const t = new Float64Array(degree);
+            for (let i = 0; i < degree; i++) t[i] = Math.tanh(variableToCheck[start + i] / 2);
+
+            const prefix = new Float64Array(degree + 1);
+            prefix[0] = 1;
+            for (let i = 0; i < degree; i++) prefix[i + 1] = prefix[i] * t[i];
+
+            let suffix = 1;
+            for (let i = degree - 1; i >= 0; i--) {
+                const product = Math.max(-limit, Math.min(limit, prefix[i] * suffix));
+                checkToVariable[start + i] = 2 * Math.atanh(product);
+                suffix *= t[i];
+            }
+        }
+    }
+
+    /**
+     * Min-sum check update: sign product times the smallest other magnitude,
+     * scaled to offset min-sum's overestimate of reliability
+     */
+    updateChecksMinSum(variableToCheck, checkToVariable, scalingFactor) {
+        for (let c = 0; c < this.checkNeighbors.length; c++) {
+            const start = this.checkEdgeStart[c];
+            const end = this.checkEdgeStart[c + 1];
+
+            let sign = 1;
+            let min1 = Infinity;
+            let min2 = Infinity;
+            let minIndex = -1;
+            for (let e = start; e < end; e++) {
+                const value = variableToCheck[e];
+                if (value < 0) sign = -sign;
+                const magnitude = Math.abs(value);
+                if (magnitude < min1) {
+                    min2 = min1;
+                    min1 = magnitude;
+                    minIndex = e;
+                } else if (magnitude < min2) {
+                    min2 = magnitude;
+                }
+            }
+
+            for (let e = start; e < end; e++) {
+                const magnitude = e === minIndex ? min2 : min1;
+                const edgeSign = variableToCheck[e] < 0 ? -sign : sign;
+                checkToVariable[e] = scalingFactor * edgeSign * (isFinite(magnitude) ? magnitude : 0);
+            }
+        }
+    }
+
+    /**
+     * Number of unsatisfied parity checks
+     */
+    syndromeWeight(bits) {
+        let weight = 0;
+        for (const neighbors of this.checkNeighbors) {
+            let parity = 0;
+            for (const v of neighbors) parity ^= bits[v];
+            weight += parity;
+        }
+        return weight;
+    }
+
+    // ----------------------------------------------------------------------
+    // Graph properties
+    // ----------------------------------------------------------------------
+
+    /**
+     * Girth (shortest cycle length) of the Tanner graph
+     *
+     * A breadth-first search from every variable node finds the shortest
+     * cycle through it; 4-cycles are what hurt BP the most.
+     *
+     * @returns {number} - Girth, or Infinity for a cycle-free graph
+     */
+    calculateGirth() {
+        let girth = Infinity;
+        const nodeCount = this.n + this.checkNeighbors.length;
+        const neighbors = node => (node < this.n
+            ? this.variableNeighbors[node].map(c => this.n + c)
+            : this.checkNeighbors[node - this.n]);
+
+        for (let source = 0; source < this.n; source++) {
+            const distance = new Int32Array(nodeCount).fill(-1);
+            const parent = new Int32Array(nodeCount).fill(-1);
+            distance[source] = 0;
+            const queue = [source];
+
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                if (2 * distance[node] + 1 >= girth) break;
+                for (const next of neighbors(node)) {
+                    if (distance[next] === -1) {
+                        distance[next] = distance[node] + 1;
+                        parent[next] = node;
+                        queue.push(next);
+                    } else if (parent[node] !== next) {
+                        girth = Math.min(girth, distance[node] + distance[next] + 1);
+                    }
+                }
+            }
+        }
+
+        return girth;
+    }
+
+    /**
+     * Get code properties including the Tanner graph structure
+     *
+     * @returns {Object} - Code properties and statistics
+     */
+    getCodeProperties() {
+        const columnWeights = this.variableNeighbors.map(list => list.length);
+        const rowWeights = this.checkNeighbors.map(list => list.length);
+
+        return {
+            ...super.getCodeProperties(),
+            construction: this.construction,
+            algorithm: this.algorithm,
+            edges: this.edgeCount,
+            density: this.edgeCount / (this.n * this.checkNeighbors.length),
+            columnWeights: { min: Math.min(...columnWeights), max: Math.max(...columnWeights) },
+            rowWeights: { min: Math.min(...rowWeights), max: Math.max(...rowWeights) },
+            girth: this.calculateGirth()
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LDPCCode;
+} else if (typeof window !== 'undefined') {
+    window.LDPCCode = LDPCCode;
+}
@@ -0,0 +1,983 @@
+/**
+ * Generic Binary Linear Block Code Engine
+ *
+ * This module implements an (n,k) linear block code over GF(2) defined by
+ * either a generator matrix or a parity-check matrix. Everything the decoder
+ * needs - the systematic form, the dual matrix, the syndrome-to-coset-leader
+ * table, the minimum distance and the weight distribution - is derived
+ * automatically from the matrix supplied.
+ *
+ * Matrix conventions follow the Hamming(7,4) implementation:
+ * - Generator matrix G is n×k, so a codeword is c = G·d
+ * - Parity-check matrix H is (n-k)×n, so every codeword satisfies H·c = 0
+ *
+ * Specific codes (Hamming, BCH, LDPC...) are presets of this class, which lets
+ * the fixed-point solver run the temporal consistency loop with any code.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const CodeUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class LinearBlockCode {
+    /**
+     * @param {Object} matrices - Code definition
+     * @param {Array<Array<number>>} [matrices.generatorMatrix] - n×k generator matrix
+     * @param {Array<Array<number>>} [matrices.parityCheckMatrix] - (n-k)×n parity-check matrix
+     * @param {Object} options - Additional settings
+     * @param {string} [options.name] - Display name of the code
+     * @param {number} [options.maxSyndromeBits] - Largest syndrome space tabulated for decoding
+     * @param {number} [options.maxEnumerationBits] - Largest codebook enumerated for distance analysis
+     * @param {string} [options.decodingMode] - 'bounded' (default) only corrects error patterns
+     *        within the guaranteed correction radius; 'complete' always applies the coset leader
+     * @param {number} [options.maxCodebookBits] - Largest k for soft maximum-likelihood decoding
+     * @param {Function} [options.random] - Uniform [0, 1) source for noise injection
+     *        (default: the shared seeded generator in RetrocausalUtils.random)
+     */
+    constructor(matrices = {}, options = {}) {
+        const { generatorMatrix, parityCheckMatrix } = matrices;
+
+        if (!generatorMatrix && !parityCheckMatrix) {
+            throw new Error('A generator matrix or a parity-check matrix is required');
+        }
+
+        this.maxSyndromeBits = options.maxSyndromeBits ?? 20;
+        this.maxEnumerationBits = options.maxEnumerationBits ?? 22;
+        this.maxCodebookBits = options.maxCodebookBits ?? 16;
+        this.decodingMode = options.decodingMode || 'bounded';
+        this.random = options.random || CodeUtils.random.next;
+
+        if (generatorMatrix) {
+            this.initializeFromGenerator(generatorMatrix, parityCheckMatrix);
+        } else {
+            this.initializeFromParityCheck(parityCheckMatrix);
+        }
+
+        this.r = this.n - this.k;
+        this.name = options.name || `Linear(${this.n},${this.k})`;
+
+        // Expensive structural properties are computed on first use
+        this.cosetLeaders = null;
+        this.weightDistribution = null;
+        this.codebook = null;
+    }
+
+    /**
+     * Build the code from an n×k generator matrix
+     *
+     * The generator defines the encoding map and is kept exactly as given.
+     * The parity-check matrix is either verified (when supplied) or derived
+     * as the null space of the code.
+     *
+     * @param {Array<Array<number>>} generatorMatrix - n×k generator matrix
+     * @param {Array<Array<number>>} [parityCheckMatrix] - Optional matching parity-check matrix
+     */
+    initializeFromGenerator(generatorMatrix, parityCheckMatrix) {
+        LinearBlockCode.assertBinaryMatrix(generatorMatrix, 'Generator matrix');
+
+        this.n = generatorMatrix.length;
+        this.k = generatorMatrix[0].length;
+        this.generatorMatrix = generatorMatrix.map(row => [...row]);
+
+        // The columns of G are the codewords of the unit data vectors
+        const basis = LinearBlockCode.transpose(this.generatorMatrix);
+        const { rows, pivots } = LinearBlockCode.rowReduce(basis);
+        if (pivots.length !== this.k) {
+            throw new Error('Generator matrix columns must be linearly independent over GF(2)');
+        }
+
+        if (parityCheckMatrix) {
+            LinearBlockCode.assertBinaryMatrix(parityCheckMatrix, 'Parity-check matrix');
+            if (parityCheckMatrix[0].length !== this.n) {
+                throw new Error(`Parity-check matrix must have ${this.n} columns`);
+            }
+            if (LinearBlockCode.rank(parityCheckMatrix) !== this.n - this.k) {
+                throw new Error(`Parity-check matrix must have rank ${this.n - this.k}`);
+            }
+            const product = LinearBlockCode.multiply(parityCheckMatrix, this.generatorMatrix);
+            if (product.some(row => row.some(bit => bit !== 0))) {
+                throw new Error('Parity-check matrix is not orthogonal to the generator matrix');
+            }
+            this.parityCheckMatrix = parityCheckMatrix.map(row => [...row]);
+        } else {
+            this.parityCheckMatrix = LinearBlockCode.nullSpace(rows, pivots, this.n);
+        }
+
+        this.deriveSystematicForm();
+    }
+
+    /**
+     * Build the code from a parity-check matrix
+     *
+     * Redundant rows are allowed (as in many LDPC constructions): the code
+     * dimension is n - rank(H). The derived generator is already systematic,
+     * with the information bits placed at the non-pivot columns of H.
+     *
+     * @param {Array<Array<number>>} parityCheckMatrix - Parity-check matrix
+     */
+    initializeFromParityCheck(parityCheckMatrix) {
+        LinearBlockCode.assertBinaryMatrix(parityCheckMatrix, 'Parity-check matrix');
+
+        this.n = parityCheckMatrix[0].length;
+        this.parityCheckMatrix = parityCheckMatrix.map(row => [...row]);
+
+        const { rows, pivots } = LinearBlockCode.rowReduce(this.parityCheckMatrix);
+        this.k = this.n - pivots.length;
+        if (this.k === 0) {
+            throw new Error('Parity-check matrix has full column rank: the code contains only the zero word');
+        }
+
+        // Each null-space basis vector becomes one column of G
+        const basisRows = LinearBlockCode.nullSpace(rows, pivots, this.n);
+        this.generatorMatrix = LinearBlockCode.transpose(basisRows);
+
+        this.deriveSystematicForm();
+    }
+
+    /**
+     * Derive the systematic form of the code
+     *
+     * An information set is a group of k codeword positions that uniquely
+     * determine the data. Unit rows of G are preferred so that codes which are
+     * already systematic (like Hamming(7,4)) keep their natural bit layout.
+     * With A the k×k submatrix of G on the information set, the systematic
+     * generator is G·A⁻¹ and data is recovered as d = A⁻¹·c_info.
+     */
+    deriveSystematicForm() {
+        const G = this.generatorMatrix;
+        const candidates = [...Array(this.n).keys()].sort((a, b) => {
+            const unitA = G[a].reduce((sum, bit) => sum + bit, 0) === 1 ? 0 : 1;
+            const unitB = G[b].reduce((sum, bit) => sum + bit, 0) === 1 ? 0 : 1;
+            return unitA - unitB || a - b;
+        });
+
+        // Greedily pick rows of G that increase the rank
+        const informationPositions = [];
+        const reducedRows = [];
+        for (const position of candidates) {
+            if (LinearBlockCode.reduceAgainst(G[position], reducedRows)) {
+                informationPositions.push(position);
+                if (informationPositions.length === this.k) break;
+            }
+        }
+        informationPositions.sort((a, b) => a - b);
+
+        const A = informationPositions.map(position => [...G[position]]);
+        this.informationPositions = informationPositions;
+        this.parityPositions = [...Array(this.n).keys()].filter(i => !informationPositions.includes(i));
+        this.extractionMatrix = LinearBlockCode.invert(A);
+
+        const systematicGenerator = LinearBlockCode.multiply(G, this.extractionMatrix);
+        this.systematicForm = {
+            generatorMatrix: systematicGenerator,
+            parityCheckMatrix: this.parityPositions.map(parityPosition => {
+                // Row j of H_sys = [Pᵀ | I]: parity bit j equals the XOR of its data taps
+                const hRow = new Array(this.n).fill(0);
+                this.informationPositions.forEach((infoPosition, col) => {
+                    hRow[infoPosition] = systematicGenerator[parityPosition][col];
+                });
+                hRow[parityPosition] = 1;
+                return hRow;
+            }),
+            informationPositions: [...informationPositions],
+            parityPositions: [...this.parityPositions]
+        };
+    }
+
+    /**
+     * Encode k information bits into an n-bit codeword
+     *
+     * @param {Array<number>} dataBits - Array of k bits (0 or 1)
+     * @returns {Array<number>} - Array of n encoded bits
+     */
+    encode(dataBits) {
+        if (!this.validateDataBits(dataBits)) {
+            throw new Error(`Input must be array of exactly ${this.k} bits (0 or 1)`);
+        }
+
+        const codeword = new Array(this.n);
+        for (let i = 0; i < this.n; i++) {
+            let bit = 0;
+            for (let j = 0; j < this.k; j++) {
+                // XOR operation implements addition in binary field GF(2)
+                bit ^= this.generatorMatrix[i][j] & dataBits[j];
+            }
+            codeword[i] = bit;
+        }
+
+        return codeword;
+    }
+
+    /**
+     * Decode an n-bit word using syndrome / coset-leader decoding
+     *
+     * The syndrome identifies the coset of the received word; the minimum
+     * weight member of that coset (the coset leader) is the most likely
+     * error pattern on a binary symmetric channel.
+     *
+     * In bounded-distance mode a leader heavier than the correction radius
+     * t = ⌊(d-1)/2⌋ is not applied: the word is reported as 'uncorrectable'
+     * and returned unchanged instead of being silently miscorrected. This is
+     * what gives extended Hamming codes their double-error detection.
+     *
+     * @param {Array<number>} codeword - Array of n received bits
+     * @returns {Object} - {dataBits, correctedCodeword, errorDetected, errorPosition, errorPositions,
+     *                      status ('valid' | 'corrected' | 'uncorrectable'), syndrome, syndromeValue}
+     */
+    decode(codeword) {
+        if (!this.validateCodeword(codeword)) {
+            throw new Error(`Input must be array of exactly ${this.n} bits (0 or 1)`);
+        }
+
+        const syndrome = this.calculateSyndrome(codeword);
+        const syndromeValue = this.syndromeToInteger(syndrome);
+        const errorDetected = syndromeValue !== 0;
+
+        let status = 'valid';
+        let errorPositions = [];
+        if (errorDetected) {
+            const leader = this.getCosetLeaders().get(syndromeValue);
+            const radius = this.getCorrectionRadius();
+
+            if (leader && (this.decodingMode === 'complete' || leader.length <= radius)) {
+                errorPositions = [...leader];
+                status = 'corrected';
+            } else {
+                status = 'uncorrectable';
+            }
+        }
+
+        const correctedCodeword = [...codeword];
+        for (const position of errorPositions) {
+            correctedCodeword[position] ^= 1;
+        }
+
+        return {
+            dataBits: this.extractDataBits(correctedCodeword),
+            correctedCodeword: correctedCodeword,
+            errorDetected: errorDetected,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions: errorPositions,
+            status: status,
+            syndrome: syndrome,
+            syndromeValue: syndromeValue
+        };
+    }
+
+    /**
+     * Guaranteed error correction radius t = ⌊(d-1)/2⌋
+     *
+     * When the minimum distance is too expensive to compute, the radius is
+     * unbounded and every tabulated coset leader is applied.
+     *
+     * @returns {number} - Number of errors the decoder may correct
+     */
+    getCorrectionRadius() {
+        const minimumDistance = this.calculateMinimumDistance();
+        if (minimumDistance === null) return Infinity;
+        return Math.floor((minimumDistance - 1) / 2);
+    }
+
+    /**
+     * Soft-input decoding from real-valued channel observations
+     *
+     * Observations are log-likelihood ratios L = log(P(0)/P(1)), or BPSK
+     * samples (bit 0 ↦ +1, bit 1 ↦ -1) when options.noiseVariance is given.
+     * Candidate codewords are ranked by the soft discrepancy Σ|L_i| over the
+     * positions where they disagree with the hard decisions, which is
+     * equivalent to maximum-likelihood correlation ranking.
+     *
+     * - 'ml' searches the whole codebook and outputs exact a-posteriori LLRs
+     * - 'chase' (Chase-2) flips every combination of the least reliable
+     *   positions, hard-decodes each test pattern and outputs max-log LLRs
+     *   over the resulting candidate list
+     *
+     * @param {Array<number>} observations - n LLRs or BPSK samples
+     * @param {Object} [options] - {method, noiseVariance, chaseBits}
+     * @returns {Object} - decode() result plus {method, metric, candidates, llr, dataLLR}
+     */
+    decodeSoft(observations, options = {}) {
+        const llr = LinearBlockCode.observationsToLLR(observations, this.n, options.noiseVariance);
+        const method = options.method || (this.k <= this.maxCodebookBits ? 'ml' : 'chase');
+        const received = llr.map(value => (value < 0 ? 1 : 0));
+
+        let candidates;
+        if (method === 'ml') {
+            candidates = this.getCodebook().map(entry => ({ dataBits: entry.input, codeword: entry.codeword }));
+        } else if (method === 'chase') {
+            candidates = this.generateChaseCandidates(llr, received, options.chaseBits);
+        } else {
+            throw new Error(`Unknown soft decoding method: ${method}`);
+        }
+
+        const syndrome = this.calculateSyndrome(received);
+        const syndromeValue = this.syndromeToInteger(syndrome);
+        const metrics = candidates.map(candidate => LinearBlockCode.softDiscrepancy(candidate.codeword, received, llr));
+
+        let best = -1;
+        metrics.forEach((metric, i) => {
+            if (best === -1 || metric < metrics[best]) best = i;
+        });
+
+        const decision = best === -1 ? { codeword: received, dataBits: this.extractDataBits(received) } : candidates[best];
+        const errorPositions = [];
+        for (let i = 0; i < this.n; i++) {
+            if (decision.codeword[i] !== received[i]) errorPositions.push(i);
+        }
+
+        let status = errorPositions.length > 0 ? 'corrected' : 'valid';
+        if (best === -1) status = 'uncorrectable';
+
+        const softOutput = method === 'ml' ?
+            LinearBlockCode.exactPosteriorLLR(candidates, metrics, decision, llr) :
+            LinearBlockCode.maxLogPosteriorLLR(candidates, metrics, decision, llr);
+
+        return {
+            dataBits: [...decision.dataBits],
+            correctedCodeword: [...decision.codeword],
+            errorDetected: syndromeValue !== 0,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions: errorPositions,
+            status: status,
+            syndrome: syndrome,
+            syndromeValue: syndromeValue,
+            method: method,
+            metric: best === -1 ? null : metrics[best],
+            candidates: candidates.length,
+            llr: softOutput.llr,
+            dataLLR: softOutput.dataLLR
+        };
+    }
+
+    /**
+     * Chase-2 candidate list
+     *
+     * @param {Array<number>} llr - Channel LLRs
+     * @param {Array<number>} received - Hard decisions
+     * @param {number} [chaseBits] - Least reliable positions to flip (default ⌊d/2⌋)
+     * @returns {Array<Object>} - Distinct {dataBits, codeword} found by hard decoding
+     */
+    generateChaseCandidates(llr, received, chaseBits) {
+        const distance = this.calculateMinimumDistance() ?? 2 * Math.min(this.getCorrectionRadius(), this.r) + 1;
+        const p = Math.min(chaseBits ?? Math.max(1, Math.floor(distance / 2)), this.n, 16);
+
+        const leastReliable = [...Array(this.n).keys()]
+            .sort((a, b) => Math.abs(llr[a]) - Math.abs(llr[b]))
+            .slice(0, p);
+
+        const seen = new Set();
+        const candidates = [];
+        for (let pattern = 0; pattern < Math.pow(2, p); pattern++) {
+            const test = [...received];
+            leastReliable.forEach((position, bit) => {
+                if ((pattern >> bit) & 1) test[position] ^= 1;
+            });
+
+            const result = this.decode(test);
+            if (result.status === 'uncorrectable') continue;
+
+            const key = result.correctedCodeword.join('');
+            if (!seen.has(key)) {
+                seen.add(key);
+                candidates.push({ dataBits: result.dataBits, codeword: result.correctedCodeword });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Build (once) the codebook used by maximum-likelihood decoding
+     *
+     * @returns {Array<Object>} - Entries of {input, codeword, binary}
+     */
+    getCodebook() {
+        if (this.k > this.maxCodebookBits) {
+            throw new Error(`Maximum-likelihood decoding over 2^${this.k} codewords is not supported; use Chase decoding`);
+        }
+        if (!this.codebook) {
+            this.codebook = this.generateCodebook();
+        }
+        return this.codebook;
+    }
+
+    /**
+     * Recover the information bits from a valid codeword
+     *
+     * @param {Array<number>} codeword - n-bit codeword
+     * @returns {Array<number>} - k information bits
+     */
+    extractDataBits(codeword) {
+        const informationBits = this.informationPositions.map(position => codeword[position]);
+        return this.extractionMatrix.map(row => {
+            let bit = 0;
+            for (let j = 0; j < this.k; j++) {
+                bit ^= row[j] & informationBits[j];
+            }
+            return bit;
+        });
+    }
+
+    /**
+     * Calculate syndrome s = H·c
+     *
+     * @param {Array<number>} codeword - n-bit received word
+     * @returns {Array<number>} - Syndrome bits, one per parity-check row
+     */
+    calculateSyndrome(codeword) {
+        return this.parityCheckMatrix.map(row => {
+            let bit = 0;
+            for (let j = 0; j < this.n; j++) {
+                bit ^= row[j] & codeword[j];
+            }
+            return bit;
+        });
+    }
+
+    /**
+     * Convert syndrome bit array to integer for lookup (bit i has weight 2^i)
+     *
+     * @param {Array<number>} syndrome - Syndrome bits
+     * @returns {number} - Integer syndrome value
+     */
+    syndromeToInteger(syndrome) {
+        return syndrome.reduce((value, bit, i) => value + bit * Math.pow(2, i), 0);
+    }
+
+    /**
+     * Build (once) the syndrome-to-coset-leader table
+     *
+     * Error patterns are enumerated in order of increasing weight, so the
+     * first pattern seen for each syndrome is a minimum-weight coset leader.
+     * Codes with more than `maxSyndromeBits` parity checks are not tabulated;
+     * their unknown syndromes are reported as detected but uncorrected.
+     *
+     * @returns {Map<number, Array<number>>} - Syndrome value → error positions
+     */
+    getCosetLeaders() {
+        if (this.cosetLeaders) return this.cosetLeaders;
+
+        const leaders = new Map([[0, []]]);
+        const syndromeRank = LinearBlockCode.rank(this.parityCheckMatrix);
+
+        if (this.parityCheckMatrix.length <= this.maxSyndromeBits) {
+            const targetSize = Math.pow(2, syndromeRank);
+
+            // Syndrome of a pattern is the XOR of the H columns it touches
+            const columnValues = [];
+            for (let j = 0; j < this.n; j++) {
+                columnValues.push(this.syndromeToInteger(this.parityCheckMatrix.map(row => row[j])));
+            }
+
+            for (let weight = 1; weight <= this.n && leaders.size < targetSize; weight++) {
+                LinearBlockCode.forEachCombination(this.n, weight, (positions) => {
+                    let value = 0;
+                    for (const position of positions) {
+                        value ^= columnValues[position];
+                    }
+                    if (!leaders.has(value)) {
+                        leaders.set(value, [...positions]);
+                    }
+                    return leaders.size < targetSize;
+                });
+            }
+        }
+
+        this.cosetLeaders = leaders;
+        return leaders;
+    }
+
+    /**
+     * Inject random errors into codeword for testing
+     *
+     * @param {Array<number>} codeword - Original codeword
+     * @param {number} errorRate - Probability of bit flip (0.0 to 1.0)
+     * @returns {Array<number>} - Codeword with injected errors
+     */
+    injectErrors(codeword, errorRate) {
+        if (!(errorRate >= 0 && errorRate <= 1)) {
+            throw new Error('Error rate must be a probability between 0 and 1');
+        }
+        const noisyCodeword = [...codeword];
+
+        for (let i = 0; i < codeword.length; i++) {
+            if (this.random() < errorRate) {
+                noisyCodeword[i] ^= 1;  // Flip the bit
+            }
+        }
+
+        return noisyCodeword;
+    }
+
+    /**
+     * Generate all 2^k valid codewords
+     *
+     * @returns {Array<Object>} - Entries of {input, codeword, binary}
+     */
+    generateCodebook() {
+        if (this.k > this.maxEnumerationBits) {
+            throw new Error(`Codebook of 2^${this.k} words is too large to enumerate`);
+        }
+
+        const codebook = [];
+        const size = Math.pow(2, this.k);
+
+        for (let i = 0; i < size; i++) {
+            const dataBits = LinearBlockCode.integerToBits(i, this.k);
+            codebook.push({
+                input: dataBits,
+                codeword: this.encode(dataBits),
+                binary: i.toString(2).padStart(this.k, '0')
+            });
+        }
+
+        return codebook;
+    }
+
+    /**
+     * Calculate the weight distribution A_0..A_n of the code
+     *
+     * Whichever of the code and its dual is smaller is enumerated. When the
+     * dual is smaller, the MacWilliams identity converts the dual's weight
+     * distribution B_j into the code's: A_w = 2^-(n-k) Σ_j B_j K_w(j), where
+     * K_w is the binary Krawtchouk polynomial.
+     *
+     * @returns {Array<number>|null} - Number of codewords of each weight, or null if infeasible
+     */
+    calculateWeightDistribution() {
+        if (this.weightDistribution) return [...this.weightDistribution];
+
+        const dualDimension = this.n - this.k;
+        if (Math.min(this.k, dualDimension) > this.maxEnumerationBits) {
+            return null;
+        }
+
+        if (this.k <= dualDimension) {
+            this.weightDistribution = LinearBlockCode.enumerateWeights(
+                LinearBlockCode.transpose(this.generatorMatrix), this.n
+            );
+        } else {
+            const dualBasis = LinearBlockCode.rowReduce(this.parityCheckMatrix).rows;
+            const dualWeights = LinearBlockCode.enumerateWeights(dualBasis, this.n);
+            const scale = 1n << BigInt(dualBasis.length);
+
+            const sums = new Array(this.n + 1).fill(0n);
+            for (let j = 0; j <= this.n; j++) {
+                if (dualWeights[j] === 0) continue;
+                const column = LinearBlockCode.krawtchoukColumn(j, this.n);
+                for (let w = 0; w <= this.n; w++) {
+                    sums[w] += BigInt(dualWeights[j]) * column[w];
+                }
+            }
+            this.weightDistribution = sums.map(sum => Number(sum / scale));
+        }
+
+        return [...this.weightDistribution];
+    }
+
+    /**
+     * Calculate minimum Hamming distance of the code
+     *
+     * For a linear code the minimum distance equals the smallest non-zero
+     * codeword weight.
+     *
+     * @returns {number|null} - Minimum distance, or null if infeasible to compute
+     */
+    calculateMinimumDistance() {
+        const distribution = this.calculateWeightDistribution();
+        if (!distribution) return null;
+
+        for (let w = 1; w <= this.n; w++) {
+            if (distribution[w] > 0) return w;
+        }
+        return Infinity;
+    }
+
+    /**
+     * Calculate Hamming distance between two words
+     *
+     * @param {Array<number>} word1 - First word
+     * @param {Array<number>} word2 - Second word
+     * @returns {number} - Number of differing bits
+     */
+    hammingDistance(word1, word2) {
+        let distance = 0;
+        for (let i = 0; i < word1.length; i++) {
+            if (word1[i] !== word2[i]) {
+                distance++;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * Validate k-bit data input
+     *
+     * @param {Array<number>} dataBits - Input to validate
+     * @returns {boolean} - True if valid
+     */
+    validateDataBits(dataBits) {
+        return Array.isArray(dataBits) &&
+               dataBits.length === this.k &&
+               dataBits.every(bit => bit === 0 || bit === 1);
+    }
+
+    /**
+     * Validate n-bit codeword input
+     *
+     * @param {Array<number>} codeword - Input to validate
+     * @returns {boolean} - True if valid
+     */
+    validateCodeword(codeword) {
+        return Array.isArray(codeword) &&
+               codeword.length === this.n &&
+               codeword.every(bit => bit === 0 || bit === 1);
+    }
+
+    /**
+     * Get detailed information about the code structure
+     *
+     * @returns {Object} - Code properties and statistics
+     */
+    getCodeProperties() {
+        const minimumDistance = this.calculateMinimumDistance();
+        const hasDistance = minimumDistance !== null && isFinite(minimumDistance);
+
+        return {
+            name: this.name,
+            n: this.n,  // Total bits
+            k: this.k,  // Information bits
+            r: this.r,  // Parity bits
+            codeRate: this.k / this.n,  // Information rate
+            minimumDistance: minimumDistance,
+            errorCorrectionCapability: hasDistance ? Math.floor((minimumDistance - 1) / 2) : null,
+            errorDetectionCapability: hasDistance ? minimumDistance - 1 : null,
+            totalCodewords: Math.pow(2, this.k),
+            redundancy: this.r / this.n,
+            weightDistribution: this.calculateWeightDistribution()
+        };
+    }
+
+    // ----------------------------------------------------------------------
+    // Soft-decision helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Convert channel observations to LLRs
+     *
+     * BPSK samples y over an AWGN channel of variance σ² have L = 2y/σ².
+     *
+     * @param {Array<number>} observations - LLRs, or samples when noiseVariance is given
+     * @param {number} n - Expected length
+     * @param {number} [noiseVariance] - σ² of the channel that produced the samples
+     * @returns {Array<number>} - LLRs
+     */
+    static observationsToLLR(observations, n, noiseVariance) {
+        if (!Array.isArray(observations) || observations.length !== n || !observations.every(Number.isFinite)) {
+            throw new Error(`Observations must be an array of ${n} finite numbers`);
+        }
+        if (noiseVariance === undefined || noiseVariance === null) {
+            return [...observations];
+        }
+        if (!(noiseVariance > 0)) {
+            throw new Error('Noise variance must be positive');
+        }
+        return observations.map(y => 2 * y / noiseVariance);
+    }
+
+    /**
+     * Σ|L_i| over the positions where a codeword disagrees with the hard decisions
+     */
+    static softDiscrepancy(codeword, received, llr) {
+        let metric = 0;
+        for (let i = 0; i < codeword.length; i++) {
+            if (codeword[i] !== received[i]) metric += Math.abs(llr[i]);
+        }
+        return metric;
+    }
+
+    /**
+     * Exact bitwise a-posteriori LLRs over the full codebook
+     *
+     * P(c | y) ∝ exp(-metric(c)), so L_i = log Σ_{c_i=0} e^-metric - log Σ_{c_i=1} e^-metric,
+     * computed with log-sum-exp for stability.
+     */
+    static exactPosteriorLLR(candidates, metrics, decision, llr) {
+        const logSumExp = values => {
+            if (values.length === 0) return -Infinity;
+            const max = Math.max(...values);
+            return max + Math.log(values.reduce((sum, v) => sum + Math.exp(v - max), 0));
+        };
+        const bitwise = (length, bitOf) => Array.from({ length }, (_, i) => {
+            const zeros = [];
+            const ones = [];
+            candidates.forEach((candidate, j) => (bitOf(candidate)[i] ? ones : zeros).push(-metrics[j]));
+            return logSumExp(zeros) - logSumExp(ones);
+        });
+
+        return {
+            llr: bitwise(llr.length, candidate => candidate.codeword),
+            dataLLR: bitwise(decision.dataBits.length, candidate => candidate.dataBits)
+        };
+    }
+
+    /**
+     * Max-log LLRs over a candidate list
+     *
+     * L_i = min metric with c_i = 1 minus min metric with c_i = 0. When no
+     * candidate competes on bit i the decision keeps its sign with
+     * reliability |L_i| plus the spread of the candidate metrics.
+     */
+    static maxLogPosteriorLLR(candidates, metrics, decision, llr) {
+        const spread = metrics.length > 0 ? Math.max(...metrics) - Math.min(...metrics) : 0;
+        const bitwise = (length, bitOf, fallback) => Array.from({ length }, (_, i) => {
+            let bestZero = Infinity;
+            let bestOne = Infinity;
+            candidates.forEach((candidate, j) => {
+                if (bitOf(candidate)[i]) bestOne = Math.min(bestOne, metrics[j]);
+                else bestZero = Math.min(bestZero, metrics[j]);
+            });
+            if (isFinite(bestZero) && isFinite(bestOne)) return bestOne - bestZero;
+            return (bitOf(decision)[i] ? -1 : 1) * (fallback(i) + spread);
+        });
+
+        return {
+            llr: bitwise(llr.length, candidate => candidate.codeword, i => Math.abs(llr[i])),
+            dataLLR: bitwise(decision.dataBits.length, candidate => candidate.dataBits, () => 0)
+        };
+    }
+
+    // ----------------------------------------------------------------------
+    // GF(2) linear algebra helpers
+    // ----------------------------------------------------------------------
+
+    /**
+     * Check that a matrix is a non-empty rectangular array of bits
+     */
+    static assertBinaryMatrix(matrix, label) {
+        const valid = Array.isArray(matrix) && matrix.length > 0 &&
+            Array.isArray(matrix[0]) && matrix[0].length > 0 &&
+            matrix.every(row => Array.isArray(row) && row.length === matrix[0].length &&
+                row.every(bit => bit === 0 || bit === 1));
+
+        if (!valid) {
+            throw new Error(`${label} must be a rectangular array of bits (0 or 1)`);
+        }
+    }
+
+    /**
+     * Transpose a matrix
+     */
+    static transpose(matrix) {
+        return matrix[0].map((_, j) => matrix.map(row => row[j]));
+    }
+
+    /**
+     * Multiply two binary matrices over GF(2)
+     */
+    static multiply(a, b) {
+        return a.map(row => b[0].map((_, j) => {
+            let bit = 0;
+            for (let i = 0; i < row.length; i++) {
+                bit ^= row[i] & b[i][j];
+            }
+            return bit;
+        }));
+    }
+
+    /**
+     * Reduce a matrix to reduced row echelon form over GF(2)
+     *
+     * @param {Array<Array<number>>} matrix - Binary matrix (not modified)
+     * @returns {Object} - {rows: independent RREF rows, pivots: pivot column of each row}
+     */
+    static rowReduce(matrix) {
+        const rows = matrix.map(row => [...row]);
+        const cols = rows[0].length;
+        const pivots = [];
+        let pivotRow = 0;
+
+        for (let col = 0; col < cols && pivotRow < rows.length; col++) {
+            let found = pivotRow;
+            while (found < rows.length && rows[found][col] === 0) found++;
+            if (found === rows.length) continue;
+
+            [rows[pivotRow], rows[found]] = [rows[found], rows[pivotRow]];
+            for (let r = 0; r < rows.length; r++) {
+                if (r !== pivotRow && rows[r][col] === 1) {
+                    for (let c = col; c < cols; c++) {
+                        rows[r][c] ^= rows[pivotRow][c];
+                    }
+                }
+            }
+            pivots.push(col);
+            pivotRow++;
+        }
+
+        return { rows: rows.slice(0, pivotRow), pivots };
+    }
+
+    /**
+     * Rank of a binary matrix
+     */
+    static rank(matrix) {
+        return LinearBlockCode.rowReduce(matrix).pivots.length;
+    }
+
+    /**
+     * Basis of the null space of a matrix given in RREF
+     *
+     * @param {Array<Array<number>>} rows - RREF rows
+     * @param {Array<number>} pivots - Pivot columns of the RREF rows
+     * @param {number} cols - Number of columns
+     * @returns {Array<Array<number>>} - Basis vectors as rows
+     */
+    static nullSpace(rows, pivots, cols) {
+        const basis = [];
+        for (let free = 0; free < cols; free++) {
+            if (pivots.includes(free)) continue;
+
+            const vector = new Array(cols).fill(0);
+            vector[free] = 1;
+            pivots.forEach((pivot, i) => {
+                vector[pivot] = rows[i][free];
+            });
+            basis.push(vector);
+        }
+        return basis;
+    }
+
+    /**
+     * Reduce a vector against an incrementally built echelon basis
+     *
+     * If the vector is independent of the basis it is added (in reduced
+     * form) and true is returned.
+     *
+     * @param {Array<number>} vector - Candidate vector
+     * @param {Array<Object>} basis - Basis entries of {row, pivot}, updated in place
+     * @returns {boolean} - True if the vector increased the rank
+     */
+    static reduceAgainst(vector, basis) {
+        const reduced = [...vector];
+        for (const { row, pivot } of basis) {
+            if (reduced[pivot] === 1) {
+                for (let i = 0; i < reduced.length; i++) {
+                    reduced[i] ^= row[i];
+                }
+            }
+        }
+
+        const pivot = reduced.indexOf(1);
+        if (pivot === -1) return false;
+
+        basis.push({ row: reduced, pivot });
+        return true;
+    }
+
+    /**
+     * Invert a square binary matrix by Gauss-Jordan elimination
+     */
+    static invert(matrix) {
+        const size = matrix.length;
+        const augmented = matrix.map((row, i) => [
+            ...row,
+            ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+        ]);
+        const { rows, pivots } = LinearBlockCode.rowReduce(augmented);
+
+        if (pivots.length < size || pivots[size - 1] >= size) {
+            throw new Error('Matrix is singular over GF(2)');
+        }
+        return rows.map(row => row.slice(size));
+    }
+
+    /**
+     * Count codeword weights for every linear combination of the basis rows
+     *
+     * Combinations are visited in Gray-code order so each step adds a
+     * single basis row to the running codeword.
+     */
+    static enumerateWeights(basis, n) {
+        const distribution = new Array(n + 1).fill(0);
+        const word = new Array(n).fill(0);
+        let weight = 0;
+        distribution[0] = 1;
+
+        const total = Math.pow(2, basis.length);
+        for (let i = 1; i < total; i++) {
+            // Index of the lowest set bit selects the basis row that changes
+            let flip = 0;
+            while (((i >> flip) & 1) === 0) flip++;
+
+            const row = basis[flip];
+            for (let j = 0; j < n; j++) {
+                if (row[j]) {
+                    weight += word[j] ? -1 : 1;
+                    word[j] ^= 1;
+                }
+            }
+            distribution[weight]++;
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Binary Krawtchouk polynomials K_0(j)..K_n(j) for a fixed j
+     *
+     * K_w(j) = Σ_s (-1)^s C(j,s) C(n-j, w-s) is evaluated with the exact
+     * three-term recurrence (w+1)K_{w+1} = (n-2j)K_w - (n-w+1)K_{w-1}.
+     * BigInt is required: the values overflow double precision long before
+     * the codes we care about (n = 63 already needs 60-bit integers).
+     *
+     * @param {number} j - Weight of the dual codeword
+     * @param {number} n - Block length
+     * @returns {Array<BigInt>} - K_w(j) for w = 0..n
+     */
+    static krawtchoukColumn(j, n) {
+        const values = [1n, BigInt(n - 2 * j)];
+        for (let w = 1; w < n; w++) {
+            const next = BigInt(n - 2 * j) * values[w] - BigInt(n - w + 1) * values[w - 1];
+            values.push(next / BigInt(w + 1));
+        }
+        return values.slice(0, n + 1);
+    }
+
+    /**
+     * Visit every size-`size` subset of {0..n-1} in lexicographic order
+     *
+     * @param {number} n - Universe size
+     * @param {number} size - Subset size
+     * @param {Function} visit - Called with the positions; return false to stop
+     */
+    static forEachCombination(n, size, visit) {
+        const positions = Array.from({ length: size }, (_, i) => i);
+
+        while (true) {
+            if (visit(positions) === false) return;
+
+            let i = size - 1;
+            while (i >= 0 && positions[i] === n - size + i) i--;
+            if (i < 0) return;
+
+            positions[i]++;
+            for (let j = i + 1; j < size; j++) {
+                positions[j] = positions[j - 1] + 1;
+            }
+        }
+    }
+
+    /**
+     * Convert an integer to a most-significant-bit-first bit array
+     */
+    static integerToBits(value, length) {
+        return Array.from({ length }, (_, i) => Math.floor(value / Math.pow(2, length - 1 - i)) % 2);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinearBlockCode;
+} else if (typeof window !== 'undefined') {
+    window.LinearBlockCode = LinearBlockCode;
+}
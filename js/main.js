@@ -16,25 +16,49 @@
  */
 
 class RetrocausalSimulatorApp {
+    // Where the benchmark baseline is kept between visits
+    static BASELINE_STORAGE_KEY = 'retrocausal.benchmarkBaseline';
+
+    // Error-rate sweep behind the error analysis chart; the fixed seed
+    // makes every measurement show the same curves
+    static ERROR_ANALYSIS_SWEEP = {
+        values: [0.01, 0.02, 0.05, 0.1, 0.15, 0.2, 0.25],
+        engineOptions: { targetBlockErrors: 30, maxBlocks: 1000 },
+        seed: 'error-analysis'
+    };
+
     constructor() {
         // Initialize core components
         this.hamming = new HammingCode();
         this.solver = new RetrocausalFixedPointSolver(this.hamming);
         this.visualizer = new RetrocausalVisualizer();
         
+        // Long analyses run on worker threads so the page stays responsive
+        this.workerPool = new SimulationWorkerPool();
+        
         // Application state management
         this.currentState = {
             inputBits: [0, 0, 0, 0],
             parameters: {
                 errorRate: 0.05,
                 maxIterations: 100,
-                tolerance: 1e-6
+                tolerance: 1e-6,
+                seed: null  // null draws a fresh seed for every run
             },
             simulation: {
                 isRunning: false,
                 isPaused: false,
                 currentStep: 0,
-                results: null
+                results: null,
+                stepper: null
+            },
+            benchmark: {
+                job: null,
+                results: null,
+                baseline: null  // BenchmarkAnalysis summary that later analyses are compared with
+            },
+            errorAnalysis: {
+                job: null
             },
             tutorial: {
                 isActive: false,
@@ -78,6 +102,9 @@ class RetrocausalSimulatorApp {
             // Configure user interface event handlers
             this.setupEventHandlers();
             
+            // Restore the benchmark baseline of an earlier visit
+            this.loadBenchmarkBaseline();
+            
             // Initialize with default demonstration
             this.updateSimulation();
             
@@ -135,6 +162,16 @@ class RetrocausalSimulatorApp {
             this.trackInteraction('parameter_change', { parameter: 'tolerance', value });
         });
 
+        // Seed control - a fixed seed makes every run and noise demo reproducible
+        document.getElementById('random-seed')?.addEventListener('change', (e) => {
+            const text = e.target.value.trim();
+            const value = text === '' ? null : (/^\d+$/.test(text) ? parseInt(text, 10) : text);
+            this.currentState.parameters.seed = value;
+            RetrocausalUtils.random.setSeed(value ?? undefined);
+            this.updateSimulation();
+            this.trackInteraction('parameter_change', { parameter: 'seed', value });
+        });
+
         // Simulation control buttons
         this.setupSimulationControls();
         
@@ -166,10 +203,45 @@ class RetrocausalSimulatorApp {
                 this.trackInteraction('simulation_step');
             }
             
+            if (e.target.matches('.step-back-button')) {
+                this.stepSimulationBack();
+                this.trackInteraction('simulation_step_back');
+            }
+            
+            if (e.target.matches('.play-button')) {
+                this.runSteppingToConvergence();
+                this.trackInteraction('simulation_play');
+            }
+            
+            if (e.target.matches('.pause-button')) {
+                this.pauseStepping();
+                this.trackInteraction('simulation_pause');
+            }
+            
             if (e.target.matches('.analysis-button')) {
                 this.runBenchmarkAnalysis();
                 this.trackInteraction('benchmark_run');
             }
+            
+            if (e.target.matches('.error-analysis-button')) {
+                this.runErrorAnalysis();
+                this.trackInteraction('error_analysis_run');
+            }
+            
+            if (e.target.matches('.save-baseline-button')) {
+                this.saveBenchmarkBaseline();
+                this.trackInteraction('benchmark_baseline_saved');
+            }
+            
+            if (e.target.matches('.clear-baseline-button')) {
+                this.clearBenchmarkBaseline();
+                this.trackInteraction('benchmark_baseline_cleared');
+            }
+            
+            if (e.target.matches('.replay-button')) {
+                this.replaySimulation();
+                this.trackInteraction('simulation_replay');
+            }
         });
     }
 
@@ -215,10 +287,15 @@ class RetrocausalSimulatorApp {
                         this.runCompleteSimulation();
                     }
                     break;
-                case 'space':
+                case ' ':
+                case 'arrowright':
                     e.preventDefault();
                     this.stepSimulation();
                     break;
+                case 'arrowleft':
+                    e.preventDefault();
+                    this.stepSimulationBack();
+                    break;
                 case 'escape':
                     this.resetSimulation();
                     break;
@@ -263,8 +340,10 @@ class RetrocausalSimulatorApp {
      * This function executes the full mathematical algorithm that finds
      * self-consistent quantum states. The process is animated to help users
      * understand how temporal consistency is achieved through iteration.
+     * 
+     * @param {Object} overrides - Parameters for this run only (e.g. a replay seed)
      */
-    async runCompleteSimulation() {
+    async runCompleteSimulation(overrides = {}) {
         if (this.currentState.simulation.isRunning) {
             console.log('Simulation already running');
             return;
@@ -280,7 +359,7 @@ class RetrocausalSimulatorApp {
             // Run the fixed-point algorithm with current parameters
             const result = this.solver.solveFixedPoint(
                 this.currentState.inputBits,
-                this.currentState.parameters
+                this.getSolverParams(overrides)
             );
             
             // Store results for analysis
@@ -353,14 +432,30 @@ class RetrocausalSimulatorApp {
      * This function performs multiple simulations to show users how
      * the algorithm behaves statistically, demonstrating concepts like
      * convergence rates, error correction effectiveness, and parameter sensitivity.
+     * The runs are split across the worker pool, so large analyses report
+     * their progress in the status line and can be cancelled.
+     * 
+     * @param {number} numRuns - Number of independent simulations
+     * @returns {Promise<Object|null>} - Analysis results, or null if cancelled or failed
      */
-    async runBenchmarkAnalysis() {
+    async runBenchmarkAnalysis(numRuns = 50) {
         console.log('Starting benchmark analysis...');
+        this.cancelBenchmark();
         this.updateSimulationStatus('Running statistical analysis...');
         
+        const job = this.workerPool.runStatisticalAnalysis(numRuns, this.getSolverParams(), {
+            code: { family: 'hamming', r: this.hamming.parityBits, extended: this.hamming.extended }
+        });
+        this.currentState.benchmark.job = job;
+        
+        job.on('progress', ({ completed, total, fraction }) => {
+            this.updateSimulationStatus(`Running statistical analysis... ${completed}/${total} ` +
+                `(${RetrocausalUtils.format.percentage(fraction, 0)})`);
+        });
+        
         try {
-            // Run statistical analysis with multiple parameter sets
-            const analysisResult = this.solver.runStatisticalAnalysis(50, this.currentState.parameters);
+            const analysisResult = await job;
+            this.currentState.benchmark.results = analysisResult;
             
             // Update performance displays
             this.updateAnalysisMetrics(analysisResult);
@@ -371,35 +466,471 @@ class RetrocausalSimulatorApp {
             // Provide educational interpretation of results
             this.explainBenchmarkResults(analysisResult);
             
+            return analysisResult;
         } catch (error) {
-            console.error('Benchmark analysis failed:', error);
-            this.showErrorMessage('Analysis failed. Please try again.');
+            if (error.cancelled) {
+                console.log('Benchmark analysis cancelled');
+            } else {
+                console.error('Benchmark analysis failed:', error);
+                this.showErrorMessage('Analysis failed. Please try again.');
+            }
+            return null;
         } finally {
-            this.updateSimulationStatus('Ready');
+            if (this.currentState.benchmark.job === job) {
+                this.currentState.benchmark.job = null;
+                this.updateSimulationStatus('Ready');
+            }
+        }
+    }
+
+    /**
+     * Cancel the benchmark analysis in progress, if any
+     */
+    cancelBenchmark() {
+        const job = this.currentState.benchmark.job;
+        if (job) {
+            job.cancel();
+            this.trackInteraction('benchmark_cancelled');
         }
     }
 
+    /**
+     * Measure the error analysis chart's BER and BLER curves
+     * 
+     * The Monte Carlo sweep runs on the worker pool, one point per chunk,
+     * so the page stays responsive while it runs.
+     * 
+     * @returns {Promise<Object|null>} - The sweep, or null if cancelled or failed
+     */
+    async runErrorAnalysis() {
+        const previous = this.currentState.errorAnalysis.job;
+        if (previous) previous.cancel();
+        
+        const { values, engineOptions, seed } = RetrocausalSimulatorApp.ERROR_ANALYSIS_SWEEP;
+        const job = this.workerPool.runErrorRateSweep('errorRate', values, engineOptions, {
+            seed: seed,
+            code: { family: 'hamming', r: this.hamming.parityBits, extended: this.hamming.extended }
+        });
+        this.currentState.errorAnalysis.job = job;
+        
+        job.on('progress', ({ completed, total }) => {
+            this.updateSimulationStatus(`Measuring error rates... ${completed}/${total} points`);
+        });
+        
+        try {
+            const curve = await job;
+            this.visualizer.createErrorCorrectionChart(curve);
+            return curve;
+        } catch (error) {
+            if (!error.cancelled) {
+                console.error('Error analysis failed:', error);
+                this.showErrorMessage('Error analysis failed. Please try again.');
+            }
+            return null;
+        } finally {
+            if (this.currentState.errorAnalysis.job === job) {
+                this.currentState.errorAnalysis.job = null;
+                this.updateSimulationStatus('Ready');
+            }
+        }
+    }
+
+    /**
+     * Show the headline figures of a benchmark analysis
+     * 
+     * The success rate comes with its confidence interval, so users can see
+     * how much a rate measured over a few dozen runs can be trusted.
+     * 
+     * @param {Object} analysisResult - runStatisticalAnalysis result
+     */
+    updateAnalysisMetrics(analysisResult) {
+        const container = document.getElementById('benchmark-metrics');
+        if (!container) return;
+        
+        const analysis = new BenchmarkAnalysis(analysisResult);
+        const success = analysis.successRate();
+        const { iterationStats, convergenceRateStats } = analysisResult;
+        const percentage = RetrocausalUtils.format.percentage;
+        
+        container.innerHTML = `
+            <div class="metric-card success-rate">
+                <div class="metric-label">Success rate</div>
+                <div class="metric-value updated">${percentage(success.estimate)}</div>
+                <div class="metric-detail">${percentage(success.confidence, 0)} CI ${percentage(success.lower)} – ${percentage(success.upper)}</div>
+                <div class="metric-detail">${success.successes} of ${success.runs} runs converged</div>
+            </div>
+            <div class="metric-card iterations">
+                <div class="metric-label">Iterations to converge</div>
+                <div class="metric-value updated">${analysisResult.averageIterations.toFixed(1)}</div>
+                <div class="metric-detail">median ${iterationStats.median}, range ${iterationStats.min}–${iterationStats.max}</div>
+            </div>
+            <div class="metric-card convergence-rate">
+                <div class="metric-label">Convergence rate</div>
+                <div class="metric-value updated">${analysisResult.averageConvergenceRate.toFixed(3)}</div>
+                <div class="metric-detail">σ ${convergenceRateStats.std.toFixed(3)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Draw the benchmark charts and the comparison with the saved baseline
+     * 
+     * @param {Object} analysisResult - runStatisticalAnalysis result
+     */
+    createComparativeCharts(analysisResult) {
+        const analysis = new BenchmarkAnalysis(analysisResult);
+        const { baseline } = this.currentState.benchmark;
+        this.visualizer.createBenchmarkCharts(analysis, baseline);
+        
+        const container = document.getElementById('benchmark-comparison');
+        if (!container) return;
+        if (!baseline) {
+            container.innerHTML = '<p>No baseline saved. Save this analysis as the baseline to compare later runs with it.</p>';
+            return;
+        }
+        
+        const comparison = analysis.compare(baseline);
+        const { successRate, iterations } = comparison;
+        const percentage = RetrocausalUtils.format.percentage;
+        const signed = (value, format) => (value > 0 ? '+' : '') + format(value);
+        const parameters = this.getSolverParams();
+        const changed = Object.keys(baseline.parameters || {})
+            .filter(name => name !== 'seed' && baseline.parameters[name] !== parameters[name]);
+        
+        container.innerHTML = `
+            <table class="benchmark-comparison ${comparison.verdict}">
+                <tr><th></th><th>Baseline</th><th>This run</th><th>Difference (${percentage(comparison.confidence, 0)} CI)</th></tr>
+                <tr class="${successRate.change}">
+                    <td>Success rate</td><td>${percentage(successRate.baseline)}</td><td>${percentage(successRate.current)}</td>
+                    <td>${signed(successRate.difference, percentage)} (${percentage(successRate.lower)} to ${percentage(successRate.upper)})</td>
+                </tr>
+                <tr class="${iterations.change}">
+                    <td>Mean iterations</td><td>${iterations.baseline.toFixed(2)}</td><td>${iterations.current.toFixed(2)}</td>
+                    <td>${signed(iterations.difference, value => value.toFixed(2))} (${iterations.lower.toFixed(2)} to ${iterations.upper.toFixed(2)})</td>
+                </tr>
+            </table>
+            ${changed.length > 0 ? `<p>The baseline was measured with different ${changed.join(', ')}.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Provide educational explanations of benchmark results
+     * 
+     * @param {Object} analysisResult - runStatisticalAnalysis result
+     */
+    explainBenchmarkResults(analysisResult) {
+        const analysis = new BenchmarkAnalysis(analysisResult);
+        const success = analysis.successRate();
+        const percentage = RetrocausalUtils.format.percentage;
+        const { baseline } = this.currentState.benchmark;
+        
+        // The initial state whose converged runs took longest, if any took longer than one pass
+        const slowest = analysis.scatter().states
+            .filter(state => state.meanIterations !== null)
+            .reduce((worst, state) => (!worst || state.meanIterations > worst.meanIterations ? state : worst), null);
+        
+        const heading = success.estimate >= 0.9 ? '✅ The Loop Converges Reliably' :
+            success.estimate >= 0.5 ? '⚠️ The Loop Usually Converges' : '⛔ Convergence Is Unreliable';
+        const comparison = baseline ? analysis.compare(baseline) : null;
+        const verdicts = {
+            improved: 'This configuration does measurably better than the baseline.',
+            regressed: 'This configuration does measurably worse than the baseline.',
+            unchanged: 'The difference from the baseline is within the noise of this many runs.'
+        };
+        
+        const explanationText = `
+            <h4>${heading}</h4>
+            <p>${success.successes} of ${success.runs} runs from random initial states reached a self-consistent state.</p>
+            <p><strong>Key insights:</strong></p>
+            <p>• With ${percentage(success.confidence, 0)} confidence the true success rate lies between ${percentage(success.lower)} and ${percentage(success.upper)}; more runs narrow this interval</p>
+            <p>• Converged runs needed ${analysisResult.averageIterations.toFixed(1)} iterations on average (median ${analysisResult.iterationStats.median})</p>
+            ${slowest && slowest.meanIterations > 1 ?
+                `<p>• Runs starting from ${slowest.state} were slowest, at ${slowest.meanIterations.toFixed(1)} iterations: some words sit further from a fixed point than others</p>` : ''}
+            ${comparison ? `<p>• ${verdicts[comparison.verdict]}</p>` : ''}
+            <p><strong>Seed:</strong> ${analysisResult.seed} (rerun with it to reproduce this analysis)</p>
+        `;
+        
+        const explanationContainer = document.getElementById('benchmark-explanation');
+        if (explanationContainer) {
+            explanationContainer.innerHTML = explanationText;
+        } else {
+            console.log(`Benchmark: ${percentage(success.estimate)} converged ` +
+                `(${percentage(success.lower)} – ${percentage(success.upper)}), seed ${analysisResult.seed}`);
+        }
+    }
+
+    /**
+     * Save a benchmark analysis as the baseline later analyses are compared with
+     * 
+     * @param {Object} analysisResult - runStatisticalAnalysis result (default: the latest)
+     * @returns {Object|null} - The baseline, or null without an analysis
+     */
+    saveBenchmarkBaseline(analysisResult = this.currentState.benchmark.results) {
+        if (!analysisResult) {
+            this.showErrorMessage('Run a benchmark analysis before saving a baseline.');
+            return null;
+        }
+        
+        const baseline = {
+            ...new BenchmarkAnalysis(analysisResult).summary(),
+            parameters: this.getSolverParams(),
+            savedAt: new Date().toISOString()
+        };
+        this.currentState.benchmark.baseline = baseline;
+        try {
+            localStorage.setItem(RetrocausalSimulatorApp.BASELINE_STORAGE_KEY, JSON.stringify(baseline));
+        } catch (error) {
+            // Storage may be full or disabled; the baseline still lasts for this visit
+            console.warn('Could not store the benchmark baseline:', error);
+        }
+        
+        this.createComparativeCharts(analysisResult);
+        return baseline;
+    }
+
+    /**
+     * Forget the saved benchmark baseline
+     */
+    clearBenchmarkBaseline() {
+        this.currentState.benchmark.baseline = null;
+        try {
+            localStorage.removeItem(RetrocausalSimulatorApp.BASELINE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not remove the benchmark baseline:', error);
+        }
+        
+        const { results } = this.currentState.benchmark;
+        if (results) this.createComparativeCharts(results);
+    }
+
+    /**
+     * Restore the baseline saved on an earlier visit, if any
+     * 
+     * A stored value that cannot be read or compared, say from an older
+     * version of the page or edited by hand, is dropped, leaving no baseline.
+     * 
+     * @returns {Object|null} - The baseline restored
+     */
+    loadBenchmarkBaseline() {
+        this.currentState.benchmark.baseline = null;
+        let stored;
+        try {
+            stored = localStorage.getItem(RetrocausalSimulatorApp.BASELINE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not restore the benchmark baseline:', error);
+            return null;
+        }
+        if (!stored) return null;
+        
+        let baseline = null;
+        try {
+            baseline = JSON.parse(stored);
+        } catch (error) {
+            // Not JSON; dropped below like any other unusable value
+        }
+        const parameters = baseline && baseline.parameters;
+        if (!BenchmarkAnalysis.isSummary(baseline) || typeof parameters !== 'object' || parameters === null) {
+            console.warn('Dropping an unreadable stored benchmark baseline');
+            this.clearBenchmarkBaseline();
+            return null;
+        }
+        
+        this.currentState.benchmark.baseline = baseline;
+        return baseline;
+    }
+
+    /**
+     * Replay a previous simulation from its recorded seed
+     * 
+     * The report's initial state and seed fully determine the run, so the
+     * replay reproduces the same convergence history step for step.
+     * 
+     * @param {Object} report - Solution report (default: the last run)
+     */
+    async replaySimulation(report = this.currentState.simulation.results) {
+        if (!report) {
+            this.showErrorMessage('Run a simulation first to have something to replay.');
+            return;
+        }
+        
+        this.currentState.inputBits = [...report.initialState];
+        document.querySelectorAll('.bit-checkbox').forEach((cb, i) => {
+            cb.checked = this.currentState.inputBits[i] === 1;
+        });
+        
+        await this.runCompleteSimulation({ seed: report.seed });
+    }
+
+    /**
+     * Send a whole message around the loop with the current parameters
+     *
+     * Answers the usual demo question "can it send a word?": the message is
+     * framed into 4-bit blocks, each block settles in its own loop, and the
+     * delivery report says how much of it arrived.
+     *
+     * @param {string|Uint8Array} message - Text or bytes to send
+     * @param {Object} options - MessageProtocol options, e.g. { interleave: { rows: 8 } }
+     * @returns {Object} - Delivery report
+     */
+    sendMessage(message, options = {}) {
+        const protocol = new MessageProtocol(this.solver, options);
+        const report = protocol.send(message, this.getSolverParams());
+
+        const { statistics } = report;
+        console.log(`Delivered ${statistics.bitsDelivered}/${statistics.bitsSent} bits ` +
+            `(BLER ${RetrocausalUtils.format.percentage(statistics.blockErrorRate)}, ` +
+            `residual BER ${RetrocausalUtils.format.scientific(statistics.residualBER)}):`, report.message);
+        this.trackInteraction('message_sent', { blocks: report.frame.blockCount, delivered: report.delivered });
+        return report;
+    }
+
     /**
      * Step through simulation one iteration at a time
      * 
      * This mode allows users to examine each step of the algorithm in detail,
      * building understanding of the mathematical process step by step.
+     * The first step starts a run from the current input bits; once a run
+     * has ended, the next step starts a fresh one.
      */
     stepSimulation() {
         console.log('Stepping through simulation...');
         
-        // Implement single-step execution logic
-        if (!this.currentState.simulation.results) {
+        const stepper = this.currentState.simulation.stepper;
+        if (!stepper || !stepper.canForward) {
             // Initialize simulation if not already started
             this.initializeSteppingSim();
-        } else {
-            // Advance by one iteration
-            this.advanceSimulationStep();
         }
         
+        // Advance by one iteration
+        this.advanceSimulationStep();
+        
         this.trackInteraction('step_simulation');
     }
 
+    /**
+     * Start a step-through run from the current input bits
+     * 
+     * Each cycle the stepper shows is rendered as it arrives; the run's
+     * report is stored like a complete simulation's when it ends. The run
+     * gets a solver of its own, since a solver holds the state of its run
+     * and complete simulations may be started between steps.
+     */
+    initializeSteppingSim() {
+        const previous = this.currentState.simulation.stepper;
+        if (previous) previous.pause();
+        
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        const stepper = new SimulationStepper(solver, this.currentState.inputBits, this.getSolverParams());
+        stepper.on('step', ({ step, position }) => {
+            this.currentState.simulation.currentStep = position + 1;
+            this.renderSimulationStep(step, stepper.getHistory());
+        });
+        stepper.on('finish', report => {
+            this.currentState.simulation.results = report;
+            this.explainSimulationResults(report);
+            this.analytics.simulationsRun++;
+        });
+        stepper.on('play', () => {
+            this.currentState.simulation.isPaused = false;
+        });
+        stepper.on('pause', ({ position }) => {
+            this.currentState.simulation.isPaused = true;
+            this.updateSimulationStatus(`Paused at iteration ${position + 1}`);
+        });
+        
+        this.currentState.simulation.stepper = stepper;
+        this.currentState.simulation.results = null;
+        this.currentState.simulation.currentStep = 0;
+        this.currentState.simulation.isPaused = false;
+    }
+
+    /**
+     * Show the next cycle of the step-through run
+     */
+    advanceSimulationStep() {
+        const stepper = this.currentState.simulation.stepper;
+        if (!stepper) return;
+        if (!stepper.forward()) {
+            this.updateSimulationStatus('Run complete - step again to start over');
+        }
+    }
+
+    /**
+     * Show the previous cycle of the step-through run
+     */
+    stepSimulationBack() {
+        const stepper = this.currentState.simulation.stepper;
+        if (!stepper || stepper.playing) return;
+        if (!stepper.back()) {
+            this.updateSimulationStatus('At the first iteration');
+        }
+    }
+
+    /**
+     * Play the step-through run to its end at the animation pace
+     * 
+     * @returns {Promise<Object|null>} - The report, or null if paused first
+     */
+    async runSteppingToConvergence() {
+        let stepper = this.currentState.simulation.stepper;
+        if (!stepper || !stepper.canForward) {
+            this.initializeSteppingSim();
+            stepper = this.currentState.simulation.stepper;
+        }
+        
+        this.updateSimulationStatus('Running to convergence...');
+        const report = await stepper.play({ interval: 150 });
+        if (report) this.updateSimulationStatus('Ready');
+        return report;
+    }
+
+    /**
+     * Pause a step-through run that is playing
+     */
+    pauseStepping() {
+        const stepper = this.currentState.simulation.stepper;
+        if (stepper) stepper.pause();
+    }
+
+    /**
+     * Render one cycle: the encode → transmit → decode stages and the
+     * convergence curve up to it
+     * 
+     * @param {Object} step - Step yielded by solver.iterate
+     * @param {Array<Object>} history - Steps up to and including this one
+     */
+    renderSimulationStep(step, history) {
+        this.visualizer.visualizeFixedPointConvergence(history, true);
+        this.visualizer.visualizeSpinEvolution(step.inputData, step.state, {
+            encodedState: step.encodedState,
+            transmittedState: step.transmittedState,
+            errorsCorrected: step.errorsCorrected,
+            errorPosition: step.errorPosition
+        });
+        
+        const status = step.converged ? 'converged' : step.cycle ? `cycle of length ${step.cycle.length}` :
+            `error ${RetrocausalUtils.format.percentage(step.convergenceError)}`;
+        this.updateSimulationStatus(`Iteration ${step.iteration + 1}: ` +
+            `${step.inputData.join('')} → ${step.state.join('')} (${status})`);
+    }
+
+    /**
+     * Solver parameters from the current settings
+     * 
+     * @param {Object} overrides - Parameters for this run only (e.g. a replay seed)
+     * @returns {Object} - Parameters for solveFixedPoint
+     */
+    getSolverParams(overrides = {}) {
+        const { errorRate, maxIterations, tolerance, seed } = this.currentState.parameters;
+        return {
+            errorRate: errorRate,
+            maxIterations: maxIterations,
+            convergenceTolerance: tolerance,
+            seed: seed,
+            ...overrides
+        };
+    }
+
     /**
      * Reset simulation to initial state
      */
@@ -407,12 +938,14 @@ class RetrocausalSimulatorApp {
         console.log('Resetting simulation...');
         
         // Reset all state
+        this.pauseStepping();
         this.currentState.inputBits = [0, 0, 0, 0];
         this.currentState.simulation = {
             isRunning: false,
             isPaused: false,
             currentStep: 0,
-            results: null
+            results: null,
+            stepper: null
         };
         
         // Update UI
@@ -498,26 +1031,68 @@ class RetrocausalSimulatorApp {
         
         let explanationText = '';
         
-        if (result.converged) {
-            explanationText = `
-                <h4>✅ Simulation Converged Successfully!</h4>
-                <p>The algorithm found a self-consistent quantum state after ${result.iterations} iterations.</p>
-                <p><strong>Key insights:</strong></p>
-                <p>• The fixed-point represents a quantum state that remains stable through the temporal loop</p>
-                <p>• Error correction enhanced convergence stability by ${Math.round(result.errorCorrectionStats.correctionEfficiency * 100)}%</p>
-                <p>• Final convergence error: ${result.finalError.toExponential(2)}</p>
-                <p>• This demonstrates how consistency requirements naturally emerge in retrocausal systems</p>
-            `;
-        } else {
-            explanationText = `
-                <h4>⚠️ Simulation Did Not Converge</h4>
-                <p>The algorithm reached the maximum iteration limit without finding a stable solution.</p>
-                <p><strong>Possible reasons:</strong></p>
-                <p>• Error rate too high for effective correction</p>
-                <p>• Convergence tolerance too strict</p>
-                <p>• Initial conditions incompatible with consistency requirements</p>
-                <p><strong>Try adjusting parameters:</strong> Lower error rate or increase max iterations</p>
-            `;
+        const outcome = result.outcome || (result.converged ? 'converged' : 'maxIterations');
+        const seedLine = `<p><strong>Seed:</strong> ${result.seed} (replay it to see exactly the same run)</p>`;
+        
+        switch (outcome) {
+            case 'converged':
+                explanationText = `
+                    <h4>✅ Simulation Converged Successfully!</h4>
+                    <p>The algorithm found a self-consistent quantum state after ${result.iterations} iterations.</p>
+                    <p><strong>Key insights:</strong></p>
+                    <p>• The fixed-point represents a quantum state that remains stable through the temporal loop</p>
+                    <p>• Error correction enhanced convergence stability by ${Math.round(result.errorCorrectionStats.correctionEfficiency * 100)}%</p>
+                    <p>• Final convergence error: ${result.finalError.toExponential(2)}</p>
+                    <p>• This demonstrates how consistency requirements naturally emerge in retrocausal systems</p>
+                    ${seedLine}
+                `;
+                break;
+            case 'cycle': {
+                const { length, members, firstEntry, exact, agreement } = result.cycle;
+                explanationText = `
+                    <h4>🔁 Simulation Locked Into a Limit Cycle</h4>
+                    <p>After ${firstEntry} iterations the state began repeating every ${length} iterations instead of settling on one word.</p>
+                    <p><strong>Cycle members:</strong> ${members.map(member => member.join('')).join(' → ')} → ${members[0].join('')}</p>
+                    <p>• ${exact ?
+                        'The words repeat exactly: the loop has no consistent state reachable from this input' :
+                        `The pattern held in ${Math.round(agreement * 100)}% of the iterations, with noise knocking the state off it from time to time`}</p>
+                    <p>• Each word sent back in time decodes to the next one, so no single message is self-consistent</p>
+                    <p><strong>Try adjusting parameters:</strong> Lower the error rate, or enable the adaptive step to damp the oscillation</p>
+                    ${seedLine}
+                `;
+                break;
+            }
+            case 'paradox':
+                explanationText = `
+                    <h4>⛔ No Consistent History Exists</h4>
+                    <p>Under the postselected model every history through the loop contradicts itself, so this input is forbidden outright.</p>
+                    <p>• Deutsch's model would instead settle the loop on a mixed state</p>
+                    <p><strong>Try adjusting parameters:</strong> Lower the error rate or switch the consistency model</p>
+                    ${seedLine}
+                `;
+                break;
+            case 'wandering':
+                explanationText = `
+                    <h4>🌀 Simulation Wandered Without Settling</h4>
+                    <p>After ${result.iterations} iterations the state was still drifting between words with no recurring pattern.</p>
+                    <p><strong>What this means:</strong></p>
+                    <p>• Channel noise overwhelms the error correction, so each pass through the loop scrambles the message</p>
+                    <p>• More iterations will not help: the convergence error stopped improving long before the limit</p>
+                    <p><strong>Try adjusting parameters:</strong> Lower the error rate or use a stronger code</p>
+                    ${seedLine}
+                `;
+                break;
+            default:
+                explanationText = `
+                    <h4>⚠️ Simulation Did Not Converge</h4>
+                    <p>The algorithm reached the maximum iteration limit without finding a stable solution.</p>
+                    <p><strong>Possible reasons:</strong></p>
+                    <p>• The convergence error was still falling, so the run may simply need more iterations</p>
+                    <p>• Convergence tolerance too strict</p>
+                    <p>• Initial conditions incompatible with consistency requirements</p>
+                    <p><strong>Try adjusting parameters:</strong> Increase max iterations or relax the tolerance</p>
+                    ${seedLine}
+                `;
         }
         
         // Find a suitable place to show the explanation
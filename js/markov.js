@@ -0,0 +1,286 @@
+/**
+ * Exact Markov-Chain Analysis of the Fixed-Point Map
+ *
+ * With a memoryless channel, one evolution cycle of the retrocausal loop
+ * (encode, transmit, decode) is a random map on the 2^k data words, so the
+ * iteration is a Markov chain with transition matrix
+ *
+ *   T[x][y] = P(applySingleEvolutionCycle(x) = y)
+ *
+ * The matrix is built exactly by enumerating every error pattern of the
+ * binary symmetric channel (RetrocausalFixedPointSolver.enumerateEvolutionMaps),
+ * and everything runStatisticalAnalysis estimates by sampling follows from it:
+ *
+ * - Communicating classes, split into recurrent (closed) and transient ones,
+ *   with the absorbing states and the period of every recurrent class
+ * - The stationary distribution of each recurrent class
+ * - Expected iterations until the solver stops, i.e. until a cycle returns
+ *   its input with a decodable word, from every start state
+ * - The mixing time t_mix(ε) = min{t : max_x ‖T^t(x, ·) − π‖_TV ≤ ε}
+ *
+ * The analysis describes the plain cycle without the adaptive step and
+ * without the iteration cap of solveFixedPoint.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const MarkovUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class MarkovChainAnalyzer {
+    /**
+     * @param {RetrocausalFixedPointSolver} solver - Solver whose code and decoder define the loop
+     */
+    constructor(solver) {
+        this.solver = solver;
+
+        this.defaultParams = {
+            mixingThreshold: 0.25,  // ε in t_mix(ε)
+            maxMixingSteps: 10000  // Give up on mixing after this many steps
+        };
+    }
+
+    /**
+     * Build the transition matrix and analyze the chain
+     *
+     * @param {Object} params - Solver parameters (errorRate, channel) plus defaultParams
+     * @returns {Object} - Complete chain analysis
+     */
+    analyze(params = {}) {
+        const config = { ...this.solver.defaultParams, ...this.defaultParams, ...params };
+        const { matrix, stopProbability, channel } = this.buildTransitionMatrix(config);
+        const size = matrix.length;
+        const k = this.solver.hamming.k;
+
+        const classes = this.communicatingClasses(matrix);
+        const recurrent = classes.filter(members => this.isClosed(matrix, members));
+        const transient = classes.filter(members => !this.isClosed(matrix, members));
+        const stationaryDistributions = recurrent.map(members => this.stationaryDistribution(matrix, members));
+        const stationaryDistribution = stationaryDistributions.length === 1 ? stationaryDistributions[0] : null;
+        const periods = recurrent.map(members => this.period(matrix, members));
+
+        const hittingTimes = this.hittingTimes(matrix, stopProbability);
+        const meanHittingTime = hittingTimes.reduce((sum, time) => sum + time, 0) / size;
+
+        return {
+            states: Array.from({ length: size }, (_, x) =>
+                Array.from({ length: k }, (_, bit) => (x >> (k - 1 - bit)) & 1)),
+            transitionMatrix: matrix,
+            channel: channel,
+
+            // Class structure
+            recurrentClasses: recurrent,
+            transientClasses: transient,
+            absorbingStates: recurrent.filter(members => members.length === 1).map(members => members[0]),
+            periods: periods,
+
+            // Long-run behaviour
+            stationaryDistribution: stationaryDistribution,
+            stationaryDistributions: stationaryDistributions,
+            mixingTime: stationaryDistribution && periods[0] === 1 ?
+                this.mixingTime(matrix, stationaryDistribution, config) : null,
+
+            // Time to consistency
+            stopProbability: stopProbability,
+            hittingTimes: hittingTimes,
+            meanHittingTime: meanHittingTime
+        };
+    }
+
+    /**
+     * Exact transition matrix of one evolution cycle
+     *
+     * stopProbability[x] is the chance that a cycle from x returns x with a
+     * decodable word, which is when solveFixedPoint declares convergence.
+     *
+     * @param {Object} config - Solver parameters
+     * @returns {Object} - {matrix, stopProbability, channel}
+     */
+    buildTransitionMatrix(config) {
+        const { maps, channel } = this.solver.enumerateEvolutionMaps(config);
+        const size = 1 << this.solver.hamming.k;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        const stopProbability = new Array(size).fill(0);
+
+        maps.forEach(({ next, uncorrectable, probability }) => {
+            next.forEach((y, x) => {
+                matrix[x][y] += probability;
+                if (y === x && !uncorrectable[x]) stopProbability[x] += probability;
+            });
+        });
+
+        return { matrix, stopProbability, channel };
+    }
+
+    /**
+     * Strongly connected components of the transition graph (Tarjan)
+     *
+     * @param {Array<Array<number>>} matrix - Transition matrix
+     * @returns {Array<Array<number>>} - Classes as sorted state lists, ordered by smallest state
+     */
+    communicatingClasses(matrix) {
+        const size = matrix.length;
+        const index = new Array(size).fill(-1);
+        const lowLink = new Array(size).fill(0);
+        const onStack = new Array(size).fill(false);
+        const stack = [];
+        const classes = [];
+        let counter = 0;
+
+        const visit = (x) => {
+            index[x] = lowLink[x] = counter++;
+            stack.push(x);
+            onStack[x] = true;
+
+            for (let y = 0; y < size; y++) {
+                if (matrix[x][y] <= 0) continue;
+                if (index[y] === -1) {
+                    visit(y);
+                    lowLink[x] = Math.min(lowLink[x], lowLink[y]);
+                } else if (onStack[y]) {
+                    lowLink[x] = Math.min(lowLink[x], index[y]);
+                }
+            }
+
+            if (lowLink[x] === index[x]) {
+                const members = [];
+                let y;
+                do {
+                    y = stack.pop();
+                    onStack[y] = false;
+                    members.push(y);
+                } while (y !== x);
+                classes.push(members.sort((a, b) => a - b));
+            }
+        };
+
+        for (let x = 0; x < size; x++) {
+            if (index[x] === -1) visit(x);
+        }
+        return classes.sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * A class is closed (recurrent) if no probability leaves it
+     */
+    isClosed(matrix, members) {
+        const inside = new Set(members);
+        return members.every(x => matrix[x].every((p, y) => p <= 0 || inside.has(y)));
+    }
+
+    /**
+     * Period of a communicating class: gcd of level differences along its edges
+     */
+    period(matrix, members) {
+        const inside = new Set(members);
+        const level = new Map([[members[0], 0]]);
+        const queue = [members[0]];
+        const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+        let result = 0;
+
+        while (queue.length > 0) {
+            const x = queue.shift();
+            matrix[x].forEach((p, y) => {
+                if (p <= 0 || !inside.has(y)) return;
+                if (!level.has(y)) {
+                    level.set(y, level.get(x) + 1);
+                    queue.push(y);
+                } else {
+                    result = gcd(result, Math.abs(level.get(x) + 1 - level.get(y)));
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Stationary distribution of a closed class, zero elsewhere
+     *
+     * Solves π(T − I) = 0 on the class with one equation replaced by Σπ = 1.
+     */
+    stationaryDistribution(matrix, members) {
+        const m = members.length;
+        const system = members.map((_, row) => members.map((_, column) =>
+            matrix[members[column]][members[row]] - (row === column ? 1 : 0)));
+        const rhs = new Array(m).fill(0);
+        system[0] = new Array(m).fill(1);
+        rhs[0] = 1;
+
+        const solution = MarkovUtils.math.solveLinearSystem(system, rhs);
+        const distribution = new Array(matrix.length).fill(0);
+        members.forEach((x, i) => { distribution[x] = Math.max(solution[i], 0); });
+        return distribution;
+    }
+
+    /**
+     * Expected number of cycles until the solver stops, from every state
+     *
+     * Stopping is absorption with probability stopProbability[x] per visit,
+     * so h = 1 + Q h with Q = T minus the stopping self-loops. States that
+     * may never stop (probability of stopping below one) get Infinity.
+     *
+     * @param {Array<Array<number>>} matrix - Transition matrix
+     * @param {Array<number>} stopProbability - Per-state stopping probability
+     * @returns {Array<number>} - Expected iterations per start state
+     */
+    hittingTimes(matrix, stopProbability) {
+        const size = matrix.length;
+        const continuing = matrix.map((row, x) => row.map((p, y) => x === y ? p - stopProbability[x] : p));
+
+        // States from which some stopping state is reachable
+        const canStop = stopProbability.map(p => p > 0);
+        for (let changed = true; changed;) {
+            changed = false;
+            for (let x = 0; x < size; x++) {
+                if (!canStop[x] && continuing[x].some((p, y) => p > 0 && canStop[y])) {
+                    canStop[x] = changed = true;
+                }
+            }
+        }
+
+        // Probability of ever stopping, then expected time where it is one
+        const reachable = [...Array(size).keys()].filter(x => canStop[x]);
+        const absorption = this.solveRestricted(continuing, reachable, x => stopProbability[x]);
+        const certain = reachable.filter((x, i) => absorption[i] > 1 - 1e-12);
+        const times = this.solveRestricted(continuing, certain, () => 1);
+
+        const result = new Array(size).fill(Infinity);
+        certain.forEach((x, i) => { result[x] = times[i]; });
+        return result;
+    }
+
+    /**
+     * Solve (I − Q_S) v = b on a subset S of states
+     */
+    solveRestricted(continuing, subset, rhs) {
+        if (subset.length === 0) return [];
+        const system = subset.map(x => subset.map(y => (x === y ? 1 : 0) - continuing[x][y]));
+        return MarkovUtils.math.solveLinearSystem(system, subset.map(rhs));
+    }
+
+    /**
+     * Smallest t with max_x ‖T^t(x, ·) − π‖_TV ≤ ε
+     *
+     * @returns {number} - Mixing time, or Infinity if the chain has not mixed after maxMixingSteps
+     */
+    mixingTime(matrix, stationary, config) {
+        const size = matrix.length;
+        let power = matrix.map(row => [...row]);
+
+        for (let t = 1; t <= config.maxMixingSteps; t++) {
+            const distance = Math.max(...power.map(row =>
+                row.reduce((sum, p, y) => sum + Math.abs(p - stationary[y]), 0) / 2));
+            if (distance <= config.mixingThreshold) return t;
+
+            power = power.map(row => Array.from({ length: size }, (_, y) =>
+                row.reduce((sum, p, z) => sum + p * matrix[z][y], 0)));
+        }
+        return Infinity;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkovChainAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.MarkovChainAnalyzer = MarkovChainAnalyzer;
+}
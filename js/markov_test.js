@@ -0,0 +1,147 @@
+/**
+ * Test Suite for the Markov-Chain Analyzer
+ *
+ * These tests check the exact transition matrix of the Hamming loop against
+ * closed-form probabilities, the class structure of chains whose behaviour
+ * is known by hand, and the predicted iteration counts against sampled
+ * solver runs.
+ *
+ * Test Coverage:
+ * - Transition matrix of a perfect code on a binary symmetric channel
+ * - Absorbing, recurrent, transient and periodic classes
+ * - Stationary distribution and mixing time
+ * - Expected iterations to consistency
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class MarkovChainAnalyzerTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.analyzer = new MarkovChainAnalyzer(this.solver);
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Transition matrix matches the decoder', () => this.testTransitionMatrix());
+        this.framework.test('Noiseless loop makes every state absorbing', () => this.testNoiselessChain());
+        this.framework.test('Noisy loop mixes to the uniform distribution', () => this.testStationaryAndMixing());
+        this.framework.test('Expected iterations match sampled runs', () => this.testHittingTimes());
+        this.framework.test('Inverting channel gives periodic classes', () => this.testPeriodicChain());
+        this.framework.test('Transient and closed classes', () => this.testClassStructure());
+    }
+
+    testTransitionMatrix() {
+        const p = 0.1;
+        const { transitionMatrix: matrix, stopProbability } = this.analyzer.analyze({ errorRate: p });
+
+        this.framework.assertEqual(matrix.length, 16, 'One state per data word');
+        matrix.forEach(row => this.framework.assertTrue(
+            Math.abs(row.reduce((sum, value) => sum + value, 0) - 1) < 1e-12, 'Rows are distributions'));
+
+        // A perfect single-error-correcting code returns the word iff at most one bit flipped
+        const stay = Math.pow(1 - p, 7) + 7 * p * Math.pow(1 - p, 6);
+        matrix.forEach((row, x) => this.framework.assertTrue(Math.abs(row[x] - stay) < 1e-12,
+            `T[${x}][${x}] is the block success probability`));
+        this.framework.assertTrue(Math.abs(stopProbability[5] - stay) < 1e-12, 'Every return stops the solver');
+    }
+
+    testNoiselessChain() {
+        const result = this.analyzer.analyze({ errorRate: 0 });
+
+        this.framework.assertEqual(result.absorbingStates.length, 16, 'Every word is absorbing');
+        this.framework.assertEqual(result.transientClasses, [], 'Nothing is transient');
+        this.framework.assertEqual(result.stationaryDistribution, null, 'No unique stationary distribution');
+        this.framework.assertEqual(result.stationaryDistributions[3][3], 1, 'Each class keeps its own word');
+        this.framework.assertEqual(result.mixingTime, null, 'Mixing is undefined');
+        this.framework.assertTrue(result.hittingTimes.every(time => time === 1), 'Consistent after one cycle');
+    }
+
+    testStationaryAndMixing() {
+        const config = { errorRate: 0.05, mixingThreshold: 0.25 };
+        const result = this.analyzer.analyze(config);
+        const pi = result.stationaryDistribution;
+
+        this.framework.assertEqual(result.recurrentClasses.length, 1, 'One recurrent class');
+        this.framework.assertEqual(result.periods, [1], 'which is aperiodic');
+        this.framework.assertTrue(pi.every(value => Math.abs(value - 1 / 16) < 1e-12),
+            'Syndrome decoding is shift invariant, so π is uniform');
+
+        // The worst start is within ε of π at t_mix but not one step earlier
+        const distanceAt = (steps) => {
+            let power = result.transitionMatrix;
+            for (let t = 1; t < steps; t++) {
+                power = power.map(row => row.map((_, y) =>
+                    row.reduce((sum, value, z) => sum + value * result.transitionMatrix[z][y], 0)));
+            }
+            return Math.max(...power.map(row => row.reduce((sum, value, y) => sum + Math.abs(value - pi[y]), 0) / 2));
+        };
+        this.framework.assertTrue(Number.isFinite(result.mixingTime) && result.mixingTime > 1, 'Mixing time is finite');
+        this.framework.assertTrue(distanceAt(result.mixingTime) <= 0.25, 'Mixed at t_mix');
+        this.framework.assertTrue(distanceAt(result.mixingTime - 1) > 0.25, 'Not mixed before t_mix');
+    }
+
+    testHittingTimes() {
+        const p = 0.3;
+        const result = this.analyzer.analyze({ errorRate: p });
+
+        // The stopping probability is the same everywhere, so the wait is geometric
+        result.hittingTimes.forEach((time, x) => this.framework.assertTrue(
+            Math.abs(time - 1 / result.stopProbability[x]) < 1e-9, 'h = 1 / P(stop)'));
+
+        const runs = 400;
+        let total = 0;
+        for (let run = 0; run < runs; run++) {
+            total += this.solver.solveFixedPoint([1, 0, 1, 1], {
+                errorRate: p, enableAdaptiveStep: false, maxIterations: 1000, seed: run + 1
+            }).iterations;
+        }
+        const sampled = total / runs;
+        this.framework.assertTrue(Math.abs(sampled - result.hittingTimes[11]) < 0.4,
+            `Sampled ${sampled} vs exact ${result.hittingTimes[11]} iterations`);
+    }
+
+    testPeriodicChain() {
+        // Every bit flips: the decoder returns the complement, which maps back
+        const result = this.analyzer.analyze({ errorRate: 1 });
+
+        this.framework.assertEqual(result.recurrentClasses.length, 8, 'Words pair with their complements');
+        this.framework.assertEqual(result.recurrentClasses[0], [0, 15], '0000 ↔ 1111');
+        this.framework.assertTrue(result.periods.every(period => period === 2), 'Each pair has period 2');
+        this.framework.assertTrue(result.hittingTimes.every(time => time === Infinity), 'The loop never closes');
+        this.framework.assertEqual(result.mixingTime, null, 'Mixing is undefined');
+    }
+
+    testClassStructure() {
+        // 0 → {0, 1}, 1 → 2, 2 → 1, 3 → 3: state 0 is transient, {1, 2} and {3} are closed
+        const matrix = [
+            [0.5, 0.5, 0, 0],
+            [0, 0, 1, 0],
+            [0, 1, 0, 0],
+            [0, 0, 0, 1]
+        ];
+        const classes = this.analyzer.communicatingClasses(matrix);
+
+        this.framework.assertEqual(classes, [[0], [1, 2], [3]], 'Tarjan finds the classes');
+        this.framework.assertEqual(classes.map(members => this.analyzer.isClosed(matrix, members)),
+            [false, true, true], 'Only state 0 leaks');
+        this.framework.assertEqual(this.analyzer.period(matrix, [1, 2]), 2, '1 ↔ 2 has period 2');
+        this.framework.assertEqual(this.analyzer.stationaryDistribution(matrix, [1, 2]), [0, 0.5, 0.5, 0],
+            'Stationary on the cycle');
+        this.framework.assertThrows(() => RetrocausalUtils.math.solveLinearSystem([[1, 2], [2, 4]], [1, 2]), Error,
+            'Singular systems should be rejected');
+    }
+
+    run() {
+        console.log('Running Markov-Chain Analyzer Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkovChainAnalyzerTests;
+} else if (typeof window !== 'undefined') {
+    window.MarkovChainAnalyzerTests = MarkovChainAnalyzerTests;
+}
@@ -0,0 +1,278 @@
+/**
+ * Message Transmission over the Retrocausal Channel
+ *
+ * The fixed-point solver carries one k-bit data word around the temporal
+ * loop. This module sends whole messages, text or bytes, by cutting them
+ * into data words and letting each settle in its own loop:
+ *
+ *   message → header + payload → padding → interleaving → k-bit blocks
+ *           → solveFixedPoint per block → deinterleaving → message
+ *
+ * The frame starts with a 48-bit header, most significant bit first:
+ *
+ *   | payload length (16) | flags (8) | payload CRC-16 (16) | header CRC-8 (8) |
+ *
+ * The header CRC-8 (polynomial 0x07) tells the receiver whether it can
+ * trust the length and flags; the CRC-16/CCITT of the payload (polynomial
+ * 0x1021, register preset to 0xFFFF) tells it whether the message arrived
+ * intact. Zero bits pad the frame to a whole number of blocks. An optional
+ * interleaver permutes the padded frame, so a block that settles on the
+ * wrong codeword scatters its bit errors over the message instead of
+ * corrupting one run of characters.
+ *
+ * The delivery report gives each block's consistency status next to
+ * message-level figures: bits delivered, block error rate and the residual
+ * bit error rate of the payload.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const MessageUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+const MessageInterleaver = typeof InterleaveOperator !== 'undefined' ? InterleaveOperator : require('./pipeline.js').InterleaveOperator;
+
+class MessageProtocol {
+    static HEADER_BITS = 48;
+
+    static MAX_PAYLOAD_BYTES = 0xFFFF;
+
+    static FLAGS = { text: 0x01 };
+
+    static CRC8 = { width: 8, poly: 0x07, init: 0x00 };
+
+    static CRC16 = { width: 16, poly: 0x1021, init: 0xFFFF };
+
+    /**
+     * @param {RetrocausalFixedPointSolver} solver - Loop that carries each block
+     * @param {Object} options - Protocol options
+     * @param {Object} [options.interleave=null] - InterleaveOperator params, {rows} or {seed}
+     * @param {Object} [options.solverParams={}] - Parameters passed to solveFixedPoint for every block
+     */
+    constructor(solver, options = {}) {
+        this.solver = solver;
+        this.options = {
+            interleave: null,
+            solverParams: {},
+            ...options
+        };
+        this.interleaver = this.options.interleave ? new MessageInterleaver(this.options.interleave) : null;
+        this.deinterleaver = this.options.interleave ?
+            new MessageInterleaver({ ...this.options.interleave, inverse: true }) : null;
+    }
+
+    /**
+     * Data bits carried per block: the information length of the loop's code
+     */
+    get blockLength() {
+        return this.solver.hamming.k;
+    }
+
+    /**
+     * Cyclic redundancy check of a bit string, most significant bit first
+     *
+     * @param {Array<number>} bits - Message bits
+     * @param {Object} spec - {width, poly, init}, e.g. MessageProtocol.CRC16
+     * @returns {number} - CRC register after the last bit
+     */
+    static crc(bits, spec) {
+        const top = 1 << (spec.width - 1);
+        const mask = (1 << spec.width) - 1;
+        let register = spec.init;
+        for (const bit of bits) {
+            const feedback = ((register & top) ? 1 : 0) ^ bit;
+            register = (register << 1) & mask;
+            if (feedback) register ^= spec.poly;
+        }
+        return register;
+    }
+
+    static toBits(value, width) {
+        return Array.from({ length: width }, (_, i) => (value >> (width - 1 - i)) & 1);
+    }
+
+    static fromBits(bits) {
+        return bits.reduce((value, bit) => value * 2 + bit, 0);
+    }
+
+    static bytesToBits(bytes) {
+        return Array.from(bytes).flatMap(byte => MessageProtocol.toBits(byte, 8));
+    }
+
+    static bitsToBytes(bits) {
+        const bytes = new Uint8Array(Math.floor(bits.length / 8));
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = MessageProtocol.fromBits(bits.slice(8 * i, 8 * i + 8));
+        }
+        return bytes;
+    }
+
+    /**
+     * Build the frame of a message
+     *
+     * @param {string|Uint8Array} message - Text (sent as UTF-8) or bytes
+     * @returns {Object} - {bits, blocks, payload, header, paddingBits}; bits is the
+     *          padded frame before interleaving, blocks the words sent around the loop
+     */
+    frame(message) {
+        const text = typeof message === 'string';
+        if (!text && !(message instanceof Uint8Array)) {
+            throw new Error('Messages are strings or Uint8Arrays');
+        }
+        const payload = text ? new TextEncoder().encode(message) : message;
+        if (payload.length > MessageProtocol.MAX_PAYLOAD_BYTES) {
+            throw new Error(`Messages are limited to ${MessageProtocol.MAX_PAYLOAD_BYTES} bytes`);
+        }
+
+        const payloadBits = MessageProtocol.bytesToBits(payload);
+        const header = {
+            length: payload.length,
+            flags: text ? MessageProtocol.FLAGS.text : 0,
+            payloadCrc: MessageProtocol.crc(payloadBits, MessageProtocol.CRC16)
+        };
+        const fields = [
+            ...MessageProtocol.toBits(header.length, 16),
+            ...MessageProtocol.toBits(header.flags, 8),
+            ...MessageProtocol.toBits(header.payloadCrc, 16)
+        ];
+        header.headerCrc = MessageProtocol.crc(fields, MessageProtocol.CRC8);
+
+        const bits = [...fields, ...MessageProtocol.toBits(header.headerCrc, 8), ...payloadBits];
+        const paddingBits = (this.blockLength - bits.length % this.blockLength) % this.blockLength;
+        bits.push(...new Array(paddingBits).fill(0));
+
+        const sent = this.interleaver ? this.permute(this.interleaver, bits) : bits;
+        const blocks = [];
+        for (let i = 0; i < sent.length; i += this.blockLength) {
+            blocks.push(sent.slice(i, i + this.blockLength));
+        }
+
+        return { bits: bits, blocks: blocks, payload: payload, header: header, paddingBits: paddingBits };
+    }
+
+    /**
+     * Read a received frame (after deinterleaving)
+     *
+     * The header is trusted only if its CRC-8 checks; otherwise the
+     * receiver takes every whole byte after the header as payload and
+     * treats it as binary.
+     *
+     * @param {Array<number>} bits - Received frame bits
+     * @returns {Object} - {message, payload, header, headerValid, payloadValid}
+     */
+    parse(bits) {
+        const fields = bits.slice(0, 40);
+        const header = {
+            length: MessageProtocol.fromBits(bits.slice(0, 16)),
+            flags: MessageProtocol.fromBits(bits.slice(16, 24)),
+            payloadCrc: MessageProtocol.fromBits(bits.slice(24, 40)),
+            headerCrc: MessageProtocol.fromBits(bits.slice(40, 48))
+        };
+        const available = Math.floor((bits.length - MessageProtocol.HEADER_BITS) / 8);
+        const headerValid = header.headerCrc === MessageProtocol.crc(fields, MessageProtocol.CRC8) &&
+            header.length <= available;
+
+        const length = headerValid ? header.length : available;
+        const payloadBits = bits.slice(MessageProtocol.HEADER_BITS, MessageProtocol.HEADER_BITS + 8 * length);
+        const payload = MessageProtocol.bitsToBytes(payloadBits);
+        const text = headerValid && (header.flags & MessageProtocol.FLAGS.text) !== 0;
+
+        return {
+            message: text ? new TextDecoder().decode(payload) : payload,
+            payload: payload,
+            header: header,
+            headerValid: headerValid,
+            payloadValid: headerValid && MessageProtocol.crc(payloadBits, MessageProtocol.CRC16) === header.payloadCrc
+        };
+    }
+
+    /**
+     * Send a message around the loop, one block per fixed-point solve
+     *
+     * A generator seeded from params.seed draws the seed of every block, so
+     * the whole delivery replays from the seed in the report.
+     *
+     * @param {string|Uint8Array} message - Text or bytes to send
+     * @param {Object} params - solveFixedPoint parameters, overriding options.solverParams
+     * @returns {Object} - Delivery report
+     */
+    send(message, params = {}) {
+        const config = { ...this.options.solverParams, ...params };
+        const generator = MessageUtils.random.createGenerator(config.seed ?? MessageUtils.random.generateSeed());
+        const frame = this.frame(message);
+
+        const blocks = frame.blocks.map((block, index) => {
+            const result = this.solver.solveFixedPoint(block, { ...config, seed: generator.nextUint32() });
+            return {
+                index: index,
+                sent: block,
+                received: [...result.finalState],
+                converged: result.converged,
+                outcome: result.outcome,
+                iterations: result.iterations,
+                bitErrors: MessageUtils.math.hammingDistance(block, result.finalState),
+                seed: result.seed
+            };
+        });
+
+        const receivedBits = blocks.flatMap(block => block.received);
+        const frameBits = this.deinterleaver ? this.permute(this.deinterleaver, receivedBits) : receivedBits;
+        const received = this.parse(frameBits);
+
+        return this.createDeliveryReport(message, frame, blocks, frameBits, received, generator.seed);
+    }
+
+    /**
+     * Delivery report: per-block consistency and message-level error rates
+     *
+     * The residual BER compares the payload positions of the sent and
+     * received frames, so it is defined even when the header was lost.
+     */
+    createDeliveryReport(message, frame, blocks, frameBits, received, seed) {
+        const payloadBits = 8 * frame.payload.length;
+        const start = MessageProtocol.HEADER_BITS;
+        const bitErrors = MessageUtils.math.hammingDistance(
+            frame.bits.slice(start, start + payloadBits), frameBits.slice(start, start + payloadBits));
+        const blockErrors = blocks.filter(block => block.bitErrors > 0).length;
+        const delivered = received.headerValid && received.payload.length === frame.payload.length &&
+            received.payload.every((byte, i) => byte === frame.payload[i]);
+
+        return {
+            sent: message,
+            message: received.message,
+            delivered: delivered,
+            headerValid: received.headerValid,
+            payloadValid: received.payloadValid,
+            frame: {
+                headerBits: MessageProtocol.HEADER_BITS,
+                payloadBits: payloadBits,
+                paddingBits: frame.paddingBits,
+                totalBits: frame.bits.length,
+                blockLength: this.blockLength,
+                blockCount: blocks.length,
+                interleave: this.options.interleave
+            },
+            blocks: blocks,
+            statistics: {
+                bitsSent: payloadBits,
+                bitsDelivered: payloadBits - bitErrors,
+                bitErrors: bitErrors,
+                residualBER: payloadBits > 0 ? bitErrors / payloadBits : 0,
+                blockErrors: blockErrors,
+                blockErrorRate: blockErrors / blocks.length,
+                inconsistentBlocks: blocks.filter(block => !block.converged).length,
+                averageIterations: blocks.reduce((sum, block) => sum + block.iterations, 0) / blocks.length
+            },
+            seed: seed
+        };
+    }
+
+    permute(operator, bits) {
+        return operator.apply({ bits: bits, llr: null, erasures: [] }).bits;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageProtocol;
+} else if (typeof window !== 'undefined') {
+    window.MessageProtocol = MessageProtocol;
+}
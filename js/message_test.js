@@ -0,0 +1,148 @@
+/**
+ * Test Suite for Message Transmission
+ *
+ * These tests check the frame layout and its CRCs against published check
+ * values, send text and bytes around noiseless and noisy loops, and make
+ * sure the delivery report adds up.
+ *
+ * Test Coverage:
+ * - CRC-8 and CRC-16/CCITT check values
+ * - Header layout and padding
+ * - Noiseless delivery of text and bytes, with and without interleaving
+ * - Corruption detection by the header and payload CRCs
+ * - Delivery statistics and replay from the seed
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class MessageProtocolTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('CRCs match their check values', () => this.testCRC());
+        this.framework.test('Frames carry a header, the payload and padding', () => this.testFrameLayout());
+        this.framework.test('Noiseless loops deliver text and bytes', () => this.testNoiselessDelivery());
+        this.framework.test('CRCs catch corrupted headers and payloads', () => this.testCorruptionDetection());
+        this.framework.test('Delivery report over a noisy loop', () => this.testNoisyDelivery());
+    }
+
+    testCRC() {
+        const check = MessageProtocol.bytesToBits(new TextEncoder().encode('123456789'));
+        this.framework.assertEqual(MessageProtocol.crc(check, MessageProtocol.CRC16), 0x29B1, 'CRC-16/CCITT-FALSE');
+        this.framework.assertEqual(MessageProtocol.crc(check, MessageProtocol.CRC8), 0xF4, 'CRC-8');
+        this.framework.assertEqual(MessageProtocol.bitsToBytes(check), new TextEncoder().encode('123456789'),
+            'Bytes round-trip through bits');
+    }
+
+    testFrameLayout() {
+        const protocol = new MessageProtocol(this.solver);
+        const frame = protocol.frame('hi');
+
+        this.framework.assertEqual(frame.bits.length, 64, '48 header bits and 16 payload bits');
+        this.framework.assertEqual(frame.blocks.length, 16, 'Sent as sixteen 4-bit blocks');
+        this.framework.assertEqual(frame.bits.slice(0, 16), MessageProtocol.toBits(2, 16), 'Length field');
+        this.framework.assertEqual(frame.bits.slice(16, 24), MessageProtocol.toBits(MessageProtocol.FLAGS.text, 8),
+            'Text flag');
+        this.framework.assertEqual(frame.bits.slice(48), MessageProtocol.bytesToBits([0x68, 0x69]), 'Payload follows');
+        this.framework.assertEqual(protocol.parse(frame.bits).header, frame.header, 'The receiver reads the header back');
+
+        // BCH(15,7) carries 7 data bits per block: 48 + 24 frame bits pad to 77
+        const bch = new MessageProtocol(new RetrocausalFixedPointSolver(new BCHCode(4, 2)));
+        const padded = bch.frame(new Uint8Array([1, 2, 3]));
+        this.framework.assertEqual(padded.paddingBits, 5, 'Padding completes the last block');
+        this.framework.assertTrue(padded.blocks.every(block => block.length === 7), 'Blocks have the code length k');
+
+        this.framework.assertThrows(() => protocol.frame([1, 0, 1]), Error, 'Bit arrays are not messages');
+        this.framework.assertThrows(() => protocol.frame(new Uint8Array(70000)), Error, 'Length field is 16 bits');
+    }
+
+    testNoiselessDelivery() {
+        const params = { errorRate: 0, seed: 3 };
+        const text = 'Héllo, wörld ✓';
+        const plain = new MessageProtocol(this.solver).send(text, params);
+        const interleaved = new MessageProtocol(this.solver, { interleave: { rows: 8 } }).send(text, params);
+
+        [plain, interleaved].forEach(report => {
+            this.framework.assertEqual(report.message, text, 'UTF-8 text arrives intact');
+            this.framework.assertTrue(report.delivered && report.headerValid && report.payloadValid,
+                'and passes both CRCs');
+            this.framework.assertEqual(report.statistics.residualBER, 0, 'No residual errors');
+            this.framework.assertEqual(report.statistics.blockErrorRate, 0, 'No block errors');
+            this.framework.assertTrue(report.blocks.every(block => block.outcome === 'converged'),
+                'Every block is self-consistent');
+        });
+        this.framework.assertFalse(plain.blocks.map(b => b.sent.join('')).join() ===
+            interleaved.blocks.map(b => b.sent.join('')).join(), 'Interleaving changes the blocks sent');
+
+        const bytes = new Uint8Array([0, 255, 17, 128]);
+        const binary = new MessageProtocol(new RetrocausalFixedPointSolver(new BCHCode(4, 2))).send(bytes, params);
+        this.framework.assertTrue(binary.message instanceof Uint8Array, 'Bytes come back as bytes');
+        this.framework.assertEqual(binary.message, bytes, 'through a BCH loop as well');
+    }
+
+    testCorruptionDetection() {
+        const protocol = new MessageProtocol(this.solver);
+        const frame = protocol.frame('retrocausal');
+
+        const payloadHit = [...frame.bits];
+        payloadHit[60] ^= 1;
+        const payloadResult = protocol.parse(payloadHit);
+        this.framework.assertTrue(payloadResult.headerValid && !payloadResult.payloadValid,
+            'A payload error fails the CRC-16 only');
+
+        const headerHit = [...frame.bits];
+        headerHit[3] ^= 1;
+        const headerResult = protocol.parse(headerHit);
+        this.framework.assertFalse(headerResult.headerValid, 'A header error fails the CRC-8');
+        this.framework.assertTrue(headerResult.message instanceof Uint8Array && headerResult.message.length === 11,
+            'and the receiver falls back to every whole byte as binary');
+
+        // A block lost whole is spread over the payload by the interleaver
+        const interleaved = new MessageProtocol(this.solver, { interleave: { rows: 8 } });
+        const blocks = interleaved.frame('retrocausal').blocks;
+        blocks[20] = blocks[20].map(bit => bit ^ 1);
+        const received = interleaved.permute(interleaved.deinterleaver, blocks.flat());
+        const errors = received.map((bit, i) => (bit !== frame.bits[i] ? i : -1)).filter(i => i >= 0);
+        this.framework.assertEqual(errors.length, 4, 'Four bits are flipped');
+        this.framework.assertTrue(errors.every((position, i) => i === 0 || position - errors[i - 1] >= 8),
+            'in four different bytes');
+    }
+
+    testNoisyDelivery() {
+        const protocol = new MessageProtocol(this.solver, { solverParams: { errorRate: 0.15 } });
+        const report = protocol.send('hello world', { seed: 7 });
+        const { statistics, blocks } = report;
+
+        this.framework.assertTrue(statistics.blockErrors > 0, 'Some blocks settle on the wrong codeword');
+        this.framework.assertFalse(report.delivered, 'so the message is not delivered intact');
+        this.framework.assertEqual(statistics.blockErrorRate, statistics.blockErrors / report.frame.blockCount,
+            'BLER counts wrong blocks');
+        this.framework.assertEqual(statistics.bitsDelivered + statistics.bitErrors, 88, 'Every payload bit is accounted for');
+        this.framework.assertEqual(statistics.residualBER, statistics.bitErrors / statistics.bitsSent, 'Residual BER');
+        this.framework.assertTrue(statistics.residualBER < 0.15, 'The loop removes most channel errors');
+        this.framework.assertEqual(statistics.inconsistentBlocks, blocks.filter(block => !block.converged).length,
+            'Inconsistent blocks are the unconverged ones');
+
+        const replay = protocol.send('hello world', { seed: report.seed });
+        this.framework.assertEqual(replay.blocks, blocks, 'The seed replays every block');
+        const block = blocks[5];
+        this.framework.assertEqual(this.solver.solveFixedPoint(block.sent, { errorRate: 0.15, seed: block.seed }).finalState,
+            block.received, 'Each block replays from its own seed');
+    }
+
+    run() {
+        console.log('Running Message Transmission Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageProtocolTests;
+} else if (typeof window !== 'undefined') {
+    window.MessageProtocolTests = MessageProtocolTests;
+}
@@ -0,0 +1,178 @@
+/**
+ * Monte Carlo Bit and Block Error Rate Engine
+ *
+ * Measures how a code performs on a channel by simulation: random data
+ * words are encoded, sent through the channel and decoded, and the errors
+ * are counted until enough block errors have been seen for the estimate to
+ * be meaningful. Sweeping a channel parameter (error rate, SNR, erasure
+ * probability, ...) gives the familiar waterfall curves.
+ *
+ * Each point reports, with and without error correction:
+ * - BER: data bit errors per data bit
+ * - BLER: data words with at least one error per word sent
+ * - Wilson confidence intervals for both
+ *
+ * "Without correction" reads the data bits straight off the channel's hard
+ * decisions (through the code's information set when it has one, so a
+ * systematic code is compared with sending its data bits bare); codes
+ * without extractDataBits are compared by their raw channel bit errors.
+ *
+ * A point stops once the corrected BLER has seen targetBlockErrors errors
+ * (after at least minBlocks words), or after maxBlocks words. Bit errors
+ * inside one block are correlated, so the BER interval, which treats bits
+ * as independent, is narrower than it should be; the BLER interval is exact
+ * in that respect.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const MonteCarloUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+const MonteCarloChannel = typeof Channel !== 'undefined' ? Channel : require('./channels.js').Channel;
+const MonteCarloPipeline = typeof EvolutionPipeline !== 'undefined' ? EvolutionPipeline : require('./pipeline.js').EvolutionPipeline;
+
+class MonteCarloEngine {
+    /**
+     * @param {LinearBlockCode} code - Code under test
+     * @param {Object} options - Simulation options
+     * @param {string} [options.channel='bsc'] - Registered channel name
+     * @param {Object} [options.channelParams={}] - Fixed channel parameters
+     * @param {boolean} [options.softDecision=false] - Decode from the channel's LLRs
+     * @param {string} [options.softDecodingMethod=null] - 'ml', 'chase' or the code's default
+     * @param {number} [options.targetBlockErrors=100] - Corrected block errors that end a point
+     * @param {number} [options.minBlocks=100] - Blocks simulated before stopping early
+     * @param {number} [options.maxBlocks=100000] - Blocks after which a point stops regardless
+     * @param {number} [options.confidence=0.95] - Confidence level of the intervals
+     */
+    constructor(code, options = {}) {
+        this.code = code;
+        this.options = {
+            channel: 'bsc',
+            channelParams: {},
+            softDecision: false,
+            softDecodingMethod: null,
+            targetBlockErrors: 100,
+            minBlocks: 100,
+            maxBlocks: 100000,
+            confidence: 0.95,
+            ...options
+        };
+        if (!(this.options.maxBlocks >= 1 && this.options.targetBlockErrors >= 1)) {
+            throw new Error('A point needs at least one block and a positive block error target');
+        }
+        this.pipeline = new MonteCarloPipeline();
+    }
+
+    /**
+     * Simulate one operating point
+     *
+     * @param {Object} channelParams - Channel parameters of this point (merged over options.channelParams)
+     * @param {Object} params - {seed} and overrides of the stopping options
+     * @returns {Object} - {channelParams, blocks, corrected, uncorrected, channelBER, stoppedBy, seed}
+     */
+    runPoint(channelParams = {}, params = {}) {
+        const config = { ...this.options, ...params };
+        const random = MonteCarloUtils.random.createGenerator(config.seed ?? MonteCarloUtils.random.generateSeed());
+        const pointParams = { ...config.channelParams, ...channelParams };
+        const channel = MonteCarloChannel.create(config.channel, { ...pointParams, random: random });
+        const context = {
+            code: this.code,
+            channel: channel,
+            config: {
+                softDecision: config.softDecision,
+                softDecodingMethod: config.softDecodingMethod,
+                errorRate: pointParams.errorRate ?? null
+            },
+            random: random
+        };
+
+        const counts = {
+            corrected: { bitErrors: 0, blockErrors: 0 },
+            uncorrected: { bitErrors: 0, blockErrors: 0 },
+            channelBitErrors: 0
+        };
+        const raw = typeof this.code.extractDataBits !== 'function';
+        let blocks = 0;
+
+        while (blocks < config.maxBlocks) {
+            const data = MonteCarloUtils.math.randomBits(this.code.k, 0.5, random);
+            context.iteration = blocks;
+            const { state } = this.pipeline.run({ bits: data, llr: null, erasures: [] }, context);
+            const received = context.transmission.bits;
+            const channelErrors = MonteCarloUtils.math.hammingDistance(context.encodedState, received);
+            const uncorrectedErrors = raw ? channelErrors :
+                MonteCarloUtils.math.hammingDistance(data, this.code.extractDataBits(received));
+            const correctedErrors = MonteCarloUtils.math.hammingDistance(data, state.bits);
+
+            blocks++;
+            counts.channelBitErrors += channelErrors;
+            counts.uncorrected.bitErrors += uncorrectedErrors;
+            counts.uncorrected.blockErrors += uncorrectedErrors > 0 ? 1 : 0;
+            counts.corrected.bitErrors += correctedErrors;
+            counts.corrected.blockErrors += correctedErrors > 0 ? 1 : 0;
+
+            if (blocks >= config.minBlocks && counts.corrected.blockErrors >= config.targetBlockErrors) break;
+        }
+
+        const bits = raw ? blocks * this.code.n : blocks * this.code.k;
+        return {
+            channelParams: pointParams,
+            blocks: blocks,
+            corrected: this.summarize(counts.corrected, blocks * this.code.k, blocks, config.confidence),
+            uncorrected: this.summarize(counts.uncorrected, bits, blocks, config.confidence),
+            channelBER: counts.channelBitErrors / (blocks * this.code.n),
+            stoppedBy: counts.corrected.blockErrors >= config.targetBlockErrors ? 'blockErrors' : 'maxBlocks',
+            seed: random.seed
+        };
+    }
+
+    /**
+     * Error rates and their confidence intervals from error counts
+     */
+    summarize(counts, bits, blocks, confidence) {
+        const ber = MonteCarloUtils.stats.proportionInterval(counts.bitErrors, bits, confidence);
+        const bler = MonteCarloUtils.stats.proportionInterval(counts.blockErrors, blocks, confidence);
+        return {
+            bitErrors: counts.bitErrors,
+            blockErrors: counts.blockErrors,
+            ber: ber.estimate,
+            bler: bler.estimate,
+            berInterval: [ber.lower, ber.upper],
+            blerInterval: [bler.lower, bler.upper]
+        };
+    }
+
+    /**
+     * Sweep one channel parameter
+     *
+     * A generator seeded from params.seed draws the seed of every point,
+     * so the whole curve is reproducible from the seed it reports.
+     *
+     * @param {string} parameter - Channel parameter to vary, e.g. 'errorRate' or 'snrDb'
+     * @param {Array<number>} values - Values of the parameter
+     * @param {Object} params - {seed} and overrides of the stopping options
+     * @returns {Object} - {parameter, code, channel, softDecision, points, seed}
+     */
+    sweep(parameter, values, params = {}) {
+        const generator = MonteCarloUtils.random.createGenerator(params.seed ?? MonteCarloUtils.random.generateSeed());
+        const points = values.map(value => ({
+            value: value,
+            ...this.runPoint({ [parameter]: value }, { ...params, seed: generator.nextUint32() })
+        }));
+
+        return {
+            parameter: parameter,
+            code: { n: this.code.n, k: this.code.k, name: this.code.name },
+            channel: this.options.channel,
+            softDecision: this.options.softDecision,
+            points: points,
+            seed: generator.seed
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloEngine;
+} else if (typeof window !== 'undefined') {
+    window.MonteCarloEngine = MonteCarloEngine;
+}
@@ -0,0 +1,123 @@
+/**
+ * Test Suite for the Monte Carlo Error Rate Engine
+ *
+ * These tests compare measured error rates with the closed forms available
+ * for the Hamming(7,4) code on the binary symmetric channel, and check the
+ * stopping rules, the confidence intervals and reproducibility.
+ *
+ * Test Coverage:
+ * - Wilson confidence intervals
+ * - Uncoded and coded error rates on the BSC
+ * - Adaptive stopping
+ * - Sweeps over error rate and SNR
+ * - Parameter validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class MonteCarloEngineTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.hamming = new HammingCode();
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Wilson intervals', () => this.testIntervals());
+        this.framework.test('Measured rates match the BSC closed forms', () => this.testClosedForms());
+        this.framework.test('Points stop after enough block errors', () => this.testStopping());
+        this.framework.test('Sweeps over error rate and SNR', () => this.testSweeps());
+        this.framework.test('Invalid options are rejected', () => this.testValidation());
+    }
+
+    testIntervals() {
+        const none = RetrocausalUtils.stats.proportionInterval(0, 10);
+        this.framework.assertEqual(none.lower, 0, 'No events: lower bound 0');
+        this.framework.assertTrue(Math.abs(none.upper - 0.2775) < 1e-4, `and upper bound 0.2775, got ${none.upper}`);
+
+        const half = RetrocausalUtils.stats.proportionInterval(5, 10);
+        this.framework.assertTrue(Math.abs(half.lower - 0.2366) < 1e-4 && Math.abs(half.upper - 0.7634) < 1e-4,
+            `5 of 10 gives [0.2366, 0.7634], got [${half.lower}, ${half.upper}]`);
+    }
+
+    testClosedForms() {
+        // Hamming(7,4) corrects one error; two or more always change the data word
+        const p = 0.1;
+        const blockError = 1 - Math.pow(1 - p, 7) - 7 * p * Math.pow(1 - p, 6);
+        const engine = new MonteCarloEngine(this.hamming, { maxBlocks: 4000, targetBlockErrors: 400 });
+        const point = engine.runPoint({ errorRate: p }, { seed: 12 });
+
+        const contains = ([lower, upper], value) => lower <= value && value <= upper;
+        this.framework.assertTrue(contains(point.uncorrected.berInterval, p),
+            `Uncoded BER ${point.uncorrected.ber} brackets p = ${p}`);
+        this.framework.assertTrue(contains(point.uncorrected.blerInterval, 1 - Math.pow(1 - p, 4)),
+            'Uncoded BLER brackets 1 - (1 - p)^4');
+        this.framework.assertTrue(contains(point.corrected.blerInterval, blockError),
+            `Coded BLER ${point.corrected.bler} brackets ${blockError.toFixed(4)}`);
+        this.framework.assertTrue(Math.abs(point.channelBER - p) < 0.01, 'The channel flips a fraction p of bits');
+
+        const clean = engine.runPoint({ errorRate: 0 }, { seed: 1, maxBlocks: 200 });
+        this.framework.assertEqual([clean.corrected.bitErrors, clean.uncorrected.bitErrors], [0, 0],
+            'No noise, no errors');
+        this.framework.assertTrue(clean.corrected.berInterval[1] > 0, 'but an upper bound on the BER remains');
+    }
+
+    testStopping() {
+        const engine = new MonteCarloEngine(this.hamming, { targetBlockErrors: 20, minBlocks: 50, maxBlocks: 5000 });
+
+        const noisy = engine.runPoint({ errorRate: 0.3 }, { seed: 4 });
+        this.framework.assertEqual(noisy.stoppedBy, 'blockErrors', 'High noise stops on the error target');
+        this.framework.assertTrue(noisy.blocks === 50 && noisy.corrected.blockErrors > 20, 'but not before minBlocks');
+
+        const moderate = engine.runPoint({ errorRate: 0.05 }, { seed: 4 });
+        this.framework.assertEqual(moderate.corrected.blockErrors, 20, 'Stops at the 20th block error');
+        this.framework.assertTrue(moderate.blocks > 50, `after ${moderate.blocks} blocks`);
+
+        const quiet = engine.runPoint({ errorRate: 0.001 }, { seed: 4, maxBlocks: 300 });
+        this.framework.assertEqual([quiet.stoppedBy, quiet.blocks], ['maxBlocks', 300], 'Low noise runs to maxBlocks');
+    }
+
+    testSweeps() {
+        const engine = new MonteCarloEngine(this.hamming, { targetBlockErrors: 30, maxBlocks: 1500 });
+        const curve = engine.sweep('errorRate', [0.01, 0.05, 0.15], { seed: 9 });
+
+        this.framework.assertEqual(curve.points.map(point => point.value), [0.01, 0.05, 0.15], 'One point per value');
+        this.framework.assertEqual(curve.points[1].channelParams.errorRate, 0.05, 'The value sets the channel parameter');
+        this.framework.assertTrue(curve.points.every(point => point.corrected.ber < point.uncorrected.ber),
+            'Correction lowers the BER below p ≈ 0.2');
+        this.framework.assertTrue(curve.points[0].corrected.ber < curve.points[2].corrected.ber,
+            'Errors grow with the noise');
+        this.framework.assertEqual(engine.sweep('errorRate', [0.01, 0.05, 0.15], { seed: curve.seed }).points,
+            curve.points, 'The seed reproduces the curve');
+        this.framework.assertEqual(curve.code, { n: 7, k: 4, name: 'Hamming(7,4)' }, 'The curve names its code');
+        this.framework.assertEqual(new MonteCarloEngine(HammingCode.create(3, { extended: true }), { maxBlocks: 10 })
+            .sweep('errorRate', [0.1], { seed: 9 }).code.name, 'Extended Hamming(8,4)', 'including its variant');
+
+        const soft = new MonteCarloEngine(this.hamming, {
+            channel: 'awgn', softDecision: true, targetBlockErrors: 30, maxBlocks: 1000
+        }).sweep('snrDb', [1, 4], { seed: 9 });
+        this.framework.assertTrue(soft.points[1].corrected.ber < soft.points[1].uncorrected.ber,
+            'Soft decoding beats raw hard decisions on AWGN');
+        this.framework.assertTrue(soft.points[1].uncorrected.ber < soft.points[0].uncorrected.ber,
+            'Higher SNR means fewer channel errors');
+    }
+
+    testValidation() {
+        this.framework.assertThrows(() => new MonteCarloEngine(this.hamming, { maxBlocks: 0 }), Error,
+            'A point needs blocks');
+        this.framework.assertThrows(() => new MonteCarloEngine(this.hamming, { channel: 'wormhole' })
+            .runPoint({ errorRate: 0.1 }), Error, 'Unknown channels are rejected');
+    }
+
+    run() {
+        console.log('Running Monte Carlo Error Rate Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloEngineTests;
+} else if (typeof window !== 'undefined') {
+    window.MonteCarloEngineTests = MonteCarloEngineTests;
+}
@@ -0,0 +1,534 @@
+/**
+ * Composable Evolution Pipeline for the Temporal Loop
+ *
+ * The whitepaper factors one pass around the closed timelike curve as
+ *
+ *   U_CTC = U_ECC ∘ U_backward ∘ U_interaction ∘ U_forward
+ *
+ * This module makes that factorization explicit. A pass is a list of
+ * operator stages, each with apply(state, ctx) and metadata naming the
+ * factor of U_CTC it implements (its role). The state handed from stage to
+ * stage is a signal
+ *
+ *   { bits, llr, erasures }
+ *
+ * with llr null until a channel (or a soft decoder) provides reliabilities,
+ * so bit-level stages such as interleavers keep hard and soft information
+ * aligned. The context carries the loop's code, channel and configuration,
+ * and collects what the solver reports: encodedState, transmission,
+ * decodingResult and the number of channel errors.
+ *
+ * Built-in operators:
+ * - 'encode' (forward): encode with the loop's code, or blockwise with a
+ *   second code given as a JSON spec
+ * - 'channel' (interaction): send the bits through the loop's channel
+ * - 'decode' (ecc): hard or soft decoding, blockwise like 'encode'
+ * - 'interleave' (forward, or backward when inverse): block or seeded
+ *   random permutation
+ * - 'scramble' (forward): XOR with the x^7 + x^4 + 1 LFSR sequence, which
+ *   is its own inverse
+ *
+ * The default pipeline is encode → channel → decode, the hardwired cycle
+ * of earlier versions. New operators are added with
+ * PipelineOperator.register(type, OperatorClass), and whole pipelines
+ * round-trip through toJSON() and EvolutionPipeline.fromJSON().
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const PipelineUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class PipelineOperator {
+    /**
+     * @param {Object} params - Operator parameters (JSON-serializable)
+     * @param {Object} [options] - {name, role} overriding the defaults of the type
+     */
+    constructor(params = {}, options = {}) {
+        this.params = { ...params };
+        this.type = options.type || 'operator';
+        this.name = options.name || this.type;
+        this.role = options.role || this.constructor.role;
+    }
+
+    /**
+     * Factor of U_CTC implemented by the operator type
+     */
+    static role = 'interaction';
+
+    static description = '';
+
+    static ROLES = ['forward', 'interaction', 'backward', 'ecc'];
+
+    static registry = new Map();
+
+    /**
+     * Register an operator class under a type name
+     *
+     * @param {string} type - Lookup name (case-insensitive)
+     * @param {Function} OperatorClass - Subclass of PipelineOperator
+     */
+    static register(type, OperatorClass) {
+        PipelineOperator.registry.set(type.toLowerCase(), OperatorClass);
+    }
+
+    /**
+     * Create an operator from its type name or JSON description
+     *
+     * @param {string|Object} spec - Type name, or {type, name, role, params}
+     * @returns {PipelineOperator} - New operator instance
+     */
+    static create(spec) {
+        const { type, name, role, params } = typeof spec === 'string' ? { type: spec } : spec;
+        const OperatorClass = PipelineOperator.registry.get(String(type).toLowerCase());
+        if (!OperatorClass) {
+            throw new Error(`Unknown pipeline operator "${type}". Available: ${PipelineOperator.list().join(', ')}`);
+        }
+        if (role && !PipelineOperator.ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}". Use ${PipelineOperator.ROLES.join(', ')}`);
+        }
+        return new OperatorClass(params || {}, { type: String(type).toLowerCase(), name, role });
+    }
+
+    /**
+     * Types of all registered operators
+     */
+    static list() {
+        return [...PipelineOperator.registry.keys()];
+    }
+
+    /**
+     * Transform the signal
+     *
+     * @param {Object} state - {bits, llr, erasures}
+     * @param {Object} ctx - Loop context: {code, channel, config, random, ...}
+     * @returns {Object} - New {bits, llr, erasures}
+     */
+    // eslint-disable-next-line no-unused-vars
+    apply(state, ctx) {
+        throw new Error(`${this.constructor.name} must implement apply()`);
+    }
+
+    /**
+     * Forget any state carried between passes
+     */
+    reset() {}
+
+    /**
+     * Describe the operator for reports and UIs
+     *
+     * @returns {Object} - {type, name, role, description, params}
+     */
+    getMetadata() {
+        return {
+            type: this.type,
+            name: this.name,
+            role: this.role,
+            description: this.constructor.description,
+            params: JSON.parse(JSON.stringify(this.params))
+        };
+    }
+
+    toJSON() {
+        return { type: this.type, name: this.name, role: this.role, params: JSON.parse(JSON.stringify(this.params)) };
+    }
+
+    /**
+     * Build a code from a JSON spec
+     *
+     * @param {Object} spec - {family: 'linear', generatorMatrix | parityCheckMatrix, ...options},
+     *        {family: 'hamming', r, extended} or {family: 'bch', m, t}
+     * @returns {LinearBlockCode} - The code
+     */
+    static createCode(spec) {
+        const { family, ...options } = spec;
+        switch (family) {
+            case 'linear': {
+                const Code = typeof LinearBlockCode !== 'undefined' ? LinearBlockCode : require('./linearcode.js');
+                const { generatorMatrix, parityCheckMatrix, ...rest } = options;
+                return new Code({ generatorMatrix, parityCheckMatrix }, rest);
+            }
+            case 'hamming': {
+                const Code = typeof HammingCode !== 'undefined' ? HammingCode : require('./hamming.js');
+                return Code.create(options.r ?? 3, options);
+            }
+            case 'bch': {
+                const Code = typeof BCHCode !== 'undefined' ? BCHCode : require('./bch.js');
+                return Code.create(options.m ?? 4, options.t ?? 2, options);
+            }
+            default:
+                throw new Error(`Unknown code family "${family}". Use 'linear', 'hamming' or 'bch'`);
+        }
+    }
+
+    /**
+     * Split a word into blocks of a given length
+     */
+    static splitBlocks(values, length, label) {
+        if (values.length % length !== 0) {
+            throw new Error(`${label}: ${values.length} bits do not split into ${length}-bit blocks`);
+        }
+        return Array.from({ length: values.length / length }, (_, b) => values.slice(b * length, (b + 1) * length));
+    }
+}
+
+/**
+ * U_forward: encode the data word
+ */
+class EncodeOperator extends PipelineOperator {
+    static role = 'forward';
+
+    static description = 'Encode with the loop code, or blockwise with params.code';
+
+    /**
+     * @param {Object} params - {code}: optional code spec (see PipelineOperator.createCode)
+     */
+    constructor(params = {}, options = {}) {
+        super(params, options);
+        this.code = params.code ? PipelineOperator.createCode(params.code) : null;
+    }
+
+    apply(state, ctx) {
+        const code = this.code || ctx.code;
+        const blocks = PipelineOperator.splitBlocks(state.bits, code.k, this.name);
+        const bits = blocks.flatMap(block => code.encode(block));
+        if (!this.code) ctx.encodedState = bits;
+        return { bits: bits, llr: null, erasures: [] };
+    }
+}
+
+/**
+ * U_interaction: transmission through the closed timelike curve
+ */
+class ChannelOperator extends PipelineOperator {
+    static role = 'interaction';
+
+    static description = 'Send the bits through the loop channel';
+
+    apply(state, ctx) {
+        const transmission = ctx.channel.transmit(state.bits, { codeRate: ctx.code.k / ctx.code.n });
+        ctx.transmission = transmission;
+        ctx.channelErrors = (ctx.channelErrors || 0) + transmission.errors.length;
+        return { bits: transmission.bits, llr: transmission.llr, erasures: transmission.erasures };
+    }
+}
+
+/**
+ * U_ECC: backward evolution and error correction
+ *
+ * Soft decoding (config.softDecision) reads the signal's LLRs; hard decoding
+ * gets the bits, the erasures and the channel's average error rate. Several
+ * blocks of a second code are decoded separately and their results merged.
+ */
+class DecodeOperator extends PipelineOperator {
+    static role = 'ecc';
+
+    static description = 'Decode with the loop code, or blockwise with params.code';
+
+    /**
+     * @param {Object} params - {code}: optional code spec (see PipelineOperator.createCode)
+     */
+    constructor(params = {}, options = {}) {
+        super(params, options);
+        this.code = params.code ? PipelineOperator.createCode(params.code) : null;
+    }
+
+    apply(state, ctx) {
+        const code = this.code || ctx.code;
+        const config = ctx.config;
+        const soft = config.softDecision && state.llr && typeof code.decodeSoft === 'function';
+        const blocks = PipelineOperator.splitBlocks(state.bits, code.n, this.name);
+
+        const results = blocks.map((block, b) => {
+            const offset = b * code.n;
+            if (soft) {
+                return code.decodeSoft(state.llr.slice(offset, offset + code.n), {
+                    method: config.softDecodingMethod || undefined
+                });
+            }
+            return code.decode(block, {
+                channelErrorRate: ctx.channel.getAverageErrorRate() ?? config.errorRate,
+                erasures: state.erasures
+                    .filter(position => position >= offset && position < offset + code.n)
+                    .map(position => position - offset)
+            });
+        });
+
+        const result = results.length === 1 ? results[0] : DecodeOperator.mergeResults(results, code);
+        if (!this.code) ctx.decodingResult = result;
+        return { bits: result.dataBits, llr: result.dataLLR || null, erasures: [] };
+    }
+
+    /**
+     * One decoding result for several blocks: the worst status wins
+     */
+    static mergeResults(results, code) {
+        const status = results.some(result => result.status === 'uncorrectable') ? 'uncorrectable' :
+            results.some(result => result.status === 'corrected') ? 'corrected' : 'valid';
+        const failed = results.findIndex(result => result.errorPosition >= 0);
+        return {
+            dataBits: results.flatMap(result => result.dataBits),
+            dataLLR: results.every(result => result.dataLLR) ? results.flatMap(result => result.dataLLR) : null,
+            errorDetected: results.some(result => result.errorDetected),
+            errorPosition: failed >= 0 ? failed * code.n + results[failed].errorPosition : -1,
+            status: status,
+            iterations: results.some(result => result.iterations !== undefined) ?
+                Math.max(...results.map(result => result.iterations || 0)) : undefined
+        };
+    }
+}
+
+/**
+ * Permute bit positions, and their LLRs and erasures with them
+ *
+ * With params.rows the bits are written row by row into a rows-column
+ * block and read column by column (positions beyond the word are skipped);
+ * with params.seed the permutation is a seeded shuffle. inverse undoes it.
+ */
+class InterleaveOperator extends PipelineOperator {
+    static role = 'forward';
+
+    static description = 'Block (rows) or seeded random (seed) interleaver; inverse: true deinterleaves';
+
+    /**
+     * @param {Object} params - {rows} or {seed}, and {inverse}
+     */
+    constructor(params = {}, options = {}) {
+        super({ inverse: false, ...params }, {
+            ...options, role: options.role || (params.inverse ? 'backward' : 'forward')
+        });
+        if ((params.rows === undefined) === (params.seed === undefined)) {
+            throw new Error('An interleaver needs either rows or a seed');
+        }
+        if (params.rows !== undefined && !(Number.isInteger(params.rows) && params.rows > 0)) {
+            throw new Error('Interleaver rows must be a positive integer');
+        }
+        this.permutations = new Map();
+    }
+
+    /**
+     * permutation[j] is the input position sent to output position j
+     */
+    getPermutation(length) {
+        if (!this.permutations.has(length)) {
+            let permutation;
+            if (this.params.rows !== undefined) {
+                const rows = this.params.rows;
+                const columns = Math.ceil(length / rows);
+                permutation = [];
+                for (let column = 0; column < columns; column++) {
+                    for (let row = 0; row < rows; row++) {
+                        const position = row * columns + column;
+                        if (position < length) permutation.push(position);
+                    }
+                }
+            } else {
+                const random = PipelineUtils.random.createGenerator(this.params.seed);
+                permutation = [...Array(length).keys()];
+                for (let i = length - 1; i > 0; i--) {
+                    const j = Math.floor(random() * (i + 1));
+                    [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+                }
+            }
+            this.permutations.set(length, permutation);
+        }
+        return this.permutations.get(length);
+    }
+
+    apply(state) {
+        const permutation = this.getPermutation(state.bits.length);
+        const target = new Array(permutation.length);
+        permutation.forEach((source, j) => { target[source] = j; });
+
+        const move = values => {
+            const moved = new Array(values.length);
+            permutation.forEach((source, j) => {
+                if (this.params.inverse) moved[source] = values[j];
+                else moved[j] = values[source];
+            });
+            return moved;
+        };
+        return {
+            bits: move(state.bits),
+            llr: state.llr ? move(state.llr) : null,
+            erasures: state.erasures
+                .map(position => (this.params.inverse ? permutation[position] : target[position]))
+                .sort((a, b) => a - b)
+        };
+    }
+}
+
+/**
+ * XOR with the x^7 + x^4 + 1 LFSR sequence, restarted from params.seed on
+ * every pass; applying it twice restores the word
+ */
+class ScrambleOperator extends PipelineOperator {
+    static role = 'forward';
+
+    static description = 'Frame-synchronous x^7 + x^4 + 1 scrambler (self-inverse)';
+
+    /**
+     * @param {Object} params - {seed}: nonzero 7-bit initial LFSR state
+     */
+    constructor(params = {}, options = {}) {
+        super({ seed: 0x5D, ...params }, options);
+        if (!(Number.isInteger(this.params.seed) && this.params.seed > 0 && this.params.seed < 128)) {
+            throw new Error('Scrambler seed must be an integer between 1 and 127');
+        }
+    }
+
+    keystream(length) {
+        let register = this.params.seed;
+        return Array.from({ length: length }, () => {
+            const bit = ((register >> 6) ^ (register >> 3)) & 1;
+            register = ((register << 1) | bit) & 0x7F;
+            return bit;
+        });
+    }
+
+    apply(state) {
+        const key = this.keystream(state.bits.length);
+        return {
+            bits: state.bits.map((bit, i) => bit ^ key[i]),
+            llr: state.llr ? state.llr.map((value, i) => (key[i] ? -value : value)) : null,
+            erasures: [...state.erasures]
+        };
+    }
+}
+
+PipelineOperator.register('encode', EncodeOperator);
+PipelineOperator.register('channel', ChannelOperator);
+PipelineOperator.register('decode', DecodeOperator);
+PipelineOperator.register('interleave', InterleaveOperator);
+PipelineOperator.register('scramble', ScrambleOperator);
+
+class EvolutionPipeline {
+    static DEFAULT_STAGES = ['encode', 'channel', 'decode'];
+
+    /**
+     * @param {Array<PipelineOperator|string|Object>} stages - Operators, type names or JSON descriptions
+     */
+    constructor(stages = EvolutionPipeline.DEFAULT_STAGES) {
+        this.stages = [];
+        stages.forEach(stage => this.insert(stage));
+    }
+
+    /**
+     * Rebuild a pipeline from toJSON() output
+     *
+     * @param {Object|Array} json - {stages} or the stage list itself
+     * @returns {EvolutionPipeline} - New pipeline
+     */
+    static fromJSON(json) {
+        return new EvolutionPipeline(Array.isArray(json) ? json : json.stages);
+    }
+
+    /**
+     * Add a stage, at the end unless a position is given
+     *
+     * @param {PipelineOperator|string|Object} stage - Operator, type name or JSON description
+     * @param {Object} [position] - {index}, {before: name} or {after: name}
+     * @returns {EvolutionPipeline} - this, for chaining
+     */
+    insert(stage, position = {}) {
+        const operator = stage instanceof PipelineOperator ? stage : PipelineOperator.create(stage);
+        if (this.get(operator.name)) {
+            // Repeated types get numbered names: interleave, interleave-2, ...
+            if (stage instanceof PipelineOperator || (typeof stage === 'object' && stage.name)) {
+                throw new Error(`A stage named "${operator.name}" already exists`);
+            }
+            let count = 2;
+            while (this.get(`${operator.type}-${count}`)) count++;
+            operator.name = `${operator.type}-${count}`;
+        }
+
+        let index = this.stages.length;
+        if (position.index !== undefined) {
+            index = position.index;
+        } else if (position.before !== undefined || position.after !== undefined) {
+            const anchor = this.indexOf(position.before ?? position.after);
+            index = position.before !== undefined ? anchor : anchor + 1;
+        }
+        this.stages.splice(index, 0, operator);
+        return this;
+    }
+
+    /**
+     * Remove a stage by name
+     */
+    remove(name) {
+        this.stages.splice(this.indexOf(name), 1);
+        return this;
+    }
+
+    get(name) {
+        return this.stages.find(stage => stage.name === name) || null;
+    }
+
+    indexOf(name) {
+        const index = this.stages.findIndex(stage => stage.name === name);
+        if (index < 0) throw new Error(`No stage named "${name}"`);
+        return index;
+    }
+
+    /**
+     * Forget the state of every stage
+     */
+    reset() {
+        this.stages.forEach(stage => stage.reset());
+    }
+
+    /**
+     * Run one pass of the loop
+     *
+     * @param {Object} state - Initial signal {bits, llr, erasures}
+     * @param {Object} ctx - Loop context, also collecting stage outputs
+     * @returns {Object} - {state, stages: [{name, type, role, bits, llr, erasures}]}
+     */
+    run(state, ctx) {
+        const stages = [];
+        let signal = state;
+
+        for (const stage of this.stages) {
+            signal = stage.apply(signal, ctx);
+            stages.push({
+                name: stage.name,
+                type: stage.type,
+                role: stage.role,
+                bits: [...signal.bits],
+                llr: signal.llr ? [...signal.llr] : null,
+                erasures: [...signal.erasures]
+            });
+        }
+
+        return { state: signal, stages: stages };
+    }
+
+    getMetadata() {
+        return this.stages.map(stage => stage.getMetadata());
+    }
+
+    toJSON() {
+        return { stages: this.stages.map(stage => stage.toJSON()) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EvolutionPipeline,
+        PipelineOperator,
+        EncodeOperator,
+        ChannelOperator,
+        DecodeOperator,
+        InterleaveOperator,
+        ScrambleOperator
+    };
+} else if (typeof window !== 'undefined') {
+    window.EvolutionPipeline = EvolutionPipeline;
+    window.PipelineOperator = PipelineOperator;
+    window.EncodeOperator = EncodeOperator;
+    window.ChannelOperator = ChannelOperator;
+    window.DecodeOperator = DecodeOperator;
+    window.InterleaveOperator = InterleaveOperator;
+    window.ScrambleOperator = ScrambleOperator;
+}
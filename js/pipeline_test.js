@@ -0,0 +1,180 @@
+/**
+ * Test Suite for the Evolution Pipeline
+ *
+ * These tests check that the default pipeline is the classic encode →
+ * channel → decode cycle, that the bit-level operators are exact inverses
+ * of each other on hard and soft information, and that user stages (a
+ * second code, a custom burst noise process) change the loop the way
+ * coding theory predicts.
+ *
+ * Test Coverage:
+ * - Default stages and per-stage history
+ * - Interleaver and scrambler round trips
+ * - Concatenated codes with and without interleaving
+ * - JSON serialization
+ * - Operator registry and validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+/**
+ * Flips a fixed run of adjacent bits: a deterministic burst error
+ */
+class BurstNoiseOperator extends PipelineOperator {
+    static role = 'interaction';
+
+    static description = 'Flip params.length adjacent bits from params.start';
+
+    apply(state) {
+        const { start, length } = this.params;
+        return {
+            bits: state.bits.map((bit, i) => (i >= start && i < start + length ? bit ^ 1 : bit)),
+            llr: state.llr,
+            erasures: [...state.erasures]
+        };
+    }
+}
+
+PipelineOperator.register('test-burst', BurstNoiseOperator);
+
+class EvolutionPipelineTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.repetition = { family: 'linear', generatorMatrix: [[1], [1], [1]] };
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Default pipeline is encode → channel → decode', () => this.testDefaultPipeline());
+        this.framework.test('Interleavers and scramblers invert exactly', () => this.testRoundTrips());
+        this.framework.test('Interleaving spreads a burst over a concatenated code', () => this.testConcatenatedCode());
+        this.framework.test('Pipelines round-trip through JSON', () => this.testSerialization());
+        this.framework.test('Registry and validation', () => this.testRegistry());
+    }
+
+    testDefaultPipeline() {
+        const data = [1, 0, 1, 1];
+        const result = this.solver.solveFixedPoint(data, { errorRate: 0.1, seed: 8, enableAdaptiveStep: false });
+        const first = result.convergenceHistory[0];
+
+        this.framework.assertEqual(result.pipeline.stages.map(stage => stage.type), ['encode', 'channel', 'decode'],
+            'Three stages by default');
+        this.framework.assertEqual(first.stages.map(stage => stage.role), ['forward', 'interaction', 'ecc'],
+            'Stages carry their factor of U_CTC');
+        this.framework.assertEqual(first.stages[0].bits, this.solver.hamming.encode(data), 'Stage 1 is the codeword');
+        this.framework.assertEqual(first.stages[1].bits, first.transmittedState, 'Stage 2 is the channel output');
+        this.framework.assertEqual(first.stages[2].bits, first.state, 'Stage 3 is the decoded word');
+        this.framework.assertEqual(
+            first.stages[0].bits.filter((bit, i) => bit !== first.stages[1].bits[i]).length, first.channelErrors,
+            'Channel errors are the flipped bits');
+    }
+
+    testRoundTrips() {
+        const random = RetrocausalUtils.random.createGenerator(2);
+        const bits = Array.from({ length: 23 }, () => (random() < 0.5 ? 1 : 0));
+        const llr = bits.map((bit, i) => (bit ? -1 : 1) * (i + 1));
+        const signal = { bits: bits, llr: llr, erasures: [3, 17] };
+
+        [{ rows: 4 }, { seed: 11 }].forEach(params => {
+            const pipeline = new EvolutionPipeline([
+                { type: 'interleave', params: params },
+                { type: 'interleave', params: { ...params, inverse: true } }
+            ]);
+            const { state, stages } = pipeline.run(signal, {});
+            const shuffled = stages[0];
+
+            this.framework.assertEqual(state, signal, `${JSON.stringify(params)} deinterleaves exactly`);
+            this.framework.assertFalse(shuffled.bits.join('') === bits.join('') && shuffled.llr.join() === llr.join(),
+                'The interleaved word is permuted');
+            this.framework.assertEqual(shuffled.erasures.map(position => Math.abs(shuffled.llr[position])).sort((a, b) => a - b),
+                signal.erasures.map(position => Math.abs(llr[position])), 'Erasures move with their bits');
+        });
+
+        // Block interleaver: written row by row, read column by column
+        const block = new EvolutionPipeline([{ type: 'interleave', params: { rows: 2 } }]);
+        this.framework.assertEqual(block.run({ bits: [0, 1, 2, 3, 4, 5], llr: null, erasures: [] }, {}).state.bits,
+            [0, 3, 1, 4, 2, 5], '2×3 block interleaver');
+
+        const scrambled = new EvolutionPipeline(['scramble', 'scramble']).run(signal, {});
+        this.framework.assertEqual(scrambled.state, signal, 'Scrambling twice restores bits and LLRs');
+        this.framework.assertTrue(scrambled.stages[0].llr.every((value, i) =>
+            (value < 0) === (scrambled.stages[0].bits[i] === 1)), 'LLR signs follow the scrambled bits');
+    }
+
+    testConcatenatedCode() {
+        // Hamming(7,4) outer code, 3× repetition inner code, burst of 6 on the 21 channel bits
+        const data = [1, 0, 1, 1];
+        const stages = (interleaved) => [
+            'encode',
+            { type: 'encode', name: 'inner-encode', params: { code: this.repetition } },
+            ...(interleaved ? [{ type: 'interleave', params: { rows: 7 } }] : []),
+            'channel',
+            { type: 'test-burst', params: { start: 0, length: 6 } },
+            ...(interleaved ? [{ type: 'interleave', params: { rows: 7, inverse: true } }] : []),
+            { type: 'decode', name: 'inner-decode', params: { code: this.repetition } },
+            'decode'
+        ];
+        const params = { errorRate: 0, seed: 1, maxIterations: 5, enableAdaptiveStep: false };
+
+        const plain = this.solver.solveFixedPoint(data, { ...params, pipeline: stages(false) });
+        this.framework.assertFalse(plain.convergenceHistory[0].state.join('') === data.join(''),
+            'Without interleaving the burst wipes out two inner blocks');
+
+        const spread = this.solver.solveFixedPoint(data, { ...params, pipeline: stages(true) });
+        this.framework.assertTrue(spread.converged && spread.iterations === 1, 'With interleaving one pass suffices');
+        this.framework.assertEqual(spread.finalState, data, 'and the data word survives');
+        this.framework.assertEqual(spread.convergenceHistory[0].transmittedState.length, 21,
+            'The channel carries the inner codewords');
+        this.framework.assertEqual(spread.convergenceHistory[0].stages.length, 8, 'Every stage is recorded');
+    }
+
+    testSerialization() {
+        const pipeline = new EvolutionPipeline()
+            .insert({ type: 'interleave', params: { seed: 4 } }, { after: 'encode' })
+            .insert({ type: 'interleave', params: { seed: 4, inverse: true } }, { after: 'channel' })
+            .insert({ type: 'scramble', params: { seed: 77 } }, { before: 'channel' })
+            .insert({ type: 'scramble', role: 'backward', params: { seed: 77 } }, { after: 'channel' });
+        const json = JSON.parse(JSON.stringify(pipeline));
+
+        this.framework.assertEqual(json.stages.map(stage => stage.name),
+            ['encode', 'interleave', 'scramble', 'channel', 'scramble-2', 'interleave-2', 'decode'],
+            'Stages keep their order and unique names');
+        this.framework.assertEqual(EvolutionPipeline.fromJSON(json).toJSON(), json, 'fromJSON inverts toJSON');
+
+        const params = { errorRate: 0.1, seed: 6, enableAdaptiveStep: false };
+        const live = this.solver.solveFixedPoint([0, 1, 1, 0], { ...params, pipeline: pipeline });
+        const restored = this.solver.solveFixedPoint([0, 1, 1, 0], { ...params, pipeline: json });
+        this.framework.assertEqual(restored.convergenceHistory.map(step => step.stages),
+            live.convergenceHistory.map(step => step.stages), 'A restored pipeline replays the same run');
+        this.framework.assertEqual(live.pipeline, json, 'The report records the pipeline');
+    }
+
+    testRegistry() {
+        this.framework.assertTrue(['encode', 'channel', 'decode', 'interleave', 'scramble']
+            .every(type => PipelineOperator.list().includes(type)), 'Built-in operators are registered');
+        this.framework.assertEqual(PipelineOperator.create('test-burst').getMetadata().role, 'interaction',
+            'Custom operators report their metadata');
+
+        this.framework.assertThrows(() => PipelineOperator.create('teleport'), Error, 'Unknown operators are rejected');
+        this.framework.assertThrows(() => new EvolutionPipeline(['encode', { type: 'decode', name: 'encode' }]), Error,
+            'Stage names must be unique');
+        this.framework.assertThrows(() => this.solver.solveFixedPoint([1, 0, 1, 1], { pipeline: ['encode', 'channel'] }),
+            Error, 'The pipeline must return a data word');
+        this.framework.assertThrows(() => this.solver.solveFixedPoint([1, 0, 1, 1], {
+            pipeline: ['encode', 'channel', 'decode'], method: 'mann'
+        }), Error, 'Relaxed methods use the built-in cycle');
+    }
+
+    run() {
+        console.log('Running Evolution Pipeline Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EvolutionPipelineTests;
+} else if (typeof window !== 'undefined') {
+    window.EvolutionPipelineTests = EvolutionPipelineTests;
+}
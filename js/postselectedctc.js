@@ -0,0 +1,100 @@
+/**
+ * Postselected Closed-Timelike-Curve Solver (P-CTC, Lloyd model)
+ *
+ * Lloyd's postselected CTCs replace Deutsch's fixed-point condition with
+ * teleportation into the past. The CTC register starts maximally entangled
+ * with an ancilla, interacts with the system through U, and is then
+ * projected back onto the entangled state. Conditioned on that projection
+ * succeeding, the system evolves by the single operator
+ *
+ *   C = Tr_CTC[U],   ρ_out = C ρ C† / Tr(C ρ C†)
+ *
+ * and the projection succeeds with probability Tr(C ρ C†) / d_CTC². A noisy
+ * interaction with Kraus operators A gives ρ_out ∝ Σ C_A ρ C_A† with
+ * C_A = Tr_CTC[A].
+ *
+ * Unlike Deutsch's model the output is linear in ρ and needs no iteration,
+ * but it can vanish: when C ρ C† = 0 no consistent history exists, and the
+ * model forbids the input outright. The grandfather paradox U = I ⊗ X has
+ * C = Tr(X) I = 0, so every input is paradoxical, where Deutsch's model
+ * settles on a mixed CTC state instead.
+ *
+ * The solver shares the interaction handling of DeutschCTCSolver and
+ * returns the same report shape with consistencyModel 'postselected'.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const PostselectedMatrix = typeof ComplexMatrix !== 'undefined' ? ComplexMatrix : require('./complex.js');
+
+class PostselectedCTCSolver extends (typeof DeutschCTCSolver !== 'undefined' ? DeutschCTCSolver : require('./deutschctc.js')) {
+    /**
+     * @param {ComplexMatrix|Array<ComplexMatrix>} interaction - Joint unitary or Kraus operators
+     * @param {Object} options - Register dimensions (see DeutschCTCSolver)
+     */
+    constructor(interaction, options = {}) {
+        super(interaction, options);
+
+        this.defaultParams = {
+            paradoxTolerance: 1e-12  // Unnormalized output traces below this are paradoxical
+        };
+
+        // The postselection operators do not depend on the input
+        this.postselectionOperators = this.interaction.map(operator =>
+            operator.partialTrace([this.systemDimension, this.ctcDimension], 1));
+    }
+
+    /**
+     * Postselect the interaction on a consistent history
+     *
+     * @param {ComplexMatrix|Array|number} inputState - System density matrix,
+     *        state vector amplitudes, or computational basis index
+     * @param {Object} params - Solver parameters (see defaultParams)
+     * @returns {Object} - Solution report with {outputState, successProbability, paradoxical}
+     */
+    solve(inputState, params = {}) {
+        const config = { ...this.defaultParams, ...params };
+
+        this.resetIterationState();
+        const rho = this.toDensityMatrix(inputState, this.systemDimension);
+
+        // Unnormalized postselected state Σ C ρ C†
+        const unnormalized = this.postselectionOperators.reduce((sum, operator) =>
+            sum.add(rho.conjugateBy(operator)), PostselectedMatrix.zeros(this.systemDimension));
+        const weight = unnormalized.trace().re;
+        const paradoxical = weight <= config.paradoxTolerance;
+        const outputState = paradoxical ? null :
+            PostselectedCTCSolver.hermitianPart(unnormalized.scale(1 / weight));
+
+        this.isConverged = !paradoxical;
+        this.convergenceError = paradoxical ? Infinity : 0;
+        this.uniqueFixedPoint = !paradoxical;
+        this.convergenceHistory.push({
+            iteration: 0,
+            state: outputState,
+            convergenceError: this.convergenceError,
+            entropy: outputState ? outputState.entropy() : null,
+            errorsDetected: paradoxical,
+            errorsCorrected: false,
+            decodeStatus: paradoxical ? 'paradox' : 'valid',
+            errorPosition: -1
+        });
+
+        return {
+            ...this.createSolutionReport(rho, null, outputState, { ...config, method: 'postselection' }),
+            // P-CTCs assign no separate state to the loop; the postselected output is the solution
+            finalState: outputState,
+            outcome: paradoxical ? 'paradox' : 'converged',
+            consistencyModel: 'postselected',
+            successProbability: weight / (this.ctcDimension * this.ctcDimension),
+            paradoxical: paradoxical
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostselectedCTCSolver;
+} else if (typeof window !== 'undefined') {
+    window.PostselectedCTCSolver = PostselectedCTCSolver;
+}
@@ -0,0 +1,151 @@
+/**
+ * Test Suite for the Postselected CTC Solver
+ *
+ * These tests check Lloyd's postselected model against closed-form results
+ * and against Deutsch's model on the same interactions: both resolve a
+ * swap identically, but they part ways on the grandfather paradox and on
+ * interactions where the CTC controls the system.
+ *
+ * Test Coverage:
+ * - Paradoxical histories with zero success probability
+ * - Postselection success probability and output state
+ * - Noisy interactions given as Kraus operators
+ * - Deutsch and postselected models on encoded Hamming states
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class PostselectedCTCSolverTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.identity = ComplexMatrix.identity(2);
+        this.pauliX = ComplexMatrix.fromArray([[0, 1], [1, 0]]);
+        this.swap = ComplexMatrix.fromArray([[1, 0, 0, 0], [0, 0, 1, 0], [0, 1, 0, 0], [0, 0, 0, 1]]);
+        // CNOT with the CTC qubit as control and the system as target
+        this.ctcControlledNot = ComplexMatrix.fromArray([[1, 0, 0, 0], [0, 0, 0, 1], [0, 0, 1, 0], [0, 1, 0, 0]]);
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Grandfather paradox has no consistent history', () => this.testGrandfatherParadox());
+        this.framework.test('Swap succeeds with probability 1/d²', () => this.testSwap());
+        this.framework.test('Models disagree when the CTC controls the system', () => this.testControlledNot());
+        this.framework.test('Noisy interactions from Kraus operators', () => this.testKrausInteraction());
+        this.framework.test('Hamming loop under both consistency models', () => this.testHammingLoop());
+        this.framework.test('Paradoxical Hamming loop', () => this.testHammingParadox());
+    }
+
+    testGrandfatherParadox() {
+        const interaction = this.identity.kron(this.pauliX);
+        const postselected = new PostselectedCTCSolver(interaction).solve(0);
+
+        this.framework.assertTrue(postselected.paradoxical, 'Tr(X) = 0 forbids every input');
+        this.framework.assertEqual(postselected.successProbability, 0, 'Postselection never succeeds');
+        this.framework.assertFalse(postselected.converged, 'No solution is reported');
+        this.framework.assertEqual(postselected.outputState, null, 'There is no output state');
+        this.framework.assertEqual(postselected.convergenceHistory[0].decodeStatus, 'paradox',
+            'History flags the paradox');
+
+        const deutsch = new DeutschCTCSolver(interaction).solve(0, { method: 'linear' });
+        this.framework.assertTrue(deutsch.converged, 'Deutsch resolves the same loop with a mixed state');
+    }
+
+    testSwap() {
+        const rho = ComplexMatrix.pureState([1, [0, 1]]);
+        const result = new PostselectedCTCSolver(this.swap).solve(rho);
+
+        this.framework.assertFalse(result.paradoxical, 'Swap is consistent');
+        this.framework.assertTrue(Math.abs(result.successProbability - 0.25) < 1e-12, 'p = 1/d² for Tr_CTC SWAP = I');
+        this.framework.assertTrue(result.outputState.traceDistance(rho) < 1e-12, 'The input passes through');
+        this.framework.assertEqual(result.consistencyModel, 'postselected', 'Report names the model');
+        this.framework.assertEqual(result.iterations, 1, 'No iteration is needed');
+    }
+
+    testControlledNot() {
+        // P-CTC: C = I + X projects onto |+⟩; Deutsch decoheres the system instead
+        const postselected = new PostselectedCTCSolver(this.ctcControlledNot).solve(0);
+        const deutsch = new DeutschCTCSolver(this.ctcControlledNot).solve(0, { method: 'linear' });
+        const plus = ComplexMatrix.pureState([1, 1]);
+
+        this.framework.assertTrue(postselected.outputState.traceDistance(plus) < 1e-12, 'P-CTC output is |+⟩');
+        this.framework.assertTrue(Math.abs(postselected.successProbability - 0.5) < 1e-12, 'Tr[(I+X)|0⟩⟨0|(I+X)]/4');
+        this.framework.assertTrue(deutsch.outputState.traceDistance(this.identity.scale(0.5)) < 1e-9,
+            'Deutsch output is maximally mixed');
+        this.framework.assertTrue(Math.abs(deutsch.entropy - 1) < 1e-9 && Math.abs(postselected.entropy) < 1e-9,
+            'The models differ in output entropy');
+    }
+
+    testKrausInteraction() {
+        // Swap followed by a bit flip of the system with probability q
+        const q = 0.2;
+        const kraus = [
+            this.swap.scale(Math.sqrt(1 - q)),
+            this.pauliX.kron(this.identity).multiply(this.swap).scale(Math.sqrt(q))
+        ];
+        const deutsch = new DeutschCTCSolver(kraus).solve(0, { method: 'linear' });
+        const postselected = new PostselectedCTCSolver(kraus).solve(0);
+        const expected = ComplexMatrix.diagonal([1 - q, q]);
+
+        this.framework.assertTrue(deutsch.outputState.traceDistance(expected) < 1e-10, 'Deutsch output flips with q');
+        this.framework.assertTrue(postselected.outputState.traceDistance(expected) < 1e-10, 'P-CTC agrees on a swap');
+        this.framework.assertThrows(() => new DeutschCTCSolver([this.swap, this.swap]), Error,
+            'Kraus operators must be trace preserving');
+    }
+
+    testHammingLoop() {
+        const solver = new RetrocausalFixedPointSolver(new HammingCode());
+        const data = [1, 0, 1, 1];
+        const p = 0.05;
+        const results = solver.compareConsistencyModels(data, { errorRate: p, seed: 4 });
+
+        // A perfect code decodes correctly exactly when at most one bit flips
+        const blockSuccess = Math.pow(1 - p, 7) + 7 * p * Math.pow(1 - p, 6);
+        this.framework.assertTrue(Math.abs(results.postselected.consistencyProbability - blockSuccess) < 1e-12,
+            'P-CTC keeps the histories the decoder corrects');
+        this.framework.assertEqual(results.postselected.finalState, data, 'and returns the data word');
+
+        // Deutsch: residual errors random-walk the discrepancy register to I/16
+        this.framework.assertTrue(results.deutsch.converged, 'Deutsch loop converges');
+        this.framework.assertTrue(Math.abs(results.deutsch.consistencyProbability - 1 / 16) < 1e-6,
+            'Deutsch spreads the loop over every discrepancy');
+        this.framework.assertTrue(Math.abs(results.deutsch.ctcEntropy - 4) < 1e-6, 'τ carries four bits of entropy');
+        this.framework.assertEqual(results.deutsch.finalState, data, 'The system still leaves with the data word');
+
+        this.framework.assertEqual(results.classical.initialState, data, 'All models start from the same word');
+        this.framework.assertEqual(results.deutsch.channel.params.errorRate, p, 'Reports share the channel');
+
+        const noiseless = solver.solveFixedPoint(data, { errorRate: 0, consistencyModel: 'deutsch' });
+        this.framework.assertTrue(noiseless.ctcState.traceDistance(ComplexMatrix.basisState(16, 0)) < 1e-12,
+            'Without noise Deutsch keeps the consistent loop |0⟩');
+    }
+
+    testHammingParadox() {
+        // Every bit flips, so the decoder always returns the complement of the data
+        const solver = new RetrocausalFixedPointSolver(new HammingCode());
+        const postselected = solver.solveFixedPoint([1, 0, 1, 1], { errorRate: 1, consistencyModel: 'postselected' });
+        const deutsch = solver.solveFixedPoint([1, 0, 1, 1], { errorRate: 1, consistencyModel: 'deutsch' });
+
+        this.framework.assertTrue(postselected.paradoxical, 'No history closes the loop');
+        this.framework.assertEqual(postselected.finalState, null, 'No output word');
+        this.framework.assertTrue(Math.abs(deutsch.consistencyProbability - 0.5) < 1e-9,
+            'Deutsch alternates between two discrepancies');
+
+        this.framework.assertThrows(() => solver.solveFixedPoint([1, 0, 1, 1], { consistencyModel: 'novikov' }), Error,
+            'Unknown models are rejected');
+        this.framework.assertThrows(() => solver.solveFixedPoint([1, 0, 1, 1], {
+            consistencyModel: 'deutsch', channel: 'awgn'
+        }), Error, 'Only the binary symmetric channel is enumerated');
+    }
+
+    run() {
+        console.log('Running Postselected CTC Solver Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostselectedCTCSolverTests;
+} else if (typeof window !== 'undefined') {
+    window.PostselectedCTCSolverTests = PostselectedCTCSolverTests;
+}
@@ -0,0 +1,375 @@
+/**
+ * Property-Based Testing with Shrinking
+ *
+ * Hand-picked cases such as [1, 0, 1, 1] check a handful of words; a
+ * property states what must hold for every input and is checked on many
+ * random ones:
+ *
+ *   PropertyTester.assert('round trip',
+ *       [Arbitrary.bits(code.k)],
+ *       data => equal(code.decode(code.encode(data)).dataBits, data));
+ *
+ * A property fails when its predicate returns false or throws. The failing
+ * input is then shrunk: simpler candidates (smaller integers, fewer ones in
+ * a bit vector, shorter arrays) replace it as long as they still fail, so
+ * the report shows a minimal counterexample rather than the random one.
+ *
+ * Generated values are kept as lazy shrink trees ({value, shrinks()}), so
+ * mapped and combined arbitraries shrink through their sources. Runs are
+ * drawn from a seeded generator; the seed is reported with every failure
+ * and replays it.
+ *
+ * CodeProperties bundles the properties every LinearBlockCode should have,
+ * so a new code is checked with one call.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const PropertyUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+/**
+ * A source of random values that knows how to simplify them
+ */
+class Arbitrary {
+    /**
+     * @param {Function} generate - (random) => Shrinkable {value, shrinks: () => Array<Shrinkable>}
+     */
+    constructor(generate) {
+        this.generate = generate;
+    }
+
+    /**
+     * Values transformed by f; shrinking happens on the source value
+     */
+    map(f) {
+        const mapTree = tree => ({ value: f(tree.value), shrinks: () => tree.shrinks().map(mapTree) });
+        return new Arbitrary(random => mapTree(this.generate(random)));
+    }
+
+    /**
+     * Only values satisfying a predicate, drawn by rejection
+     */
+    filter(predicate, maxTries = 100) {
+        const filterTree = tree => ({
+            value: tree.value,
+            shrinks: () => tree.shrinks().filter(candidate => predicate(candidate.value)).map(filterTree)
+        });
+        return new Arbitrary(random => {
+            for (let attempt = 0; attempt < maxTries; attempt++) {
+                const tree = this.generate(random);
+                if (predicate(tree.value)) return filterTree(tree);
+            }
+            throw new Error(`filter rejected ${maxTries} values in a row`);
+        });
+    }
+
+    /**
+     * Integers in [min, max], shrinking towards the one closest to 0
+     */
+    static integer(min, max) {
+        if (!(Number.isInteger(min) && Number.isInteger(max) && min <= max)) {
+            throw new Error('integer needs integer bounds min ≤ max');
+        }
+        const target = Math.min(Math.max(0, min), max);
+        const tree = value => ({
+            value: value,
+            shrinks: () => {
+                // The target first, then halfway there, ..., then one step closer
+                const candidates = [];
+                for (let distance = value - target; distance !== 0; distance = Math.trunc(distance / 2)) {
+                    candidates.push(value - distance);
+                }
+                if (value !== target) candidates.push(value - Math.sign(value - target));
+                return [...new Set(candidates)].map(tree);
+            }
+        });
+        return new Arbitrary(random => tree(min + Math.floor(random() * (max - min + 1))));
+    }
+
+    /**
+     * One of the given values, shrinking towards the first
+     */
+    static constantFrom(...values) {
+        if (values.length === 0) throw new Error('constantFrom needs at least one value');
+        return Arbitrary.integer(0, values.length - 1).map(index => values[index]);
+    }
+
+    /**
+     * Uniform bit vectors of a fixed length, shrinking by clearing ones
+     */
+    static bits(length) {
+        const tree = bits => ({
+            value: bits,
+            shrinks: () => {
+                const ones = bits.flatMap((bit, i) => (bit ? [i] : []));
+                const candidates = ones.length > 1 ? [bits.map(() => 0)] : [];
+                ones.forEach(i => candidates.push(bits.map((bit, j) => (j === i ? 0 : bit))));
+                return candidates.map(tree);
+            }
+        });
+        return new Arbitrary(random => tree(PropertyUtils.math.randomBits(length, 0.5, random)));
+    }
+
+    /**
+     * Bit vectors of the given length and Hamming weight, shrinking by moving
+     * ones towards the start (weight-1 vectors shrink to the first position)
+     */
+    static weightedBits(length, weight) {
+        if (!(Number.isInteger(weight) && weight >= 0 && weight <= length)) {
+            throw new Error('weightedBits needs 0 ≤ weight ≤ length');
+        }
+        const toBits = positions => Array.from({ length: length }, (_, i) => (positions.includes(i) ? 1 : 0));
+        const tree = positions => ({
+            value: toBits(positions),
+            shrinks: () => positions.flatMap((position, k) => {
+                // The lowest free position, halfway there, or one step down
+                const free = index => index >= 0 && index < position && !positions.includes(index);
+                let lowest = 0;
+                while (!free(lowest) && lowest < position) lowest++;
+                const moves = [...new Set([lowest, Math.floor(position / 2), position - 1])].filter(free);
+                return moves.map(target => tree(positions.map((p, j) => (j === k ? target : p)).sort((a, b) => a - b)));
+            })
+        });
+        return new Arbitrary(random => {
+            // Partial Fisher-Yates draw of the support
+            const indices = Array.from({ length: length }, (_, i) => i);
+            for (let i = 0; i < weight; i++) {
+                const j = i + Math.floor(random() * (length - i));
+                [indices[i], indices[j]] = [indices[j], indices[i]];
+            }
+            return tree(indices.slice(0, weight).sort((a, b) => a - b));
+        });
+    }
+
+    /**
+     * Arrays of values of another arbitrary, shrinking by dropping elements
+     * and then by shrinking elements
+     */
+    static array(element, minLength = 0, maxLength = 10) {
+        const tree = items => ({
+            value: items.map(item => item.value),
+            shrinks: () => {
+                const candidates = [];
+                if (items.length > minLength) {
+                    if (items.length - 1 > minLength) candidates.push(tree(items.slice(0, minLength)));
+                    items.forEach((_, i) => candidates.push(tree(items.filter((__, j) => j !== i))));
+                }
+                items.forEach((item, i) => item.shrinks().forEach(shrunk =>
+                    candidates.push(tree(items.map((other, j) => (j === i ? shrunk : other))))));
+                return candidates;
+            }
+        });
+        return new Arbitrary(random => {
+            const length = minLength + Math.floor(random() * (maxLength - minLength + 1));
+            return tree(Array.from({ length: length }, () => element.generate(random)));
+        });
+    }
+
+    /**
+     * Tuples of independent values, shrinking one component at a time
+     */
+    static tuple(...arbitraries) {
+        const tree = items => ({
+            value: items.map(item => item.value),
+            shrinks: () => items.flatMap((item, i) =>
+                item.shrinks().map(shrunk => tree(items.map((other, j) => (j === i ? shrunk : other)))))
+        });
+        return new Arbitrary(random => tree(arbitraries.map(arbitrary => arbitrary.generate(random))));
+    }
+}
+
+class PropertyTester {
+    static DEFAULTS = {
+        runs: 100,
+        seed: null,  // null draws a fresh seed, reported on failure
+        maxShrinks: 1000
+    };
+
+    /**
+     * Check a property on random inputs
+     *
+     * @param {Array<Arbitrary>} arbitraries - One arbitrary per predicate argument
+     * @param {Function} predicate - (...values) => false or throws on failure
+     * @param {Object} options - {runs, seed, maxShrinks}
+     * @returns {Object} - {passed, runs, seed, counterexample, original, shrinks, error}
+     */
+    static check(arbitraries, predicate, options = {}) {
+        const config = { ...PropertyTester.DEFAULTS, ...options };
+        const random = PropertyUtils.random.createGenerator(config.seed ?? PropertyUtils.random.generateSeed());
+        const inputs = Arbitrary.tuple(...arbitraries);
+
+        for (let run = 1; run <= config.runs; run++) {
+            const tree = inputs.generate(random);
+            const failure = PropertyTester.evaluate(predicate, tree.value);
+            if (failure) {
+                const shrunk = PropertyTester.shrink(tree, failure, predicate, config.maxShrinks);
+                return {
+                    passed: false,
+                    runs: run,
+                    seed: random.seed,
+                    counterexample: shrunk.tree.value,
+                    original: tree.value,
+                    shrinks: shrunk.steps,
+                    error: shrunk.failure.error
+                };
+            }
+        }
+        return { passed: true, runs: config.runs, seed: random.seed, counterexample: null, original: null, shrinks: 0, error: null };
+    }
+
+    /**
+     * Check a property and throw a report of its minimal counterexample if it fails
+     *
+     * @param {string} name - Property name for the report
+     * @returns {Object} - The check result when the property holds
+     */
+    static assert(name, arbitraries, predicate, options = {}) {
+        const result = PropertyTester.check(arbitraries, predicate, options);
+        if (!result.passed) {
+            throw new Error(PropertyTester.describe(name, result));
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Object|null} - {error} if the predicate fails on the values
+     */
+    static evaluate(predicate, values) {
+        try {
+            return predicate(...values) === false ? { error: null } : null;
+        } catch (error) {
+            return { error: error };
+        }
+    }
+
+    /**
+     * Greedy shrinking: move to the first simpler input that still fails
+     */
+    static shrink(tree, failure, predicate, maxShrinks) {
+        let steps = 0;
+        let improved = true;
+        while (improved && steps < maxShrinks) {
+            improved = false;
+            for (const candidate of tree.shrinks()) {
+                const candidateFailure = PropertyTester.evaluate(predicate, candidate.value);
+                if (candidateFailure) {
+                    tree = candidate;
+                    failure = candidateFailure;
+                    steps++;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        return { tree: tree, failure: failure, steps: steps };
+    }
+
+    static describe(name, result) {
+        const format = values => values.map(value => JSON.stringify(value)).join(', ');
+        return `Property "${name}" failed after ${result.runs} run${result.runs === 1 ? '' : 's'} ` +
+            `(seed ${result.seed})\n` +
+            `    Minimal counterexample (${result.shrinks} shrinks): ${format(result.counterexample)}\n` +
+            `    Original counterexample: ${format(result.original)}` +
+            (result.error ? `\n    Error: ${result.error.message}` : '');
+    }
+}
+
+/**
+ * Standard properties of binary linear block codes and of the solver loop
+ */
+class CodeProperties {
+    static equal(a, b) {
+        return a.length === b.length && a.every((value, i) => value === b[i]);
+    }
+
+    static xor(a, b) {
+        return a.map((bit, i) => bit ^ b[i]);
+    }
+
+    /**
+     * Properties every LinearBlockCode should satisfy
+     *
+     * @param {LinearBlockCode} code - Code under test
+     * @returns {Array<Object>} - [{name, arbitraries, predicate}]
+     */
+    static forCode(code) {
+        const { n, k } = code;
+        const correctable = typeof code.getCorrectionRadius === 'function' ? code.getCorrectionRadius() >= 1 : true;
+        const properties = [
+            {
+                name: 'decode(encode(d)) == d',
+                arbitraries: [Arbitrary.bits(k)],
+                predicate: data => CodeProperties.equal(code.decode(code.encode(data)).dataBits, data)
+            },
+            {
+                name: 'codewords have zero syndrome',
+                arbitraries: [Arbitrary.bits(k)],
+                predicate: data => code.calculateSyndrome(code.encode(data)).every(bit => bit === 0)
+            },
+            {
+                name: 'encoding is linear',
+                arbitraries: [Arbitrary.bits(k), Arbitrary.bits(k)],
+                predicate: (a, b) => CodeProperties.equal(code.encode(CodeProperties.xor(a, b)),
+                    CodeProperties.xor(code.encode(a), code.encode(b)))
+            },
+            {
+                name: 'syndrome(x ⊕ y) == syndrome(x) ⊕ syndrome(y)',
+                arbitraries: [Arbitrary.bits(n), Arbitrary.bits(n)],
+                predicate: (x, y) => CodeProperties.equal(code.calculateSyndrome(CodeProperties.xor(x, y)),
+                    CodeProperties.xor(code.calculateSyndrome(x), code.calculateSyndrome(y)))
+            }
+        ];
+        if (correctable) {
+            properties.push({
+                name: 'decode(encode(d) ⊕ e) == d for weight-1 e',
+                arbitraries: [Arbitrary.bits(k), Arbitrary.weightedBits(n, 1)],
+                predicate: (data, error) => CodeProperties.equal(
+                    code.decode(CodeProperties.xor(code.encode(data), error)).dataBits, data)
+            });
+        }
+        return properties;
+    }
+
+    /**
+     * At zero noise, a fixed point reported by the solver is returned
+     * unchanged by one more pass around the loop
+     *
+     * @param {RetrocausalFixedPointSolver} solver - Solver under test
+     * @returns {Object} - {name, arbitraries, predicate}
+     */
+    static zeroNoiseFixedPoint(solver) {
+        const code = solver.hamming;
+        return {
+            name: 'zero-noise fixed points map to themselves',
+            arbitraries: [Arbitrary.bits(code.k), Arbitrary.integer(0, 0xFFFF)],
+            predicate: (data, seed) => {
+                const result = solver.solveFixedPoint(data, { errorRate: 0, seed: seed, convergenceTolerance: 0 });
+                if (!result.converged) return true;
+                const next = code.decode(code.encode(result.finalState)).dataBits;
+                const again = solver.solveFixedPoint(result.finalState, { errorRate: 0, seed: seed, convergenceTolerance: 0 });
+                return CodeProperties.equal(next, result.finalState) && CodeProperties.equal(again.finalState, result.finalState);
+            }
+        };
+    }
+
+    /**
+     * Assert a list of properties, naming the code in failure reports
+     */
+    static assertAll(label, properties, options = {}) {
+        return properties.map(property =>
+            PropertyTester.assert(`${label}: ${property.name}`, property.arbitraries, property.predicate, options));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Arbitrary,
+        PropertyTester,
+        CodeProperties
+    };
+} else if (typeof window !== 'undefined') {
+    window.Arbitrary = Arbitrary;
+    window.PropertyTester = PropertyTester;
+    window.CodeProperties = CodeProperties;
+}
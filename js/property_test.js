@@ -0,0 +1,131 @@
+/**
+ * Test Suite for Property-Based Testing
+ *
+ * These tests check that shrinking finds minimal counterexamples, then run
+ * the standard code and solver properties over the codes of the project.
+ * A new code is covered by adding it to the list in testCodeProperties.
+ *
+ * Test Coverage:
+ * - Shrinking of integers, bit vectors and error patterns
+ * - Failure reports and seeded replay
+ * - Code properties for the Hamming family and BCH
+ * - A planted decoder bug reduced to its minimal input
+ * - Zero-noise fixed points of the solver
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class PropertyTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Shrinking finds minimal counterexamples', () => this.testShrinking());
+        this.framework.test('Failures report the counterexample and replay from the seed', () => this.testReports());
+        this.framework.test('Every code satisfies the code properties', () => this.testCodeProperties());
+        this.framework.test('A miscorrecting decoder is caught at its minimal input', () => this.testBrokenDecoder());
+        this.framework.test('Zero-noise fixed points map to themselves', () => this.testFixedPoints());
+    }
+
+    testShrinking() {
+        const integer = PropertyTester.check([Arbitrary.integer(0, 1000)], n => n < 37, { seed: 1 });
+        this.framework.assertEqual(integer.counterexample, [37], 'n < 37 shrinks to 37');
+
+        const negative = PropertyTester.check([Arbitrary.integer(-500, -1)], n => n > -20, { seed: 1 });
+        this.framework.assertEqual(negative.counterexample, [-20], 'Negative ranges shrink towards zero');
+
+        const weight = PropertyTester.check([Arbitrary.bits(12)], bits => bits.filter(Boolean).length < 2, { seed: 2 });
+        this.framework.assertEqual(weight.counterexample[0].filter(Boolean).length, 2,
+            'weight < 2 shrinks to a weight-2 word');
+
+        const pattern = PropertyTester.check([Arbitrary.weightedBits(9, 2)], bits => bits[3] === 0, { seed: 3 });
+        this.framework.assertEqual(pattern.counterexample, [[1, 0, 0, 1, 0, 0, 0, 0, 0]],
+            'Error patterns shrink their ones towards the start');
+
+        const list = PropertyTester.check([Arbitrary.array(Arbitrary.integer(0, 9), 0, 8)],
+            items => items.reduce((sum, item) => sum + item, 0) < 10, { seed: 4 });
+        this.framework.assertEqual(list.counterexample[0].reduce((sum, item) => sum + item, 0), 10,
+            'Arrays shrink to a sum of exactly 10');
+
+        const mapped = PropertyTester.check([Arbitrary.integer(0, 100).map(n => 2 * n)], n => n < 30, { seed: 5 });
+        this.framework.assertEqual(mapped.counterexample, [30], 'Mapped values shrink through their source');
+    }
+
+    testReports() {
+        const holds = PropertyTester.check([Arbitrary.bits(4)], bits => bits.length === 4, { runs: 50 });
+        this.framework.assertEqual([holds.passed, holds.runs], [true, 50], 'A true property passes every run');
+
+        let message = '';
+        try {
+            PropertyTester.assert('small', [Arbitrary.integer(0, 1000)], n => {
+                if (n >= 37) throw new Error(`${n} is too big`);
+            }, { seed: 11 });
+        } catch (error) {
+            message = error.message;
+        }
+        this.framework.assertTrue(message.includes('Property "small" failed') && message.includes('(seed 11)'),
+            'The report names the property and the seed');
+        this.framework.assertTrue(message.includes('Minimal counterexample') && message.includes(': 37\n'),
+            'and gives the minimal counterexample');
+        this.framework.assertTrue(message.includes('Error: 37 is too big'), 'with the error it raised');
+
+        const first = PropertyTester.check([Arbitrary.bits(16)], bits => bits[0] + bits[1] < 2, { seed: 'replay' });
+        const again = PropertyTester.check([Arbitrary.bits(16)], bits => bits[0] + bits[1] < 2, { seed: first.seed });
+        this.framework.assertEqual([again.runs, again.original], [first.runs, first.original], 'The seed replays the failure');
+    }
+
+    testCodeProperties() {
+        const codes = [
+            ['Hamming(7,4)', new HammingCode()],
+            ['Hamming(15,11)', PipelineOperator.createCode({ family: 'hamming', r: 4 })],
+            ['extended Hamming(8,4)', PipelineOperator.createCode({ family: 'hamming', r: 3, extended: true })],
+            ['BCH(15,7)', PipelineOperator.createCode({ family: 'bch', m: 4, t: 2 })],
+            ['BCH(31,21)', PipelineOperator.createCode({ family: 'bch', m: 5, t: 2 })]
+        ];
+        codes.forEach(([label, code]) => {
+            const results = CodeProperties.assertAll(label, CodeProperties.forCode(code), { runs: 60, seed: label });
+            this.framework.assertEqual(results.length, 5, `${label} is checked on all five properties`);
+        });
+    }
+
+    testBrokenDecoder() {
+        // A decoder that miscorrects single errors in the last position
+        class FaultyHammingCode extends HammingCode {
+            decode(codeword) {
+                const result = super.decode(codeword);
+                if (result.errorPosition === 6) result.dataBits = result.dataBits.map(bit => bit ^ 1);
+                return result;
+            }
+        }
+        const code = new FaultyHammingCode();
+        const property = CodeProperties.forCode(code).find(candidate => candidate.name.includes('weight-1'));
+        const result = PropertyTester.check(property.arbitraries, property.predicate, { seed: 8 });
+
+        this.framework.assertFalse(result.passed, 'The planted bug is found');
+        this.framework.assertEqual(result.counterexample, [[0, 0, 0, 0], [0, 0, 0, 0, 0, 0, 1]],
+            'at the all-zero word with an error in position 6');
+    }
+
+    testFixedPoints() {
+        [new HammingCode(), PipelineOperator.createCode({ family: 'bch', m: 4, t: 2 })].forEach(code => {
+            const property = CodeProperties.zeroNoiseFixedPoint(new RetrocausalFixedPointSolver(code));
+            const result = PropertyTester.assert(`${code.n}-bit loop: ${property.name}`, property.arbitraries,
+                property.predicate, { runs: 40, seed: 6 });
+            this.framework.assertTrue(result.passed, `Fixed points of the ${code.n}-bit loop are stable`);
+        });
+    }
+
+    run() {
+        console.log('Running Property-Based Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PropertyTests;
+} else if (typeof window !== 'undefined') {
+    window.PropertyTests = PropertyTests;
+}
@@ -0,0 +1,427 @@
+/**
+ * Reed-Solomon Error Correction Codes
+ *
+ * This module implements RS(n, k) codes over GF(2^m). Each codeword holds n
+ * symbols of m bits; n - k = 2t parity symbols let the decoder correct any
+ * combination of e symbol errors and ρ erasures with 2e + ρ ≤ 2t. Because a
+ * symbol is corrected as a unit no matter how many of its bits flipped, RS
+ * codes are far more robust than Hamming codes against burst errors that
+ * corrupt several adjacent spin states in the temporal loop.
+ *
+ * Decoding follows the classical algebraic pipeline:
+ * 1. Syndromes S_j = r(α^(b+j)) of the received polynomial
+ * 2. Berlekamp-Massey, seeded with the erasure locator, for the errata locator
+ * 3. Chien search for the errata positions
+ * 4. Forney's algorithm for the errata values
+ *
+ * The bit-level interface (encode, decode, getCodeProperties, injectErrors)
+ * matches HammingCode, so the fixed-point solver and the analysis tools can
+ * use an RS code wherever they use a Hamming code. Bits are packed into
+ * symbols most significant bit first.
+ *
+ * Codeword layout is systematic: the k data symbols come first, followed by
+ * the 2t parity symbols. Symbol i is the coefficient of x^(n-1-i).
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const RSGaloisField = typeof GaloisField !== 'undefined' ? GaloisField : require('./galois.js');
+
+const RSUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class ReedSolomonCode {
+    /**
+     * @param {Object} options - Code parameters
+     * @param {number} [options.m=4] - Bits per symbol
+     * @param {number} [options.n=2^m-1] - Symbols per codeword (n < 2^m-1 gives a shortened code)
+     * @param {number} [options.k=n-4] - Data symbols per codeword
+     * @param {number} [options.firstConsecutiveRoot=1] - b in the generator roots α^b..α^(b+2t-1)
+     * @param {number} [options.primitivePolynomial] - Field polynomial override
+     * @param {Function} [options.random] - Uniform [0, 1) source for noise injection
+     */
+    constructor(options = {}) {
+        const m = options.m ?? 4;
+        this.field = new RSGaloisField(m, options.primitivePolynomial);
+
+        const symbolLength = options.n ?? this.field.order;
+        const symbolDimension = options.k ?? symbolLength - 4;
+
+        if (!Number.isInteger(symbolLength) || symbolLength < 2 || symbolLength > this.field.order) {
+            throw new Error(`Reed-Solomon length n must be an integer between 2 and ${this.field.order}`);
+        }
+        if (!Number.isInteger(symbolDimension) || symbolDimension < 1 || symbolDimension >= symbolLength) {
+            throw new Error('Reed-Solomon dimension k must be an integer between 1 and n - 1');
+        }
+
+        this.symbolSize = m;
+        this.symbolLength = symbolLength;
+        this.symbolDimension = symbolDimension;
+        this.paritySymbols = symbolLength - symbolDimension;
+        this.t = Math.floor(this.paritySymbols / 2);
+        this.firstConsecutiveRoot = options.firstConsecutiveRoot ?? 1;
+        this.random = options.random || RSUtils.random.next;
+
+        // Bit-level parameters shared with the binary codes
+        this.n = symbolLength * m;
+        this.k = symbolDimension * m;
+        this.r = this.n - this.k;
+        this.name = `RS(${symbolLength},${symbolDimension})`;
+
+        this.generatorPolynomial = this.buildGeneratorPolynomial();
+    }
+
+    /**
+     * g(x) = (x - α^b)(x - α^(b+1))...(x - α^(b+2t'-1)), 2t' = n - k
+     *
+     * @returns {Array<number>} - Coefficients, constant term first
+     */
+    buildGeneratorPolynomial() {
+        let generator = [1];
+        for (let j = 0; j < this.paritySymbols; j++) {
+            generator = this.field.polyMultiply(generator, [this.field.alphaPower(this.firstConsecutiveRoot + j), 1]);
+        }
+        return generator;
+    }
+
+    // ----------------------------------------------------------------------
+    // Symbol-level interface
+    // ----------------------------------------------------------------------
+
+    /**
+     * Systematic encoding: c(x) = d(x)·x^(n-k) + (d(x)·x^(n-k) mod g(x))
+     *
+     * @param {Array<number>} dataSymbols - k field elements
+     * @returns {Array<number>} - n-symbol codeword
+     */
+    encodeSymbols(dataSymbols) {
+        this.validateSymbols(dataSymbols, this.symbolDimension);
+
+        // Shifted message polynomial, constant term first
+        const shifted = new Array(this.paritySymbols).fill(0);
+        for (let i = this.symbolDimension - 1; i >= 0; i--) {
+            shifted.push(dataSymbols[i]);
+        }
+
+        const { remainder } = this.field.polyDivide(shifted, this.generatorPolynomial);
+        const parity = new Array(this.paritySymbols).fill(0);
+        for (let i = 0; i < remainder.length; i++) {
+            parity[this.paritySymbols - 1 - i] = remainder[i];
+        }
+
+        return [...dataSymbols, ...parity];
+    }
+
+    /**
+     * Errors-and-erasures decoding
+     *
+     * @param {Array<number>} receivedSymbols - n received field elements
+     * @param {Array<number>} [erasurePositions] - Symbol positions known to be unreliable
+     * @returns {Object} - {dataSymbols, correctedSymbols, errorDetected, symbolErrorPositions,
+     *                      erasurePositions, status, syndromes}
+     */
+    decodeSymbols(receivedSymbols, erasurePositions = []) {
+        this.validateSymbols(receivedSymbols, this.symbolLength);
+
+        const erasures = [...new Set(erasurePositions)].sort((a, b) => a - b);
+        erasures.forEach(position => {
+            if (!Number.isInteger(position) || position < 0 || position >= this.symbolLength) {
+                throw new Error(`Erasure position ${position} is outside the codeword`);
+            }
+        });
+
+        const syndromes = this.calculateSyndromes(receivedSymbols);
+        const result = {
+            dataSymbols: receivedSymbols.slice(0, this.symbolDimension),
+            correctedSymbols: [...receivedSymbols],
+            errorDetected: syndromes.some(s => s !== 0),
+            symbolErrorPositions: [],
+            erasurePositions: erasures,
+            status: 'valid',
+            syndromes
+        };
+
+        if (!result.errorDetected) {
+            return result;
+        }
+
+        if (erasures.length > this.paritySymbols) {
+            result.status = 'uncorrectable';
+            return result;
+        }
+
+        // Erasure locator Γ(x) = Π (1 - X_i x)
+        let erasureLocator = [1];
+        erasures.forEach(position => {
+            erasureLocator = this.field.polyMultiply(erasureLocator, [1, this.positionLocator(position)]);
+        });
+
+        const { locator, length } = this.field.berlekampMassey(syndromes, erasureLocator);
+        const errataCount = this.field.polyDegree(locator);
+
+        // BM's register length exceeding the errata degree, or more errors
+        // than the remaining redundancy, means the pattern is beyond reach
+        const errorCount = errataCount - erasures.length;
+        if (length !== errataCount || 2 * errorCount + erasures.length > this.paritySymbols) {
+            result.status = 'uncorrectable';
+            return result;
+        }
+
+        const positions = this.findErrataPositions(locator);
+        if (positions.length !== errataCount) {
+            result.status = 'uncorrectable';
+            return result;
+        }
+
+        const magnitudes = this.calculateErrataMagnitudes(syndromes, locator, positions);
+        const corrected = [...receivedSymbols];
+        positions.forEach((position, i) => {
+            corrected[position] ^= magnitudes[i];
+        });
+
+        // A miscorrection outside the code would leave a non-zero syndrome
+        if (this.calculateSyndromes(corrected).some(s => s !== 0)) {
+            result.status = 'uncorrectable';
+            return result;
+        }
+
+        result.correctedSymbols = corrected;
+        result.dataSymbols = corrected.slice(0, this.symbolDimension);
+        result.symbolErrorPositions = positions.filter((position, i) => magnitudes[i] !== 0);
+        result.status = 'corrected';
+        return result;
+    }
+
+    /**
+     * S_j = r(α^(b+j)) for j = 0..n-k-1
+     */
+    calculateSyndromes(receivedSymbols) {
+        const syndromes = [];
+        for (let j = 0; j < this.paritySymbols; j++) {
+            const root = this.field.alphaPower(this.firstConsecutiveRoot + j);
+            let value = 0;
+            // Symbol 0 is the highest-degree coefficient
+            for (let i = 0; i < this.symbolLength; i++) {
+                value = this.field.multiply(value, root) ^ receivedSymbols[i];
+            }
+            syndromes.push(value);
+        }
+        return syndromes;
+    }
+
+    /**
+     * Locator X_i = α^(n-1-i) of symbol position i
+     */
+    positionLocator(position) {
+        return this.field.alphaPower(this.symbolLength - 1 - position);
+    }
+
+    /**
+     * Chien search restricted to the (possibly shortened) codeword
+     */
+    findErrataPositions(locator) {
+        return this.field.chienSearch(locator, this.symbolLength)
+            .map(exponent => this.symbolLength - 1 - exponent)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Forney's algorithm: e_i = X_i^(1-b) · Ω(X_i^-1) / Λ'(X_i^-1)
+     * with the errata evaluator Ω(x) = S(x)Λ(x) mod x^(n-k)
+     */
+    calculateErrataMagnitudes(syndromes, locator, positions) {
+        const evaluator = this.field.polyMultiply(syndromes, locator).slice(0, this.paritySymbols);
+        const derivative = this.field.polyDerivative(locator);
+
+        return positions.map(position => {
+            const X = this.positionLocator(position);
+            const XInverse = this.field.inverse(X);
+            const numerator = this.field.multiply(
+                this.field.power(X, 1 - this.firstConsecutiveRoot),
+                this.field.polyEvaluate(evaluator, XInverse)
+            );
+            const denominator = this.field.polyEvaluate(derivative, XInverse);
+            return denominator === 0 ? 0 : this.field.divide(numerator, denominator);
+        });
+    }
+
+    // ----------------------------------------------------------------------
+    // Bit-level interface (matches HammingCode)
+    // ----------------------------------------------------------------------
+
+    /**
+     * Encode k·m data bits into an n·m bit codeword
+     *
+     * @param {Array<number>} dataBits - Data bits, MSB first within each symbol
+     * @returns {Array<number>} - Codeword bits
+     */
+    encode(dataBits) {
+        if (!this.validateDataBits(dataBits)) {
+            throw new Error(`Input must be array of exactly ${this.k} bits (0 or 1)`);
+        }
+        return this.symbolsToBits(this.encodeSymbols(this.bitsToSymbols(dataBits)));
+    }
+
+    /**
+     * Decode an n·m bit word
+     *
+     * @param {Array<number>} receivedBits - Received codeword bits
+     * @param {Object} [options] - {erasures: bit positions flagged unreliable by the channel}
+     * @returns {Object} - HammingCode-shaped result plus symbol-level details
+     */
+    decode(receivedBits, options = {}) {
+        if (!this.validateCodeword(receivedBits)) {
+            throw new Error(`Codeword must be array of exactly ${this.n} bits (0 or 1)`);
+        }
+
+        const erasedSymbols = (options.erasures || []).map(bit => Math.floor(bit / this.symbolSize));
+        const symbolResult = this.decodeSymbols(this.bitsToSymbols(receivedBits), erasedSymbols);
+        const correctedCodeword = this.symbolsToBits(symbolResult.correctedSymbols);
+
+        const errorPositions = [];
+        for (let i = 0; i < this.n; i++) {
+            if (correctedCodeword[i] !== receivedBits[i]) errorPositions.push(i);
+        }
+
+        return {
+            dataBits: correctedCodeword.slice(0, this.k),
+            correctedCodeword,
+            errorDetected: symbolResult.errorDetected,
+            errorPosition: errorPositions.length > 0 ? errorPositions[0] : -1,
+            errorPositions,
+            status: symbolResult.status,
+            symbolErrorPositions: symbolResult.symbolErrorPositions,
+            erasurePositions: symbolResult.erasurePositions,
+            syndrome: symbolResult.syndromes,
+            syndromeValue: symbolResult.syndromes.reduce((acc, s) => acc | s, 0)
+        };
+    }
+
+    bitsToSymbols(bits) {
+        const symbols = [];
+        for (let i = 0; i < bits.length; i += this.symbolSize) {
+            let symbol = 0;
+            for (let b = 0; b < this.symbolSize; b++) {
+                symbol = (symbol << 1) | bits[i + b];
+            }
+            symbols.push(symbol);
+        }
+        return symbols;
+    }
+
+    symbolsToBits(symbols) {
+        const bits = [];
+        symbols.forEach(symbol => {
+            for (let b = this.symbolSize - 1; b >= 0; b--) {
+                bits.push((symbol >> b) & 1);
+            }
+        });
+        return bits;
+    }
+
+    /**
+     * Inject independent random bit errors
+     *
+     * @param {Array<number>} codeword - Original codeword
+     * @param {number} errorRate - Probability of each bit flip
+     * @returns {Array<number>} - Codeword with errors
+     */
+    injectErrors(codeword, errorRate) {
+        const noisyCodeword = [...codeword];
+
+        for (let i = 0; i < codeword.length; i++) {
+            if (this.random() < errorRate) {
+                noisyCodeword[i] ^= 1;
+            }
+        }
+
+        return noisyCodeword;
+    }
+
+    /**
+     * Inject a burst: every bit in a window of consecutive positions is
+     * flipped with the given density (1 = solid burst)
+     *
+     * @param {Array<number>} codeword - Original codeword
+     * @param {number} burstLength - Length of the burst in bits
+     * @param {Object} [options] - {start: first bit (random if omitted), density}
+     * @returns {Array<number>} - Codeword with the burst applied
+     */
+    injectBurstErrors(codeword, burstLength, options = {}) {
+        const length = Math.min(burstLength, codeword.length);
+        const start = options.start ?? Math.floor(this.random() * (codeword.length - length + 1));
+        const density = options.density ?? 1;
+        const noisyCodeword = [...codeword];
+
+        for (let i = start; i < Math.min(start + length, codeword.length); i++) {
+            if (density >= 1 || this.random() < density) {
+                noisyCodeword[i] ^= 1;
+            }
+        }
+
+        return noisyCodeword;
+    }
+
+    validateSymbols(symbols, length) {
+        if (!Array.isArray(symbols) || symbols.length !== length ||
+            !symbols.every(s => Number.isInteger(s) && s >= 0 && s < this.field.size)) {
+            throw new Error(`Expected ${length} symbols in GF(${this.field.size})`);
+        }
+    }
+
+    validateDataBits(dataBits) {
+        return Array.isArray(dataBits) &&
+            dataBits.length === this.k &&
+            dataBits.every(bit => bit === 0 || bit === 1);
+    }
+
+    validateCodeword(codeword) {
+        return Array.isArray(codeword) &&
+            codeword.length === this.n &&
+            codeword.every(bit => bit === 0 || bit === 1);
+    }
+
+    hammingDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) distance++;
+        }
+        return distance;
+    }
+
+    /**
+     * Get code properties and statistics
+     *
+     * Distances and capabilities are measured in symbols, as is customary
+     * for RS codes; burstCorrectionCapability is the longest bit burst that
+     * is always corrected.
+     *
+     * @returns {Object} - Code properties
+     */
+    getCodeProperties() {
+        return {
+            name: this.name,
+            n: this.n,
+            k: this.k,
+            r: this.r,
+            codeRate: this.k / this.n,
+            minimumDistance: this.paritySymbols + 1,
+            errorCorrectionCapability: this.t,
+            errorDetectionCapability: this.paritySymbols,
+            erasureCorrectionCapability: this.paritySymbols,
+            burstCorrectionCapability: this.t > 0 ? (this.t - 1) * this.symbolSize + 1 : 0,
+            totalCodewords: Math.pow(2, this.k),
+            redundancy: this.r / this.n,
+            symbolSize: this.symbolSize,
+            symbolLength: this.symbolLength,
+            symbolDimension: this.symbolDimension,
+            weightDistribution: null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReedSolomonCode;
+} else if (typeof window !== 'undefined') {
+    window.ReedSolomonCode = ReedSolomonCode;
+}
@@ -0,0 +1,173 @@
+/**
+ * Test Suite for Reed-Solomon Codes
+ *
+ * These tests verify systematic encoding, errors-and-erasures decoding and
+ * the HammingCode-compatible bit-level interface that lets the fixed-point
+ * solver run on top of an RS code.
+ *
+ * Test Coverage:
+ * - Generator polynomial and codeword structure
+ * - Correction of up to t symbol errors
+ * - Combined errors and erasures (2e + ρ ≤ n - k)
+ * - Burst error correction at the bit level
+ * - Detection of patterns beyond the decoding radius
+ * - Integration with the fixed-point solver
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class ReedSolomonCodeTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.rs = new ReedSolomonCode({ m: 4, n: 15, k: 11 });
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Code parameters', () => this.testParameters());
+        this.framework.test('Codewords have zero syndromes', () => this.testCodewords());
+        this.framework.test('Corrects up to t symbol errors', () => this.testSymbolErrors());
+        this.framework.test('Corrects errors and erasures together', () => this.testErasures());
+        this.framework.test('Corrects bit bursts spanning whole symbols', () => this.testBurstErrors());
+        this.framework.test('Flags patterns beyond the decoding radius', () => this.testUncorrectable());
+        this.framework.test('Shortened code round trip', () => this.testShortenedCode());
+        this.framework.test('Fixed-point solver accepts an RS code', () => this.testSolverIntegration());
+    }
+
+    randomSymbols(count, code = this.rs) {
+        return Array.from({ length: count }, () => Math.floor(Math.random() * code.field.size));
+    }
+
+    testParameters() {
+        const properties = this.rs.getCodeProperties();
+
+        this.framework.assertEqual(properties.name, 'RS(15,11)', 'Name should use symbol parameters');
+        this.framework.assertEqual(properties.n, 60, 'Bit length should be 15 symbols × 4 bits');
+        this.framework.assertEqual(properties.k, 44, 'Data bits should be 11 symbols × 4 bits');
+        this.framework.assertEqual(properties.minimumDistance, 5, 'RS codes are MDS: d = n - k + 1');
+        this.framework.assertEqual(properties.errorCorrectionCapability, 2, 't = 2 symbols');
+        this.framework.assertEqual(this.rs.generatorPolynomial.length, 5, 'g(x) should have degree n - k');
+    }
+
+    testCodewords() {
+        for (let trial = 0; trial < 20; trial++) {
+            const data = this.randomSymbols(11);
+            const codeword = this.rs.encodeSymbols(data);
+
+            this.framework.assertEqual(codeword.slice(0, 11), data, 'Encoding should be systematic');
+            this.framework.assertTrue(this.rs.calculateSyndromes(codeword).every(s => s === 0),
+                'Every codeword should vanish at the generator roots');
+        }
+    }
+
+    testSymbolErrors() {
+        const data = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+        const codeword = this.rs.encodeSymbols(data);
+
+        for (let first = 0; first < 15; first++) {
+            const second = (first + 6) % 15;
+            const received = [...codeword];
+            received[first] ^= 0b1011;
+            received[second] ^= 0b0110;
+
+            const result = this.rs.decodeSymbols(received);
+            this.framework.assertEqual(result.status, 'corrected', 'Two symbol errors should be corrected');
+            this.framework.assertEqual(result.dataSymbols, data, 'Data should be restored');
+            this.framework.assertEqual(result.symbolErrorPositions, [first, second].sort((a, b) => a - b),
+                'Error symbols should be located');
+        }
+    }
+
+    testErasures() {
+        const code = new ReedSolomonCode({ m: 8, n: 255, k: 223 });
+        const data = this.randomSymbols(223, code);
+        const codeword = code.encodeSymbols(data);
+
+        // 2e + ρ = 2·10 + 12 = 32 = n - k
+        const received = [...codeword];
+        const erasures = [];
+        for (let i = 0; i < 12; i++) {
+            erasures.push(i * 20);
+            received[i * 20] = 0;
+        }
+        for (let i = 0; i < 10; i++) {
+            received[i * 20 + 7] ^= 0x5A;
+        }
+
+        const result = code.decodeSymbols(received, erasures);
+        this.framework.assertEqual(result.status, 'corrected', 'Errata within capacity should be corrected');
+        this.framework.assertEqual(result.dataSymbols, data, 'Data should be restored');
+
+        const tooMany = code.decodeSymbols(received, []);
+        this.framework.assertEqual(tooMany.status, 'uncorrectable',
+            'Without the erasure flags the same word exceeds t = 16');
+    }
+
+    testBurstErrors() {
+        const dataBits = Array.from({ length: 44 }, (_, i) => (i * 7) % 3 === 0 ? 1 : 0);
+        const codeword = this.rs.encode(dataBits);
+        const burstLength = this.rs.getCodeProperties().burstCorrectionCapability;
+
+        for (let start = 0; start + burstLength <= 60; start++) {
+            const received = this.rs.injectBurstErrors(codeword, burstLength, { start });
+            const result = this.rs.decode(received);
+
+            this.framework.assertEqual(result.dataBits, dataBits,
+                `A ${burstLength}-bit burst at ${start} should be corrected`);
+            this.framework.assertEqual(result.errorPositions.length, burstLength,
+                'Every flipped bit should be reported');
+        }
+    }
+
+    testUncorrectable() {
+        const codeword = this.rs.encodeSymbols(this.randomSymbols(11));
+        const received = [...codeword];
+        received[0] ^= 1;
+        received[4] ^= 2;
+        received[9] ^= 3;
+
+        const result = this.rs.decodeSymbols(received);
+        this.framework.assertTrue(result.errorDetected, 'Errors should be detected');
+        if (result.status !== 'uncorrectable') {
+            // A miscorrection must land on a different codeword at distance ≥ d
+            this.framework.assertTrue(this.rs.hammingDistance(result.correctedSymbols, codeword) >= 5,
+                'Any decoded word must be a different codeword');
+        }
+
+        const erased = this.rs.decodeSymbols(received, [0, 1, 2, 3, 4]);
+        this.framework.assertEqual(erased.status, 'uncorrectable', 'More than n - k erasures cannot be filled');
+    }
+
+    testShortenedCode() {
+        const code = new ReedSolomonCode({ m: 8, n: 40, k: 30 });
+        const data = this.randomSymbols(30, code);
+        const received = code.encodeSymbols(data);
+        received[3] ^= 0xFF;
+        received[39] ^= 0x01;
+
+        const result = code.decodeSymbols(received);
+        this.framework.assertEqual(result.dataSymbols, data, 'Shortened code should decode');
+        this.framework.assertThrows(() => new ReedSolomonCode({ m: 4, n: 16, k: 8 }), Error,
+            'n cannot exceed 2^m - 1');
+    }
+
+    testSolverIntegration() {
+        const solver = new RetrocausalFixedPointSolver(new ReedSolomonCode({ m: 3, n: 7, k: 3 }));
+        const result = solver.solveFixedPoint([1, 0, 1, 1, 0, 0, 1, 0, 1], { errorRate: 0, maxIterations: 10 });
+
+        this.framework.assertTrue(result.converged, 'Noiseless loop should converge');
+        this.framework.assertEqual(result.finalState.length, 9, 'Final state should be k = 9 bits');
+    }
+
+    run() {
+        console.log('Running Reed-Solomon Code Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReedSolomonCodeTests;
+} else if (typeof window !== 'undefined') {
+    window.ReedSolomonCodeTests = ReedSolomonCodeTests;
+}
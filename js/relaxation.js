@@ -0,0 +1,176 @@
+/**
+ * Accelerated Fixed-Point Iteration Schemes
+ *
+ * Plain iteration x ← F(x) converges no faster than F contracts, and may
+ * cycle when F is only nonexpansive. This module implements the classical
+ * remedies for continuous states, such as bit probabilities or density
+ * matrices written as real vectors. Each scheme turns the current iterate
+ * x and its image F(x) into the next iterate:
+ *
+ * - 'mann': Mann / Krasnoselskii averaging x ← (1-α)x + αF(x). A constant
+ *   α ∈ (0, 1) is Krasnoselskii's scheme and converges for any
+ *   nonexpansive F with a fixed point; α may also be a schedule α(n).
+ * - 'anderson': Anderson acceleration (type II) with memory depth m.
+ *   Combines the last m + 1 images so that the linearized residual
+ *   F(x) - x is minimized in the least-squares sense.
+ * - 'aitken': Aitken Δ² extrapolation of every three consecutive plain
+ *   iterates (Steffensen's method) in the vector form of Irons and Tuck,
+ *   so every other step is extrapolated.
+ * - 'halpern': Halpern iteration x ← β_n u + (1-β_n)F(x) with β_n = 1/(n+2)
+ *   and anchor u (the first iterate by default). Converges strongly to the
+ *   fixed point nearest u, at the slow O(1/n) rate.
+ *
+ * Iterates are returned unconstrained; callers project them back onto
+ * their state space (probabilities into [0, 1], density matrices onto
+ * unit-trace positive matrices).
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const RelaxationUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class FixedPointAccelerator {
+    static METHODS = ['mann', 'anderson', 'aitken', 'halpern'];
+
+    /**
+     * @param {string} method - 'mann', 'anderson', 'aitken' or 'halpern'
+     * @param {Object} options - Scheme parameters
+     * @param {number|Function} [options.relaxation=0.5] - Mann α, or α(n)
+     * @param {number} [options.memory=5] - Anderson memory depth m
+     * @param {number} [options.regularization=1e-10] - Tikhonov term of the Anderson least squares
+     * @param {Array<number>} [options.anchor] - Halpern anchor u
+     */
+    constructor(method, options = {}) {
+        if (!FixedPointAccelerator.METHODS.includes(method)) {
+            throw new Error(`Unknown iteration scheme "${method}". Available: ${FixedPointAccelerator.METHODS.join(', ')}`);
+        }
+        this.method = method;
+        this.options = {
+            relaxation: 0.5,
+            memory: 5,
+            regularization: 1e-10,
+            anchor: null,
+            ...options
+        };
+        if (typeof this.options.relaxation === 'number' &&
+            !(this.options.relaxation > 0 && this.options.relaxation <= 1)) {
+            throw new Error('Mann relaxation α must lie in (0, 1]');
+        }
+        if (!Number.isInteger(this.options.memory) || this.options.memory < 1) {
+            throw new Error('Anderson memory depth must be a positive integer');
+        }
+        this.reset();
+    }
+
+    /**
+     * Forget the iteration history
+     */
+    reset() {
+        this.step = 0;
+        this.anchor = this.options.anchor ? [...this.options.anchor] : null;
+        this.history = [];
+    }
+
+    /**
+     * Next iterate from the current one and its image
+     *
+     * @param {Array<number>} x - Current iterate
+     * @param {Array<number>} fx - F(x)
+     * @returns {Object} - {state, extrapolated}; extrapolated marks steps that are not plain F(x) images
+     */
+    next(x, fx) {
+        const result = this[this.method](x, fx);
+        this.step++;
+        return result;
+    }
+
+    mann(x, fx) {
+        const alpha = typeof this.options.relaxation === 'function' ?
+            this.options.relaxation(this.step) : this.options.relaxation;
+        return { state: x.map((value, i) => (1 - alpha) * value + alpha * fx[i]), extrapolated: false };
+    }
+
+    halpern(x, fx) {
+        if (!this.anchor) this.anchor = [...x];
+        const beta = 1 / (this.step + 2);
+        return { state: fx.map((value, i) => beta * this.anchor[i] + (1 - beta) * value), extrapolated: false };
+    }
+
+    aitken(x, fx) {
+        // Collect y0, y1 = F(y0), y2 = F(y1), then extrapolate and restart from the result
+        if (this.history.length === 0) {
+            this.history = [x, fx];
+            return { state: [...fx], extrapolated: false };
+        }
+
+        const [y0, y1] = this.history;
+        const y2 = fx;
+        this.history = [];
+
+        // Vector form (Irons-Tuck): y2 - (Δy·Δ²y / ‖Δ²y‖²) Δy, which reduces to
+        // Aitken's y0 - (Δy0)²/Δ²y0 in one dimension
+        const step = y2.map((value, i) => value - y1[i]);
+        const curvature = y2.map((value, i) => value - 2 * y1[i] + y0[i]);
+        const norm = curvature.reduce((sum, value) => sum + value * value, 0);
+        if (norm <= 1e-300) return { state: [...y2], extrapolated: false };
+
+        const ratio = step.reduce((sum, value, i) => sum + value * curvature[i], 0) / norm;
+        const state = y2.map((value, i) => value - ratio * step[i]);
+        return { state: state, extrapolated: true };
+    }
+
+    anderson(x, fx) {
+        const residual = fx.map((value, i) => value - x[i]);
+        this.history.push({ residual: residual, image: [...fx] });
+        if (this.history.length > this.options.memory + 1) this.history.shift();
+        if (this.history.length === 1) {
+            return { state: [...fx], extrapolated: false };
+        }
+
+        // Differences of consecutive residuals (ΔG) and images (ΔF)
+        const deltas = [];
+        for (let j = 1; j < this.history.length; j++) {
+            deltas.push({
+                residual: this.history[j].residual.map((value, i) => value - this.history[j - 1].residual[i]),
+                image: this.history[j].image.map((value, i) => value - this.history[j - 1].image[i])
+            });
+        }
+
+        // γ = argmin ‖g - ΔG γ‖² via the regularized normal equations
+        const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+        const scale = Math.max(...deltas.map(delta => dot(delta.residual, delta.residual)), 1e-300);
+        const normal = deltas.map((a, r) => deltas.map((b, c) =>
+            dot(a.residual, b.residual) + (r === c ? this.options.regularization * scale : 0)));
+        let gamma;
+        try {
+            gamma = RelaxationUtils.math.solveLinearSystem(normal, deltas.map(delta => dot(delta.residual, residual)));
+        } catch (error) {
+            // Degenerate history: restart from a plain step
+            this.history = [this.history[this.history.length - 1]];
+            return { state: [...fx], extrapolated: false };
+        }
+
+        const state = [...fx];
+        deltas.forEach((delta, j) => {
+            delta.image.forEach((value, i) => { state[i] -= gamma[j] * value; });
+        });
+        return { state: state, extrapolated: true };
+    }
+
+    /**
+     * Operator evaluations represented by one convergence-history entry
+     *
+     * Every scheme evaluates F once per step; Aitken's extrapolated iterates
+     * are spaced two evaluations apart.
+     */
+    static evaluationsPerIterate(method) {
+        return method === 'aitken' ? 2 : 1;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FixedPointAccelerator;
+} else if (typeof window !== 'undefined') {
+    window.FixedPointAccelerator = FixedPointAccelerator;
+}
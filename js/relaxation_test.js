@@ -0,0 +1,130 @@
+/**
+ * Test Suite for the Accelerated Fixed-Point Iteration Schemes
+ *
+ * These tests run every scheme on contractions with known fixed points,
+ * compare their iteration counts with plain iteration, and check the
+ * nonexpansive case where plain iteration cycles forever.
+ *
+ * Test Coverage:
+ * - Mann averaging with constant and scheduled relaxation
+ * - Anderson acceleration on a linear contraction
+ * - Aitken Δ² extrapolation
+ * - Halpern iteration toward its anchor
+ * - Parameter validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class FixedPointAcceleratorTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Every scheme finds the fixed point of cos', () => this.testCosine());
+        this.framework.test('Anderson and Aitken beat plain iteration', () => this.testAcceleration());
+        this.framework.test('Averaging stops the cycle of a reflection', () => this.testReflection());
+        this.framework.test('Halpern converges to the fixed point nearest the anchor', () => this.testHalpernAnchor());
+        this.framework.test('Invalid schemes and parameters are rejected', () => this.testValidation());
+    }
+
+    /**
+     * Iterate x ← scheme(x, F(x)) until successive iterates agree
+     *
+     * @returns {Object} - {state, steps, converged}
+     */
+    iterate(accelerator, map, start, maxSteps = 1000, tolerance = 1e-12) {
+        let x = start;
+        for (let steps = 1; steps <= maxSteps; steps++) {
+            const next = accelerator ? accelerator.next(x, map(x)).state : map(x);
+            const change = Math.max(...next.map((value, i) => Math.abs(value - x[i])));
+            x = next;
+            if (change <= tolerance) return { state: x, steps: steps, converged: true };
+        }
+        return { state: x, steps: maxSteps, converged: false };
+    }
+
+    testCosine() {
+        const root = 0.7390851332151607;  // Dottie number, cos(x) = x
+        const cosine = x => [Math.cos(x[0])];
+
+        ['mann', 'anderson', 'aitken'].forEach(method => {
+            const result = this.iterate(new FixedPointAccelerator(method), cosine, [1]);
+            this.framework.assertTrue(result.converged, `${method} converges`);
+            this.framework.assertTrue(Math.abs(result.state[0] - root) < 1e-10, `${method} finds cos(x) = x`);
+        });
+
+        const scheduled = new FixedPointAccelerator('mann', { relaxation: n => 1 / (1 + n / 10) });
+        this.framework.assertTrue(Math.abs(this.iterate(scheduled, cosine, [1]).state[0] - root) < 1e-9,
+            'Mann accepts a relaxation schedule');
+
+        const halpern = this.iterate(new FixedPointAccelerator('halpern'), cosine, [1], 200);
+        this.framework.assertTrue(Math.abs(halpern.state[0] - root) < 1e-2, 'Halpern approaches it at O(1/n)');
+    }
+
+    testAcceleration() {
+        // Slow linear contraction with fixed point (1, 2, 3)
+        const target = [1, 2, 3];
+        const contraction = x => x.map((value, i) => target[i] + 0.95 * (value - target[i]) +
+            0.01 * (x[(i + 1) % 3] - target[(i + 1) % 3]));
+
+        const plain = this.iterate(null, contraction, [0, 0, 0]);
+        const anderson = this.iterate(new FixedPointAccelerator('anderson', { memory: 3 }), contraction, [0, 0, 0]);
+        const aitken = this.iterate(new FixedPointAccelerator('aitken'), contraction, [0, 0, 0]);
+
+        [anderson, aitken].forEach(result => this.framework.assertTrue(
+            result.state.every((value, i) => Math.abs(value - target[i]) < 1e-9), 'Accelerated iterates reach (1, 2, 3)'));
+        this.framework.assertTrue(anderson.steps * 10 < plain.steps,
+            `Anderson needs ${anderson.steps} steps, plain iteration ${plain.steps}`);
+        this.framework.assertTrue(aitken.steps * 2 < plain.steps,
+            `Aitken needs ${aitken.steps} steps, plain iteration ${plain.steps}`);
+        this.framework.assertEqual(FixedPointAccelerator.evaluationsPerIterate('aitken'), 2,
+            'Aitken spends two evaluations per extrapolated iterate');
+    }
+
+    testReflection() {
+        // F(x) = 1 - x is nonexpansive: plain iteration alternates 0, 1, 0, ...
+        const reflection = x => [1 - x[0]];
+
+        this.framework.assertFalse(this.iterate(null, reflection, [0], 100).converged, 'Plain iteration cycles');
+        const mann = this.iterate(new FixedPointAccelerator('mann', { relaxation: 0.5 }), reflection, [0]);
+        this.framework.assertTrue(mann.converged && Math.abs(mann.state[0] - 0.5) < 1e-12,
+            'Krasnoselskii averaging lands on x = 1/2');
+    }
+
+    testHalpernAnchor() {
+        // Projection onto the line x = y: every point of the line is a fixed point
+        const projection = x => [(x[0] + x[1]) / 2, (x[0] + x[1]) / 2];
+        const accelerator = new FixedPointAccelerator('halpern', { anchor: [2, 0] });
+        const result = this.iterate(accelerator, projection, [5, -3], 2000, 1e-6);
+
+        this.framework.assertTrue(result.state.every(value => Math.abs(value - 1) < 1e-2),
+            `Nearest fixed point to (2, 0) is (1, 1), got (${result.state})`);
+
+        accelerator.reset();
+        this.framework.assertEqual(accelerator.step, 0, 'reset restarts the schedule');
+        this.framework.assertEqual(accelerator.anchor, [2, 0], 'and keeps the configured anchor');
+    }
+
+    testValidation() {
+        this.framework.assertThrows(() => new FixedPointAccelerator('newton'), Error,
+            'Unknown schemes are rejected');
+        this.framework.assertThrows(() => new FixedPointAccelerator('mann', { relaxation: 1.5 }), Error,
+            'α must lie in (0, 1]');
+        this.framework.assertThrows(() => new FixedPointAccelerator('anderson', { memory: 0 }), Error,
+            'Memory depth must be positive');
+    }
+
+    run() {
+        console.log('Running Accelerated Fixed-Point Iteration Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FixedPointAcceleratorTests;
+} else if (typeof window !== 'undefined') {
+    window.FixedPointAcceleratorTests = FixedPointAcceleratorTests;
+}
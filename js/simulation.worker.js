@@ -0,0 +1,34 @@
+/**
+ * Simulation Worker
+ *
+ * Entry point of the workers started by SimulationWorkerPool. It loads the
+ * solver and code modules, then runs each chunk it is sent through
+ * SimulationTasks and posts back the result or the error message.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+importScripts(
+    'utils.js',
+    'complex.js',
+    'linearcode.js',
+    'hamming.js',
+    'galois.js',
+    'bch.js',
+    'channels.js',
+    'relaxation.js',
+    'cycles.js',
+    'pipeline.js',
+    'consistency.js',
+    'deutschctc.js',
+    'postselectedctc.js',
+    'fixedpoint.js',
+    'montecarlo.js',
+    'workerpool.js'
+);
+
+self.onmessage = event => {
+    if (event.data && event.data.type === 'run') {
+        SimulationTasks.handle(event.data, message => self.postMessage(message));
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * Step-Through Simulation Engine
+ *
+ * Drives RetrocausalFixedPointSolver.iterate one evolution cycle at a time
+ * for the step-through mode of the simulator. Every cycle is recorded, so
+ * the run can be stepped forward, stepped back through its history, played
+ * to the end at a chosen pace, and paused:
+ *
+ *   const stepper = new SimulationStepper(solver, [1, 0, 1, 1], { errorRate: 0.1, seed: 7 });
+ *   stepper.on('step', ({ step, position }) => render(step));
+ *   stepper.forward();
+ *   stepper.back();
+ *   await stepper.play({ interval: 150 });
+ *
+ * Stepping back only moves through recorded cycles; stepping forward again
+ * replays them before new cycles are computed. The next cycle is computed
+ * one step ahead, so `finished` and `report` are set as soon as the last
+ * cycle is shown. The report equals solveFixedPoint's with the same seed.
+ *
+ * Events: 'step' {step, position, total, replay}, 'finish' report,
+ * 'play' and 'pause' {position}.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const StepperUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+
+class SimulationStepper {
+    /**
+     * @param {RetrocausalFixedPointSolver} solver - Solver to step; it runs nothing else meanwhile
+     * @param {Array<number>} initialData - k-bit initial word
+     * @param {Object} params - Simulation parameters, as for solveFixedPoint
+     */
+    constructor(solver, initialData, params = {}) {
+        this.solver = solver;
+        this.initialData = [...initialData];
+        this.steps = [];
+        this.position = -1;
+        this.report = null;
+        this.playing = false;
+
+        const dispatcher = StepperUtils.events.createDispatcher();
+        this.on = dispatcher.on.bind(dispatcher);
+        this.off = dispatcher.off.bind(dispatcher);
+        this.emit = dispatcher.emit.bind(dispatcher);
+
+        // Computing the first cycle here also rejects bad parameters up front
+        this.run = solver.iterate(initialData, params);
+        this.pending = this.run.next();
+    }
+
+    get finished() {
+        return this.report !== null;
+    }
+
+    /**
+     * The displayed step, or null before the first
+     */
+    get current() {
+        return this.position >= 0 ? this.steps[this.position] : null;
+    }
+
+    /**
+     * Whether a step forward is possible
+     */
+    get canForward() {
+        return this.position < this.steps.length - 1 || !this.pending.done;
+    }
+
+    /**
+     * Show the next cycle: a recorded one, or a new one from the solver
+     *
+     * @returns {Object|null} - The step, or null at the end of the run
+     */
+    forward() {
+        if (this.position < this.steps.length - 1) {
+            this.position++;
+            this.emitStep(true);
+            return this.current;
+        }
+        if (this.pending.done) return null;
+
+        this.steps.push(this.pending.value);
+        this.position++;
+        this.pending = this.run.next();
+        this.emitStep(false);
+        if (this.pending.done) {
+            this.report = this.pending.value;
+            this.emit('finish', this.report);
+        }
+        return this.current;
+    }
+
+    /**
+     * Show the previous recorded cycle
+     *
+     * @returns {Object|null} - The step, or null at the first cycle
+     */
+    back() {
+        if (this.position <= 0) return null;
+        this.position--;
+        this.emitStep(true);
+        return this.current;
+    }
+
+    /**
+     * Step forward until the run ends
+     *
+     * @returns {Object} - Solution report
+     */
+    runToEnd() {
+        let step;
+        do {
+            step = this.forward();
+        } while (step);
+        return this.report;
+    }
+
+    /**
+     * Step forward at a fixed pace until the run ends or pause() is called
+     *
+     * @param {Object} options - {interval}: milliseconds between steps (default 150)
+     * @returns {Promise<Object|null>} - The report, or null if paused first
+     */
+    async play(options = {}) {
+        const interval = options.interval ?? 150;
+        if (this.playing) return null;
+        this.playing = true;
+        this.emit('play', { position: this.position });
+
+        while (this.playing && this.forward()) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+
+        const paused = this.playing === false && this.canForward;
+        this.playing = false;
+        if (paused) this.emit('pause', { position: this.position });
+        return paused ? null : this.report;
+    }
+
+    /**
+     * Stop play() after the step it is showing
+     */
+    pause() {
+        this.playing = false;
+    }
+
+    /**
+     * Recorded history up to the displayed step
+     */
+    getHistory() {
+        return this.steps.slice(0, this.position + 1);
+    }
+
+    emitStep(replay) {
+        this.emit('step', { step: this.current, position: this.position, total: this.steps.length, replay: replay });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationStepper;
+} else if (typeof window !== 'undefined') {
+    window.SimulationStepper = SimulationStepper;
+}
@@ -0,0 +1,160 @@
+/**
+ * Test Suite for Step-Through Simulation
+ *
+ * Stepped runs are compared with solveFixedPoint runs of the same seed: the
+ * steps must be the convergence history and the final report the same.
+ *
+ * Test Coverage:
+ * - solver.iterate steps and return value
+ * - Stepping forward to the end, for the discrete and relaxed methods
+ * - Stepping back and replaying recorded steps
+ * - Step and finish events
+ * - Complete runs solved between steps
+ * - Parameter validation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class SimulationStepperTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.hamming = new HammingCode();
+        this.params = { errorRate: 0.15, maxIterations: 40, seed: 21 };
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('iterate yields the convergence history and returns the report', () => this.testIterate());
+        this.framework.test('A stepped run ends with the solved report', () => this.testRunToEnd());
+        this.framework.test('Stepping back replays recorded steps', () => this.testStepBack());
+        this.framework.test('Relaxed methods and cycle stops can be stepped', () => this.testMethods());
+        this.framework.test('Runs solved between steps leave the stepped run alone', () => this.testInterleaving());
+        this.framework.test('Invalid runs are rejected before the first step', () => this.testValidation());
+    }
+
+    solve(params, initialData = [1, 0, 1, 1]) {
+        return new RetrocausalFixedPointSolver(this.hamming).solveFixedPoint(initialData, params);
+    }
+
+    /**
+     * Fields of a report that do not depend on timing
+     */
+    outcome(report) {
+        return [report.finalState, report.converged, report.iterations, report.cycle, report.convergenceHistory];
+    }
+
+    testIterate() {
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        const run = solver.iterate([1, 0, 1, 1], this.params);
+        const steps = [];
+        let next = run.next();
+        while (!next.done) {
+            steps.push(next.value);
+            next = run.next();
+        }
+        const expected = this.solve(this.params);
+
+        this.framework.assertEqual(steps.length, expected.convergenceHistory.length, 'One step per cycle');
+        this.framework.assertEqual(steps, expected.convergenceHistory.map((entry, i) =>
+            ({ ...entry, inputData: steps[i].inputData, converged: steps[i].converged, cycle: steps[i].cycle })),
+            'Each step is its history entry');
+        this.framework.assertEqual(steps[0].inputData, [1, 0, 1, 1], 'The first cycle starts from the initial word');
+        this.framework.assertEqual(this.outcome(next.value), this.outcome(expected), 'The return value is the report');
+        this.framework.assertEqual(steps[steps.length - 1].converged, expected.converged, 'The last step tells the outcome');
+    }
+
+    testRunToEnd() {
+        const stepper = new SimulationStepper(new RetrocausalFixedPointSolver(this.hamming), [1, 0, 1, 1], this.params);
+        const events = [];
+        stepper.on('step', ({ position, replay }) => events.push(['step', position, replay]));
+        stepper.on('finish', () => events.push(['finish', stepper.position]));
+
+        this.framework.assertEqual([stepper.current, stepper.finished, stepper.canForward], [null, false, true],
+            'Nothing is shown before the first step');
+        const report = stepper.runToEnd();
+        const expected = this.solve(this.params);
+        const total = expected.convergenceHistory.length;
+
+        this.framework.assertEqual(this.outcome(report), this.outcome(expected), 'The report is solveFixedPoint\'s');
+        this.framework.assertEqual(events.length, total + 1, 'One step event per cycle, then finish');
+        this.framework.assertEqual(events[total], ['finish', total - 1], 'finish comes with the last step');
+        this.framework.assertTrue(events.slice(0, total).every(([, , replay]) => replay === false), 'New steps are not replays');
+        this.framework.assertEqual([stepper.forward(), stepper.canForward], [null, false], 'There is no step after the last');
+    }
+
+    testStepBack() {
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        const stepper = new SimulationStepper(solver, [0, 1, 1, 0], { errorRate: 0.3, maxIterations: 8, seed: 10 });
+        const replays = [];
+        stepper.on('step', ({ step, replay }) => replays.push([step.iteration, replay]));
+
+        this.framework.assertEqual(stepper.back(), null, 'There is nothing to step back to at the start');
+        const first = stepper.forward();
+        const second = stepper.forward();
+        this.framework.assertEqual(stepper.back(), first, 'back shows the previous step');
+        this.framework.assertEqual(stepper.back(), null, 'and stops at the first');
+        this.framework.assertEqual(stepper.getHistory(), [first], 'The history ends at the shown step');
+
+        const history = solver.convergenceHistory.length;
+        this.framework.assertEqual(stepper.forward(), second, 'Stepping forward replays the recorded step');
+        this.framework.assertEqual(solver.convergenceHistory.length, history, 'without computing it again');
+        this.framework.assertEqual(replays, [[0, false], [1, false], [0, true], [1, true]], 'Replays are flagged');
+    }
+
+    testMethods() {
+        ['mann', 'anderson'].forEach(method => {
+            const params = { ...this.params, method: method };
+            const stepper = new SimulationStepper(new RetrocausalFixedPointSolver(this.hamming), [1, 0, 1, 1], params);
+            this.framework.assertEqual(this.outcome(stepper.runToEnd()), this.outcome(this.solve(params)),
+                `The ${method} run steps to the solved report`);
+        });
+
+        // The inverting channel bounces between the word and its complement
+        const params = { errorRate: 1, enableAdaptiveStep: false, seed: 1, stopOnCycle: true };
+        const stepper = new SimulationStepper(new RetrocausalFixedPointSolver(this.hamming), [1, 0, 1, 1], params);
+        const report = stepper.runToEnd();
+        this.framework.assertEqual(this.outcome(report), this.outcome(this.solve(params)),
+            'A run stopped by a cycle steps to the same report');
+        this.framework.assertEqual([stepper.current.cycle, stepper.steps[0].cycle], [report.cycle, null],
+            'and only its last step shows the cycle');
+    }
+
+    testInterleaving() {
+        // As in the app: complete simulations on one solver, a stepped run on its own
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        const stepper = new SimulationStepper(new RetrocausalFixedPointSolver(this.hamming), [1, 0, 1, 1], this.params);
+        stepper.forward();
+        solver.solveFixedPoint([0, 0, 0, 0], { errorRate: 0.3, seed: 5 });
+        stepper.forward();
+        stepper.back();
+        solver.solveFixedPoint([1, 1, 1, 0], { errorRate: 0.3, seed: 6 });
+
+        const report = stepper.runToEnd();
+        const expected = this.solve(this.params);
+        this.framework.assertEqual(this.outcome(report), this.outcome(expected), 'The stepped run ends as if uninterrupted');
+        this.framework.assertEqual([report.initialState, stepper.getHistory().length],
+            [[1, 0, 1, 1], expected.convergenceHistory.length], 'with its own initial word and every step');
+    }
+
+    testValidation() {
+        const solver = new RetrocausalFixedPointSolver(this.hamming);
+        this.framework.assertThrows(() => new SimulationStepper(solver, [1, 0, 1, 1], { maxIterations: 0 }), Error,
+            'Bad parameters fail when the stepper is made');
+        this.framework.assertThrows(() => new SimulationStepper(solver, [1, 0, 1, 1], { method: 'newton' }), Error,
+            'as do unknown methods');
+        this.framework.assertThrows(() => solver.iterate([1, 0, 1, 1], { consistencyModel: 'deutsch' }).next(), Error,
+            'Quantum consistency models have no iteration to step');
+    }
+
+    run() {
+        console.log('Running Step-Through Simulation Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationStepperTests;
+} else if (typeof window !== 'undefined') {
+    window.SimulationStepperTests = SimulationStepperTests;
+}
@@ -11,6 +11,7 @@
  * - Data validation and conversion functions
  * - Formatting and display helpers
  * - Statistical analysis tools
+ * - Seedable random number generation
  * - Performance monitoring utilities
  * 
  * Author: Tommy Xaypanya, NeuralQuantum.ai
@@ -27,10 +28,14 @@ class RetrocausalUtils {
          * Calculate von Neumann entropy of a quantum state
          * S(ρ) = -Tr(ρ log ρ) = -Σᵢ λᵢ log λᵢ
          * 
-         * @param {Array<number>} eigenvalues - Eigenvalues of density matrix
+         * @param {Array<number>|ComplexMatrix} eigenvalues - Eigenvalues of the density
+         *        matrix, or the density matrix itself (diagonalised with eigh)
          * @returns {number} - von Neumann entropy in bits
          */
         vonNeumannEntropy(eigenvalues) {
+            if (eigenvalues && typeof eigenvalues.eigh === 'function') {
+                eigenvalues = Array.from(eigenvalues.eigh().values);
+            }
             if (!Array.isArray(eigenvalues) || eigenvalues.length === 0) {
                 return 0;
             }
@@ -119,10 +124,25 @@ class RetrocausalUtils {
          * 
          * @param {number} length - Length of bit array
          * @param {number} probability - Probability of bit being 1
+         * @param {Function} random - Uniform [0, 1) source (default: shared seeded generator)
          * @returns {Array<number>} - Random bit array
          */
-        randomBits(length, probability = 0.5) {
-            return Array.from({ length }, () => Math.random() < probability ? 1 : 0);
+        randomBits(length, probability = 0.5, random = RetrocausalUtils.random.next) {
+            return Array.from({ length }, () => random() < probability ? 1 : 0);
+        },
+
+        /**
+         * Draw a normally distributed sample (Box-Muller transform)
+         * 
+         * @param {number} mean - Distribution mean
+         * @param {number} standardDeviation - Distribution standard deviation
+         * @param {Function} random - Uniform [0, 1) source (default: shared seeded generator)
+         * @returns {number} - Gaussian sample
+         */
+        gaussianRandom(mean = 0, standardDeviation = 1, random = RetrocausalUtils.random.next) {
+            const u1 = 1 - random();  // (0, 1] keeps the logarithm finite
+            const u2 = random();
+            return mean + standardDeviation * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         },
 
         /**
@@ -167,6 +187,173 @@ class RetrocausalUtils {
             }
             
             return smoothed;
+        },
+
+        /**
+         * Gaussian elimination with partial pivoting
+         *
+         * @param {Array<Array<number>>} matrix - Square system (not modified)
+         * @param {Array<number>} rhs - Right-hand side
+         * @returns {Array<number>} - Solution
+         */
+        solveLinearSystem(matrix, rhs) {
+            const n = matrix.length;
+            const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+            for (let column = 0; column < n; column++) {
+                let pivot = column;
+                for (let row = column + 1; row < n; row++) {
+                    if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+                }
+                if (Math.abs(a[pivot][column]) < 1e-14) {
+                    throw new Error('Linear system is singular');
+                }
+                [a[column], a[pivot]] = [a[pivot], a[column]];
+
+                for (let row = column + 1; row < n; row++) {
+                    const factor = a[row][column] / a[column][column];
+                    for (let j = column; j <= n; j++) a[row][j] -= factor * a[column][j];
+                }
+            }
+
+            const solution = new Array(n).fill(0);
+            for (let row = n - 1; row >= 0; row--) {
+                let sum = a[row][n];
+                for (let j = row + 1; j < n; j++) sum -= a[row][j] * solution[j];
+                solution[row] = sum / a[row][row];
+            }
+            return solution;
+        }
+    };
+
+    /**
+     * Seedable pseudo-random number generation
+     * 
+     * Every stochastic component (noise injection, channels, adaptive steps,
+     * random initial states) draws from a generator created here instead of
+     * Math.random, so an experiment is reproduced exactly from its seed.
+     * Generators run xoshiro128** on a state expanded from a 32-bit seed by
+     * splitmix32. Each generator is a plain function returning uniform
+     * numbers in [0, 1), so it can be passed wherever a `random` option is
+     * accepted.
+     */
+    static random = {
+
+        /**
+         * Generator used by components that were not given their own
+         */
+        shared: null,
+
+        /**
+         * Create an independent generator
+         * 
+         * @param {number|string} seed - 32-bit integer seed, or a string to hash
+         * @returns {Function} - () => [0, 1), with {seed, nextUint32, getState, setState}
+         */
+        createGenerator(seed) {
+            const normalizedSeed = this.normalizeSeed(seed);
+            const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+            
+            let mix = normalizedSeed;
+            const splitmix32 = () => {
+                mix = (mix + 0x9e3779b9) | 0;
+                let z = Math.imul(mix ^ (mix >>> 16), 0x85ebca6b);
+                z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+                return (z ^ (z >>> 16)) >>> 0;
+            };
+            const state = new Uint32Array([splitmix32(), splitmix32(), splitmix32(), splitmix32()]);
+            
+            const nextUint32 = () => {
+                const result = Math.imul(rotl(Math.imul(state[1], 5), 7), 9) >>> 0;
+                const shifted = state[1] << 9;
+                state[2] ^= state[0];
+                state[3] ^= state[1];
+                state[1] ^= state[2];
+                state[0] ^= state[3];
+                state[2] ^= shifted;
+                state[3] = rotl(state[3], 11);
+                return result;
+            };
+            
+            const generator = () => nextUint32() / 4294967296;
+            generator.seed = normalizedSeed;
+            generator.nextUint32 = nextUint32;
+            generator.getState = () => Array.from(state);
+            generator.setState = (savedState) => state.set(savedState);
+            return generator;
+        },
+
+        /**
+         * Reduce a seed to an unsigned 32-bit integer
+         * 
+         * Strings are hashed with FNV-1a so memorable seeds like 'demo' work.
+         * 
+         * @param {number|string} seed - Seed value
+         * @returns {number} - Unsigned 32-bit seed
+         */
+        normalizeSeed(seed) {
+            if (typeof seed === 'string') {
+                let hash = 0x811c9dc5;
+                for (let i = 0; i < seed.length; i++) {
+                    hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+                }
+                return hash >>> 0;
+            }
+            if (!Number.isInteger(seed)) {
+                throw new Error('Seed must be an integer or a string');
+            }
+            return seed >>> 0;
+        },
+
+        /**
+         * Draw a fresh seed from the environment's entropy source
+         * 
+         * @returns {number} - Unsigned 32-bit seed
+         */
+        generateSeed() {
+            if (typeof globalThis !== 'undefined' && globalThis.crypto?.getRandomValues) {
+                return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+            }
+            return Math.floor(Math.random() * 4294967296);
+        },
+
+        /**
+         * Reseed the shared generator
+         * 
+         * @param {number|string} seed - Seed value (default: a fresh seed)
+         * @returns {number} - Normalized seed now in use
+         */
+        setSeed(seed = this.generateSeed()) {
+            this.shared = this.createGenerator(seed);
+            return this.shared.seed;
+        },
+
+        /**
+         * Seed of the shared generator
+         * 
+         * @returns {number} - Unsigned 32-bit seed
+         */
+        getSeed() {
+            return this.getShared().seed;
+        },
+
+        /**
+         * Shared generator, seeded on first use
+         * 
+         * @returns {Function} - Shared generator
+         */
+        getShared() {
+            if (!this.shared) this.setSeed();
+            return this.shared;
+        },
+
+        /**
+         * Next number from the shared generator; safe to pass around unbound
+         * 
+         * @returns {number} - Uniform sample in [0, 1)
+         */
+        next() {
+            return RetrocausalUtils.random.getShared()();
         }
     };
 
@@ -480,6 +667,34 @@ class RetrocausalUtils {
             };
         },
 
+        /**
+         * Wilson score interval for a binomial proportion
+         *
+         * Unlike the normal approximation it stays inside [0, 1] and gives a
+         * useful upper bound when no events were seen, which is the usual
+         * case for error rates at low noise.
+         *
+         * @param {number} events - Number of events (e.g. errors)
+         * @param {number} trials - Number of trials
+         * @param {number} confidence - Confidence level (0-1)
+         * @returns {Object} - {estimate, lower, upper}
+         */
+        proportionInterval(events, trials, confidence = 0.95) {
+            if (trials === 0) return { estimate: NaN, lower: 0, upper: 1 };
+
+            const z = this.normalInverse(1 - (1 - confidence) / 2);
+            const estimate = events / trials;
+            const denominator = 1 + z * z / trials;
+            const center = (estimate + z * z / (2 * trials)) / denominator;
+            const margin = z * Math.sqrt(estimate * (1 - estimate) / trials + z * z / (4 * trials * trials)) / denominator;
+
+            return {
+                estimate: estimate,
+                lower: Math.max(0, center - margin),
+                upper: Math.min(1, center + margin)
+            };
+        },
+
         /**
          * Approximate t-distribution critical value
          * 
@@ -509,34 +724,39 @@ class RetrocausalUtils {
         /**
          * Approximate normal distribution inverse (for z-scores)
          * 
+         * Acklam's rational approximation, accurate to about 1e-9 over (0, 1).
+         * 
          * @param {number} p - Cumulative probability
          * @returns {number} - Z-score
          */
         normalInverse(p) {
-            // Beasley-Springer-Moro approximation
-            const a = [0, -3.969683028665376e+01, 2.209460984245205e+02,
-                      -2.759285104469687e+02, 1.383577518672690e+02,
-                      -3.066479806614716e+01, 2.506628277459239e+00];
-            
-            const b = [0, -5.447609879822406e+01, 1.615858368580409e+02,
-                      -1.556989798598866e+02, 6.680131188771972e+01,
-                      -1.328068155288572e+01];
-            
-            if (p <= 0 || p >= 1) return 0;
-            
-            const q = p < 0.5 ? p : 1 - p;
-            const t = Math.sqrt(-2 * Math.log(q));
-            
-            let numerator = a[6];
-            let denominator = b[5];
-            
-            for (let i = 5; i >= 1; i--) {
-                numerator = numerator * t + a[i];
-                denominator = denominator * t + b[i-1];
+            const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+                       1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+            const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+                       6.680131188771972e+01, -1.328068155288572e+01];
+            const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+                       -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+            const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+                       3.754408661907416e+00];
+            
+            if (p <= 0) return -Infinity;
+            if (p >= 1) return Infinity;
+            
+            const pLow = 0.02425;
+            
+            // Tails use a rational function of sqrt(-2 log q)
+            if (p < pLow || p > 1 - pLow) {
+                const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+                const result = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                               ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+                return p < pLow ? result : -result;
             }
             
-            const result = t - numerator / denominator;
-            return p < 0.5 ? -result : result;
+            // Central region uses a rational function of (p - 1/2)²
+            const q = p - 0.5;
+            const r = q * q;
+            return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+                   (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
         }
     };
 
@@ -20,6 +20,9 @@ class RetrocausalVisualizer {
         this.canvases = {};
         this.contexts = {};
         
+        // Last measured error-rate sweep (see createErrorCorrectionChart)
+        this.errorRateCurve = null;
+        
         // Animation state management
         this.animationStates = {
             hammingEncoding: { playing: false, frame: 0, speed: 1.0 },
@@ -141,7 +144,7 @@ class RetrocausalVisualizer {
                 // Animate appearance with delay based on position
                 setTimeout(() => {
                     bitElement.classList.add('animated-bit');
-                    this.highlightParityCalculation(pos, i, dataBits, codeword);
+                    this.highlightParityCalculation(pos, i);
                 }, i * 150);
             }
         });
@@ -191,10 +194,8 @@ class RetrocausalVisualizer {
      * 
      * @param {Object} position - Current bit position
      * @param {number} index - Bit index in codeword
-     * @param {Array<number>} dataBits - Original data bits
-     * @param {Array<number>} codeword - Encoded codeword
      */
-    highlightParityCalculation(position, index, dataBits, codeword) {
+    highlightParityCalculation(position, index) {
         if (position.type !== 'parity') return;
         
         // Define which data bits contribute to each parity bit
@@ -443,7 +444,12 @@ class RetrocausalVisualizer {
             
             // Show initial state
             this.createSpinStateDisplay(spinChain, initialState, 'Initial State', 'initial');
-            
+
+            // Show encoded codeword, when stepping through the stages
+            if (evolutionDetails.encodedState) {
+                this.createSpinStateDisplay(spinChain, evolutionDetails.encodedState, 'After Encoding', 'encoded');
+            }
+
             // Show transmitted state (with errors)
             if (evolutionDetails.transmittedState) {
                 this.createSpinStateDisplay(spinChain, evolutionDetails.transmittedState, 'After Transmission', 'transmitted');
@@ -524,12 +530,16 @@ class RetrocausalVisualizer {
     /**
      * Create error correction effectiveness chart
      * 
-     * This visualization shows how error correction performance varies
-     * with different error rates, demonstrating the value of the Hamming code.
+     * Plots measured bit and block error rates with and without error
+     * correction against the swept channel parameter, on a logarithmic
+     * error axis, with confidence intervals as error bars. Points where no
+     * errors were seen have no place on a log axis; only the upper end of
+     * their interval is drawn.
      * 
-     * @param {Array<Object>} performanceData - Error rate vs. accuracy data
+     * @param {Object} curve - MonteCarloEngine.sweep result
      */
-    createErrorCorrectionChart(performanceData) {
+    createErrorCorrectionChart(curve) {
+        this.errorRateCurve = curve;
         const canvas = document.getElementById('error-correction-chart');
         if (!canvas) return;
         
@@ -541,26 +551,37 @@ class RetrocausalVisualizer {
         ctx.clearRect(0, 0, width, height);
         
         // Chart dimensions
-        const margin = { top: 20, right: 40, bottom: 40, left: 50 };
+        const margin = { top: 20, right: 40, bottom: 40, left: 60 };
         const chartWidth = width - margin.left - margin.right;
         const chartHeight = height - margin.top - margin.bottom;
         
-        // Data scaling
-        const maxErrorRate = Math.max(...performanceData.map(d => d.errorRate));
-        const xScale = (errorRate) => margin.left + (errorRate / maxErrorRate) * chartWidth;
-        const yScale = (accuracy) => margin.top + chartHeight - (accuracy * chartHeight);
+        const series = [
+            { type: 'corrected', metric: 'ber', color: this.colors.dataBit, dash: [], label: 'BER with correction' },
+            { type: 'uncorrected', metric: 'ber', color: this.colors.errorBit, dash: [], label: 'BER without correction' },
+            { type: 'corrected', metric: 'bler', color: this.colors.dataBit, dash: [6, 4], label: 'BLER with correction' },
+            { type: 'uncorrected', metric: 'bler', color: this.colors.errorBit, dash: [6, 4], label: 'BLER without correction' }
+        ];
+        
+        // Data scaling: linear in the parameter, whole decades of error rate
+        const values = curve.points.map(point => point.value);
+        const minValue = Math.min(...values);
+        const span = Math.max(...values) - minValue || 1;
+        const positive = curve.points.flatMap(point => series.flatMap(({ type, metric }) =>
+            [point[type][metric], point[type][metric + 'Interval'][1]])).filter(rate => rate > 0);
+        const decades = Math.min(Math.max(Math.ceil(-Math.log10(Math.min(...positive, 0.1))), 1), 8);
+        const xScale = (value) => margin.left + ((value - minValue) / span) * chartWidth;
+        const yScale = (rate) => margin.top + chartHeight * Math.min(-Math.log10(rate) / decades, 1);
         
         // Draw axes
-        this.drawChartAxes(ctx, margin, chartWidth, chartHeight, 'Error Rate', 'Accuracy');
-        
-        // Draw corrected accuracy curve
-        this.drawPerformanceCurve(ctx, performanceData, xScale, yScale, 'corrected', this.colors.dataBit);
+        const xLabel = { errorRate: 'Channel error rate p', snrDb: 'SNR (dB)' }[curve.parameter] || curve.parameter;
+        this.drawChartAxes(ctx, margin, chartWidth, chartHeight, xLabel, 'Error rate');
+        this.drawLogAxisTicks(ctx, margin, chartWidth, chartHeight, decades, values, xScale);
         
-        // Draw uncorrected accuracy curve
-        this.drawPerformanceCurve(ctx, performanceData, xScale, yScale, 'uncorrected', this.colors.errorBit);
+        // Draw the measured curves
+        series.forEach(options => this.drawPerformanceCurve(ctx, curve.points, xScale, yScale, options));
         
         // Draw legend
-        this.drawChartLegend(ctx, width, height);
+        this.drawChartLegend(ctx, width, series);
     }
 
     /**
@@ -593,72 +614,281 @@ class RetrocausalVisualizer {
         ctx.restore();
     }
 
+    /**
+     * Draw decade gridlines of a logarithmic y-axis and ticks at the swept values
+     */
+    drawLogAxisTicks(ctx, margin, width, height, decades, values, xScale) {
+        ctx.font = '10px Arial';
+        ctx.fillStyle = this.colors.text;
+        
+        for (let decade = 0; decade <= decades; decade++) {
+            const y = margin.top + height * decade / decades;
+            ctx.strokeStyle = this.colors.background;
+            ctx.beginPath();
+            ctx.moveTo(margin.left, y);
+            ctx.lineTo(margin.left + width, y);
+            ctx.stroke();
+            
+            ctx.textAlign = 'right';
+            ctx.fillText(decade === 0 ? '1' : `1e-${decade}`, margin.left - 5, y);
+        }
+        
+        ctx.textAlign = 'center';
+        values.forEach(value => ctx.fillText(String(value), xScale(value), margin.top + height + 12));
+    }
+
     /**
      * Draw performance curve
+     * 
+     * The line joins the measured rates and breaks where none was seen;
+     * every point gets a bar spanning its confidence interval.
      */
-    drawPerformanceCurve(ctx, data, xScale, yScale, type, color) {
+    drawPerformanceCurve(ctx, points, xScale, yScale, series) {
+        const { type, metric, color, dash } = series;
         ctx.strokeStyle = color;
         ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
         ctx.beginPath();
         
-        data.forEach((point, index) => {
-            const x = xScale(point.errorRate);
-            const y = yScale(point[type + 'Accuracy']);
+        let drawing = false;
+        points.forEach(point => {
+            const rate = point[type][metric];
+            if (!(rate > 0)) {
+                drawing = false;
+                return;
+            }
             
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
+            const x = xScale(point.value);
+            const y = yScale(rate);
+            if (drawing) {
                 ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
             }
         });
         
         ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Confidence intervals
+        ctx.lineWidth = 1;
+        points.forEach(point => {
+            const [lower, upper] = point[type][metric + 'Interval'];
+            if (!(upper > 0)) return;
+            
+            const x = xScale(point.value);
+            ctx.beginPath();
+            ctx.moveTo(x, yScale(upper));
+            ctx.lineTo(x, lower > 0 ? yScale(lower) : yScale(0));
+            ctx.moveTo(x - 3, yScale(upper));
+            ctx.lineTo(x + 3, yScale(upper));
+            ctx.stroke();
+        });
     }
 
     /**
      * Draw chart legend
      */
-    drawChartLegend(ctx, width, height) {
+    drawChartLegend(ctx, width, series) {
         const legendY = 40;
-        
-        // Corrected line
-        ctx.strokeStyle = this.colors.dataBit;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(width - 120, legendY);
-        ctx.lineTo(width - 100, legendY);
-        ctx.stroke();
-        
-        ctx.fillStyle = this.colors.text;
         ctx.font = '12px Arial';
         ctx.textAlign = 'left';
-        ctx.fillText('With Error Correction', width - 95, legendY + 4);
         
-        // Uncorrected line
-        ctx.strokeStyle = this.colors.errorBit;
-        ctx.beginPath();
-        ctx.moveTo(width - 120, legendY + 20);
-        ctx.lineTo(width - 100, legendY + 20);
-        ctx.stroke();
-        
-        ctx.fillText('Without Error Correction', width - 95, legendY + 24);
+        series.forEach((entry, index) => {
+            const y = legendY + index * 20;
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(entry.dash);
+            ctx.beginPath();
+            ctx.moveTo(width - 170, y);
+            ctx.lineTo(width - 150, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(entry.label, width - 145, y + 4);
+        });
     }
 
     /**
-     * Setup error analysis chart with initial data
+     * Setup error analysis chart
+     * 
+     * Measuring the curves takes a Monte Carlo sweep, so the chart starts
+     * empty; the app runs the sweep on demand on its worker pool and draws
+     * the result with createErrorCorrectionChart.
      */
     setupErrorAnalysisChart() {
-        // Generate initial performance data for demonstration
-        const performanceData = [];
-        for (let errorRate = 0; errorRate <= 0.25; errorRate += 0.05) {
-            performanceData.push({
-                errorRate: errorRate,
-                correctedAccuracy: Math.max(0.9, 1 - errorRate * 0.5), // Simulated with correction
-                uncorrectedAccuracy: Math.max(0.3, 1 - errorRate * 4)   // Simulated without correction
+        const canvas = document.getElementById('error-correction-chart');
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const margin = { top: 20, right: 40, bottom: 40, left: 60 };
+        const chartWidth = canvas.width - margin.left - margin.right;
+        const chartHeight = canvas.height - margin.top - margin.bottom;
+        
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawChartAxes(ctx, margin, chartWidth, chartHeight, 'Channel error rate p', 'Error rate');
+        ctx.textAlign = 'center';
+        ctx.fillText('Run the error analysis to measure BER and BLER',
+            margin.left + chartWidth / 2, margin.top + chartHeight / 2);
+    }
+
+    /**
+     * Draw the charts of the benchmark dashboard
+     *
+     * @param {BenchmarkAnalysis} analysis - Analysis to plot
+     * @param {Object|null} baseline - Saved BenchmarkAnalysis summary, marked on the histograms
+     */
+    createBenchmarkCharts(analysis, baseline = null) {
+        this.createBenchmarkHistogram('benchmark-iterations-chart', analysis.histogram('iterations'), {
+            label: 'Iterations to converge',
+            color: this.colors.parityBit,
+            baselineMean: baseline ? baseline.iterationStats.mean : null
+        });
+        this.createBenchmarkHistogram('benchmark-convergence-chart', analysis.histogram('convergenceRate'), {
+            label: 'Convergence rate',
+            color: this.colors.mixedState,
+            baselineMean: baseline ? baseline.convergenceRateStats.mean : null
+        });
+        this.createIterationScatter('benchmark-scatter-chart', analysis.scatter());
+    }
+
+    /**
+     * Draw a histogram with its mean, and the baseline mean if given
+     *
+     * @param {string} canvasId - Canvas to draw on
+     * @param {Object} histogram - BenchmarkAnalysis.histogram result
+     * @param {Object} options - {label, color, baselineMean}
+     */
+    createBenchmarkHistogram(canvasId, histogram, options = {}) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 20, right: 20, bottom: 40, left: 50 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+        this.drawChartAxes(ctx, margin, chartWidth, chartHeight, options.label || histogram.metric, 'Runs');
+
+        const { bins, stats } = histogram;
+        if (bins.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.fillText('No converged runs', margin.left + chartWidth / 2, margin.top + chartHeight / 2);
+            return;
+        }
+
+        const minValue = bins[0].lower;
+        const span = bins[bins.length - 1].upper - minValue;
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+        const xScale = (value) => margin.left + ((value - minValue) / span) * chartWidth;
+        const yScale = (count) => margin.top + chartHeight * (1 - count / maxCount);
+        const integer = histogram.metric === 'iterations';
+
+        // Bars, labelled below with their range
+        ctx.font = '10px Arial';
+        bins.forEach(bin => {
+            const x = xScale(bin.lower);
+            const barWidth = xScale(bin.upper) - x;
+            ctx.fillStyle = options.color || this.colors.dataBit;
+            ctx.fillRect(x + 1, yScale(bin.count), barWidth - 2, margin.top + chartHeight - yScale(bin.count));
+
+            ctx.fillStyle = this.colors.text;
+            ctx.textAlign = 'center';
+            const label = integer ?
+                (bin.upper - bin.lower === 1 ? String(bin.lower) : `${bin.lower}-${bin.upper - 1}`) :
+                bin.lower.toFixed(2);
+            ctx.fillText(label, x + barWidth / 2, margin.top + chartHeight + 12);
+        });
+        ctx.textAlign = 'right';
+        ctx.fillText(String(maxCount), margin.left - 5, margin.top);
+        ctx.fillText('0', margin.left - 5, margin.top + chartHeight);
+
+        // Means: this run solid, the baseline dashed. A whole number v is
+        // drawn at the middle of its unit [v, v + 1).
+        const offset = integer ? 0.5 : 0;
+        [[stats.mean, this.colors.iteration, []], [options.baselineMean, this.colors.text, [6, 4]]]
+            .forEach(([mean, color, dash]) => {
+                if (mean === null || mean === undefined) return;
+                const x = xScale(Math.min(Math.max(mean + offset, minValue), minValue + span));
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash(dash);
+                ctx.beginPath();
+                ctx.moveTo(x, margin.top);
+                ctx.lineTo(x, margin.top + chartHeight);
+                ctx.stroke();
+                ctx.setLineDash([]);
             });
+    }
+
+    /**
+     * Draw the iterations of every run against its initial state
+     *
+     * Converged runs are green and the others red; a bar marks the mean
+     * iterations of the converged runs from each state.
+     *
+     * @param {string} canvasId - Canvas to draw on
+     * @param {Object} scatter - BenchmarkAnalysis.scatter result
+     */
+    createIterationScatter(canvasId, scatter) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = { top: 20, right: 20, bottom: 40, left: 50 };
+        const chartWidth = width - margin.left - margin.right;
+        const chartHeight = height - margin.top - margin.bottom;
+        this.drawChartAxes(ctx, margin, chartWidth, chartHeight, 'Initial state', 'Iterations');
+        if (scatter.points.length === 0) return;
+
+        const stateCount = 2 ** scatter.points[0].state.length;
+        const maxIterations = Math.max(...scatter.points.map(point => point.iterations));
+        const xScale = (value) => margin.left + ((value + 0.5) / stateCount) * chartWidth;
+        const yScale = (iterations) => margin.top + chartHeight * (1 - iterations / maxIterations);
+
+        // State labels, thinned out so they do not overlap
+        ctx.font = '10px Arial';
+        ctx.fillStyle = this.colors.text;
+        ctx.textAlign = 'center';
+        const every = Math.ceil(stateCount / Math.max(Math.floor(chartWidth / 40), 1));
+        for (let value = 0; value < stateCount; value += every) {
+            ctx.fillText(value.toString(2).padStart(scatter.points[0].state.length, '0'), xScale(value),
+                margin.top + chartHeight + 12);
         }
-        
-        this.createErrorCorrectionChart(performanceData);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(maxIterations), margin.left - 5, margin.top);
+        ctx.fillText('0', margin.left - 5, margin.top + chartHeight);
+
+        // Runs, translucent so repeated points show darker
+        ctx.globalAlpha = 0.5;
+        scatter.points.forEach(point => {
+            ctx.fillStyle = point.converged ? this.colors.convergence : this.colors.errorBit;
+            ctx.beginPath();
+            ctx.arc(xScale(point.value), yScale(point.iterations), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+
+        // Mean iterations per state
+        const halfWidth = Math.min(chartWidth / stateCount / 2 - 1, 10);
+        ctx.strokeStyle = this.colors.text;
+        ctx.lineWidth = 2;
+        scatter.states.filter(state => state.meanIterations !== null).forEach(state => {
+            const y = yScale(state.meanIterations);
+            ctx.beginPath();
+            ctx.moveTo(xScale(state.value) - halfWidth, y);
+            ctx.lineTo(xScale(state.value) + halfWidth, y);
+            ctx.stroke();
+        });
     }
 
     /**
@@ -0,0 +1,448 @@
+/**
+ * Worker Pool for Long Simulations
+ *
+ * Statistical analyses and error-rate sweeps run thousands of independent
+ * simulations; on the UI thread they freeze the page. This module splits
+ * such a job into chunks and runs them on a pool of Web Workers, each of
+ * which loads the solver and code modules (see simulation.worker.js):
+ *
+ *   const job = pool.runStatisticalAnalysis(100000, { errorRate: 0.05 });
+ *   job.on('progress', ({ fraction }) => ...);
+ *   const analysis = await job;
+ *
+ * Jobs are thenables with 'progress', 'complete', 'error' and 'cancel'
+ * events; job.cancel() drops the queued chunks and stops the workers busy
+ * with the job. Chunk results are merged into the same shape the
+ * single-threaded methods return.
+ *
+ * Every chunk gets a seed drawn from the job's seed, so a job is
+ * reproducible from its seed whatever the number of workers. Parameters
+ * cross the thread boundary as structured clones: give channels by name and
+ * pipelines as JSON, and the code as a spec for PipelineOperator.createCode.
+ *
+ * Where Web Workers are unavailable (Node, or pages opened from file://)
+ * the pool runs chunks inline, one per macrotask, behind the same API.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const PoolUtils = typeof RetrocausalUtils !== 'undefined' ? RetrocausalUtils : require('./utils.js');
+const PoolOperator = typeof PipelineOperator !== 'undefined' ? PipelineOperator : require('./pipeline.js').PipelineOperator;
+
+/**
+ * Task implementations shared by the workers and the inline fallback
+ */
+class SimulationTasks {
+    static tasks = {
+        /**
+         * A chunk of runStatisticalAnalysis, reduced to compact run records
+         */
+        statisticalAnalysis({ code, runs, params }) {
+            const Solver = typeof RetrocausalFixedPointSolver !== 'undefined' ?
+                RetrocausalFixedPointSolver : require('./fixedpoint.js');
+            const analysis = new Solver(PoolOperator.createCode(code)).runStatisticalAnalysis(runs, params);
+            return analysis.results.map(result => ({
+                initialState: result.initialState,
+                finalState: result.finalState,
+                converged: result.converged,
+                iterations: result.iterations,
+                convergenceRate: result.convergenceRate,
+                outcome: result.outcome,
+                errorRate: result.parameters.errorRate,
+                seed: result.seed
+            }));
+        },
+
+        /**
+         * One point of a MonteCarloEngine sweep
+         */
+        errorRatePoint({ code, options, channelParams, params }) {
+            const Engine = typeof MonteCarloEngine !== 'undefined' ? MonteCarloEngine : require('./montecarlo.js');
+            return new Engine(PoolOperator.createCode(code), options).runPoint(channelParams, params);
+        }
+    };
+
+    /**
+     * Run one chunk message and post its result
+     *
+     * @param {Object} message - {type: 'run', jobId, chunkId, task, payload}
+     * @param {Function} post - Sends a message back to the pool
+     */
+    static handle(message, post) {
+        const { jobId, chunkId, task, payload } = message;
+        try {
+            if (!SimulationTasks.tasks[task]) {
+                throw new Error(`Unknown simulation task "${task}"`);
+            }
+            post({ type: 'result', jobId: jobId, chunkId: chunkId, result: SimulationTasks.tasks[task](payload) });
+        } catch (error) {
+            post({ type: 'error', jobId: jobId, chunkId: chunkId, message: error.message });
+        }
+    }
+}
+
+/**
+ * Worker stand-in that runs chunks on the current thread
+ */
+class InlineWorker {
+    /**
+     * @param {Function} schedule - Defers a callback, setTimeout(callback, 0) by default
+     */
+    constructor(schedule) {
+        this.schedule = schedule;
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+    }
+
+    postMessage(message) {
+        this.schedule(() => {
+            if (this.terminated) return;
+            SimulationTasks.handle(message, reply => this.schedule(() => {
+                if (!this.terminated && this.onmessage) this.onmessage({ data: reply });
+            }));
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+/**
+ * A submitted job: a thenable with progress events and cancellation
+ */
+class SimulationJob {
+    constructor(pool, id, chunks, merge, seed) {
+        this.pool = pool;
+        this.id = id;
+        this.seed = seed;
+        this.chunks = chunks;
+        this.merge = merge;
+        this.results = new Array(chunks.length);
+        this.completed = 0;
+        this.status = 'running';
+        this.startTime = Date.now();
+
+        const dispatcher = PoolUtils.events.createDispatcher();
+        this.on = dispatcher.on.bind(dispatcher);
+        this.off = dispatcher.off.bind(dispatcher);
+        this.once = dispatcher.once.bind(dispatcher);
+        this.emit = dispatcher.emit.bind(dispatcher);
+
+        this.promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+        // Errors are reported through the promise of whoever awaits the job
+        this.promise.catch(() => {});
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.promise.catch(onRejected);
+    }
+
+    /**
+     * Stop the job; the promise rejects with an error flagged cancelled
+     */
+    cancel() {
+        if (this.status !== 'running') return;
+        this.status = 'cancelled';
+        this.pool.cancelJob(this);
+        const error = new Error('Simulation cancelled');
+        error.cancelled = true;
+        this.emit('cancel', { completed: this.completed, total: this.chunks.length });
+        this.reject(error);
+    }
+
+    chunkCompleted(chunkId, result) {
+        if (this.status !== 'running') return;
+        this.results[chunkId] = result;
+        this.completed++;
+
+        const units = this.chunks.reduce((sum, chunk, i) => sum + (this.results[i] !== undefined ? chunk.units : 0), 0);
+        const total = this.chunks.reduce((sum, chunk) => sum + chunk.units, 0);
+        this.emit('progress', {
+            completed: units,
+            total: total,
+            fraction: units / total,
+            chunksCompleted: this.completed,
+            chunks: this.chunks.length
+        });
+
+        if (this.completed === this.chunks.length) {
+            this.status = 'complete';
+            const merged = this.merge(this.results);
+            merged.elapsedTime = Date.now() - this.startTime;
+            merged.workers = this.pool.size;
+            this.emit('complete', merged);
+            this.resolve(merged);
+        }
+    }
+
+    chunkFailed(message) {
+        if (this.status !== 'running') return;
+        this.status = 'failed';
+        this.pool.cancelJob(this);
+        const error = new Error(message);
+        this.emit('error', error);
+        this.reject(error);
+    }
+}
+
+class SimulationWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} [options.size] - Number of workers (default: cores - 1, at least 1)
+     * @param {string} [options.workerUrl='js/simulation.worker.js'] - Worker script, relative to the page
+     * @param {number} [options.chunkSize=500] - Runs per chunk of a statistical analysis
+     * @param {boolean} [options.inline] - Run chunks on this thread (default: when Worker is missing)
+     * @param {Function} [options.schedule] - Defers inline work (default setTimeout(callback, 0))
+     */
+    constructor(options = {}) {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        this.options = {
+            size: cores ? Math.max(1, cores - 1) : 2,
+            workerUrl: 'js/simulation.worker.js',
+            chunkSize: 500,
+            inline: typeof Worker === 'undefined',
+            schedule: callback => setTimeout(callback, 0),
+            ...options
+        };
+        if (!(Number.isInteger(this.options.size) && this.options.size >= 1)) {
+            throw new Error('A worker pool needs at least one worker');
+        }
+        this.size = this.options.size;
+        this.workers = [];
+        this.queue = [];
+        this.jobs = new Map();
+        this.nextJobId = 1;
+    }
+
+    /**
+     * Run runStatisticalAnalysis split over the pool
+     *
+     * @param {number} numRuns - Number of independent simulations
+     * @param {Object} baseParams - Base parameter set, as for runStatisticalAnalysis
+     * @param {Object} options - {code: code spec (default Hamming(7,4)), chunkSize}
+     * @returns {SimulationJob} - Resolves to the analysis of runStatisticalAnalysis,
+     *          with compact run records in results
+     */
+    runStatisticalAnalysis(numRuns, baseParams = {}, options = {}) {
+        const code = options.code || { family: 'hamming' };
+        const chunkSize = options.chunkSize || this.options.chunkSize;
+        const generator = PoolUtils.random.createGenerator(baseParams.seed ?? PoolUtils.random.generateSeed());
+        const params = SimulationWorkerPool.toTransferable(baseParams);
+
+        const chunks = [];
+        for (let start = 0; start < numRuns; start += chunkSize) {
+            const runs = Math.min(chunkSize, numRuns - start);
+            chunks.push({
+                task: 'statisticalAnalysis',
+                units: runs,
+                payload: { code: code, runs: runs, params: { ...params, seed: generator.nextUint32() } }
+            });
+        }
+
+        const merge = results => {
+            const Solver = typeof RetrocausalFixedPointSolver !== 'undefined' ?
+                RetrocausalFixedPointSolver : require('./fixedpoint.js');
+            const solver = new Solver(PoolOperator.createCode(code));
+            return { totalRuns: numRuns, seed: generator.seed, ...solver.summarizeRuns(results.flat()) };
+        };
+        return this.submit(chunks, merge, generator.seed);
+    }
+
+    /**
+     * Run a MonteCarloEngine sweep with one point per chunk
+     *
+     * Point seeds are drawn as MonteCarloEngine.sweep draws them, so the
+     * curve equals the single-threaded sweep with the same seed.
+     *
+     * @param {string} parameter - Channel parameter to vary
+     * @param {Array<number>} values - Values of the parameter
+     * @param {Object} engineOptions - MonteCarloEngine options
+     * @param {Object} params - {seed, code} and overrides of the stopping options
+     * @returns {SimulationJob} - Resolves to the sweep result
+     */
+    runErrorRateSweep(parameter, values, engineOptions = {}, params = {}) {
+        const { code = { family: 'hamming' }, ...pointParams } = params;
+        const generator = PoolUtils.random.createGenerator(params.seed ?? PoolUtils.random.generateSeed());
+        const options = SimulationWorkerPool.toTransferable(engineOptions);
+
+        const chunks = values.map(value => ({
+            task: 'errorRatePoint',
+            units: 1,
+            payload: {
+                code: code,
+                options: options,
+                channelParams: { [parameter]: value },
+                params: { ...pointParams, seed: generator.nextUint32() }
+            }
+        }));
+
+        const merge = results => {
+            const instance = PoolOperator.createCode(code);
+            return {
+                parameter: parameter,
+                code: { n: instance.n, k: instance.k, name: instance.name },
+                channel: options.channel || 'bsc',
+                softDecision: Boolean(options.softDecision),
+                points: results.map((point, i) => ({ value: values[i], ...point })),
+                seed: generator.seed
+            };
+        };
+        return this.submit(chunks, merge, generator.seed);
+    }
+
+    /**
+     * Queue the chunks of a new job
+     */
+    submit(chunks, merge, seed) {
+        const job = new SimulationJob(this, this.nextJobId++, chunks, merge, seed);
+        this.jobs.set(job.id, job);
+        job.promise.then(() => this.jobs.delete(job.id), () => this.jobs.delete(job.id));
+
+        if (chunks.length === 0) {
+            const merged = merge([]);
+            job.status = 'complete';
+            job.emit('complete', merged);
+            job.resolve(merged);
+            return job;
+        }
+        chunks.forEach((chunk, chunkId) => this.queue.push({ job: job, chunkId: chunkId }));
+        this.dispatch();
+        return job;
+    }
+
+    /**
+     * Hand queued chunks to idle workers, starting workers as needed
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(worker => !worker.busy);
+            if (!slot && this.workers.length < this.size) {
+                slot = this.spawn();
+            }
+            if (!slot) return;
+
+            const { job, chunkId } = this.queue.shift();
+            const chunk = job.chunks[chunkId];
+            slot.busy = { job: job, chunkId: chunkId };
+            slot.worker.postMessage({
+                type: 'run', jobId: job.id, chunkId: chunkId, task: chunk.task, payload: chunk.payload
+            });
+        }
+    }
+
+    /**
+     * Start a worker, or an inline stand-in when workers are unavailable
+     */
+    spawn() {
+        let worker;
+        if (!this.options.inline) {
+            try {
+                worker = new Worker(this.options.workerUrl);
+            } catch (error) {
+                console.warn(`Web Workers unavailable (${error.message}); running simulations inline`);
+                this.options.inline = true;
+            }
+        }
+        if (this.options.inline) {
+            worker = new InlineWorker(this.options.schedule);
+        }
+
+        const slot = { worker: worker, busy: null };
+        worker.onmessage = event => this.receive(slot, event.data);
+        worker.onerror = event => {
+            const job = slot.busy && slot.busy.job;
+            slot.busy = null;
+            if (job) job.chunkFailed(`Worker failed: ${event.message || 'script error'}`);
+            this.dispatch();
+        };
+        this.workers.push(slot);
+        return slot;
+    }
+
+    receive(slot, message) {
+        const job = this.jobs.get(message.jobId);
+        slot.busy = null;
+        if (job) {
+            if (message.type === 'result') job.chunkCompleted(message.chunkId, message.result);
+            else if (message.type === 'error') job.chunkFailed(message.message);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Drop a job's queued chunks and replace the workers running it
+     */
+    cancelJob(job) {
+        this.queue = this.queue.filter(entry => entry.job !== job);
+        this.workers = this.workers.filter(slot => {
+            if (slot.busy && slot.busy.job === job) {
+                slot.worker.terminate();
+                return false;
+            }
+            return true;
+        });
+        this.jobs.delete(job.id);
+        this.dispatch();
+    }
+
+    /**
+     * Cancel every job and stop all workers
+     */
+    terminate() {
+        [...this.jobs.values()].forEach(job => job.cancel());
+        this.workers.forEach(slot => slot.worker.terminate());
+        this.workers = [];
+    }
+
+    /**
+     * Pool status for debugging
+     */
+    getStatus() {
+        return {
+            size: this.size,
+            inline: this.options.inline,
+            workers: this.workers.length,
+            busy: this.workers.filter(slot => slot.busy).length,
+            queuedChunks: this.queue.length,
+            jobs: this.jobs.size
+        };
+    }
+
+    /**
+     * Parameters as plain data: pipelines to their JSON, channel instances rejected
+     */
+    static toTransferable(params) {
+        const copy = { ...params };
+        if (copy.pipeline && typeof copy.pipeline.toJSON === 'function') {
+            copy.pipeline = copy.pipeline.toJSON();
+        }
+        if (copy.channel && typeof copy.channel === 'object') {
+            throw new Error('Worker simulations take channels by name, with channelParams');
+        }
+        return copy;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SimulationWorkerPool,
+        SimulationJob,
+        SimulationTasks,
+        InlineWorker
+    };
+} else if (typeof window !== 'undefined') {
+    window.SimulationWorkerPool = SimulationWorkerPool;
+    window.SimulationJob = SimulationJob;
+    window.SimulationTasks = SimulationTasks;
+    window.InlineWorker = InlineWorker;
+}
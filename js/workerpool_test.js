@@ -0,0 +1,165 @@
+/**
+ * Test Suite for the Simulation Worker Pool
+ *
+ * The pool is run with inline workers on a hand-driven task queue, so each
+ * test decides when chunks run and can look at the job in between. Merged
+ * results are checked against the single-threaded solver and engine.
+ *
+ * Test Coverage:
+ * - Chunked statistical analyses and their merged statistics
+ * - Reproducibility independent of the pool size
+ * - Error-rate sweeps matching MonteCarloEngine.sweep
+ * - Progress events, cancellation and error propagation
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+class SimulationWorkerPoolTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.solver = new RetrocausalFixedPointSolver(new HammingCode());
+        this.params = { errorRate: 0.05, maxIterations: 40, convergenceTolerance: 0, seed: 7 };
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Chunked analyses merge into solver statistics', () => this.testMergedStatistics());
+        this.framework.test('Results do not depend on the pool size', () => this.testReproducibility());
+        this.framework.test('Sweeps match the single-threaded engine', () => this.testSweep());
+        this.framework.test('Jobs report progress and can be cancelled', () => this.testProgressAndCancel());
+        this.framework.test('Task errors fail the job', () => this.testErrors());
+    }
+
+    /**
+     * A pool of inline workers whose work runs only when drained
+     */
+    createPool(size) {
+        const tasks = [];
+        const pool = new SimulationWorkerPool({ size: size, inline: true, schedule: task => tasks.push(task) });
+        pool.drain = (limit = Infinity) => {
+            let ran = 0;
+            while (tasks.length > 0 && ran++ < limit) tasks.shift()();
+        };
+        return pool;
+    }
+
+    /**
+     * Collect the events of a job
+     */
+    record(job) {
+        const events = [];
+        ['progress', 'complete', 'error', 'cancel'].forEach(type => job.on(type, data => events.push({ type, data })));
+        return events;
+    }
+
+    testMergedStatistics() {
+        const pool = this.createPool(3);
+        const job = pool.runStatisticalAnalysis(20, this.params, { chunkSize: 8 });
+        const events = this.record(job);
+        pool.drain();
+
+        const complete = events.find(event => event.type === 'complete');
+        this.framework.assertTrue(complete !== undefined, 'The job completes');
+        const analysis = complete.data;
+        this.framework.assertEqual([analysis.totalRuns, analysis.results.length, analysis.seed], [20, 20, 7],
+            'Every run is merged, under the job seed');
+
+        const expected = this.solver.summarizeRuns(analysis.results);
+        this.framework.assertEqual(
+            [analysis.successRate, analysis.averageIterations, analysis.iterationStats],
+            [expected.successRate, expected.averageIterations, expected.iterationStats],
+            'Statistics are computed over the merged runs');
+
+        // The first chunk is a plain runStatisticalAnalysis under the first chunk seed
+        const chunkSeed = RetrocausalUtils.random.createGenerator(7).nextUint32();
+        const direct = this.solver.runStatisticalAnalysis(8, { ...this.params, seed: chunkSeed });
+        this.framework.assertEqual(analysis.results.slice(0, 8).map(run => [run.initialState, run.finalState, run.iterations]),
+            direct.results.map(run => [run.initialState, run.finalState, run.iterations]),
+            'Chunks run the solver unchanged');
+    }
+
+    testReproducibility() {
+        const runs = size => {
+            const pool = this.createPool(size);
+            const job = pool.runStatisticalAnalysis(18, this.params, { chunkSize: 5 });
+            const events = this.record(job);
+            pool.drain();
+            this.framework.assertEqual(pool.getStatus().workers, Math.min(size, 4), `${size} workers started`);
+            return events.find(event => event.type === 'complete').data.results;
+        };
+        this.framework.assertEqual(runs(1), runs(4), 'One worker and four give the same runs');
+    }
+
+    testSweep() {
+        const engineOptions = { targetBlockErrors: 20, maxBlocks: 400 };
+        const values = [0.02, 0.1, 0.2];
+        const pool = this.createPool(2);
+        const job = pool.runErrorRateSweep('errorRate', values, engineOptions, { seed: 'sweep' });
+        const events = this.record(job);
+        pool.drain();
+
+        const curve = events.find(event => event.type === 'complete').data;
+        const expected = new MonteCarloEngine(new HammingCode(), engineOptions)
+            .sweep('errorRate', values, { seed: 'sweep' });
+        this.framework.assertEqual(curve.points, expected.points, 'Points equal the single-threaded sweep');
+        this.framework.assertEqual([curve.parameter, curve.code, curve.seed],
+            [expected.parameter, expected.code, expected.seed], 'and so does the description');
+        this.framework.assertEqual(curve.code.name, 'Hamming(7,4)', 'which names the code as the CLI does');
+    }
+
+    testProgressAndCancel() {
+        const pool = this.createPool(2);
+        const job = pool.runStatisticalAnalysis(12, this.params, { chunkSize: 4 });
+        const events = this.record(job);
+        pool.drain();
+
+        const progress = events.filter(event => event.type === 'progress').map(event => event.data);
+        this.framework.assertEqual(progress.map(update => update.completed), [4, 8, 12], 'One update per chunk');
+        this.framework.assertEqual(progress[2].fraction, 1, 'ending at fraction 1');
+
+        const long = pool.runStatisticalAnalysis(40, this.params, { chunkSize: 4 });
+        const longEvents = this.record(long);
+        pool.drain(4);
+        long.cancel();
+        pool.drain();
+
+        const types = longEvents.map(event => event.type);
+        this.framework.assertTrue(types.includes('cancel') && !types.includes('complete'), 'A cancelled job never completes');
+        this.framework.assertEqual(long.status, 'cancelled', 'and is marked cancelled');
+        this.framework.assertEqual([pool.getStatus().queuedChunks, pool.getStatus().busy], [0, 0],
+            'Its queued chunks are dropped and its workers stopped');
+
+        const next = pool.runStatisticalAnalysis(4, this.params);
+        pool.drain();
+        this.framework.assertEqual(next.status, 'complete', 'The pool keeps working after a cancellation');
+    }
+
+    testErrors() {
+        const pool = this.createPool(2);
+        const job = pool.runStatisticalAnalysis(10, this.params, { code: { family: 'turbo' }, chunkSize: 5 });
+        const events = this.record(job);
+        pool.drain();
+
+        const errors = events.filter(event => event.type === 'error');
+        this.framework.assertEqual(errors.length, 1, 'The first failing chunk fails the job');
+        this.framework.assertTrue(errors[0].data.message.includes('turbo'), 'with the worker\'s message');
+        this.framework.assertEqual(job.status, 'failed', 'and the job is marked failed');
+
+        this.framework.assertThrows(() => pool.runErrorRateSweep('errorRate', [0.1], {
+            channel: new BinarySymmetricChannel({ errorRate: 0.1 })
+        }), Error, 'Channel instances cannot cross to a worker');
+        this.framework.assertThrows(() => new SimulationWorkerPool({ size: 0 }), Error, 'A pool needs a worker');
+    }
+
+    run() {
+        console.log('Running Simulation Worker Pool Tests...');
+        return this.framework.run();
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationWorkerPoolTests;
+} else if (typeof window !== 'undefined') {
+    window.SimulationWorkerPoolTests = SimulationWorkerPoolTests;
+}
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Headless Test Runner
+ *
+ * Runs the in-file TestFramework suites under Node.js, without a browser or
+ * a DOM, so merges can be gated on them:
+ *
+ *   node tests/run_tests.js                      # every suite, readable output
+ *   node tests/run_tests.js hamming fixedpoint   # suites of matching files or names
+ *   node tests/run_tests.js --reporter tap
+ *   node tests/run_tests.js --reporter junit --output test-results.xml
+ *
+ * The modules in js/ are loaded into one shared context the way the test
+ * page's <script> tags load them, ordered so each module comes after the
+ * modules it requires; browser-only scripts are skipped. Suites are the
+ * `class ...Tests` declarations of the js/*_test.js files, and the
+ * TestFramework class of hamming_test.js runs them unchanged. Suites of
+ * Node.js code, such as this runner's own, live in tests/*_test.js and are
+ * given `require`.
+ *
+ * The exit code is 0 when every test passes, 1 when a test fails or a
+ * suite cannot be loaded, and 2 when no suite matches the filters.
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+// Node 14 has neither global; webcrypto is missing there too, and seeds then fall back to Math.random
+const { performance } = require('perf_hooks');
+const { webcrypto } = require('crypto');
+
+class HeadlessTestRunner {
+    static REPORTERS = ['spec', 'tap', 'junit'];
+
+    // Scripts that need a DOM or a worker global scope
+    static BROWSER_ONLY = ['main.js', 'visualization.js', 'simulation.worker.js'];
+
+    /**
+     * @param {Object} options - Runner options
+     * @param {string} [options.root] - Directory of the modules and suites (default: ../js)
+     * @param {string|null} [options.nodeRoot] - Directory of the Node.js suites (default: this directory)
+     * @param {string} [options.reporter='spec'] - 'spec', 'tap' or 'junit'
+     * @param {Array<string>} [options.filters=[]] - Substrings of suite or file names to run
+     * @param {Function} [options.write] - Writes report text (default: process.stdout)
+     * @param {Function} [options.log] - Writes the suites' console output in spec mode (default: process.stdout)
+     */
+    constructor(options = {}) {
+        this.options = {
+            root: path.join(__dirname, '..', 'js'),
+            nodeRoot: __dirname,
+            reporter: 'spec',
+            filters: [],
+            write: text => process.stdout.write(text),
+            log: text => process.stdout.write(text),
+            ...options
+        };
+        if (!HeadlessTestRunner.REPORTERS.includes(this.options.reporter)) {
+            throw new Error(`Unknown reporter "${this.options.reporter}". Use ${HeadlessTestRunner.REPORTERS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Module files in dependency order
+     *
+     * @returns {Array<string>} - File names relative to the root
+     */
+    discoverModules() {
+        const files = fs.readdirSync(this.options.root)
+            .filter(file => file.endsWith('.js') && !file.endsWith('_test.js'))
+            .filter(file => !HeadlessTestRunner.BROWSER_ONLY.includes(file))
+            .sort();
+        const requires = new Map(files.map(file => {
+            const source = fs.readFileSync(path.join(this.options.root, file), 'utf8');
+            const dependencies = [...source.matchAll(/require\('\.\/([\w.-]+\.js)'\)/g)]
+                .map(match => match[1])
+                .filter(dependency => files.includes(dependency) && dependency !== file);
+            return [file, dependencies];
+        }));
+
+        // Depth-first topological order; a require cycle is broken where it is met
+        const ordered = [];
+        const visiting = new Set();
+        const visit = file => {
+            if (ordered.includes(file) || visiting.has(file)) return;
+            visiting.add(file);
+            requires.get(file).forEach(visit);
+            visiting.delete(file);
+            ordered.push(file);
+        };
+        files.forEach(visit);
+        return ordered;
+    }
+
+    /**
+     * Suites declared by the test files, after the filters
+     *
+     * @returns {Array<Object>} - [{root, file, name, node}], node telling a Node.js suite
+     */
+    discoverSuites() {
+        const roots = [this.options.root, this.options.nodeRoot].filter(Boolean);
+        const suites = roots.flatMap(root => fs.readdirSync(root).filter(file => file.endsWith('_test.js')).sort()
+            .flatMap(file => {
+                const source = fs.readFileSync(path.join(root, file), 'utf8');
+                return [...source.matchAll(/^class (\w+Tests)\b/gm)].map(match =>
+                    ({ root: root, file: file, name: match[1], node: root !== this.options.root }));
+            }));
+        const filters = this.options.filters.map(filter => filter.toLowerCase());
+        return filters.length === 0 ? suites :
+            suites.filter(suite => filters.some(filter =>
+                suite.name.toLowerCase().includes(filter) || suite.file.toLowerCase().includes(filter)));
+    }
+
+    /**
+     * Context standing in for the page: the globals the modules use, and a
+     * console whose output is collected per suite
+     *
+     * @param {boolean} node - Whether Node.js suites will run, which get require
+     */
+    createContext(node) {
+        this.output = [];
+        const collect = (...args) => {
+            const line = args.map(arg => (typeof arg === 'string' ? arg : util.inspect(arg))).join(' ');
+            this.output.push(line);
+            if (this.options.reporter === 'spec') this.options.log(line + '\n');
+        };
+        const console = { log: collect, info: collect, warn: collect, error: collect, debug: collect };
+        return vm.createContext({
+            console, performance, setTimeout, clearTimeout, setInterval, clearInterval,
+            TextEncoder, TextDecoder, crypto: webcrypto,
+            ...(node ? { require } : {})
+        });
+    }
+
+    /**
+     * Load everything and run the suites
+     *
+     * @returns {Object} - {suites: [{root, file, name, node, tests, duration, output}], passed, failed}
+     */
+    run() {
+        const suites = this.discoverSuites();
+        if (suites.length === 0) {
+            return { suites: [], passed: 0, failed: 0 };
+        }
+
+        const context = this.createContext(suites.some(suite => suite.node));
+        const files = [...this.discoverModules(), 'hamming_test.js'].map(file => path.join(this.options.root, file));
+        const suiteFiles = suites.map(suite => path.join(suite.root, suite.file));
+        new Set([...files, ...suiteFiles]).forEach(file => {
+            vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+        });
+
+        const reports = suites.map(suite => {
+            this.output = [];
+            const start = performance.now();
+            let tests;
+            try {
+                tests = vm.runInContext(`new ${suite.name}().run()`, context).results;
+            } catch (error) {
+                // A suite whose constructor throws counts as one failed test
+                tests = [{ name: 'suite setup', status: 'FAIL', error: error.message, duration: 0 }];
+                if (this.options.reporter === 'spec') this.options.log(`✗ ${suite.name}: ${error.message}\n`);
+            }
+            return { ...suite, tests: tests, duration: performance.now() - start, output: this.output };
+        });
+
+        const all = reports.flatMap(report => report.tests);
+        return {
+            suites: reports,
+            passed: all.filter(test => test.status === 'PASS').length,
+            failed: all.filter(test => test.status !== 'PASS').length
+        };
+    }
+
+    /**
+     * Write the report in the chosen format
+     */
+    report(summary) {
+        switch (this.options.reporter) {
+            case 'tap':
+                this.options.write(HeadlessTestRunner.toTAP(summary));
+                break;
+            case 'junit':
+                this.options.write(HeadlessTestRunner.toJUnit(summary));
+                break;
+            default:
+                this.options.write(`\n${summary.suites.length} suite${summary.suites.length === 1 ? '' : 's'}: ${summary.passed} passed, ${summary.failed} failed\n` +
+                    summary.suites.flatMap(suite => suite.tests.filter(test => test.status !== 'PASS')
+                        .map(test => `  ✗ ${suite.name} › ${test.name}\n`)).join(''));
+        }
+    }
+
+    /**
+     * TAP version 13, one test point per test and console output as comments
+     */
+    static toTAP(summary) {
+        const lines = ['TAP version 13'];
+        let number = 0;
+        summary.suites.forEach(suite => {
+            lines.push(`# ${suite.name} (${suite.file})`);
+            suite.output.forEach(line => lines.push(...line.split('\n').map(part => `# ${part}`)));
+            suite.tests.forEach(test => {
+                number++;
+                const description = `${suite.name}: ${test.name}`.replace(/#/g, '\\#');
+                if (test.status === 'PASS') {
+                    lines.push(`ok ${number} - ${description}`);
+                } else {
+                    lines.push(`not ok ${number} - ${description}`, '  ---', '  message: |',
+                        ...String(test.error).split('\n').map(line => `    ${line.trim()}`), '  ...');
+                }
+            });
+        });
+        lines.push(`1..${number}`, `# pass ${summary.passed}`, `# fail ${summary.failed}`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * JUnit XML, one testsuite per suite
+     */
+    static toJUnit(summary) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+        const total = summary.suites.reduce((sum, suite) => sum + suite.duration, 0);
+
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="retrocausal" tests="${summary.passed + summary.failed}" ` +
+            `failures="${summary.failed}" time="${seconds(total)}">`];
+        summary.suites.forEach(suite => {
+            const failures = suite.tests.filter(test => test.status !== 'PASS').length;
+            const file = `${path.basename(suite.root)}/${suite.file}`;
+            lines.push(`  <testsuite name="${escape(suite.name)}" file="${escape(file)}" ` +
+                `tests="${suite.tests.length}" failures="${failures}" time="${seconds(suite.duration)}">`);
+            suite.tests.forEach(test => {
+                const attributes = `classname="${escape(suite.name)}" name="${escape(test.name)}" time="${seconds(test.duration)}"`;
+                if (test.status === 'PASS') {
+                    lines.push(`    <testcase ${attributes}/>`);
+                } else {
+                    const message = String(test.error).split('\n')[0];
+                    lines.push(`    <testcase ${attributes}>`,
+                        `      <failure message="${escape(message)}">${escape(test.error)}</failure>`,
+                        '    </testcase>');
+                }
+            });
+            lines.push(`    <system-out>${escape(suite.output.join('\n'))}</system-out>`, '  </testsuite>');
+        });
+        lines.push('</testsuites>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse the command line
+     */
+    static parseArgs(argv) {
+        const options = { filters: [] };
+        for (let i = 0; i < argv.length; i++) {
+            const [flag, inline] = argv[i].split('=');
+            if (flag === '--reporter' || flag === '--output') {
+                const value = inline ?? argv[++i];
+                if (value === undefined) throw new Error(`${flag} needs a value`);
+                options[flag.slice(2)] = value;
+            } else if (flag.startsWith('--')) {
+                throw new Error(`Unknown option ${flag}`);
+            } else {
+                options.filters.push(argv[i]);
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Run the command line
+     *
+     * @param {Array<string>} argv - Arguments after the script name
+     * @param {Object} options - Runner options, plus stderr to write messages to
+     * @returns {number} - Exit code
+     */
+    static main(argv, { stderr = text => process.stderr.write(text), ...defaults } = {}) {
+        try {
+            const { output, ...options } = HeadlessTestRunner.parseArgs(argv);
+            const runner = new HeadlessTestRunner({
+                ...defaults,
+                ...options,
+                ...(output ? { write: text => fs.writeFileSync(output, text) } : {})
+            });
+
+            const summary = runner.run();
+            if (summary.suites.length === 0) {
+                stderr(`No test suites match ${options.filters.join(', ')}\n`);
+                return 2;
+            }
+            runner.report(summary);
+            if (output) stderr(`Wrote ${runner.options.reporter} report to ${output}\n`);
+            return summary.failed > 0 ? 1 : 0;
+        } catch (error) {
+            stderr(`run_tests: ${error.stack || error.message}\n`);
+            return 1;
+        }
+    }
+}
+
+// Exported before running, so the runner's own suite can require it
+module.exports = HeadlessTestRunner;
+
+if (require.main === module) {
+    process.exitCode = HeadlessTestRunner.main(process.argv.slice(2));
+}
@@ -0,0 +1,203 @@
+/**
+ * Test Suite for the Headless Test Runner
+ *
+ * The runner is pointed at a fixture directory of small modules and suites,
+ * written to a temporary directory, so passing, failing and broken suites
+ * can be run without touching the real ones.
+ *
+ * Test Coverage:
+ * - Argument parsing
+ * - Module order and suite filters
+ * - Run summaries, including suites that fail to construct
+ * - TAP and JUnit output and their escaping
+ * - Exit codes 0, 1 and 2
+ *
+ * Author: Tommy Xaypanya, NeuralQuantum.ai
+ */
+
+const RunnerFS = require('fs');
+const RunnerOS = require('os');
+const RunnerPath = require('path');
+const RunnerUnderTest = require('./run_tests.js');
+
+class HeadlessTestRunnerTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.root = RunnerFS.mkdtempSync(RunnerPath.join(RunnerOS.tmpdir(), 'run-tests-'));
+        this.writeFixture();
+        this.setupTests();
+    }
+
+    setupTests() {
+        this.framework.test('Arguments are parsed into options', () => this.testParseArgs());
+        this.framework.test('Modules load after what they require', () => this.testModuleOrder());
+        this.framework.test('Filters match suite and file names', () => this.testFilters());
+        this.framework.test('Summaries count every test', () => this.testSummary());
+        this.framework.test('TAP output', () => this.testTAP());
+        this.framework.test('JUnit output escapes XML', () => this.testJUnit());
+        this.framework.test('Exit codes', () => this.testExitCodes());
+    }
+
+    /**
+     * Fixture: b.js before a.js, a browser-only main.js, and a passing, a
+     * failing and a broken suite. hamming_test.js keeps only TestFramework.
+     */
+    writeFixture() {
+        const framework = RunnerFS.readFileSync(require.resolve('../js/hamming_test.js'), 'utf8');
+        const files = {
+            'hamming_test.js': framework.slice(0, framework.indexOf('class HammingCodeTests')),
+            'a.js': 'const AValue = (typeof BValue !== \'undefined\' ? BValue : require(\'./b.js\')) + 1;\n',
+            'b.js': 'const BValue = 1;\n',
+            'main.js': 'document.title = \'unreachable\';\n',
+            'passing_test.js': `class PassingTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.framework.test('A # <"loaded"> & ordered', () => this.framework.assertEqual(AValue, 2, 'a.js sees b.js'));
+        this.framework.test('plain', () => console.log('line # one\\nline two'));
+    }
+    run() { return this.framework.run(); }
+}
+`,
+            'failing_test.js': `class FailingTests {
+    constructor() {
+        this.framework = new TestFramework();
+        this.framework.test('fails', () => this.framework.assertTrue(false, 'x < y & "z"'));
+    }
+    run() { return this.framework.run(); }
+}
+`,
+            'broken_test.js': 'class BrokenTests { constructor() { throw new Error(\'no fixture\'); } }\n'
+        };
+        Object.entries(files).forEach(([file, source]) => RunnerFS.writeFileSync(RunnerPath.join(this.root, file), source));
+    }
+
+    runner(options = {}) {
+        return new RunnerUnderTest({ root: this.root, nodeRoot: null, log: () => {}, write: () => {}, ...options });
+    }
+
+    /**
+     * Run the command line against the fixture, returning {code, stdout, stderr}
+     */
+    main(argv) {
+        const output = { stdout: '', stderr: '' };
+        const code = RunnerUnderTest.main(argv, {
+            root: this.root,
+            nodeRoot: null,
+            log: () => {},
+            write: text => { output.stdout += text; },
+            stderr: text => { output.stderr += text; }
+        });
+        return { code: code, ...output };
+    }
+
+    /**
+     * Message of the error fn throws; the runner's errors come from outside
+     * this context, so assertThrows cannot check their class
+     */
+    error(fn) {
+        try {
+            fn();
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    testParseArgs() {
+        this.framework.assertEqual(RunnerUnderTest.parseArgs(['hamming', '--reporter', 'tap', 'bch', '--output=out.xml']),
+            { filters: ['hamming', 'bch'], reporter: 'tap', output: 'out.xml' }, 'Flags take the next or an inline value');
+        this.framework.assertEqual(RunnerUnderTest.parseArgs([]), { filters: [] }, 'No arguments run everything');
+        this.framework.assertEqual(this.error(() => RunnerUnderTest.parseArgs(['--reporter'])), '--reporter needs a value',
+            'A flag needs its value');
+        this.framework.assertEqual(this.error(() => RunnerUnderTest.parseArgs(['--bail'])), 'Unknown option --bail',
+            'Unknown flags are rejected');
+        this.framework.assertEqual(this.error(() => this.runner({ reporter: 'html' })),
+            'Unknown reporter "html". Use spec, tap, junit', 'as are unknown reporters');
+    }
+
+    testModuleOrder() {
+        this.framework.assertEqual(this.runner().discoverModules(), ['b.js', 'a.js'],
+            'Required modules come first and browser-only scripts are skipped');
+    }
+
+    testFilters() {
+        const names = filters => this.runner({ filters: filters }).discoverSuites().map(suite => suite.name);
+        this.framework.assertEqual(names([]), ['BrokenTests', 'FailingTests', 'PassingTests'], 'No filter finds every suite');
+        this.framework.assertEqual(names(['passing']), ['PassingTests'], 'Filters match suite names, ignoring case');
+        this.framework.assertEqual(names(['failing_test']), ['FailingTests'], 'and file names');
+        this.framework.assertEqual(names(['nothing']), [], 'Unmatched filters find nothing');
+    }
+
+    testSummary() {
+        const summary = this.runner().run();
+        this.framework.assertEqual([summary.passed, summary.failed], [2, 2], 'Tests are counted across suites');
+        const broken = summary.suites.find(suite => suite.name === 'BrokenTests');
+        this.framework.assertEqual(broken.tests.map(test => [test.name, test.status, test.error]),
+            [['suite setup', 'FAIL', 'no fixture']], 'A suite that cannot be made is one failed test');
+        const passing = summary.suites.find(suite => suite.name === 'PassingTests');
+        this.framework.assertTrue(passing.output.includes('line # one\nline two'), 'Console output is kept per suite');
+    }
+
+    testTAP() {
+        const lines = RunnerUnderTest.toTAP(this.runner().run()).trim().split('\n');
+        this.framework.assertEqual(lines[0], 'TAP version 13', 'The version comes first');
+        this.framework.assertEqual(lines.slice(-3), ['1..4', '# pass 2', '# fail 2'], 'and the plan and counts last');
+        this.framework.assertTrue(lines.includes('not ok 2 - FailingTests: fails'), 'Failures are not ok');
+        this.framework.assertTrue(lines.includes('ok 3 - PassingTests: A \\# <"loaded"> & ordered'),
+            'Hashes in descriptions are escaped');
+        this.framework.assertTrue(lines.includes('# line # one') && lines.includes('# line two'),
+            'Console output becomes one comment per line');
+        const failure = lines.indexOf('not ok 2 - FailingTests: fails');
+        this.framework.assertEqual(lines.slice(failure + 1, failure + 4), ['  ---', '  message: |', '    Assertion failed: x < y & "z"'],
+            'The error follows as a YAML block');
+    }
+
+    testJUnit() {
+        const xml = RunnerUnderTest.toJUnit(this.runner().run());
+        const root = RunnerPath.basename(this.root);
+        this.framework.assertTrue(xml.includes('<testsuites name="retrocausal" tests="4" failures="2"'), 'Totals are on the root');
+        this.framework.assertTrue(xml.includes(`<testsuite name="FailingTests" file="${root}/failing_test.js" tests="1" failures="1"`),
+            'Each suite names its file');
+        this.framework.assertTrue(xml.includes('name="A # &lt;&quot;loaded&quot;&gt; &amp; ordered"'), 'Attributes are escaped');
+        this.framework.assertTrue(xml.includes('<failure message="Assertion failed: x &lt; y &amp; &quot;z&quot;">'),
+            'The failure message is the first line of the error');
+        this.framework.assertTrue(xml.includes('line # one\nline two'), 'Console output is kept');
+        this.framework.assertTrue(!/&(?!amp;|lt;|gt;|quot;)/.test(xml), 'No ampersand is left bare');
+    }
+
+    testExitCodes() {
+        const passing = this.main(['passing']);
+        this.framework.assertEqual([passing.code, passing.stderr], [0, ''], 'Passing suites exit 0');
+        this.framework.assertTrue(passing.stdout.includes('1 suite: 2 passed, 0 failed'), 'after the spec summary');
+
+        this.framework.assertEqual(this.main([]).code, 1, 'A failed test exits 1');
+        this.framework.assertEqual(this.main(['broken']).code, 1, 'as does a suite that cannot be made');
+        const unknown = this.main(['--bail']);
+        this.framework.assertEqual(unknown.code, 1, 'Bad arguments exit 1');
+        this.framework.assertTrue(unknown.stderr.startsWith('run_tests: Error: Unknown option --bail'), 'with the reason');
+
+        const none = this.main(['nothing', 'nowhere']);
+        this.framework.assertEqual([none.code, none.stderr, none.stdout], [2, 'No test suites match nothing, nowhere\n', ''],
+            'No matching suite exits 2');
+
+        const output = RunnerPath.join(this.root, 'results.tap');
+        const written = this.main(['passing', '--reporter', 'tap', '--output', output]);
+        this.framework.assertEqual([written.code, written.stdout, written.stderr], [0, '', `Wrote tap report to ${output}\n`],
+            '--output writes the report to a file');
+        this.framework.assertTrue(RunnerFS.readFileSync(output, 'utf8').startsWith('TAP version 13\n'), 'in the chosen format');
+    }
+
+    run() {
+        console.log('Running Headless Test Runner Tests...');
+        try {
+            return this.framework.run();
+        } finally {
+            RunnerFS.rmSync(this.root, { recursive: true, force: true });
+        }
+    }
+}
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadlessTestRunnerTests;
+}